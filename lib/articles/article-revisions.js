@@ -0,0 +1,280 @@
+/**
+ * Article Revisions
+ *
+ * Every change to an article's editable fields is stored as a full snapshot in
+ * users/{uid}/generated_articles/{articleId}/revisions/{revision}:
+ *   { revision, source: 'generated'|'edit'|'rewrite'|'refresh'|'restore'|'internal-links', title, content, metaDescription,
+ *     changedFields, wordCount, actor, note, restoredFrom, createdAt }
+ * The article keeps the current revision number in `revision`. Restoring an
+ * old revision writes a new one, so history is never rewritten. Each change also
+ * updates the article's meta title, Open Graph and BlogPosting JSON-LD to match.
+ */
+
+const { db } = require('../../firebase');
+const { WorkflowError, articleRef } = require('./article-workflow');
+const { diffLines, formatDiff } = require('./text-diff');
+const { syncArticleSeo } = require('../content/article-seo');
+
+const EDITABLE_FIELDS = ['title', 'content', 'metaDescription'];
+const MAX_CONTENT_LENGTH = 200_000;
+const MAX_CONTENT_LINES = 5000;
+
+function revisionsRef(uid, articleId) {
+  return articleRef(uid, articleId).collection('revisions');
+}
+
+function revisionId(revision) {
+  return String(revision).padStart(4, '0');
+}
+
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Snapshot of the editable fields of an article
+ */
+function pickEditable(data) {
+  return Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, data[field] ?? null]));
+}
+
+/**
+ * Revision 1 of a newly generated article, for the caller to write in the same
+ * transaction as the article itself (saved with `revision: 1`)
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {Object} article - Article data about to be saved
+ * @returns {{ref: Object, data: Object}}
+ */
+function buildGeneratedRevision(uid, articleId, article) {
+  return {
+    ref: revisionsRef(uid, articleId).doc(revisionId(1)),
+    data: {
+      revision: 1,
+      source: 'generated',
+      ...pickEditable(article),
+      changedFields: [...EDITABLE_FIELDS],
+      wordCount: countWords(article.content),
+      actor: null,
+      note: null,
+      restoredFrom: null,
+      createdAt: article.createdAt
+    }
+  };
+}
+
+/**
+ * Apply changes to an article and record them as a new revision, in one transaction.
+ * Articles created before revisions existed get their current text saved as revision 1 first.
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {Object|Function} changes - Any of { title, content, metaDescription }, or a function of the current
+ *   article data returning them. The function runs inside the transaction, so changes built from the article
+ *   (e.g. a splice into its content) apply to the latest text; it may run more than once and must not have
+ *   side effects beyond the value it returns.
+ * @param {Object} options - { actor, note?, source: 'generated'|'edit'|'rewrite'|'refresh'|'restore'|'internal-links', restoredFrom?,
+ *   update?: (article, { revision, changedFields }) => Object - other article fields to write in the same
+ *   transaction (e.g. a changelog appended to the current one), also when nothing changed; same rules as `changes` }
+ * @returns {Promise<{revision: number, changedFields: string[]}>} - changedFields is empty when nothing changed
+ */
+async function saveRevision(uid, articleId, changes, {
+  actor = null, note = null, source = 'edit', restoredFrom = null, update = null
+} = {}) {
+  const ref = articleRef(uid, articleId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw new WorkflowError('Article not found', 404);
+    }
+
+    const article = doc.data();
+    const now = new Date().toISOString();
+    let current = article.revision || 0;
+
+    if (source !== 'generated' && (article.status || 'draft') === 'archived') {
+      throw new WorkflowError('Archived articles cannot be edited; restore to draft first', 409);
+    }
+
+    const requested = typeof changes === 'function' ? changes(article) : changes;
+    const changedFields = EDITABLE_FIELDS.filter((field) => requested[field] !== undefined
+      && (source === 'generated' || requested[field] !== (article[field] ?? null)));
+    if (changedFields.length === 0) {
+      const extra = update ? update(article, { revision: current, changedFields }) : {};
+      if (Object.keys(extra).length > 0) {
+        transaction.update(ref, extra);
+      }
+      return { revision: current, changedFields };
+    }
+
+    if (current === 0 && source !== 'generated') {
+      current = 1;
+      transaction.set(revisionsRef(uid, articleId).doc(revisionId(current)), {
+        revision: current,
+        source: 'generated',
+        ...pickEditable(article),
+        changedFields: [],
+        wordCount: countWords(article.content),
+        actor: null,
+        note: 'Baseline saved before the first edit',
+        restoredFrom: null,
+        createdAt: article.createdAt || now
+      });
+    }
+
+    const next = current + 1;
+    const updated = { ...pickEditable(article), ...Object.fromEntries(changedFields.map((field) => [field, requested[field]])) };
+    const wordCount = countWords(updated.content);
+
+    transaction.set(revisionsRef(uid, articleId).doc(revisionId(next)), {
+      revision: next,
+      source,
+      ...updated,
+      changedFields,
+      wordCount,
+      actor,
+      note,
+      restoredFrom,
+      createdAt: now
+    });
+
+    const articleUpdate = { ...(update ? update(article, { revision: next, changedFields }) : {}), revision: next, updatedAt: now };
+    for (const field of changedFields) {
+      articleUpdate[field] = requested[field];
+    }
+    if (source !== 'generated') {
+      if (changedFields.includes('content')) {
+        articleUpdate.wordCount = wordCount;
+      }
+      Object.assign(articleUpdate, syncArticleSeo(article, updated, {
+        changedFields,
+        wordCount: articleUpdate.wordCount ?? article.wordCount,
+        modifiedAt: now
+      }));
+    }
+    transaction.update(ref, articleUpdate);
+
+    return { revision: next, changedFields };
+  });
+}
+
+/**
+ * Edit an article's title, content or meta description
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {Object} changes - Any of { title, content, metaDescription } (strings)
+ * @param {Object} options - { actor, note? }
+ * @returns {Promise<{revision: number, changedFields: string[]}>}
+ */
+async function editArticle(uid, articleId, changes, { actor, note = null } = {}) {
+  const provided = EDITABLE_FIELDS.filter((field) => changes[field] !== undefined);
+  if (provided.length === 0) {
+    throw new WorkflowError(`Provide at least one of: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+  for (const field of provided) {
+    if (typeof changes[field] !== 'string' || (field !== 'metaDescription' && !changes[field].trim())) {
+      throw new WorkflowError(`${field} must be a non-empty string`);
+    }
+  }
+  if (changes.content !== undefined
+    && (changes.content.length > MAX_CONTENT_LENGTH || changes.content.split('\n').length > MAX_CONTENT_LINES)) {
+    throw new WorkflowError(`content must be at most ${MAX_CONTENT_LENGTH} characters and ${MAX_CONTENT_LINES} lines`);
+  }
+
+  return saveRevision(uid, articleId, changes, { actor, note, source: 'edit' });
+}
+
+/**
+ * List revisions, newest first (without their text)
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @returns {Promise<Object[]>}
+ */
+async function listRevisions(uid, articleId) {
+  const snapshot = await revisionsRef(uid, articleId).orderBy('revision', 'desc').get();
+
+  return snapshot.docs.map((doc) => {
+    const { title, content, metaDescription, ...meta } = doc.data();
+    return meta;
+  });
+}
+
+/**
+ * Get one revision with its text
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object>}
+ * @throws {WorkflowError} - 404 if it does not exist
+ */
+async function getRevision(uid, articleId, revision) {
+  const doc = await revisionsRef(uid, articleId).doc(revisionId(revision)).get();
+  if (!doc.exists) {
+    throw new WorkflowError(`Revision ${revision} not found`, 404);
+  }
+  return doc.data();
+}
+
+/**
+ * Compare two revisions
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {number} revision - Newer revision
+ * @param {number} against - Older revision (defaults to the one before)
+ * @returns {Promise<Object>} - { from, to, title?, metaDescription?, content: { added, removed, diff } }
+ */
+async function diffRevisions(uid, articleId, revision, against = revision - 1) {
+  const [before, after] = await Promise.all([
+    getRevision(uid, articleId, against),
+    getRevision(uid, articleId, revision)
+  ]);
+
+  const ops = diffLines(before.content, after.content);
+  const result = {
+    from: against,
+    to: revision,
+    content: {
+      added: ops.filter((op) => op.type === 'add').length,
+      removed: ops.filter((op) => op.type === 'remove').length,
+      diff: formatDiff(ops)
+    }
+  };
+
+  for (const field of ['title', 'metaDescription']) {
+    if (before[field] !== after[field]) {
+      result[field] = { from: before[field], to: after[field] };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Roll back to an earlier revision (saved as a new revision)
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {number} revision - Revision to restore
+ * @param {Object} options - { actor, note? }
+ * @returns {Promise<{revision: number, changedFields: string[]}>}
+ */
+async function restoreRevision(uid, articleId, revision, { actor, note = null } = {}) {
+  const snapshot = await getRevision(uid, articleId, revision);
+
+  return saveRevision(uid, articleId, pickEditable(snapshot), {
+    actor,
+    note: note || `Restored revision ${revision}`,
+    source: 'restore',
+    restoredFrom: revision
+  });
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  buildGeneratedRevision,
+  saveRevision,
+  editArticle,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
@@ -0,0 +1,168 @@
+/**
+ * Article Workflow
+ *
+ * Lifecycle of a generated article (the `status` field):
+ *
+ *   draft → in_review → approved → scheduled → published → archived
+ *
+ * plus the way back: reviewers can send an article back to draft, a scheduled
+ * article can be unscheduled (→ approved), and archived articles can be
+ * restored to draft. Generated articles that fail the quality gate
+ * (lib/content/article-quality.js) start in `needs_review` instead of draft. Every transition is validated here and appended to
+ * `statusHistory` on the article; `published` is only reached by actually
+ * publishing (lib/publishing/publish-article.js).
+ *
+ * Review comments live in users/{uid}/generated_articles/{articleId}/comments.
+ */
+
+const { db } = require('../../firebase');
+
+const ARTICLE_STATUSES = ['draft', 'needs_review', 'in_review', 'approved', 'scheduled', 'published', 'archived'];
+
+const TRANSITIONS = {
+  draft: ['in_review', 'archived'],
+  needs_review: ['in_review', 'approved', 'draft', 'archived'],
+  in_review: ['approved', 'draft', 'archived'],
+  approved: ['scheduled', 'published', 'draft', 'archived'],
+  scheduled: ['published', 'approved', 'archived'],
+  published: ['archived'],
+  archived: ['draft']
+};
+
+/**
+ * Statuses an article may be pushed live from (published = update the live post)
+ */
+const PUBLISHABLE_STATUSES = ['approved', 'scheduled', 'published'];
+
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Raised when a workflow action is not allowed; `status` is the HTTP status to answer with
+ */
+class WorkflowError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = status;
+    this.retryable = false;
+  }
+}
+
+function articlesRef(uid) {
+  return db.collection('users').doc(uid).collection('generated_articles');
+}
+
+function articleRef(uid, articleId) {
+  return articlesRef(uid).doc(articleId);
+}
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move an article to a new status
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {string} to - Target status
+ * @param {Object} options - { actor, note?, publishAt? (required for 'scheduled'), platform? }
+ * @returns {Promise<{articleId: string, from: string, to: string}>}
+ * @throws {WorkflowError} - 404 unknown article, 400 bad input, 409 transition not allowed
+ */
+async function transitionArticle(uid, articleId, to, { actor, note = null, publishAt = null, platform = null } = {}) {
+  if (!ARTICLE_STATUSES.includes(to)) {
+    throw new WorkflowError(`status must be one of: ${ARTICLE_STATUSES.join(', ')}`);
+  }
+  if (to === 'scheduled' && Number.isNaN(Date.parse(publishAt))) {
+    throw new WorkflowError('publishAt (ISO date) is required to schedule an article');
+  }
+
+  const ref = articleRef(uid, articleId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw new WorkflowError('Article not found', 404);
+    }
+
+    const article = doc.data();
+    const from = article.status || 'draft';
+    if (!canTransition(from, to)) {
+      throw new WorkflowError(`Cannot move article from ${from} to ${to}`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const update = {
+      status: to,
+      statusChangedAt: now,
+      updatedAt: now,
+      statusHistory: [...(article.statusHistory || []), { from, to, actor: actor || null, note, at: now }],
+      schedule: to === 'scheduled' ? { publishAt: new Date(publishAt).toISOString(), platform } : null
+    };
+
+    transaction.update(ref, update);
+    return { articleId, from, to };
+  });
+}
+
+/**
+ * Add a review comment
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {Object} comment - { actor, body }
+ * @returns {Promise<Object>} - Saved comment with its ID
+ */
+async function addComment(uid, articleId, { actor, body }) {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new WorkflowError('Comment body is required');
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    throw new WorkflowError(`Comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  const ref = articleRef(uid, articleId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    throw new WorkflowError('Article not found', 404);
+  }
+
+  const comment = {
+    body: body.trim(),
+    actor: actor || null,
+    status: doc.data().status || 'draft', // Status the article was in when commented on
+    createdAt: new Date().toISOString()
+  };
+  const commentRef = await ref.collection('comments').add(comment);
+
+  return { id: commentRef.id, ...comment };
+}
+
+/**
+ * List review comments, oldest first
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @returns {Promise<Object[]>}
+ */
+async function listComments(uid, articleId) {
+  const snapshot = await articleRef(uid, articleId).collection('comments').orderBy('createdAt').get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  ARTICLE_STATUSES,
+  TRANSITIONS,
+  PUBLISHABLE_STATUSES,
+  WorkflowError,
+  articlesRef,
+  articleRef,
+  canTransition,
+  transitionArticle,
+  addComment,
+  listComments
+};
@@ -0,0 +1,109 @@
+/**
+ * Line Diff
+ *
+ * Longest-common-subsequence diff over lines, used to compare article
+ * revisions. Lines shared at the start and end are matched first; the LCS table
+ * (O(n·m)) only covers the changed middle and is capped at MAX_TABLE_CELLS, past
+ * which the middle is reported as removed and re-added instead of diffed.
+ */
+
+const MAX_TABLE_CELLS = 4_000_000;
+
+/**
+ * Diff two texts line by line
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'equal'|'add'|'remove', line: string}>}
+ */
+function diffLines(before, after) {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map((line) => ({ type: 'equal', line }));
+  ops.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+  ops.push(...a.slice(endA).map((line) => ({ type: 'equal', line })));
+
+  return ops;
+}
+
+function diffMiddle(a, b) {
+  if ((a.length + 1) * (b.length + 1) > MAX_TABLE_CELLS) {
+    return [
+      ...a.map((line) => ({ type: 'remove', line })),
+      ...b.map((line) => ({ type: 'add', line }))
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'remove', line: a[i++] });
+    } else {
+      ops.push({ type: 'add', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'remove', line: a[i++] });
+  while (j < b.length) ops.push({ type: 'add', line: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Render diff operations as unified-diff style text (changed lines with
+ * `context` lines around them; other unchanged runs collapse to '…')
+ * @param {Array} ops - Output of diffLines
+ * @param {number} context - Unchanged lines to keep around each change
+ * @returns {string}
+ */
+function formatDiff(ops, context = 2) {
+  const keep = ops.map(() => false);
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) {
+      keep[k] = true;
+    }
+  });
+
+  const lines = [];
+  let skipped = false;
+  ops.forEach((op, index) => {
+    if (!keep[index]) {
+      if (!skipped) lines.push('…');
+      skipped = true;
+      return;
+    }
+    skipped = false;
+    const prefix = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+    lines.push(`${prefix} ${op.line}`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  formatDiff
+};
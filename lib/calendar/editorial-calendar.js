@@ -0,0 +1,398 @@
+/**
+ * Editorial Calendar
+ *
+ * Each user's publishing cadence lives on the user document as `editorialCalendar`:
+ *   {
+ *     enabled: true,
+ *     timezone: 'Europe/Berlin',                  // IANA zone the slot times are in
+ *     slots: [{ day: 'mon', time: '09:00' }, ...], // weekly publishing slots
+ *     publishMode: 'auto' | 'approval',            // publish at the slot, or wait for approval
+ *     leadTimeHours: 24,                           // generate the draft this long before the slot
+ *     platform: null,                              // publisher key; null = user's destination
+ *     refreshAfterMonths: null                     // refresh published articles this old; null = off
+ *   }
+ *
+ * Every slot the scheduler acts on gets an entry in users/{uid}/calendar_entries/{entryId}
+ * tracking it through generating → awaiting_approval → scheduled → published (or failed /
+ * skipped). The article itself follows the workflow in lib/articles/article-workflow.js:
+ * generated drafts go to review; auto mode approves them itself, approval mode waits for
+ * an editor. Approved articles are scheduled for the slot. Slot times are computed with
+ * Intl, so DST shifts are handled.
+ */
+
+const { db } = require('../../firebase');
+const { WorkflowError, articleRef, transitionArticle } = require('../articles/article-workflow');
+const { ContentPlanError, getTitleQueue } = require('../content/content-plans');
+
+// ── Configuration ────────────────────────────────────────────
+const DEFAULT_CALENDAR = {
+  enabled: true,
+  timezone: 'UTC',
+  slots: [{ day: 'mon', time: '06:00' }, { day: 'wed', time: '06:00' }, { day: 'fri', time: '06:00' }],
+  publishMode: 'approval', // Drafts only, as before calendars existed
+  leadTimeHours: 24,
+  platform: null,
+  refreshAfterMonths: null
+};
+const MAX_SLOTS_PER_WEEK = 14;
+const MAX_LEAD_TIME_HOURS = 7 * 24;
+const MAX_REFRESH_AFTER_MONTHS = 36;
+// ─────────────────────────────────────────────────────────────
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const PUBLISH_MODES = ['auto', 'approval'];
+
+/**
+ * Entry statuses that are still in flight (not published, failed or skipped)
+ */
+const ACTIVE_ENTRY_STATUSES = ['generating', 'awaiting_approval', 'scheduled'];
+
+const SCHEDULER_ACTOR = 'scheduler';
+
+/**
+ * Raised when a submitted calendar is invalid
+ */
+class CalendarError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalendarError';
+  }
+}
+
+/**
+ * Validate a calendar and fill in defaults
+ * @param {Object} input - Calendar as submitted
+ * @returns {Object} - Normalized calendar
+ * @throws {CalendarError}
+ */
+function normalizeCalendar(input = {}) {
+  const timezone = input.timezone || DEFAULT_CALENDAR.timezone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new CalendarError(`Unknown timezone: ${timezone}`);
+  }
+
+  if (!Array.isArray(input.slots) || input.slots.length === 0) {
+    throw new CalendarError('slots must be a non-empty array of { day, time }');
+  }
+  if (input.slots.length > MAX_SLOTS_PER_WEEK) {
+    throw new CalendarError(`At most ${MAX_SLOTS_PER_WEEK} slots per week`);
+  }
+
+  const slots = input.slots.map((slot, index) => {
+    const day = String(slot?.day || '').slice(0, 3).toLowerCase();
+    if (!WEEKDAYS.includes(day)) {
+      throw new CalendarError(`slots[${index}].day must be a weekday (mon, tue, ...)`);
+    }
+
+    const time = String(slot?.time || '').match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    if (!time) {
+      throw new CalendarError(`slots[${index}].time must be HH:MM (24-hour)`);
+    }
+
+    return { day, time: `${time[1].padStart(2, '0')}:${time[2]}` };
+  });
+
+  const publishMode = input.publishMode || DEFAULT_CALENDAR.publishMode;
+  if (!PUBLISH_MODES.includes(publishMode)) {
+    throw new CalendarError(`publishMode must be one of: ${PUBLISH_MODES.join(', ')}`);
+  }
+
+  const leadTimeHours = input.leadTimeHours ?? DEFAULT_CALENDAR.leadTimeHours;
+  if (typeof leadTimeHours !== 'number' || leadTimeHours < 0 || leadTimeHours > MAX_LEAD_TIME_HOURS) {
+    throw new CalendarError(`leadTimeHours must be between 0 and ${MAX_LEAD_TIME_HOURS}`);
+  }
+
+  const refreshAfterMonths = input.refreshAfterMonths ?? null;
+  if (refreshAfterMonths !== null
+    && (!Number.isInteger(refreshAfterMonths) || refreshAfterMonths < 1 || refreshAfterMonths > MAX_REFRESH_AFTER_MONTHS)) {
+    throw new CalendarError(`refreshAfterMonths must be a whole number of months between 1 and ${MAX_REFRESH_AFTER_MONTHS}, or null`);
+  }
+
+  return {
+    enabled: input.enabled !== false,
+    timezone,
+    slots,
+    publishMode,
+    leadTimeHours,
+    platform: input.platform || null,
+    refreshAfterMonths
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Milliseconds to add to UTC to get wall-clock time
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ * @returns {Date}
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimeZoneOffsetMs(new Date(guess), timeZone);
+  const corrected = getTimeZoneOffsetMs(new Date(guess - offset), timeZone);
+
+  // Re-check once: the offset can differ on the other side of a DST change
+  return new Date(guess - corrected);
+}
+
+/**
+ * List slot times after a given instant
+ * @param {Object} calendar - Normalized calendar
+ * @param {Object} options - { from: Date, count: number, until?: Date }
+ * @returns {string[]} - ISO timestamps, ascending
+ */
+function getUpcomingSlots(calendar, { from = new Date(), count = 10, until = null } = {}) {
+  const today = new Date(from.getTime() + getTimeZoneOffsetMs(from, calendar.timezone));
+  const slots = [];
+
+  // Start a day early so slots just after `from` in zones behind UTC are not missed
+  for (let offset = -1; offset <= 7 * 10 && slots.length < count; offset++) {
+    const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + offset));
+    const weekday = WEEKDAYS[date.getUTCDay()];
+
+    const times = calendar.slots
+      .filter((slot) => slot.day === weekday)
+      .map((slot) => slot.time)
+      .sort();
+
+    for (const time of times) {
+      const [hour, minute] = time.split(':').map(Number);
+      const slotAt = zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, calendar.timezone);
+
+      if (slotAt <= from) continue;
+      if (until && slotAt > until) return slots;
+
+      slots.push(slotAt.toISOString());
+      if (slots.length >= count) break;
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Calendar entry ID for a slot (minute precision, e.g. '2025-10-20T0700Z')
+ * @param {string} slotAt - ISO timestamp
+ * @returns {string}
+ */
+function getEntryId(slotAt) {
+  return `${slotAt.slice(0, 13)}${slotAt.slice(14, 16)}Z`;
+}
+
+function entriesRef(uid) {
+  return db.collection('users').doc(uid).collection('calendar_entries');
+}
+
+/**
+ * The user's calendar, or the default when none is configured
+ * @param {Object} userData - User document data
+ * @returns {{calendar: Object, isDefault: boolean}}
+ */
+function getUserCalendar(userData) {
+  if (!userData?.editorialCalendar) {
+    return { calendar: DEFAULT_CALENDAR, isDefault: true };
+  }
+  return { calendar: normalizeCalendar(userData.editorialCalendar), isDefault: false };
+}
+
+/**
+ * Next titles generation will pick, in queue order (pinned first)
+ * @param {string} uid - User ID
+ * @param {number} count - How many titles
+ * @returns {Promise<Array<{planId: string, titleIndex: number, title: string, targetKeyword: string}>>}
+ */
+async function getUpcomingTitles(uid, count) {
+  let queue;
+  try {
+    queue = await getTitleQueue(uid);
+  } catch (error) {
+    if (error instanceof ContentPlanError) return [];
+    throw error;
+  }
+
+  return queue
+    .slice(0, count)
+    .map(({ plan, titleIndex, title }) => ({ planId: plan.id, titleIndex, title: title.title, targetKeyword: title.targetKeyword }));
+}
+
+/**
+ * Calendar entries still in flight (not yet published, failed or skipped)
+ * @param {string} uid - User ID
+ * @returns {Promise<Object[]>} - Entries with `id`, ordered by slot
+ */
+async function getActiveEntries(uid) {
+  const snapshot = await entriesRef(uid)
+    .where('status', 'in', ACTIVE_ENTRY_STATUSES)
+    .get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => a.slotAt.localeCompare(b.slotAt));
+}
+
+/**
+ * Upcoming queue: in-flight entries, then future slots paired with the
+ * titles that will be written for them
+ * @param {string} uid - User ID
+ * @param {Object} calendar - Normalized calendar
+ * @param {number} count - Number of future slots
+ * @returns {Promise<{entries: Object[], upcoming: Array<{slotAt: string, title: Object|null}>}>}
+ */
+async function getCalendarQueue(uid, calendar, count = 10) {
+  const entries = await getActiveEntries(uid);
+  const taken = new Set(entries.map((entry) => entry.slotAt));
+
+  const slots = getUpcomingSlots(calendar, { count: count + taken.size })
+    .filter((slotAt) => !taken.has(slotAt))
+    .slice(0, count);
+  const titles = await getUpcomingTitles(uid, slots.length);
+
+  return {
+    entries,
+    upcoming: slots.map((slotAt, index) => ({ slotAt, title: titles[index] || null }))
+  };
+}
+
+/**
+ * Hand a freshly generated draft to the article workflow: in auto mode it is
+ * approved and scheduled for the slot, in approval mode it goes to review.
+ * Articles that failed the quality gate stay in needs_review and are never auto-approved.
+ * @param {string} uid - User ID
+ * @param {Object} entry - Calendar entry (with id)
+ * @param {Object} article - { articleId, title, status } from the generation job
+ * @returns {Promise<string>} - New entry status
+ */
+async function attachGeneratedArticle(uid, entry, { articleId, title, status = 'draft' }) {
+  const needsReview = status === 'needs_review';
+  if (!needsReview) {
+    await transitionArticle(uid, articleId, 'in_review', { actor: SCHEDULER_ACTOR, note: `Generated for calendar slot ${entry.slotAt}` });
+  }
+  await entriesRef(uid).doc(entry.id).update({
+    articleId,
+    title,
+    status: 'awaiting_approval',
+    updatedAt: new Date().toISOString()
+  });
+
+  if (entry.publishMode !== 'auto' || needsReview) return 'awaiting_approval';
+
+  await transitionArticle(uid, articleId, 'approved', { actor: SCHEDULER_ACTOR, note: 'Auto-approved by editorial calendar' });
+  return scheduleEntryArticle(uid, { ...entry, articleId });
+}
+
+/**
+ * Schedule an approved entry's article for its slot
+ * @returns {Promise<string>} - New entry status ('scheduled')
+ */
+async function scheduleEntryArticle(uid, entry, actor = SCHEDULER_ACTOR) {
+  await transitionArticle(uid, entry.articleId, 'scheduled', {
+    actor,
+    publishAt: entry.slotAt,
+    platform: entry.platform || null,
+    note: `Calendar slot ${entry.slotAt}`
+  });
+  await entriesRef(uid).doc(entry.id).update({ status: 'scheduled', updatedAt: new Date().toISOString() });
+  return 'scheduled';
+}
+
+/**
+ * Follow the article's workflow status for an entry waiting on review or
+ * publishing: approved articles get scheduled, published ones close the entry,
+ * and archived or unscheduled ones mark the slot skipped
+ * @param {string} uid - User ID
+ * @param {Object} entry - Calendar entry in awaiting_approval or scheduled
+ * @returns {Promise<string>} - Entry status after syncing
+ */
+async function syncEntryWithArticle(uid, entry) {
+  const articleDoc = await articleRef(uid, entry.articleId).get();
+  const article = articleDoc.exists ? articleDoc.data() : null;
+  const status = article?.status || null;
+  const ref = entriesRef(uid).doc(entry.id);
+  const now = new Date().toISOString();
+
+  if (status === 'published') {
+    const publications = article.publications || {};
+    const publication = publications[entry.platform] || Object.values(publications)[0] || {};
+    await ref.update({ status: 'published', url: publication.url || null, publishedAt: now, updatedAt: now });
+    return 'published';
+  }
+  if (entry.status === 'awaiting_approval' && status === 'approved') {
+    return scheduleEntryArticle(uid, entry);
+  }
+  if (entry.status === 'awaiting_approval' && status === 'scheduled') {
+    await ref.update({ status: 'scheduled', updatedAt: now });
+    return 'scheduled';
+  }
+
+  const stillWaiting = entry.status === 'awaiting_approval' ? ['draft', 'needs_review', 'in_review'] : ['scheduled'];
+  if (stillWaiting.includes(status)) return entry.status;
+
+  const reason = !article ? 'Article deleted' : status === 'archived' ? 'Article archived' : 'Article unscheduled';
+  await ref.update({ status: 'skipped', error: reason, updatedAt: now });
+  return 'skipped';
+}
+
+/**
+ * Approve the draft for a calendar slot and schedule it
+ * @param {string} uid - User ID
+ * @param {string} entryId - Calendar entry ID
+ * @param {string} actor - Who approved it
+ * @returns {Promise<Object>} - Updated entry
+ * @throws {WorkflowError} - 404 unknown entry, 409 entry or article in the wrong state
+ */
+async function approveEntry(uid, entryId, actor) {
+  const entryDoc = await entriesRef(uid).doc(entryId).get();
+  if (!entryDoc.exists) {
+    throw new WorkflowError('Calendar entry not found', 404);
+  }
+
+  const entry = { id: entryDoc.id, ...entryDoc.data() };
+  if (entry.status !== 'awaiting_approval') {
+    throw new WorkflowError(`Entry is ${entry.status}, not awaiting approval`, 409);
+  }
+
+  await transitionArticle(uid, entry.articleId, 'approved', { actor, note: `Approved for calendar slot ${entry.slotAt}` });
+  const status = await scheduleEntryArticle(uid, entry, actor);
+
+  return { ...entry, status };
+}
+
+module.exports = {
+  DEFAULT_CALENDAR,
+  ACTIVE_ENTRY_STATUSES,
+  CalendarError,
+  normalizeCalendar,
+  getUserCalendar,
+  getUpcomingSlots,
+  getEntryId,
+  entriesRef,
+  getActiveEntries,
+  getUpcomingTitles,
+  getCalendarQueue,
+  attachGeneratedArticle,
+  syncEntryWithArticle,
+  approveEntry
+};
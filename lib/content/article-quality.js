@@ -0,0 +1,300 @@
+/**
+ * Article Quality Gate
+ *
+ * Checks a generated article against the rules the blog prompt asks for and
+ * a few structural ones:
+ *   word-count      600-800 words of body text
+ *   em-dashes       no em (—) or en (–) dashes
+ *   external-links  no links outside the user's own site / extracted links
+ *   keyword-uses    target keyword used 5-7 times
+ *   takeaways       every H2 section (except the conclusion and FAQs) ends with a
+ *                   bold "3 Key Takeaways" or "Action Items" bulleted list
+ *   headings        one H1 first, at least 3 H2s, no skipped heading levels
+ *   keyword-density at most 3% of the words (warning)
+ *   readability     Flesch reading ease of at least 50 (warning)
+ *
+ * Errors trigger one fix-up pass that only addresses the failed rules; if
+ * errors remain the caller marks the article `needs_review`. Warnings are
+ * recorded in the report only.
+ */
+
+const { generateText } = require('../llm/llm-client');
+const { IMAGE_BLOCK_PATTERN, splitSections } = require('./rewrite-section');
+const { normalizeUrl } = require('./link-policy');
+
+// ── Configuration ────────────────────────────────────────────
+const WORD_COUNT = { min: 600, max: 800 };
+const KEYWORD_USES = { min: 5, max: 7 };
+const MAX_KEYWORD_DENSITY = 3;  // Percent of words
+const MIN_READABILITY = 50;     // Flesch reading ease ("fairly difficult" below this)
+const MIN_H2_SECTIONS = 3;
+// ─────────────────────────────────────────────────────────────
+
+// Sections the prompt doesn't expect a takeaways list in
+const TAKEAWAYS_EXEMPT_PATTERN = /\b(conclusion|final thoughts|wrapping up|faqs?|frequently asked)\b/i;
+const TAKEAWAYS_LABEL_PATTERN = /^(\*\*|#{3,6}\s+)?(\*\*)?(3 Key Takeaways|Action Items)\b/i;
+const LIST_ITEM_PATTERN = /^\s*([-*+]|\d+[.)])\s+/;
+
+/**
+ * Article text without images, photo credits and markdown syntax
+ */
+function toPlainText(markdown) {
+  return String(markdown || '')
+    .replace(IMAGE_BLOCK_PATTERN, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+    .replace(/[*_`]/g, '');
+}
+
+function countWords(text) {
+  return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+}
+
+/**
+ * Heuristic English syllable count (vowel groups, silent final e)
+ */
+function countSyllables(word) {
+  const clean = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (clean.length <= 3) return 1;
+
+  const groups = clean.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(groups ? groups.length : 1, 1);
+}
+
+/**
+ * Flesch reading ease of the body text (headings left out)
+ * @param {string} markdown - Article markdown
+ * @returns {number|null} - Higher is easier; null without text
+ */
+function getReadability(markdown) {
+  const body = String(markdown || '').split('\n').filter((line) => !/^\s*#/.test(line)).join('\n');
+  const sentences = toPlainText(body)
+    .split(/[.!?]+(?=\s|$)|\n+/)
+    .filter((sentence) => countWords(sentence) > 0);
+  const words = toPlainText(body).match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+  if (words.length === 0 || sentences.length === 0) return null;
+
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const score = 206.835 - 1.015 * (words.length / sentences.length) - 84.6 * (syllables / words.length);
+  return Math.round(score * 10) / 10;
+}
+
+function countKeyword(text, keyword) {
+  const escaped = String(keyword || '').trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  if (!escaped) return 0;
+  return (text.match(new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu')) || []).length;
+}
+
+/**
+ * Host as the link policy compares it (lowercase, without www)
+ */
+function getHost(url) {
+  const normalized = normalizeUrl(url);
+  return normalized ? normalized.split(/[/?]/)[0] : null;
+}
+
+/**
+ * Links (not images) pointing outside the allowed hosts; photo credits are ignored
+ * @param {string} markdown - Article markdown
+ * @param {string[]} allowedUrls - The user's website and extracted links
+ * @returns {string[]}
+ */
+function findExternalLinks(markdown, allowedUrls = []) {
+  const allowedHosts = new Set(allowedUrls.map(getHost).filter(Boolean));
+
+  return [...String(markdown || '').replace(IMAGE_BLOCK_PATTERN, '').matchAll(/(?<!!)\[[^\]]*\]\(([^)\s]+)\)/g)]
+    .map((match) => match[1])
+    .filter((url) => /^https?:\/\//i.test(url) && !allowedHosts.has(getHost(url)));
+}
+
+/**
+ * Headings in order, outside code blocks
+ */
+function getHeadings(markdown) {
+  const headings = [];
+  let inCode = false;
+
+  for (const line of String(markdown || '').split('\n')) {
+    if (/^\s*```/.test(line)) inCode = !inCode;
+    const match = !inCode && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (match) headings.push({ level: match[1].length, text: match[2] });
+  }
+
+  return headings;
+}
+
+function getHeadingIssues(markdown, headings) {
+  const issues = [];
+  const h1Count = headings.filter((heading) => heading.level === 1).length;
+  const firstLine = String(markdown || '').split('\n').find((line) => line.trim());
+
+  if (h1Count !== 1) issues.push(`${h1Count} H1 headings (expected exactly 1)`);
+  else if (!/^#\s/.test(firstLine || '')) issues.push('the H1 is not the first line');
+
+  const h2Count = headings.filter((heading) => heading.level === 2).length;
+  if (h2Count < MIN_H2_SECTIONS) issues.push(`${h2Count} H2 sections (expected at least ${MIN_H2_SECTIONS})`);
+
+  headings.forEach((heading, i) => {
+    const previous = i > 0 ? headings[i - 1].level : 1;
+    if (heading.level > 2 && heading.level > previous + 1) {
+      issues.push(`"${heading.text}" skips from H${previous} to H${heading.level}`);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * H2 sections (other than the conclusion and FAQs) that don't end with a takeaways list
+ */
+function findSectionsWithoutTakeaways(markdown) {
+  const content = String(markdown || '');
+
+  return splitSections(content)
+    .filter(({ heading }) => !TAKEAWAYS_EXEMPT_PATTERN.test(heading))
+    .filter(({ start, end }) => {
+      const lines = content.slice(start, end).replace(IMAGE_BLOCK_PATTERN, '').split('\n').slice(1)
+        .filter((line) => line.trim());
+      const label = lines.findLastIndex((line) => TAKEAWAYS_LABEL_PATTERN.test(line.trim()));
+      const after = lines.slice(label + 1);
+
+      return label === -1 || after.length === 0 || !after.every((line) => LIST_ITEM_PATTERN.test(line) || /^\s{2,}\S/.test(line));
+    })
+    .map(({ heading }) => heading);
+}
+
+/**
+ * Measure an article against the quality rules
+ * @param {string} content - Article markdown
+ * @param {Object} context - { targetKeyword, allowedUrls: the user's website and extracted links }
+ * @returns {{passed: boolean, metrics: Object, violations: Array<{rule: string, severity: 'error'|'warning', message: string}>}}
+ */
+function lintArticle(content, { targetKeyword, allowedUrls = [] } = {}) {
+  const text = toPlainText(content);
+  const wordCount = countWords(text);
+  const keywordUses = countKeyword(text, targetKeyword);
+  const keywordDensity = wordCount > 0
+    ? Math.round((keywordUses * countWords(String(targetKeyword || '')) / wordCount) * 1000) / 10
+    : 0;
+  const headings = getHeadings(content);
+  const headingIssues = getHeadingIssues(content, headings);
+  const externalLinks = findExternalLinks(content, allowedUrls);
+  const emDashes = (String(content || '').replace(IMAGE_BLOCK_PATTERN, '').match(/[—–]/g) || []).length;
+  const sectionsWithoutTakeaways = findSectionsWithoutTakeaways(content);
+  const readability = getReadability(content);
+
+  const violations = [];
+  const add = (rule, severity, message) => violations.push({ rule, severity, message });
+
+  if (wordCount < WORD_COUNT.min || wordCount > WORD_COUNT.max) {
+    add('word-count', 'error', `${wordCount} words (expected ${WORD_COUNT.min}-${WORD_COUNT.max})`);
+  }
+  if (emDashes > 0) {
+    add('em-dashes', 'error', `${emDashes} em/en dashes (expected none)`);
+  }
+  if (externalLinks.length > 0) {
+    add('external-links', 'error', `${externalLinks.length} external links: ${externalLinks.join(', ')}`);
+  }
+  if (targetKeyword && (keywordUses < KEYWORD_USES.min || keywordUses > KEYWORD_USES.max)) {
+    add('keyword-uses', 'error', `"${targetKeyword}" used ${keywordUses} times (expected ${KEYWORD_USES.min}-${KEYWORD_USES.max})`);
+  }
+  if (sectionsWithoutTakeaways.length > 0) {
+    add('takeaways', 'error', `No closing "3 Key Takeaways" list in: ${sectionsWithoutTakeaways.join(', ')}`);
+  }
+  if (headingIssues.length > 0) {
+    add('headings', 'error', headingIssues.join('; '));
+  }
+  if (keywordDensity > MAX_KEYWORD_DENSITY) {
+    add('keyword-density', 'warning', `Keyword density ${keywordDensity}% (expected at most ${MAX_KEYWORD_DENSITY}%)`);
+  }
+  if (readability !== null && readability < MIN_READABILITY) {
+    add('readability', 'warning', `Flesch reading ease ${readability} (expected at least ${MIN_READABILITY})`);
+  }
+
+  return {
+    passed: !violations.some((violation) => violation.severity === 'error'),
+    metrics: {
+      wordCount,
+      keywordUses,
+      keywordDensity,
+      readability,
+      emDashes,
+      externalLinks,
+      h1Count: headings.filter((heading) => heading.level === 1).length,
+      h2Count: headings.filter((heading) => heading.level === 2).length,
+      sectionsWithoutTakeaways
+    },
+    violations
+  };
+}
+
+/**
+ * Fix-up instruction for each failed rule
+ */
+const FIX_INSTRUCTIONS = {
+  'word-count': ({ metrics }) => (metrics.wordCount < WORD_COUNT.min
+    ? `The article is ${metrics.wordCount} words. Bring it to ${WORD_COUNT.min}-${WORD_COUNT.max} words by adding concrete detail to the thinnest sections.`
+    : `The article is ${metrics.wordCount} words. Bring it to ${WORD_COUNT.min}-${WORD_COUNT.max} words by cutting repetition and filler.`),
+  'em-dashes': () => 'Remove every em dash (—) and en dash (–). Use a comma or colon, or rewrite the sentence.',
+  'external-links': ({ metrics }) => `Remove these external links but keep their anchor text as plain words: ${metrics.externalLinks.join(', ')}`,
+  'keyword-uses': ({ metrics }, { targetKeyword }) => `"${targetKeyword}" appears ${metrics.keywordUses} times. Use the exact phrase ${KEYWORD_USES.min}-${KEYWORD_USES.max} times in total, naturally.`,
+  takeaways: ({ metrics }) => `End each of these H2 sections with a bold "**3 Key Takeaways**" line followed by a bulleted list: ${metrics.sectionsWithoutTakeaways.join(', ')}`,
+  headings: (report) => `Fix the heading structure: ${report.violations.find((violation) => violation.rule === 'headings').message}. Use one H1 (the title) on the first line, H2 for sections and H3 under an H2.`
+};
+
+/**
+ * Lint an article and, when errors are found, run one fix-up pass targeted at them
+ * @param {string} content - Article markdown
+ * @param {Object} context - { targetKeyword, allowedUrls }
+ * @returns {Promise<{content: string, report: Object}>} - The better of the two versions and
+ *   its report ({ passed, metrics, violations, checkedAt, fixAttempted, initialViolations? })
+ */
+async function enforceArticleQuality(content, context = {}) {
+  const initial = lintArticle(content, context);
+  const checkedAt = new Date().toISOString();
+
+  if (initial.passed) {
+    return { content, report: { ...initial, checkedAt, fixAttempted: false } };
+  }
+
+  const errors = initial.violations.filter((violation) => violation.severity === 'error');
+  console.log(`🧹 Quality check failed (${errors.map((error) => error.rule).join(', ')}), running fix-up pass...`);
+
+  const fixPrompt = `You are editing a blog post that failed these quality checks:
+
+${errors.map((error, i) => `${i + 1}. ${FIX_INSTRUCTIONS[error.rule](initial, context)}`).join('\n')}
+
+Fix ONLY these problems. Keep everything else as it is: the title, headings, facts, internal links, images, photo credits and formatting.
+Do NOT add external links.
+
+ARTICLE:
+${content}
+
+Output ONLY the complete corrected markdown article, no commentary.`;
+
+  let fixed;
+  try {
+    fixed = (await generateText({ step: 'blog.quality-fix', prompt: fixPrompt, maxTokens: 8000 })).trim();
+  } catch (error) {
+    console.warn('⚠️ Quality fix-up pass failed, keeping the original:', error.message);
+    return { content, report: { ...initial, checkedAt, fixAttempted: true, fixError: error.message } };
+  }
+
+  const errorCount = (report) => report.violations.filter((violation) => violation.severity === 'error').length;
+  const after = lintArticle(fixed, context);
+  const improved = fixed.length > 0 && errorCount(after) <= errorCount(initial);
+
+  console.log(`🧹 Fix-up pass: ${errorCount(initial)} → ${errorCount(after)} errors${improved ? '' : ' (kept the original)'}`);
+
+  return {
+    content: improved ? fixed : content,
+    report: { ...(improved ? after : initial), checkedAt, fixAttempted: true, initialViolations: initial.violations }
+  };
+}
+
+module.exports = {
+  getReadability,
+  findExternalLinks,
+  lintArticle,
+  enforceArticleQuality
+};
@@ -0,0 +1,225 @@
+/**
+ * Article SEO Metadata
+ *
+ * Builds the search and social fields saved on a generated article:
+ *   metaTitle, metaDescription - from the outline step's `meta`, else derived from the article
+ *   slug                       - from the target keyword, unique among the user's articles
+ *   openGraph                  - { title, description, type, image, imageAlt, siteName }
+ *   jsonLd                     - schema.org objects: BlogPosting, FAQPage (from outline.faqs)
+ *                                and, for local businesses, LocalBusiness with address and geo
+ * Article revisions (lib/articles/article-revisions.js) keep them in step with later edits.
+ */
+
+const { articlesRef } = require('../articles/article-workflow');
+const { slugify, getMetaDescription } = require('../publishing/article-fields');
+
+// ── Configuration ────────────────────────────────────────────
+const META_TITLE_LENGTH = 60;
+const META_DESCRIPTION_LENGTH = 155;
+const HEADLINE_LENGTH = 110; // Google's limit for BlogPosting.headline
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Trim text to `max` characters on a word boundary
+ */
+function truncate(text, max, ellipsis = '') {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= max) return clean;
+  return `${clean.slice(0, max - ellipsis.length).replace(/\s+\S*$/, '')}${ellipsis}`;
+}
+
+/**
+ * Drop null, undefined and empty values so JSON-LD stays minimal
+ */
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined && value !== null && value !== ''
+    && !(Array.isArray(value) && value.length === 0)));
+}
+
+/**
+ * Stored latitude/longitude (number or numeric string) as a number, else null
+ */
+function toCoordinate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+/**
+ * schema.org PostalAddress from the user's stored address (a string, or an
+ * object with street/city/region/postalCode/country) and city/country fields
+ */
+function buildPostalAddress(userData) {
+  const address = userData.address && typeof userData.address === 'object' ? userData.address : {};
+  const fields = compact({
+    streetAddress: typeof userData.address === 'string' ? userData.address : (address.streetAddress || address.street),
+    addressLocality: address.addressLocality || address.city || userData.city,
+    addressRegion: address.addressRegion || address.region || address.state,
+    postalCode: address.postalCode || address.zip,
+    addressCountry: address.addressCountry || address.country || userData.targetCountry
+  });
+
+  return Object.keys(fields).length > 0 ? { '@type': 'PostalAddress', ...fields } : null;
+}
+
+/**
+ * schema.org objects for the article
+ * @param {Object} article - Article data (title, content, targetKeyword, images, outline, businessName, businessType, createdAt, ...)
+ * @param {Object} fields - { metaTitle, metaDescription }
+ * @param {Object} userData - User document data (websiteUrl, address, latitude, longitude, phone)
+ * @returns {Object[]}
+ */
+function buildJsonLd(article, { metaTitle, metaDescription }, userData = {}) {
+  const organization = compact({
+    '@type': 'Organization',
+    name: article.businessName,
+    url: userData.websiteUrl
+  });
+
+  const jsonLd = [compact({
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: truncate(metaTitle || article.title, HEADLINE_LENGTH),
+    description: metaDescription,
+    keywords: article.targetKeyword,
+    wordCount: article.wordCount,
+    image: (article.images || []).map((image) => image.url).filter(Boolean),
+    dateCreated: article.createdAt,
+    dateModified: article.updatedAt,
+    author: organization,
+    publisher: organization
+  })];
+
+  const faqs = (article.outline?.faqs || []).filter((faq) => faq.question && faq.answer);
+  if (faqs.length > 0) {
+    jsonLd.push({
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      mainEntity: faqs.map((faq) => ({
+        '@type': 'Question',
+        name: faq.question,
+        acceptedAnswer: { '@type': 'Answer', text: faq.answer }
+      }))
+    });
+  }
+
+  if (article.businessType === 'local') {
+    const latitude = toCoordinate(userData.latitude);
+    const longitude = toCoordinate(userData.longitude);
+
+    jsonLd.push(compact({
+      '@context': 'https://schema.org',
+      '@type': 'LocalBusiness',
+      name: article.businessName,
+      description: article.businessTypeIdentifier,
+      url: userData.websiteUrl,
+      telephone: userData.phone,
+      address: buildPostalAddress(userData),
+      geo: latitude !== null && longitude !== null ? { '@type': 'GeoCoordinates', latitude, longitude } : null,
+      areaServed: article.city || article.location
+    }));
+  }
+
+  return jsonLd;
+}
+
+/**
+ * Preferred slug for an article, before collisions are resolved
+ * @param {Object} article - { targetKeyword, title }
+ * @returns {string}
+ */
+function getSlugBase(article) {
+  return slugify(article.targetKeyword || article.title) || 'article';
+}
+
+/**
+ * Slug not used by another of the user's articles ("-2", "-3", ... appended on collisions).
+ * With a transaction the lookups are part of it, so an article saved with the same slug
+ * in the meantime makes the transaction run again and pick the next free one.
+ * @param {string} uid - User ID
+ * @param {string} base - Preferred slug
+ * @param {Object|null} transaction - Firestore transaction to read in
+ * @returns {Promise<string>}
+ */
+async function getUniqueSlug(uid, base, transaction = null) {
+  for (let suffix = 1; ; suffix++) {
+    const candidate = suffix === 1 ? base : `${base}-${suffix}`;
+    const query = articlesRef(uid).where('slug', '==', candidate).limit(1);
+    const taken = transaction ? await transaction.get(query) : await query.get();
+    if (taken.empty) return candidate;
+  }
+}
+
+/**
+ * Build the SEO fields for a new article
+ * @param {string} uid - User ID
+ * @param {Object} article - Article data about to be saved
+ * @param {Object} options - { meta: { title?, description? } from the outline step, userData }
+ * @returns {Promise<{metaTitle: string, metaDescription: string, slug: string, openGraph: Object, jsonLd: Object[]}>}
+ */
+async function buildArticleSeo(uid, article, { meta = {}, userData = {} } = {}) {
+  const metaTitle = truncate(meta.title || article.title, META_TITLE_LENGTH);
+  const metaDescription = truncate(meta.description || getMetaDescription(article), META_DESCRIPTION_LENGTH, '…');
+  const slug = await getUniqueSlug(uid, getSlugBase(article));
+  const [image] = article.images || [];
+
+  return {
+    metaTitle,
+    metaDescription,
+    slug,
+    openGraph: compact({
+      title: metaTitle,
+      description: metaDescription,
+      type: 'article',
+      image: image?.url,
+      imageAlt: image?.alt,
+      siteName: article.businessName
+    }),
+    jsonLd: buildJsonLd(article, { metaTitle, metaDescription }, userData)
+  };
+}
+
+/**
+ * SEO fields of a saved article brought in line with its edited text: the meta title
+ * follows a changed title, and Open Graph and the BlogPosting JSON-LD get the current
+ * title, description, word count and modification date. The slug (already a live URL),
+ * FAQPage and LocalBusiness are kept.
+ * @param {Object} article - Stored article data, with the SEO fields saved at generation
+ * @param {Object} updated - { title, content, metaDescription } after the change
+ * @param {Object} options - { changedFields, wordCount, modifiedAt }
+ * @returns {Object} - New values of the metaTitle, openGraph and jsonLd fields the article has
+ */
+function syncArticleSeo(article, updated, { changedFields, wordCount, modifiedAt }) {
+  const metaTitle = changedFields.includes('title') || !article.metaTitle
+    ? truncate(updated.title, META_TITLE_LENGTH)
+    : article.metaTitle;
+  const metaDescription = truncate(getMetaDescription({ ...article, ...updated }), META_DESCRIPTION_LENGTH, '…');
+  const seo = {};
+
+  if (article.metaTitle !== undefined) {
+    seo.metaTitle = metaTitle;
+  }
+  if (article.openGraph) {
+    seo.openGraph = compact({ ...article.openGraph, title: metaTitle, description: metaDescription });
+  }
+  if (Array.isArray(article.jsonLd)) {
+    seo.jsonLd = article.jsonLd.map((item) => (item['@type'] === 'BlogPosting'
+      ? compact({
+        ...item,
+        headline: truncate(metaTitle, HEADLINE_LENGTH),
+        description: metaDescription,
+        wordCount,
+        dateModified: modifiedAt
+      })
+      : item));
+  }
+
+  return seo;
+}
+
+module.exports = {
+  getSlugBase,
+  getUniqueSlug,
+  buildJsonLd,
+  buildArticleSeo,
+  syncArticleSeo
+};
@@ -0,0 +1,581 @@
+/**
+ * Content Plan Titles
+ *
+ * Titles live in the `titles` array of users/{uid}/content_plans/{planId} and
+ * are addressed by (planId, titleIndex). Besides the generated fields
+ * (title, targetKeyword, format, ...) a title can carry:
+ *   created, articleId, generatedAt - an article has been written from it
+ *   generating, generationId,
+ *   generationStartedAt,
+ *   generationLeaseExpiresAt,
+ *   generationStep                  - a generation run holds a lease on it (see below)
+ *   generationFailures,
+ *   lastGenerationError             - failed runs: count and { message, step, failedAt } of the latest
+ *   pinned, pinnedAt                - written before any unpinned title, in pin order
+ *   skipped                         - never picked for generation
+ *   custom                          - added by hand instead of generated
+ *
+ * Generation lease: a run claims its title for GENERATION_LEASE_MS and renews
+ * the lease at every step. A run that throws releases the title and records
+ * the failure; one that dies silently (crash, restart) lets the lease expire,
+ * after which the title counts as failed too (the scheduler writes the failure
+ * record via reclaimExpiredTitles). After MAX_GENERATION_FAILURES failures a
+ * title leaves the queue until retryTitle is called.
+ *
+ * Every title update is a transaction on the plan document. Claiming,
+ * renewing, failing and completing also check the run's generationId, so
+ * concurrent runs (manual trigger, scheduler, SEO analysis) can't overwrite
+ * each other, and only the run holding the claim can save the title's article.
+ *
+ * Queue order (what blog generation picks next): pinned titles first, then
+ * plans newest first with titles in array order.
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../firebase');
+const { getUniqueSlug } = require('./article-seo');
+
+// ── Configuration ────────────────────────────────────────────
+const GENERATION_LEASE_MS = 15 * 60 * 1000; // A generation run must report progress within 15 minutes
+const MAX_GENERATION_FAILURES = 3;          // Failed runs before a title leaves the queue
+const MAX_CLAIM_ATTEMPTS = 5;               // Queue titles tried when concurrent runs claim them first
+// ─────────────────────────────────────────────────────────────
+
+const EDITABLE_TEXT_FIELDS = ['title', 'targetKeyword', 'format'];
+const MAX_TITLE_LENGTH = 200;
+const EXPIRED_LEASE_MESSAGE = 'Generation stopped without finishing (lease expired)';
+
+/**
+ * Raised for invalid title operations; `status` is the HTTP status to answer with
+ */
+class ContentPlanError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ContentPlanError';
+    this.status = status;
+    this.retryable = false;
+  }
+}
+
+function plansRef(uid) {
+  return db.collection('users').doc(uid).collection('content_plans');
+}
+
+/**
+ * Whether a title's generation lease has run out. Titles marked generating
+ * before leases existed expire GENERATION_LEASE_MS after generationStartedAt.
+ */
+function isLeaseExpired(title, now = new Date()) {
+  const expiresAt = title.generationLeaseExpiresAt
+    || (title.generationStartedAt && new Date(new Date(title.generationStartedAt).getTime() + GENERATION_LEASE_MS).toISOString());
+  return !expiresAt || expiresAt <= now.toISOString();
+}
+
+/**
+ * Where a title stands: created, generating, failed, skipped or pending.
+ * A title whose generation lease has expired is no longer generating.
+ * @param {Object} title - Title from a content plan
+ * @param {Date} now - Current time
+ * @returns {string}
+ */
+function getTitleState(title, now = new Date()) {
+  if (title.created) return 'created';
+  if (title.generating && !isLeaseExpired(title, now)) return 'generating';
+  if ((title.generationFailures || 0) >= MAX_GENERATION_FAILURES) return 'failed';
+  if (title.skipped) return 'skipped';
+  return 'pending';
+}
+
+/**
+ * Load the user's plans, newest first
+ * @returns {Promise<Object[]>} - Plans with `id`
+ */
+async function loadPlans(uid) {
+  const snapshot = await plansRef(uid).orderBy('createdAt', 'desc').get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Order the pending titles of plans (newest first) into the generation queue
+ */
+function buildQueue(plans) {
+  const queue = [];
+  for (const plan of plans) {
+    (plan.titles || []).forEach((title, titleIndex) => {
+      if (getTitleState(title) === 'pending') {
+        queue.push({ plan, titleIndex, title });
+      }
+    });
+  }
+
+  const pinned = queue
+    .filter(({ title }) => title.pinned)
+    .sort((a, b) => String(a.title.pinnedAt || '').localeCompare(String(b.title.pinnedAt || '')));
+
+  return [...pinned, ...queue.filter(({ title }) => !title.pinned)];
+}
+
+/**
+ * Titles waiting to be written (pending), in queue order
+ * @param {string} uid - User ID
+ * @returns {Promise<Array<{plan: Object, titleIndex: number, title: Object}>>}
+ * @throws {ContentPlanError} - 404 when the user has no content plans
+ */
+async function getTitleQueue(uid) {
+  const plans = await loadPlans(uid);
+  if (plans.length === 0) {
+    throw new ContentPlanError('No content plans found. Generate a content plan first.', 404);
+  }
+
+  return buildQueue(plans);
+}
+
+/**
+ * Every title across plans with its state and place in the queue
+ * @param {string} uid - User ID
+ * @returns {Promise<Object[]>} - { planId, titleIndex, ...title, state, queuePosition (1-based, null if not queued) }
+ */
+async function listTitles(uid) {
+  const plans = await loadPlans(uid);
+  const positions = new Map(
+    buildQueue(plans).map(({ plan, titleIndex }, i) => [`${plan.id}/${titleIndex}`, i + 1])
+  );
+
+  return plans.flatMap((plan) => (plan.titles || []).map((title, titleIndex) => ({
+    planId: plan.id,
+    planCreatedAt: plan.createdAt,
+    titleIndex,
+    ...title,
+    state: getTitleState(title),
+    queuePosition: positions.get(`${plan.id}/${titleIndex}`) || null
+  })));
+}
+
+/**
+ * Look up a title the caller asked to generate, checking it can be written
+ * @param {string} uid - User ID
+ * @param {Object} selection - { contentPlanId, titleIndex, expectedTitle? }: `expectedTitle` is the
+ *   title text when the generation was queued; if the plan was reordered or edited since, the
+ *   title is followed to its new position instead of writing whatever is at `titleIndex` now
+ * @returns {Promise<{plan: Object, titleIndex: number, title: Object}>}
+ * @throws {ContentPlanError} - 404 unknown plan or title (or the expected title was removed),
+ *   409 already created or generating
+ */
+async function getTitleForGeneration(uid, { contentPlanId, titleIndex, expectedTitle }) {
+  const planDoc = await plansRef(uid).doc(String(contentPlanId)).get();
+  if (!planDoc.exists) {
+    throw new ContentPlanError('Content plan not found', 404);
+  }
+
+  const plan = { id: planDoc.id, ...planDoc.data() };
+  const titles = plan.titles || [];
+  if (expectedTitle !== undefined && titles[titleIndex]?.title !== expectedTitle) {
+    titleIndex = titles.findIndex((candidate) => candidate.title === expectedTitle);
+    if (titleIndex === -1) {
+      throw new ContentPlanError(`Title "${expectedTitle}" is no longer in content plan ${plan.id}`, 404);
+    }
+  }
+
+  const title = Number.isInteger(titleIndex) ? titles[titleIndex] : undefined;
+  if (!title) {
+    throw new ContentPlanError(`Title ${titleIndex} not found in content plan ${plan.id}`, 404);
+  }
+
+  const state = getTitleState(title);
+  if (state === 'created' || state === 'generating') {
+    throw new ContentPlanError(`Title "${title.title}" is already ${state}`, 409);
+  }
+
+  return { plan, titleIndex, title };
+}
+
+/**
+ * Point articles written from a plan at their titles' new positions
+ */
+async function syncArticleIndexes(uid, planId, titles, previousIndexes) {
+  const articles = db.collection('users').doc(uid).collection('generated_articles');
+
+  for (const [titleIndex, title] of titles.entries()) {
+    if (title.articleId && previousIndexes[titleIndex] !== titleIndex) {
+      const doc = await articles.doc(title.articleId).get();
+      if (doc.exists && doc.data().contentPlanId === planId) {
+        await doc.ref.update({ titleIndex });
+      }
+    }
+  }
+}
+
+/**
+ * Read a plan in a transaction and apply `mutate` to its titles
+ * @param {Function} mutate - (titles, plan, transaction) => new titles array, or a promise of it (throw
+ *   ContentPlanError to abort); may read and queue writes to other documents on the transaction. It runs again when the
+ *   transaction is retried, so it must not change anything outside it: derive results from the
+ *   returned titles instead
+ * @returns {Promise<{titles: Object[], previous: Object[]}>} - New titles, and the titles they were made from
+ */
+async function updatePlanTitles(uid, planId, mutate) {
+  const ref = plansRef(uid).doc(String(planId));
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw new ContentPlanError('Content plan not found', 404);
+    }
+
+    const previous = doc.data().titles || [];
+    const titles = await mutate([...previous], doc.data(), transaction);
+    transaction.update(ref, { titles, updatedAt: new Date().toISOString() });
+    return { titles, previous };
+  });
+}
+
+function getMutableTitle(titles, titleIndex) {
+  const title = Number.isInteger(titleIndex) ? titles[titleIndex] : undefined;
+  if (!title) {
+    throw new ContentPlanError(`Title ${titleIndex} not found`, 404);
+  }
+  const state = getTitleState(title);
+  if (state === 'created' || state === 'generating') {
+    throw new ContentPlanError(`Title "${title.title}" is already ${state}`, 409);
+  }
+  return title;
+}
+
+/**
+ * Title fields recording a failed generation run
+ */
+function failedTitleFields(title, { message, step }, now = new Date()) {
+  return {
+    generating: false,
+    generationId: null,
+    generationLeaseExpiresAt: null,
+    generationStep: null,
+    generationFailures: (title.generationFailures || 0) + 1,
+    lastGenerationError: { message: message || 'Unknown error', step: step || null, failedAt: now.toISOString() }
+  };
+}
+
+/**
+ * Edit, pin or skip a title
+ * @param {string} uid - User ID
+ * @param {string} planId - Content plan ID
+ * @param {number} titleIndex - Title position in the plan
+ * @param {Object} changes - Any of { title, targetKeyword, format, pinned, skipped }
+ * @returns {Promise<Object>} - Updated title
+ * @throws {ContentPlanError} - 400 bad changes, 404 unknown title, 409 created or generating
+ */
+async function updateTitle(uid, planId, titleIndex, changes = {}) {
+  const update = {};
+
+  for (const field of EDITABLE_TEXT_FIELDS) {
+    if (changes[field] === undefined) continue;
+    if (typeof changes[field] !== 'string' || !changes[field].trim() || changes[field].length > MAX_TITLE_LENGTH) {
+      throw new ContentPlanError(`${field} must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    update[field] = changes[field].trim();
+  }
+  for (const flag of ['pinned', 'skipped']) {
+    if (changes[flag] === undefined) continue;
+    if (typeof changes[flag] !== 'boolean') {
+      throw new ContentPlanError(`${flag} must be true or false`);
+    }
+    update[flag] = changes[flag];
+  }
+  if (Object.keys(update).length === 0) {
+    throw new ContentPlanError(`Provide at least one of: ${[...EDITABLE_TEXT_FIELDS, 'pinned', 'skipped'].join(', ')}`);
+  }
+
+  if (update.pinned === true) update.pinnedAt = new Date().toISOString();
+  if (update.pinned === false) update.pinnedAt = null;
+  if (update.title) update.length = update.title.length;
+
+  const { titles } = await updatePlanTitles(uid, planId, (current) => {
+    current[titleIndex] = { ...getMutableTitle(current, titleIndex), ...update, editedAt: new Date().toISOString() };
+    return current;
+  });
+
+  return { planId: String(planId), titleIndex, ...titles[titleIndex], state: getTitleState(titles[titleIndex]) };
+}
+
+/**
+ * Remove a title that has not been written
+ * @throws {ContentPlanError} - 404 unknown title, 409 created/generating, or another title in the plan is generating
+ */
+async function deleteTitle(uid, planId, titleIndex) {
+  const { titles, previous } = await updatePlanTitles(uid, planId, (current) => {
+    getMutableTitle(current, titleIndex);
+    if (current.some((title) => getTitleState(title) === 'generating')) {
+      throw new ContentPlanError('A title in this plan is being generated; try again when it finishes', 409);
+    }
+    current.splice(titleIndex, 1);
+    return current;
+  });
+
+  await syncArticleIndexes(uid, String(planId), titles, titles.map((_, i) => (i >= titleIndex ? i + 1 : i)));
+
+  return previous[titleIndex];
+}
+
+/**
+ * Reorder a plan's titles
+ * @param {string} uid - User ID
+ * @param {string} planId - Content plan ID
+ * @param {number[]} order - Current title indexes in their new order (a permutation)
+ * @returns {Promise<Object[]>} - Titles in their new order
+ * @throws {ContentPlanError} - 400 not a permutation, 409 a title in the plan is generating
+ */
+async function reorderTitles(uid, planId, order) {
+  const { titles } = await updatePlanTitles(uid, planId, (current) => {
+    const isPermutation = Array.isArray(order)
+      && order.length === current.length
+      && new Set(order).size === order.length
+      && order.every((index) => Number.isInteger(index) && index >= 0 && index < current.length);
+    if (!isPermutation) {
+      throw new ContentPlanError(`order must list each title index 0-${current.length - 1} exactly once`);
+    }
+    if (current.some((title) => getTitleState(title) === 'generating')) {
+      throw new ContentPlanError('A title in this plan is being generated; try again when it finishes', 409);
+    }
+    return order.map((index) => current[index]);
+  });
+
+  await syncArticleIndexes(uid, String(planId), titles, order);
+
+  return titles.map((title, titleIndex) => ({ planId: String(planId), titleIndex, ...title, state: getTitleState(title) }));
+}
+
+/**
+ * Check that a generation run still holds its claim on a title
+ * @throws {ContentPlanError} - 409 when the title was written or reclaimed meanwhile
+ */
+function assertClaimed(title, claim) {
+  if (!title || title.created || !title.generating || title.generationId !== claim.generationId) {
+    throw new ContentPlanError(`Title ${claim.titleIndex} in content plan ${claim.planId} is no longer claimed by this generation`, 409);
+  }
+}
+
+/**
+ * Take the generation lease on a title. The claim is checked and written in
+ * one transaction, so of two runs claiming the same title only one succeeds.
+ * @param {string} uid - User ID
+ * @param {string} planId - Content plan ID
+ * @param {number} titleIndex - Title position in the plan
+ * @param {Object} options - { step, expected }: `expected` is the title as the caller last
+ *   read it; the claim fails if the title at that index has changed since
+ * @returns {Promise<Object>} - The claimed title, with its `generationId`
+ * @throws {ContentPlanError} - 404 unknown title, 409 created, already generating or changed
+ */
+async function claimTitle(uid, planId, titleIndex, { step = 'claimed', expected } = {}) {
+  const { titles } = await updatePlanTitles(uid, planId, (current) => {
+    const title = getMutableTitle(current, titleIndex);
+    if (expected && (title.title !== expected.title || getTitleState(title) !== getTitleState(expected))) {
+      throw new ContentPlanError(`Title ${titleIndex} in content plan ${planId} changed before it could be claimed`, 409);
+    }
+
+    const now = new Date();
+    current[titleIndex] = {
+      ...title,
+      generating: true,
+      generationId: crypto.randomUUID(),
+      generationStartedAt: now.toISOString(),
+      generationLeaseExpiresAt: new Date(now.getTime() + GENERATION_LEASE_MS).toISOString(),
+      generationStep: step
+    };
+    return current;
+  });
+
+  return titles[titleIndex];
+}
+
+/**
+ * Claim the next title in the queue. When a concurrent run claims it first,
+ * moves on to the title after it.
+ * @param {string} uid - User ID
+ * @param {Object} options - { step }
+ * @returns {Promise<{plan: Object, titleIndex: number, title: Object}|null>} - null when the queue is empty
+ * @throws {ContentPlanError} - 404 no content plans, 409 lost every claim attempt
+ */
+async function claimNextTitle(uid, { step } = {}) {
+  for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+    const [next] = await getTitleQueue(uid);
+    if (!next) return null;
+
+    try {
+      const title = await claimTitle(uid, next.plan.id, next.titleIndex, { step, expected: next.title });
+      return { ...next, title };
+    } catch (error) {
+      if (!(error instanceof ContentPlanError && error.status === 409)) throw error;
+      console.warn(`⚠️ Title ${next.titleIndex} in plan ${next.plan.id} was claimed concurrently, trying the next one`);
+    }
+  }
+
+  throw new ContentPlanError('Could not claim a title; other generations keep taking them', 409);
+}
+
+/**
+ * Record the step a generation run has reached and renew its lease
+ * @param {Object} claim - { planId, titleIndex, generationId }
+ * @throws {ContentPlanError} - 409 when the run lost its claim (stop working on the title)
+ */
+async function renewTitleLease(uid, claim, step) {
+  await updatePlanTitles(uid, claim.planId, (current) => {
+    assertClaimed(current[claim.titleIndex], claim);
+    current[claim.titleIndex] = {
+      ...current[claim.titleIndex],
+      generationLeaseExpiresAt: new Date(Date.now() + GENERATION_LEASE_MS).toISOString(),
+      generationStep: step
+    };
+    return current;
+  });
+}
+
+/**
+ * Release a title after a failed generation run, recording the error and the step it failed at.
+ * Does nothing if the run had already lost its claim.
+ * @param {Object} claim - { planId, titleIndex, generationId }
+ * @param {Object} failure - { message, step }
+ */
+async function recordTitleFailure(uid, claim, failure) {
+  await updatePlanTitles(uid, claim.planId, (current) => {
+    const title = current[claim.titleIndex];
+    if (title && !title.created && title.generationId === claim.generationId) {
+      current[claim.titleIndex] = { ...title, ...failedTitleFields(title, failure) };
+    }
+    return current;
+  });
+}
+
+/**
+ * Save the article written from a claimed title and mark the title created,
+ * in one transaction: the article is only written while the claim holds, so
+ * a title never produces more than one article.
+ * @param {Object} claim - { planId, titleIndex, generationId }
+ * @param {Object} articleDoc - Reference of the new article
+ * @param {Object} article - Article data (its createdAt becomes the title's generatedAt)
+ * @param {Object} options - { revision: { ref, data }, slugBase }: the article's first revision, written in the
+ *   same transaction; the preferred slug, made unique among the user's articles inside the transaction
+ *   (so two runs saving at once cannot take the same one)
+ * @returns {Promise<Object>} - The article data as saved
+ * @throws {ContentPlanError} - 409 when the run lost its claim (nothing is written)
+ */
+async function completeTitle(uid, claim, articleDoc, article, { revision = null, slugBase = null } = {}) {
+  let saved;
+  await updatePlanTitles(uid, claim.planId, async (current, plan, transaction) => {
+    assertClaimed(current[claim.titleIndex], claim);
+    saved = slugBase ? { ...article, slug: await getUniqueSlug(uid, slugBase, transaction) } : article;
+    current[claim.titleIndex] = {
+      ...current[claim.titleIndex],
+      created: true,
+      generating: false,
+      generationId: null,
+      generationLeaseExpiresAt: null,
+      generationStep: null,
+      articleId: articleDoc.id,
+      generatedAt: article.createdAt
+    };
+    transaction.set(articleDoc, saved);
+    if (revision) {
+      transaction.set(revision.ref, revision.data);
+    }
+    return current;
+  });
+
+  return saved;
+}
+
+/**
+ * Turn titles whose generation lease expired into failures so they are
+ * retried (or, after MAX_GENERATION_FAILURES, held for a manual retry)
+ * @param {string} uid - User ID
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Titles reclaimed
+ */
+async function reclaimExpiredTitles(uid, now = new Date()) {
+  let reclaimed = 0;
+
+  for (const plan of await loadPlans(uid)) {
+    const isStale = (title) => title.generating && !title.created && isLeaseExpired(title, now);
+    if (!(plan.titles || []).some(isStale)) continue;
+
+    const { previous } = await updatePlanTitles(uid, plan.id, (current) => current.map((title) => (
+      isStale(title)
+        ? { ...title, ...failedTitleFields(title, { message: EXPIRED_LEASE_MESSAGE, step: title.generationStep }, now) }
+        : title
+    )));
+    reclaimed += previous.filter(isStale).length;
+  }
+
+  return reclaimed;
+}
+
+/**
+ * Clear a title's failure count so it can be generated again
+ * (lastGenerationError is kept for reference)
+ * @returns {Promise<Object>} - Updated title
+ * @throws {ContentPlanError} - 404 unknown title, 409 created, generating or never failed
+ */
+async function retryTitle(uid, planId, titleIndex) {
+  const { titles } = await updatePlanTitles(uid, planId, (current) => {
+    const title = getMutableTitle(current, titleIndex);
+    if (!title.generationFailures) {
+      throw new ContentPlanError(`Title "${title.title}" has no failed generation to retry`, 409);
+    }
+    current[titleIndex] = { ...title, generationFailures: 0 };
+    return current;
+  });
+
+  return { planId: String(planId), titleIndex, ...titles[titleIndex], state: getTitleState(titles[titleIndex]) };
+}
+
+/**
+ * Add a hand-written title to the newest content plan (its business context is used for generation)
+ * @param {string} uid - User ID
+ * @param {Object} input - { title, targetKeyword, format? }
+ * @returns {Promise<{contentPlanId: string, titleIndex: number}>}
+ * @throws {ContentPlanError} - 400 missing fields, 404 no content plan
+ */
+async function addCustomTitle(uid, { title, targetKeyword, format = 'custom' }) {
+  for (const [field, value] of Object.entries({ title, targetKeyword, format })) {
+    if (typeof value !== 'string' || !value.trim() || value.length > MAX_TITLE_LENGTH) {
+      throw new ContentPlanError(`${field} must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+    }
+  }
+
+  const [newest] = await loadPlans(uid);
+  if (!newest) {
+    throw new ContentPlanError('No content plans found. Generate a content plan first.', 404);
+  }
+
+  const { titles } = await updatePlanTitles(uid, newest.id, (current) => [...current, {
+    title: title.trim(),
+    targetKeyword: targetKeyword.trim(),
+    format: format.trim(),
+    length: title.trim().length,
+    custom: true,
+    addedAt: new Date().toISOString()
+  }]);
+
+  return { contentPlanId: newest.id, titleIndex: titles.length - 1 };
+}
+
+module.exports = {
+  GENERATION_LEASE_MS,
+  MAX_GENERATION_FAILURES,
+  ContentPlanError,
+  plansRef,
+  getTitleState,
+  getTitleQueue,
+  listTitles,
+  getTitleForGeneration,
+  updateTitle,
+  deleteTitle,
+  reorderTitles,
+  addCustomTitle,
+  claimTitle,
+  claimNextTitle,
+  renewTitleLease,
+  recordTitleFailure,
+  completeTitle,
+  reclaimExpiredTitles,
+  retryTitle
+};
@@ -0,0 +1,491 @@
+/**
+ * Export Article Module
+ *
+ * Renders a generated article in the formats clients ask for:
+ *   md   - the stored markdown as is
+ *   html - a standalone, sanitized HTML document: semantic <article>, heading
+ *          anchors, table of contents, images as <figure> with the photographer
+ *          attribution as <figcaption>, meta/Open Graph tags and JSON-LD
+ *   amp  - the same document made AMP-valid (amp-img, AMP boilerplate, canonical link)
+ *   txt  - clean text: no markup, links written as "label (url)"
+ *   docx - a Word document with real heading styles; images become links
+ *          (nothing is downloaded), attribution lines are kept as captions
+ */
+
+const { WorkflowError, articleRef } = require('../articles/article-workflow');
+const { markdownToHtml, stripLeadingTitle, escapeHtml } = require('../publishing/markdown-to-html');
+const { slugify, getArticleSlug, getMetaDescription } = require('../publishing/article-fields');
+const { createZip } = require('../utils/zip-writer');
+
+// ── Configuration ────────────────────────────────────────────
+const TOC_LEVELS = [2, 3];                       // Headings listed in the table of contents
+const AMP_IMAGE_SIZE = { width: 1080, height: 720 }; // Unsplash "regular" width; AMP needs a size to reserve
+// ─────────────────────────────────────────────────────────────
+
+const ATTRIBUTION_PATTERN = /^[*_]Photo by .+[*_]$/;
+const AMP_BOILERPLATE = '<style amp-boilerplate>body{-webkit-animation:-amp-start 8s steps(1,end) 0s 1 normal both;-moz-animation:-amp-start 8s steps(1,end) 0s 1 normal both;-ms-animation:-amp-start 8s steps(1,end) 0s 1 normal both;animation:-amp-start 8s steps(1,end) 0s 1 normal both}@-webkit-keyframes -amp-start{from{visibility:hidden}to{visibility:visible}}@-moz-keyframes -amp-start{from{visibility:hidden}to{visibility:visible}}@-ms-keyframes -amp-start{from{visibility:hidden}to{visibility:visible}}@-o-keyframes -amp-start{from{visibility:hidden}to{visibility:visible}}@keyframes -amp-start{from{visibility:hidden}to{visibility:visible}}</style><noscript><style amp-boilerplate>body{-webkit-animation:none;-moz-animation:none;-ms-animation:none;animation:none}</style></noscript>';
+
+// ── Markdown blocks and inline runs (txt and docx) ───────────
+
+/**
+ * Split the article markdown into blocks
+ * @param {string} markdown - Markdown source
+ * @returns {Object[]} - { type: heading|paragraph|list|quote|code|image|attribution|rule, ... }
+ */
+function parseBlocks(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    if (/^```/.test(line)) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !/^```/.test(lines[i].trim()); i++) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    const image = line.match(/^!\[([^\]]*)\]\(([^)\s]+)\)$/);
+    const item = line.match(/^(?:([-*+])|\d+[.)])\s+(.*)$/);
+    const quote = line.match(/^>\s?(.*)$/);
+
+    if (!line) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+    } else if (image) {
+      flush();
+      blocks.push({ type: 'image', alt: image[1], url: image[2] });
+    } else if (ATTRIBUTION_PATTERN.test(line)) {
+      flush();
+      blocks.push({ type: 'attribution', text: line.slice(1, -1) });
+    } else if (/^([-*_])(\s*\1){2,}$/.test(line)) {
+      flush();
+      blocks.push({ type: 'rule' });
+    } else if (item) {
+      flush();
+      const ordered = !item[1];
+      const last = blocks[blocks.length - 1];
+      if (last && last.type === 'list' && last.ordered === ordered) {
+        last.items.push(item[2]);
+      } else {
+        blocks.push({ type: 'list', ordered, items: [item[2]] });
+      }
+    } else if (quote) {
+      flush();
+      const last = blocks[blocks.length - 1];
+      if (last && last.type === 'quote') {
+        last.text += ` ${quote[1]}`;
+      } else {
+        blocks.push({ type: 'quote', text: quote[1] });
+      }
+    } else if (paragraph.length === 0 && blocks[blocks.length - 1]?.type === 'list' && /^\s{2,}\S/.test(lines[i])) {
+      // Indented continuation of the previous list item
+      const list = blocks[blocks.length - 1];
+      list.items[list.items.length - 1] += ` ${line}`;
+    } else {
+      paragraph.push(line);
+    }
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Split inline markdown into runs
+ * @param {string} text - One block's text
+ * @returns {Array<{text: string, bold?: boolean, italic?: boolean, code?: boolean, url?: string}>}
+ */
+function parseInline(text) {
+  const runs = [];
+  const pattern = /!\[([^\]]*)\]\(([^)\s]+)\)|\[([^\]]+)\]\(([^)\s]+)\)|(\*\*|__)(?=\S)(.+?)\5|\*(?=\S)([^*]*?\S)\*|(?:^|(?<=[^\w]))_(?=\S)([^_]*?\S)_(?!\w)|`([^`]+)`/g;
+  let last = 0;
+
+  for (const match of String(text || '').matchAll(pattern)) {
+    if (match.index > last) runs.push({ text: text.slice(last, match.index) });
+
+    const [, imageAlt, , label, url, , bold, italic, underscored, code] = match;
+    if (imageAlt !== undefined) runs.push({ text: imageAlt });
+    else if (label !== undefined) runs.push({ text: label, url: /^(https?:\/\/|mailto:)/i.test(url) ? url : undefined });
+    else if (bold !== undefined) runs.push({ text: bold, bold: true });
+    else if (italic !== undefined || underscored !== undefined) runs.push({ text: italic ?? underscored, italic: true });
+    else runs.push({ text: code, code: true });
+
+    last = match.index + match[0].length;
+  }
+
+  if (last < String(text || '').length) runs.push({ text: text.slice(last) });
+  return runs;
+}
+
+// ── Plain text ───────────────────────────────────────────────
+
+function runsToText(runs) {
+  return runs.map((run) => (run.url && run.url !== run.text ? `${run.text} (${run.url})` : run.text)).join('');
+}
+
+/**
+ * Clean text version of an article
+ * @param {Object} article - Article document
+ * @returns {string}
+ */
+function renderText(article) {
+  const lines = [article.title, '='.repeat(article.title.length), ''];
+
+  for (const block of parseBlocks(stripLeadingTitle(article.content))) {
+    switch (block.type) {
+      case 'heading': {
+        const text = runsToText(parseInline(block.text));
+        lines.push(text, ...(block.level <= 2 ? ['-'.repeat(text.length)] : []), '');
+        break;
+      }
+      case 'list':
+        block.items.forEach((item, i) => lines.push(`${block.ordered ? `${i + 1}.` : '-'} ${runsToText(parseInline(item))}`));
+        lines.push('');
+        break;
+      case 'quote':
+        lines.push(`> ${runsToText(parseInline(block.text))}`, '');
+        break;
+      case 'code':
+        lines.push(...block.text.split('\n').map((line) => `    ${line}`), '');
+        break;
+      case 'image':
+        break;
+      case 'rule':
+        lines.push('----', '');
+        break;
+      default:
+        lines.push(runsToText(parseInline(block.text)), '');
+    }
+  }
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+// ── HTML and AMP ─────────────────────────────────────────────
+
+function decodeEntities(html) {
+  return html.replace(/<[^>]+>/g, '')
+    .replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Give headings unique ids
+ * @returns {{html: string, headings: Array<{level: number, id: string, html: string}>}}
+ */
+function addHeadingAnchors(html) {
+  const used = new Set();
+  const headings = [];
+
+  const anchored = html.replace(/<h([2-6])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+    const base = slugify(decodeEntities(inner)) || 'section';
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+
+    headings.push({ level: Number(level), id, html: inner.replace(/<\/?a\b[^>]*>/g, '') });
+    return `<h${level} id="${id}">${inner}</h${level}>`;
+  });
+
+  return { html: anchored, headings };
+}
+
+/**
+ * Nested table of contents for the anchored headings
+ */
+function renderTableOfContents(headings) {
+  const [top, sub] = TOC_LEVELS;
+  const entries = headings.filter(({ level }) => TOC_LEVELS.includes(level));
+  if (entries.length === 0) return '';
+
+  const items = [];
+  for (const entry of entries) {
+    const link = `<a href="#${entry.id}">${entry.html}</a>`;
+    if (entry.level === sub && items.length > 0 && items[items.length - 1].level === top) {
+      items[items.length - 1].children.push(`<li>${link}</li>`);
+    } else {
+      items.push({ level: entry.level, link, children: [] });
+    }
+  }
+
+  const list = items
+    .map(({ link, children }) => `<li>${link}${children.length > 0 ? `<ol>${children.join('')}</ol>` : ''}</li>`)
+    .join('');
+
+  return `<nav class="toc" aria-label="Table of contents">\n<p><strong>Contents</strong></p>\n<ol>${list}</ol>\n</nav>`;
+}
+
+/**
+ * Turn "image followed by its attribution line" paragraphs into figures
+ */
+function wrapFigures(html) {
+  return html
+    .replace(/<p>(<img [^>]*\/>)\s*<em>(Photo by [\s\S]*?)<\/em><\/p>/g, '<figure>$1<figcaption>$2</figcaption></figure>')
+    .replace(/<p>(<img [^>]*\/>)<\/p>/g, '<figure>$1</figure>');
+}
+
+function toAmpImages(html) {
+  return html.replace(/<img src="([^"]*)" alt="([^"]*)" \/>/g,
+    `<amp-img src="$1" alt="$2" width="${AMP_IMAGE_SIZE.width}" height="${AMP_IMAGE_SIZE.height}" layout="responsive"></amp-img>`);
+}
+
+/**
+ * JSON for a <script> tag (no "</script>" breakouts)
+ */
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Standalone HTML document for an article
+ * @param {Object} article - Article document
+ * @param {Object} options - { amp?: boolean }
+ * @returns {string}
+ */
+function renderHtml(article, { amp = false } = {}) {
+  const { html: body, headings } = addHeadingAnchors(wrapFigures(markdownToHtml(stripLeadingTitle(article.content))));
+  const title = escapeHtml(article.metaTitle || article.title);
+  const description = escapeHtml(getMetaDescription(article));
+  const canonical = Object.values(article.publications || {}).find((publication) => publication?.url)?.url
+    || `${getArticleSlug(article)}.html`;
+
+  const openGraph = Object.entries(article.openGraph || {})
+    .filter(([, value]) => typeof value === 'string')
+    .map(([key, value]) => `<meta property="og:${key === 'siteName' ? 'site_name' : key === 'imageAlt' ? 'image:alt' : key}" content="${escapeHtml(value)}" />`);
+  const jsonLd = (article.jsonLd || []).map((item) => `<script type="application/ld+json">${scriptJson(item)}</script>`);
+
+  const head = [
+    '<meta charset="utf-8" />',
+    `<title>${title}</title>`,
+    '<meta name="viewport" content="width=device-width, initial-scale=1" />',
+    `<meta name="description" content="${description}" />`,
+    ...(amp ? ['<script async src="https://cdn.ampproject.org/v0.js"></script>'] : []),
+    `<link rel="canonical" href="${escapeHtml(canonical)}" />`,
+    ...openGraph,
+    ...jsonLd,
+    ...(amp ? [AMP_BOILERPLATE] : [])
+  ];
+
+  const content = [
+    `<header>\n<h1>${escapeHtml(article.title)}</h1>\n</header>`,
+    renderTableOfContents(headings),
+    amp ? toAmpImages(body) : body
+  ].filter(Boolean);
+
+  return [
+    '<!doctype html>',
+    `<html${amp ? ' ⚡' : ''} lang="${escapeHtml(article.language || 'en')}">`,
+    '<head>',
+    ...head,
+    '</head>',
+    '<body>',
+    '<article>',
+    ...content,
+    '</article>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// ── DOCX ─────────────────────────────────────────────────────
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:rPr><w:b/><w:sz w:val="48"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:i/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:ind w:left="720" w:hanging="360"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720" w:right="720"/></w:pPr><w:rPr><w:i/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:qFormat/><w:rPr><w:i/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+</w:styles>`;
+
+/**
+ * Word document for an article
+ * @param {Object} article - Article document
+ * @param {Date} now - Timestamp for the archive entries
+ * @returns {Buffer}
+ */
+function renderDocx(article, now = new Date()) {
+  const links = [];
+
+  const run = ({ text, bold, italic, code }, style = null) => {
+    const props = [
+      style ? `<w:rStyle w:val="${style}"/>` : '',
+      code ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New"/>' : '',
+      bold ? '<w:b/>' : '',
+      italic ? '<w:i/>' : ''
+    ].join('');
+    const pieces = String(text).split('\n').map((piece) => `<w:t xml:space="preserve">${escapeXml(piece)}</w:t>`);
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${pieces.join('<w:br/>')}</w:r>`;
+  };
+  const runs = (items) => items.map((item) => {
+    if (!item.url) return run(item);
+    links.push(item.url);
+    return `<w:hyperlink r:id="rIdLink${links.length}">${run(item, 'Hyperlink')}</w:hyperlink>`;
+  }).join('');
+  const paragraph = (content, { style, props = '' } = {}) =>
+    `<w:p>${style || props ? `<w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ''}${props}</w:pPr>` : ''}${content}</w:p>`;
+
+  const body = [paragraph(run({ text: article.title }), { style: 'Title' })];
+
+  for (const block of parseBlocks(stripLeadingTitle(article.content))) {
+    switch (block.type) {
+      case 'heading':
+        body.push(paragraph(runs(parseInline(block.text)), { style: `Heading${Math.min(Math.max(block.level - 1, 1), 3)}` }));
+        break;
+      case 'list':
+        block.items.forEach((item, i) => body.push(paragraph(
+          run({ text: `${block.ordered ? `${i + 1}.` : '•'}\t` }) + runs(parseInline(item)),
+          { style: 'ListParagraph' }
+        )));
+        break;
+      case 'quote':
+        body.push(paragraph(runs(parseInline(block.text)), { style: 'Quote' }));
+        break;
+      case 'code':
+        body.push(paragraph(run({ text: block.text, code: true })));
+        break;
+      case 'image':
+        body.push(paragraph(runs([{ text: `Image: ${block.alt || block.url}`, url: /^https?:\/\//i.test(block.url) ? block.url : undefined }]), { style: 'Caption' }));
+        break;
+      case 'attribution':
+        body.push(paragraph(runs(parseInline(block.text)), { style: 'Caption' }));
+        break;
+      case 'rule':
+        body.push(paragraph('', { props: '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>' }));
+        break;
+      default:
+        body.push(paragraph(runs(parseInline(block.text))));
+    }
+  }
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>
+${body.join('\n')}
+<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+
+  const documentRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+${links.map((url, i) => `<Relationship Id="rIdLink${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(url)}" TargetMode="External"/>`).join('\n')}
+</Relationships>`;
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rIdDocument" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rIdCore" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+    },
+    {
+      name: 'docProps/core.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(article.title)}</dc:title>
+<dc:creator>${escapeXml(article.businessName || '')}</dc:creator>
+<cp:keywords>${escapeXml(article.targetKeyword || '')}</cp:keywords>
+<dcterms:created xsi:type="dcterms:W3CDTF">${escapeXml(article.createdAt || now.toISOString())}</dcterms:created>
+</cp:coreProperties>`
+    },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/styles.xml', data: DOCX_STYLES },
+    { name: 'word/_rels/document.xml.rels', data: documentRels }
+  ];
+
+  return createZip(files, now);
+}
+
+// ─────────────────────────────────────────────────────────────
+
+const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: (article) => article.content },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8', render: (article) => renderHtml(article) },
+  amp: { extension: 'amp.html', contentType: 'text/html; charset=utf-8', render: (article) => renderHtml(article, { amp: true }) },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8', render: renderText },
+  docx: {
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: (article) => renderDocx(article)
+  }
+};
+
+/**
+ * Export an article
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<{filename: string, contentType: string, body: string|Buffer}>}
+ * @throws {WorkflowError} - 400 unknown format, 404 unknown article
+ */
+async function exportArticle(uid, articleId, format) {
+  const exporter = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+  if (!exporter) {
+    throw new WorkflowError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400);
+  }
+
+  const doc = await articleRef(uid, articleId).get();
+  if (!doc.exists) {
+    throw new WorkflowError('Article not found', 404);
+  }
+
+  const article = { id: doc.id, ...doc.data() };
+
+  return {
+    filename: `${getArticleSlug(article) || article.id}.${exporter.extension}`,
+    contentType: exporter.contentType,
+    body: exporter.render(article)
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  renderHtml,
+  renderText,
+  renderDocx,
+  exportArticle
+};
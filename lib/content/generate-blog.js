@@ -4,15 +4,28 @@
  * Generates a complete 1000-word blog post with images using:
  * 1. Perplexity for research
  * 2. Claude for outline generation
- * 3. Claude for blog content generation
+ * 3. Claude for blog content generation, checked by the quality gate (lib/content/article-quality.js)
  * 4. Claude for image query generation
  * 5. Unsplash for images
  */
 
 const { db } = require('../../firebase');
-const { callPerplexity } = require('../utils/perplexity-client');
-const { callClaude } = require('../utils/claude-client');
+const { generateText, generateJSON, research } = require('../llm/llm-client');
+const { outlineSchema, serviceFilterSchema, imageQueriesSchema } = require('../llm/schemas');
 const { searchMultiple: searchUnsplashMultiple } = require('../utils/unsplash-client');
+const { buildGeneratedRevision } = require('../articles/article-revisions');
+const { buildArticleSeo, getSlugBase } = require('./article-seo');
+const { enforceArticleQuality } = require('./article-quality');
+const { applyLinkPolicy, toUrls, MAX_INTERNAL_LINKS } = require('./link-policy');
+const { linkRelatedArticles } = require('./internal-linking');
+const {
+  getTitleForGeneration,
+  claimTitle,
+  claimNextTitle,
+  renewTitleLease,
+  recordTitleFailure,
+  completeTitle
+} = require('./content-plans');
 
 /**
  * Helper function to remove undefined values
@@ -30,70 +43,68 @@ function removeUndefined(obj) {
 /**
  * Generate a complete blog post for a user
  * @param {string} uid - User ID
+ * @param {Object} selection - { contentPlanId, titleIndex, expectedTitle? } to write a specific title
+ *   (`expectedTitle`: its text when the job was queued, so a reorder cannot swap it); omit to take
+ *   the next title in the queue (see lib/content/content-plans.js)
  * @returns {Promise<Object>} - Generated blog post data
  */
-async function generateBlogPost(uid) {
+async function generateBlogPost(uid, selection = {}) {
   console.log(`📝 Starting blog generation for user ${uid}...`);
 
-  // Step 1: Select Next Title
-  console.log('Step 1: Finding next uncreated title...');
-
-  // Fetch all content plans
-  const plansSnapshot = await db.collection('users').doc(uid).collection('content_plans')
-    .orderBy('createdAt', 'desc')
-    .get();
-
-  if (plansSnapshot.empty) {
-    throw new Error('No content plans found. Generate a content plan first.');
-  }
-
-  // Find first uncreated title across all plans
-  let selectedPlan = null;
-  let selectedTitle = null;
-  let selectedTitleIndex = -1;
-
-  for (const planDoc of plansSnapshot.docs) {
-    const planData = planDoc.data();
-    const titles = planData.titles || [];
-
-    // Find first title without 'created' flag or where created = false
-    const uncreatedIndex = titles.findIndex((t) => !t.created);
-
-    if (uncreatedIndex !== -1) {
-      selectedPlan = {
-        id: planDoc.id,
-        ...planData
-      };
-      selectedTitle = titles[uncreatedIndex];
-      selectedTitleIndex = uncreatedIndex;
-      break;
-    }
+  // Step 1: Claim the title — the one asked for, else the next in the queue.
+  // The claim is a lease: each step renews it and a failure releases it with a record of the error.
+  console.log('Step 1: Claiming next uncreated title...');
+
+  let currentStep = 'context';
+  let selected;
+  if (selection.contentPlanId !== undefined && selection.contentPlanId !== null) {
+    selected = await getTitleForGeneration(uid, selection);
+    selected.title = await claimTitle(uid, selected.plan.id, selected.titleIndex, { step: currentStep, expected: selected.title });
+  } else {
+    selected = await claimNextTitle(uid, { step: currentStep });
   }
 
-  if (!selectedTitle) {
+  if (!selected) {
     throw new Error('No uncreated titles found. All articles have been generated.');
   }
 
-  console.log(`✅ Found uncreated title at index ${selectedTitleIndex} in plan ${selectedPlan.id}`);
+  const selectedPlan = selected.plan;
+  const selectedTitle = selected.title;
+  const selectedTitleIndex = selected.titleIndex;
+  const claim = { planId: selectedPlan.id, titleIndex: selectedTitleIndex, generationId: selectedTitle.generationId };
+
+  console.log(`🔒 Claimed uncreated title at index ${selectedTitleIndex} in plan ${selectedPlan.id}`);
   console.log(`📌 Title: "${selectedTitle.title}"`);
   console.log(`🎯 Keyword: "${selectedTitle.targetKeyword}"`);
   console.log(`📋 Format: ${selectedTitle.format}`);
 
-  // Mark title as generating to prevent duplicate generation
-  const initialPlanRef = db.collection('users').doc(uid).collection('content_plans').doc(selectedPlan.id);
-  const initialUpdatedTitles = [...selectedPlan.titles];
-  initialUpdatedTitles[selectedTitleIndex] = {
-    ...selectedTitle,
-    generating: true,
-    generationStartedAt: new Date().toISOString()
+  const enterStep = async (step) => {
+    currentStep = step;
+    await renewTitleLease(uid, claim, step);
   };
 
-  await initialPlanRef.update({
-    titles: initialUpdatedTitles
-  });
-
-  console.log(`🔒 Marked title as "generating" to prevent duplicates`);
+  try {
+    return await writeBlogPost(uid, selected, claim, enterStep);
+  } catch (error) {
+    console.error(`❌ Blog generation failed at step "${currentStep}": ${error.message}`);
+    try {
+      await recordTitleFailure(uid, claim, { message: error.message, step: currentStep });
+    } catch (recordError) {
+      console.error('⚠️ Could not record the failure on the title:', recordError.message);
+    }
+    throw error;
+  }
+}
 
+/**
+ * Steps 2-7 for a claimed title: research, outline, write, illustrate and save
+ * @param {string} uid - User ID
+ * @param {Object} selected - { plan, titleIndex, title }
+ * @param {Object} claim - { planId, titleIndex, generationId } held on the title
+ * @param {Function} enterStep - async (step) => records the step on the title and renews its lease
+ * @returns {Promise<Object>} - Generated blog post data
+ */
+async function writeBlogPost(uid, { plan: selectedPlan, title: selectedTitle, titleIndex: selectedTitleIndex }, claim, enterStep) {
   // Fetch user data to get extracted links and other business info
   const userDocRef = db.collection('users').doc(uid);
   const userDoc = await userDocRef.get();
@@ -125,12 +136,16 @@ Return ONLY the service names from the list above that are DIRECTLY about "${sel
 Do NOT include services that are related but on a different topic.
 If no services directly match, return an empty array.
 
-Respond with a JSON array of strings only. Example: ["Service A", "Service B"]`;
+Respond with JSON only. Example: {"services": ["Service A", "Service B"]}`;
 
     try {
-      const serviceFilterResponse = await callClaude(serviceFilterPrompt, 300);
-      const parsed = JSON.parse(serviceFilterResponse.match(/\[[\s\S]*?\]/)?.[0] || '[]');
-      relevantServices = parsed.filter(Boolean);
+      const serviceFilter = await generateJSON({
+        step: 'blog.service-filter',
+        prompt: serviceFilterPrompt,
+        schema: serviceFilterSchema,
+        maxTokens: 300
+      });
+      relevantServices = serviceFilter.services.filter(Boolean);
       console.log(`🛠️ Services filtered for "${selectedTitle.targetKeyword}": [${relevantServices.join(', ')}]`);
     } catch (e) {
       console.warn('⚠️ Service filter failed, using empty list to avoid drift:', e.message);
@@ -143,6 +158,7 @@ Respond with a JSON array of strings only. Example: ["Service A", "Service B"]`;
 
   // Step 3: Research with Perplexity
   console.log('\nStep 3: Researching with Perplexity...');
+  await enterStep('research');
 
   const perplexityPrompt = `You are a research assistant. Given the following:
 
@@ -184,15 +200,14 @@ Avoid Wikipedia. Present findings clearly under each of the 3 points.
 
 Your objective is to provide laser-focused research on "${selectedTitle.targetKeyword}" ONLY.`;
 
-  console.log('📡 Calling Perplexity API for research...');
-
-  const researchData = await callPerplexity(perplexityPrompt);
+  const { content: researchData, citations: researchSources } = await research({ step: 'blog.research', prompt: perplexityPrompt });
 
-  console.log('✅ Research completed');
+  console.log(`✅ Research completed (${researchSources.length} sources)`);
   console.log(`📊 Research length: ${researchData.length} characters`);
 
   // Step 3b: Filter research to remove off-topic content
   console.log('\nStep 3b: Filtering research for topic relevance...');
+  await enterStep('research-filter');
 
   const filterPrompt = `You are a strict content editor.
 
@@ -212,12 +227,13 @@ Rules:
 
 Output only the filtered research text, nothing else.`;
 
-  const filteredResearch = await callClaude(filterPrompt, 800);
+  const filteredResearch = await generateText({ step: 'blog.research-filter', prompt: filterPrompt, maxTokens: 800 });
 
   console.log(`✅ Research filtered: ${researchData.length} → ${filteredResearch.length} characters`);
 
   // Step 4: Create Outline with Claude
   console.log('\nStep 4: Creating blog outline with Claude...');
+  await enterStep('outline');
 
   const outlinePrompt = `As an SEO-savvy content strategist, create a comprehensive blog post outline using the following inputs:
 
@@ -301,12 +317,22 @@ Develop a detailed structure with the following specifications:
 ${extractedLinks.length > 0 ? '\n• Suggest placement for provided internal links\n' : ''}
 ${isLocalBusiness ? `• Consider local SEO for ${location}` : `• Focus on broad industry appeal for ${location} market`}
 
+6/- SEO metadata:
+
+• Meta title: at most 60 characters, starting with or close to "${selectedTitle.targetKeyword}"
+
+• Meta description: 140-155 characters, includes "${selectedTitle.targetKeyword}" and says what the reader will learn${isLocalBusiness ? ` (mention ${location})` : ''}
+
 **[Thinking_Process]**: Before generating the final JSON outline, identify any research points that are NOT directly about "${selectedTitle.targetKeyword}" and EXCLUDE them from the outline. **DO NOT include this thought process in the final JSON output.**
 
 Present the outline in a clear, hierarchical format using markdown. Your goal is to create a laser-focused, SEO-optimized outline about "${selectedTitle.targetKeyword}" ONLY.
 
 OUTPUT FORMAT (return as valid JSON):
 {
+  "meta": {
+    "title": "...",
+    "description": "..."
+  },
   "outline": {
     "introduction": {
       "wordCount": 100,
@@ -342,25 +368,18 @@ OUTPUT FORMAT (return as valid JSON):
   }
 }`;
 
-  console.log('📡 Calling Claude API for outline generation...');
-
-  const outlineContent = await callClaude(outlinePrompt, 4000);
+  const outlineData = await generateJSON({
+    step: 'blog.outline',
+    prompt: outlinePrompt,
+    schema: outlineSchema,
+    maxTokens: 4000
+  });
 
   console.log('✅ Outline generated');
-  console.log(`📝 Outline length: ${outlineContent.length} characters`);
-
-  // Parse JSON from Claude response
-  let outlineData;
-  try {
-    const jsonContent = outlineContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    outlineData = JSON.parse(jsonContent);
-  } catch (parseError) {
-    console.error('Failed to parse Claude outline response:', outlineContent.substring(0, 500));
-    throw new Error('Failed to parse outline as JSON');
-  }
 
   // Step 5: Generate Blog Content with Claude
   console.log('\nStep 5: Generating blog content with Claude...');
+  await enterStep('content');
 
   const blogPrompt = `You are an expert content writer specializing in ${isLocalBusiness ? 'local' : 'industry-focused'} SEO and engaging blog posts.
 
@@ -463,20 +482,72 @@ Write the complete blog post in **markdown format**. Use proper markdown syntax
 
 Start writing now. Output ONLY the markdown blog post about "${selectedTitle.targetKeyword}", no additional commentary.`;
 
-  console.log('📡 Calling Claude API for blog generation...');
-
   const blogSystemPrompt = `You are a laser-focused SEO writer. You write exclusively about the exact topic given to you. You treat any off-topic content as invisible — you do not acknowledge it, reference it, or include it. If your outline or research mentions anything not directly about the target keyword, you skip it entirely and stay on topic.`;
 
-  const blogContent = await callClaude(blogPrompt, 8000, blogSystemPrompt, 'claude-sonnet-5');
+  const draftContent = await generateText({ step: 'blog.body', prompt: blogPrompt, system: blogSystemPrompt, maxTokens: 8000 });
 
   console.log('✅ Blog content generated');
-  console.log(`📝 Blog length: ${blogContent.length} characters`);
+  console.log(`📝 Blog length: ${draftContent.length} characters`);
+
+  // Step 5b: Link to the user's most related live posts (lib/content/internal-linking.js)
+  console.log('\nStep 5b: Linking related posts...');
+  await enterStep('internal-links');
+
+  let related = { content: draftContent, relatedLinks: [] };
+  try {
+    related = await linkRelatedArticles(uid, { title: selectedTitle.title, targetKeyword: selectedTitle.targetKeyword, content: draftContent });
+    console.log(`🧭 ${related.relatedLinks.length} related post links added`);
+  } catch (e) {
+    console.warn('⚠️ Related post linking failed, continuing without:', e.message);
+  }
+
+  // Step 5c: Keep only links to the user's extracted pages (and the related posts just
+  // linked) that respond; invented and external URLs are removed, near misses rewritten
+  console.log('\nStep 5c: Applying link policy...');
+  await enterStep('links');
+
+  const relatedUrls = related.relatedLinks.map((link) => link.url);
+  const linkOptions = {
+    allowedLinks: [...extractedLinks, ...relatedUrls],
+    siteUrl: userData.websiteUrl || null,
+    checked: new Map(),
+    maxLinks: MAX_INTERNAL_LINKS + relatedUrls.length
+  };
+  const linked = await applyLinkPolicy(related.content, linkOptions);
+
+  console.log(`🔗 Links: ${linked.links.length} kept, ${linked.removedLinks.length} removed`);
+
+  // Step 5d: Check the prompt's rules (length, dashes, links, keyword, takeaways, headings);
+  // violations get one targeted fix-up pass, and articles still failing go to needs_review
+  console.log('\nStep 5d: Checking article quality...');
+  await enterStep('quality');
+
+  const quality = await enforceArticleQuality(linked.content, {
+    targetKeyword: selectedTitle.targetKeyword,
+    allowedUrls: toUrls([linkOptions.siteUrl, ...linkOptions.allowedLinks])
+  });
+  const qualityReport = quality.report;
+
+  // The fix-up pass rewrote the text, so police its links again
+  const final = quality.content === linked.content ? null : await applyLinkPolicy(quality.content, linkOptions);
+  const blogContent = final ? final.content : linked.content;
+  const links = final ? final.links : linked.links;
+  const removedLinks = final ? [...linked.removedLinks, ...final.removedLinks] : linked.removedLinks;
+  const relatedLinks = related.relatedLinks.filter((link) => links.some((kept) => kept.url === link.url));
+  const status = qualityReport.passed ? 'draft' : 'needs_review';
+
+  if (qualityReport.passed) {
+    console.log('✅ Quality check passed');
+  } else {
+    console.warn(`⚠️ Quality check failed, article needs review: ${qualityReport.violations.map((v) => v.message).join('; ')}`);
+  }
 
   const wordCount = blogContent.split(/\s+/).length;
   console.log(`📊 Word count: ~${wordCount} words`);
 
   // Step 6: Generate image search queries with Claude
   console.log('\nStep 6: Generating image search queries with Claude...');
+  await enterStep('images');
 
   const imageQueryPrompt = `Based on this blog post title and outline, generate 3 relevant image search queries for Unsplash.
 
@@ -496,8 +567,12 @@ OUTPUT FORMAT (return as valid JSON):
   "queries": ["query 1", "query 2", "query 3"]
 }`;
 
-  const imageQueryText = await callClaude(imageQueryPrompt, 500);
-  const imageQueries = JSON.parse(imageQueryText.match(/\{[\s\S]*\}/)?.[0] || '{"queries":[]}');
+  const imageQueries = await generateJSON({
+    step: 'blog.image-queries',
+    prompt: imageQueryPrompt,
+    schema: imageQueriesSchema,
+    maxTokens: 500
+  });
 
   console.log('✅ Image queries generated:', imageQueries.queries);
 
@@ -543,20 +618,19 @@ OUTPUT FORMAT (return as valid JSON):
 
   // Step 7: Save to Firestore
   console.log('\nStep 7: Saving blog to Firestore...');
+  await enterStep('save');
 
-  const articleId = `article_${Date.now()}`;
+  // The claim's generationId keeps IDs unique when concurrent runs save in the same millisecond
+  const articleId = `article_${Date.now()}_${claim.generationId.slice(0, 8)}`;
   const now = new Date().toISOString();
 
-  // Save article to generated_articles collection
-  const articleRef = db.collection('users').doc(uid).collection('generated_articles').doc(articleId);
-
-  await articleRef.set(removeUndefined({
+  const article = removeUndefined({
     // Article content
     title: selectedTitle.title,
     content: enhancedBlogContent,
     wordCount: wordCount,
 
-    // SEO data
+    // SEO data (meta fields, slug and JSON-LD are added below)
     targetKeyword: selectedTitle.targetKeyword,
     format: selectedTitle.format,
 
@@ -573,32 +647,36 @@ OUTPUT FORMAT (return as valid JSON):
     titleIndex: selectedTitleIndex,
     outline: outlineData.outline,
     researchData: filteredResearch,
+    researchSources,
     images: unsplashImages,
     imageCount: unsplashImages.length,
+    links,
+    removedLinks,
+    relatedLinks,
+    qualityReport,
 
-    // Status
-    status: 'draft',
+    // Status ('needs_review' when the quality gate still failed after its fix-up pass)
+    status,
     createdAt: now,
     updatedAt: now
-  }));
+  });
 
-  console.log(`✅ Article saved to Firestore with ID: ${articleId}`);
+  // Meta title/description, slug, Open Graph and JSON-LD (BlogPosting, FAQPage, LocalBusiness)
+  const seo = await buildArticleSeo(uid, article, { meta: outlineData.meta, userData });
 
-  // Mark title as created in content plan
-  const planRef = db.collection('users').doc(uid).collection('content_plans').doc(selectedPlan.id);
-  const updatedTitles = [...selectedPlan.titles];
-  updatedTitles[selectedTitleIndex] = {
-    ...selectedTitle,
-    created: true,
-    generating: false,
-    articleId: articleId,
-    generatedAt: now
-  };
+  console.log(`🔎 SEO metadata: slug "${seo.slug}", ${seo.jsonLd.map((item) => item['@type']).join(' + ')}`);
 
-  await planRef.update({
-    titles: updatedTitles
+  // Save the article with revision 1 (the generated text later edits are diffed against)
+  // and mark the title created in one transaction; a run that lost its claim to a
+  // concurrent generation stops here without writing a duplicate article
+  const articleRef = db.collection('users').doc(uid).collection('generated_articles').doc(articleId);
+  const savedArticle = { ...article, ...seo, revision: 1 };
+  const { slug } = await completeTitle(uid, claim, articleRef, savedArticle, {
+    revision: buildGeneratedRevision(uid, articleId, savedArticle),
+    slugBase: getSlugBase(article)
   });
 
+  console.log(`✅ Article saved to Firestore with ID: ${articleId}`);
   console.log(`✅ Marked title as "created" in content plan`);
 
   // Return complete data
@@ -613,6 +691,9 @@ OUTPUT FORMAT (return as valid JSON):
       title: selectedTitle.title,
       targetKeyword: selectedTitle.targetKeyword,
       format: selectedTitle.format,
+      slug,
+      metaTitle: seo.metaTitle,
+      metaDescription: seo.metaDescription,
       businessName: selectedPlan.businessName,
       businessType: selectedPlan.businessType, // 'local' or 'online'
       businessTypeIdentifier: selectedPlan.businessTypeIdentifier, // 'Nutrition Practice', 'Dentist', etc.
@@ -621,7 +702,8 @@ OUTPUT FORMAT (return as valid JSON):
       location: location,
       wordCount: wordCount,
       imageCount: unsplashImages.length,
-      status: 'draft',
+      qualityPassed: qualityReport.passed,
+      status,
       createdAt: now
     })
   };
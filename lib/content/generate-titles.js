@@ -1,21 +1,190 @@
 /**
  * Generate Content Titles Module
- * 
- * Generates 15 SEO-optimized blog post titles using:
+ *
+ * Generates a content plan of SEO-optimized blog post titles using:
  * 1. Perplexity for market research
  * 2. Claude for title generation
+ *
+ * Plan size, title formats and title length are options. The size defaults to
+ * the user's plan tier (`titlesPerPlan` in lib/usage/quota.js), which is also
+ * the largest size allowed. Titles are written for the user's `targetKeywords`
+ * first; when there are fewer keywords than titles, the plan is backfilled with
+ * the best keyword ideas (users/{uid}/keyword_ideas), then keywords get a second
+ * (third, ...) title from a different angle.
  */
 
 const { db } = require('../../firebase');
-const { callPerplexity } = require('../utils/perplexity-client');
-const { callClaude } = require('../utils/claude-client');
+const { research, generateJSON } = require('../llm/llm-client');
+const { createTitlesSchema } = require('../llm/schemas');
+const { getUserLimits } = require('../usage/quota');
+const { ContentPlanError } = require('./content-plans');
+
+// ── Configuration ────────────────────────────────────────────
+const DEFAULT_PLAN_SIZE = 15; // When the plan tier sets no size
+const MAX_PLAN_SIZE = 50;     // Hard ceiling, whatever the tier
+const DEFAULT_TITLE_LENGTH = { min: 50, max: 70 };
+const TITLE_LENGTH_BOUNDS = { min: 20, max: 120 };
+const TOKENS_PER_TITLE = 200;
+// ─────────────────────────────────────────────────────────────
 
 /**
- * Generate 15 content titles for a user
+ * Title formats by business type. The prompt asks for a mix of the chosen ones
+ * and the reply is validated against their IDs.
+ */
+const TITLE_FORMATS = {
+  local: {
+    location_benefit: {
+      pattern: '"[Service] in [City]: [Benefit from research]"',
+      example: '"Emergency Plumber in Brooklyn: 24/7 Same-Day Service"'
+    },
+    looking_for: {
+      pattern: '"Looking for [Service] in [City]? [Hook from research]"',
+      example: '"Looking for a Family Dentist in Seattle? Here\'s What You Need to Know"'
+    },
+    city_top: {
+      pattern: '"[City]\'s Top/Best [Service]: [Insight from research]"',
+      example: '"Brooklyn\'s Top 10 Plumbers: How to Choose the Right One"'
+    },
+    problem_solution: {
+      pattern: '"[Problem from research] in [City]? Why {businessName} [Solution]"',
+      example: '"Leaky Pipes in Brooklyn? Why Joe\'s Plumbing is Your Best Call"'
+    }
+  },
+  online: {
+    benefit_service: {
+      pattern: '"[Benefit from research]: [Service/Product]"',
+      example: '"24/7 Customer Support: Cloud CRM Built for Growing Teams"'
+    },
+    how_helps: {
+      pattern: '"How [Service] Helps [Target Audience] [Benefit]"',
+      example: '"How AI Analytics Help Marketers Boost ROI by 300%"'
+    },
+    ultimate_guide: {
+      pattern: '"The Ultimate Guide to [Keyword]: [Current Year]"',
+      example: '"The Ultimate Guide to E-commerce SEO: {currentYear} Edition"'
+    },
+    problem_solution: {
+      pattern: '"[Problem from research]? Here\'s Why {businessName} [Solution]"',
+      example: '"Struggling with Email Deliverability? Here\'s Why SendGrid Works"'
+    }
+  }
+};
+
+/**
+ * Resolve plan size, formats and title length from the request and the user's plan tier
+ * @param {Object} userData - User document data
+ * @param {Object} options - { count?, formats?, minLength?, maxLength? }
+ * @returns {{count: number, formats: string[], minLength: number, maxLength: number}}
+ * @throws {ContentPlanError} - 400 for out-of-range options
+ */
+function resolvePlanOptions(userData, { count, formats, minLength, maxLength } = {}) {
+  const tierSize = getUserLimits(userData).titlesPerPlan;
+  const maxCount = Math.min(tierSize ?? MAX_PLAN_SIZE, MAX_PLAN_SIZE);
+
+  const size = count ?? Math.min(tierSize ?? DEFAULT_PLAN_SIZE, MAX_PLAN_SIZE);
+  if (!Number.isInteger(size) || size < 1 || size > maxCount) {
+    throw new ContentPlanError(`count must be a whole number from 1 to ${maxCount} on your plan`);
+  }
+
+  const available = Object.keys(TITLE_FORMATS[userData.businessType === 'local' ? 'local' : 'online']);
+  const chosen = formats ?? available;
+  if (!Array.isArray(chosen) || chosen.length === 0 || chosen.some((format) => !available.includes(format))) {
+    throw new ContentPlanError(`formats must be a non-empty list of: ${available.join(', ')}`);
+  }
+
+  const min = minLength ?? DEFAULT_TITLE_LENGTH.min;
+  const max = maxLength ?? Math.max(DEFAULT_TITLE_LENGTH.max, min);
+  const inBounds = (value) => Number.isInteger(value) && value >= TITLE_LENGTH_BOUNDS.min && value <= TITLE_LENGTH_BOUNDS.max;
+  if (!inBounds(min) || !inBounds(max) || min > max) {
+    throw new ContentPlanError(`minLength and maxLength must be ${TITLE_LENGTH_BOUNDS.min}-${TITLE_LENGTH_BOUNDS.max} characters, minLength no greater than maxLength`);
+  }
+
+  return { count: size, formats: [...new Set(chosen)], minLength: min, maxLength: max };
+}
+
+/**
+ * Best keywords from the newest keyword ideas analysis, highest opportunity score first
+ * @returns {Promise<string[]>}
+ */
+async function getKeywordIdeas(uid) {
+  const snapshot = await db.collection('users').doc(uid).collection('keyword_ideas')
+    .orderBy('created_at', 'desc')
+    .limit(1)
+    .get();
+  if (snapshot.empty) return [];
+
+  const ideas = Object.values(snapshot.docs[0].data().top_opportunities || {}).flat();
+  return ideas
+    .filter((idea) => idea && idea.keyword)
+    .sort((a, b) => (b.opportunity_score || 0) - (a.opportunity_score || 0))
+    .map((idea) => idea.keyword);
+}
+
+/**
+ * One keyword per title: target keywords, then keyword ideas, then further angles on the same keywords
+ * @returns {Promise<{keywords: Array<{keyword: string, angle: number}>, sources: Object}>}
+ */
+async function selectKeywords(uid, targetKeywords, count) {
+  const seen = new Set();
+  const unique = (keyword) => {
+    const key = String(keyword || '').trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+
+  const selected = targetKeywords.filter(unique).slice(0, count);
+  const fromTargets = selected.length;
+
+  if (selected.length < count) {
+    selected.push(...(await getKeywordIdeas(uid)).filter(unique).slice(0, count - selected.length));
+  }
+  const fromIdeas = selected.length - fromTargets;
+
+  if (selected.length === 0) {
+    throw new ContentPlanError('No target keywords or keyword ideas found. Run an SEO analysis first.', 409);
+  }
+
+  const keywords = Array.from({ length: count }, (_, i) => ({
+    keyword: selected[i % selected.length],
+    angle: Math.floor(i / selected.length) + 1
+  }));
+
+  return {
+    keywords,
+    sources: { targetKeywords: fromTargets, keywordIdeas: fromIdeas, extraAngles: count - selected.length }
+  };
+}
+
+/**
+ * Numbered keyword list for the prompt; repeated keywords are marked with their angle
+ */
+function formatKeywordList(keywords) {
+  return keywords
+    .map(({ keyword, angle }, i) => `${i + 1}. "${keyword}"${angle > 1 ? ` (angle ${angle}: a different angle from the earlier title for this keyword)` : ''}`)
+    .join('\n');
+}
+
+/**
+ * FORMAT sections for the prompt
+ */
+function formatTitleFormats(businessType, formats, { businessName, currentYear }) {
+  const fill = (text) => text.replaceAll('{businessName}', businessName).replaceAll('{currentYear}', currentYear);
+
+  return formats.map((id) => {
+    const { pattern, example } = TITLE_FORMATS[businessType][id];
+    return `FORMAT "${id}": ${fill(pattern)}\nExample: ${fill(example)}`;
+  }).join('\n\n');
+}
+
+/**
+ * Generate a content plan of titles for a user
  * @param {string} uid - User ID
+ * @param {Object} options - { count?, formats?: string[], minLength?, maxLength? } (see resolvePlanOptions)
  * @returns {Promise<Object>} - Generated titles and metadata
+ * @throws {ContentPlanError} - 400 invalid options, 409 no keywords to write for
  */
-async function generateContentTitles(uid) {
+async function generateContentTitles(uid, options = {}) {
   console.log(`🎯 Generating content titles for user ${uid}...`);
 
   // Step 1: Fetch user data from Firestore
@@ -49,16 +218,12 @@ async function generateContentTitles(uid) {
     throw new Error(`Missing location: ${isLocalBusiness ? 'city' : 'targetCountry'} is required`);
   }
 
-  if (targetKeywords.length < 15) {
-    throw new Error(`Not enough target keywords. Found ${targetKeywords.length}, need at least 15`);
-  }
-
-  // Pick first 15 target keywords
-  const selectedKeywords = targetKeywords.slice(0, 15);
+  const { count, formats, minLength, maxLength } = resolvePlanOptions(userData, options);
+  const { keywords: selectedKeywords, sources: keywordSources } = await selectKeywords(uid, targetKeywords, count);
 
   console.log(`📋 Business: ${businessName} (${businessType}) in ${location}`);
   console.log(`🎯 Business model: ${isLocalBusiness ? 'Local' : 'Online'}`);
-  console.log(`🎯 Using ${selectedKeywords.length} target keywords`);
+  console.log(`🎯 Planning ${count} titles: ${keywordSources.targetKeywords} target keywords, ${keywordSources.keywordIdeas} keyword ideas, ${keywordSources.extraAngles} extra angles`);
 
   // Step 2: Research with Perplexity
   console.log('🔍 Researching market with Perplexity...');
@@ -91,7 +256,7 @@ Provide:
 
 Keep it concise and actionable for content titles.`;
 
-  const marketResearch = await callPerplexity(perplexityPrompt);
+  const { content: marketResearch } = await research({ step: 'titles.research', prompt: perplexityPrompt });
 
   console.log('✅ Market research completed');
   console.log(`📊 Research insights: ${marketResearch.substring(0, 200)}...`);
@@ -99,7 +264,12 @@ Keep it concise and actionable for content titles.`;
   // Step 3: Generate titles with Claude
   console.log('✍️ Generating titles with Claude...');
 
-  const keywordsList = selectedKeywords.map((kw, i) => `${i + 1}. "${kw}"`).join('\n');
+  const keywordsList = formatKeywordList(selectedKeywords);
+  const currentYear = new Date().getFullYear();
+  const formatSections = formatTitleFormats(isLocalBusiness ? 'local' : 'online', formats, { businessName, currentYear });
+  const formatMix = formats.length > 1
+    ? `- Mix all ${formats.length} formats (approximately ${Math.max(1, Math.round(count / formats.length))} of each format)`
+    : `- Use format "${formats[0]}" for every title`;
 
   const claudePrompt = isLocalBusiness
     ? `You are a local SEO expert creating a content calendar.
@@ -112,38 +282,29 @@ BUSINESS INFO:
 MARKET RESEARCH (current local insights):
 ${marketResearch}
 
-TARGET KEYWORDS (generate EXACTLY 1 title per keyword):
+TARGET KEYWORDS (generate EXACTLY 1 title per line):
 ${keywordsList}
 
-Generate EXACTLY 15 titles (one per keyword) using these 4 formats. Mix them up:
-
-FORMAT 1: "[Service] in [City]: [Benefit from research]"
-Example: "Emergency Plumber in Brooklyn: 24/7 Same-Day Service"
-
-FORMAT 2: "Looking for [Service] in [City]? [Hook from research]"
-Example: "Looking for a Family Dentist in Seattle? Here's What You Need to Know"
+Generate EXACTLY ${count} titles (one per line above) using these ${formats.length} formats:
 
-FORMAT 3: "[City]'s Top/Best [Service]: [Insight from research]"
-Example: "Brooklyn's Top 10 Plumbers: How to Choose the Right One"
-
-FORMAT 4: "[Problem from research] in [City]? Why ${businessName} [Solution]"
-Example: "Leaky Pipes in Brooklyn? Why Joe's Plumbing is Your Best Call"
+${formatSections}
 
 IMPORTANT RULES:
-- Generate exactly 15 titles (one per keyword above, in order)
+- Generate exactly ${count} titles (one per line above, in order)
+- "format" must be one of: ${formats.join(', ')}
 - Incorporate insights from the market research
-- Use current year (2025) where relevant
+- Use current year (${currentYear}) where relevant
 - Include timely/seasonal angles from research
 - Each title must include "${location}"
-- Mix all 4 formats (approximately 3-4 of each format)
-- Keep titles between 50-70 characters
+${formatMix}
+- Keep titles between ${minLength}-${maxLength} characters
 
 OUTPUT JSON (respond with ONLY valid JSON, no markdown):
 {
   "titles": [
     {
       "title": "...",
-      "format": "location_benefit",
+      "format": "${formats[0]}",
       "targetKeyword": "keyword here",
       "researchInsight": "which research insight was used",
       "length": 58
@@ -160,38 +321,29 @@ BUSINESS INFO:
 MARKET RESEARCH (industry insights):
 ${marketResearch}
 
-TARGET KEYWORDS (generate EXACTLY 1 title per keyword):
+TARGET KEYWORDS (generate EXACTLY 1 title per line):
 ${keywordsList}
 
-Generate EXACTLY 15 titles (one per keyword) using these 4 formats. Mix them up:
-
-FORMAT 1: "[Benefit from research]: [Service/Product]"
-Example: "24/7 Customer Support: Cloud CRM Built for Growing Teams"
-
-FORMAT 2: "How [Service] Helps [Target Audience] [Benefit]"
-Example: "How AI Analytics Help Marketers Boost ROI by 300%"
-
-FORMAT 3: "The Ultimate Guide to [Keyword]: [Current Year]"
-Example: "The Ultimate Guide to E-commerce SEO: 2025 Edition"
+Generate EXACTLY ${count} titles (one per line above) using these ${formats.length} formats:
 
-FORMAT 4: "[Problem from research]? Here's Why ${businessName} [Solution]"
-Example: "Struggling with Email Deliverability? Here's Why SendGrid Works"
+${formatSections}
 
 IMPORTANT RULES:
-- Generate exactly 15 titles (one per keyword above, in order)
+- Generate exactly ${count} titles (one per line above, in order)
+- "format" must be one of: ${formats.join(', ')}
 - Incorporate insights from the market research
-- Use current year (2025) where relevant
+- Use current year (${currentYear}) where relevant
 - Include timely/seasonal angles from research
 - DO NOT force location into titles (online business targets ${location} broadly)
-- Mix all 4 formats (approximately 3-4 of each format)
-- Keep titles between 50-70 characters
+${formatMix}
+- Keep titles between ${minLength}-${maxLength} characters
 
 OUTPUT JSON (respond with ONLY valid JSON, no markdown):
 {
   "titles": [
     {
       "title": "...",
-      "format": "benefit_service",
+      "format": "${formats[0]}",
       "targetKeyword": "keyword here",
       "researchInsight": "which research insight was used",
       "length": 58
@@ -199,27 +351,15 @@ OUTPUT JSON (respond with ONLY valid JSON, no markdown):
   ]
 }`;
 
-  const claudeContent = await callClaude(claudePrompt, 3000);
+  // Validated against the schema (exactly one title per keyword line, known formats); invalid replies are repaired
+  const generatedTitles = await generateJSON({
+    step: 'titles.generate',
+    prompt: claudePrompt,
+    schema: createTitlesSchema(count, formats),
+    maxTokens: Math.max(3000, count * TOKENS_PER_TITLE)
+  });
 
   console.log('✅ Titles generated');
-  console.log(`📝 Raw response: ${claudeContent.substring(0, 200)}...`);
-
-  // Parse JSON from Claude response
-  let generatedTitles;
-  try {
-    // Remove markdown code blocks if present
-    const jsonContent = claudeContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    generatedTitles = JSON.parse(jsonContent);
-  } catch (parseError) {
-    console.error('Failed to parse Claude response:', claudeContent);
-    throw new Error('Failed to parse Claude response as JSON');
-  }
-
-  // Validate we got exactly 15 titles
-  if (!generatedTitles.titles || generatedTitles.titles.length !== 15) {
-    console.error(`Expected 15 titles, got ${generatedTitles.titles?.length || 0}`);
-    throw new Error(`Expected 15 titles, got ${generatedTitles.titles?.length || 0}`);
-  }
 
   console.log(`✅ Validated ${generatedTitles.titles.length} titles`);
 
@@ -236,6 +376,10 @@ OUTPUT JSON (respond with ONLY valid JSON, no markdown):
     city: isLocalBusiness ? location : '',
     targetCountry: isLocalBusiness ? targetCountry : location,
     location,
+    size: count,
+    formats,
+    titleLength: { min: minLength, max: maxLength },
+    keywordSources,
     createdAt: new Date().toISOString(),
     status: 'draft'
   };
@@ -248,10 +392,12 @@ OUTPUT JSON (respond with ONLY valid JSON, no markdown):
     success: true,
     contentPlanId,
     titles: generatedTitles.titles,
+    keywordSources,
     marketResearch
   };
 }
 
 module.exports = {
+  TITLE_FORMATS,
   generateContentTitles
 };
@@ -0,0 +1,333 @@
+/**
+ * Internal Linking Module
+ *
+ * Links a customer's generated articles to each other by meaning:
+ * 1. Every article is embedded (title, keyword and body text) with getEmbedding; vectors are
+ *    cached in users/{uid}/article_embeddings/{articleId} with a hash of the text they came from
+ * 2. Related posts are the user's other articles with the highest cosine similarity
+ * 3. The model picks a phrase already in the text as anchor for each related post, and the
+ *    first occurrence outside headings, links and images becomes the link
+ *
+ * New articles link to related posts that are live (have a URL). When an article is
+ * published, related older articles get a link to it (backfill), saved as a new
+ * revision (source 'internal-links'); publish those again to update their live posts.
+ * Links added either way are appended to `relatedLinks` on the article: [{ articleId, url, anchor }].
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../firebase');
+const { generateJSON } = require('../llm/llm-client');
+const { internalLinkAnchorsSchema } = require('../llm/schemas');
+const { getEmbedding, cosineSimilarity } = require('../utils/openai-embeddings');
+const { WorkflowError, articlesRef, articleRef } = require('../articles/article-workflow');
+const { saveRevision } = require('../articles/article-revisions');
+const { IMAGE_BLOCK_PATTERN } = require('./rewrite-section');
+
+// ── Configuration ────────────────────────────────────────────
+const MAX_RELATED_LINKS = 2;      // Links to related posts added to a new article
+const MAX_BACKFILL_ARTICLES = 3;  // Older articles that get a link to a newly published one
+const MIN_SIMILARITY = 0.5;       // Cosine similarity below which posts are not considered related
+const EMBEDDING_TEXT_LENGTH = 8000;
+const EMBEDDING_BATCH_SIZE = 100;
+const MAX_ANCHOR_WORDS = 8;
+// ─────────────────────────────────────────────────────────────
+
+function embeddingsRef(uid) {
+  return db.collection('users').doc(uid).collection('article_embeddings');
+}
+
+/**
+ * Live URL of an article, if it has been published anywhere
+ * @param {Object} article - Article document
+ * @returns {string|null}
+ */
+function getArticleUrl(article) {
+  return article.url
+    || Object.values(article.publications || {}).find((publication) => publication?.url && publication.status === 'publish')?.url
+    || null;
+}
+
+/**
+ * Text an article is embedded from: title, keyword and body without markup, images or link targets
+ */
+function getEmbeddingText(article) {
+  const body = String(article.content || '')
+    .replace(IMAGE_BLOCK_PATTERN, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[#*_>`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return [article.title, article.targetKeyword, body].filter(Boolean).join('\n').slice(0, EMBEDDING_TEXT_LENGTH);
+}
+
+/**
+ * Embeddings for articles, from the cache when the text hasn't changed. Articles with
+ * an `id` are cached; an unsaved article (no id) is embedded without caching.
+ * @param {string} uid - User ID
+ * @param {Object[]} articles - Articles with content
+ * @returns {Promise<number[][]>} - One vector per article, in order
+ */
+async function getArticleEmbeddings(uid, articles) {
+  const texts = articles.map(getEmbeddingText);
+  const hashes = texts.map((text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16));
+  const cached = await Promise.all(articles.map((article) => (article.id ? embeddingsRef(uid).doc(article.id).get() : null)));
+
+  const vectors = cached.map((doc, i) => (doc?.exists && doc.data().textHash === hashes[i] ? doc.data().vector : null));
+  const missing = vectors.map((vector, i) => (vector ? null : i)).filter((i) => i !== null);
+
+  for (let start = 0; start < missing.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = missing.slice(start, start + EMBEDDING_BATCH_SIZE);
+    const embedded = await getEmbedding(batch.map((i) => texts[i]));
+
+    await Promise.all(batch.map(async (articleIndex, j) => {
+      vectors[articleIndex] = embedded[j];
+      if (articles[articleIndex].id) {
+        await embeddingsRef(uid).doc(articles[articleIndex].id).set({
+          vector: embedded[j],
+          textHash: hashes[articleIndex],
+          embeddedAt: new Date().toISOString()
+        });
+      }
+    }));
+  }
+
+  if (missing.length > 0) {
+    console.log(`🧭 Embedded ${missing.length} article${missing.length === 1 ? '' : 's'} (${articles.length - missing.length} cached)`);
+  }
+
+  return vectors;
+}
+
+/**
+ * The user's articles most related to an article
+ * @param {string} uid - User ID
+ * @param {Object} article - { id?, title, targetKeyword, content }
+ * @param {Object} options - { limit, requireUrl: only live articles, filter?: (candidate) => boolean }
+ * @returns {Promise<Object[]>} - Candidate articles (with id) plus `url` and `similarity`, most similar first
+ */
+async function findRelatedArticles(uid, article, { limit = MAX_RELATED_LINKS, requireUrl = true, filter = () => true } = {}) {
+  const snapshot = await articlesRef(uid).get();
+  const candidates = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((candidate) => candidate.id !== article.id && candidate.status !== 'archived' && candidate.content)
+    .filter((candidate) => !requireUrl || getArticleUrl(candidate))
+    .filter(filter);
+
+  if (candidates.length === 0) return [];
+
+  const [vector, ...candidateVectors] = await getArticleEmbeddings(uid, [article, ...candidates]);
+
+  return candidates
+    .map((candidate, i) => ({
+      ...candidate,
+      url: getArticleUrl(candidate),
+      similarity: Math.round(cosineSimilarity(vector, candidateVectors[i]) * 1000) / 1000
+    }))
+    .filter((candidate) => candidate.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * First occurrence of a phrase in body text: not in a heading, image, photo credit,
+ * code block or existing link, and on word boundaries
+ * @returns {{index: number, text: string}|null} - Offset in `content` and the text as written there
+ */
+function findAnchor(content, anchor) {
+  const needle = anchor.toLowerCase();
+  const isWordChar = (char) => /[\p{L}\p{N}]/u.test(char || '');
+  let offset = 0;
+  let inCode = false;
+
+  for (const line of content.split('\n')) {
+    if (/^\s*```/.test(line)) inCode = !inCode;
+    const skip = inCode || /^\s*(#|!\[|[*_]Photo by |```)/.test(line);
+
+    if (!skip) {
+      const links = [...line.matchAll(/!?\[[^\]]*\]\([^)]*\)/g)].map((match) => [match.index, match.index + match[0].length]);
+      const lower = line.toLowerCase();
+
+      for (let i = lower.indexOf(needle); i !== -1; i = lower.indexOf(needle, i + 1)) {
+        const end = i + needle.length;
+        const insideLink = links.some(([start, stop]) => i < stop && end > start);
+        if (!insideLink && !isWordChar(line[i - 1]) && !isWordChar(line[end])) {
+          return { index: offset + i, text: line.slice(i, end) };
+        }
+      }
+    }
+
+    offset += line.length + 1;
+  }
+
+  return null;
+}
+
+/**
+ * Ask the model for anchor phrases and link them to the target posts
+ * @param {string} content - Article markdown
+ * @param {Object[]} targets - Posts to link to: { id, title, targetKeyword, url }
+ * @param {Object} options - { step: LLM step name }
+ * @returns {Promise<{content: string, links: Object[], skipped: string[]}>} - links: [{ articleId, url, anchor }];
+ *   skipped: IDs of targets no usable anchor was found for
+ */
+async function insertContextualLinks(content, targets, { step }) {
+  const pending = targets.filter((target) => !content.includes(`](${target.url})`));
+  if (pending.length === 0) {
+    return { content, links: [], skipped: [] };
+  }
+
+  const articleText = content.replace(IMAGE_BLOCK_PATTERN, '').replace(/\n{3,}/g, '\n\n');
+
+  const anchorPrompt = `You are an SEO editor adding internal links to a blog post.
+
+BLOG POST:
+${articleText}
+
+RELATED POSTS ON THE SAME SITE:
+${pending.map((target) => `- id: ${target.id} | title: "${target.title}" | topic: "${target.targetKeyword || target.title}"`).join('\n')}
+
+For each related post, choose the anchor text for one link to it:
+- Copy a phrase of 2-6 words from a paragraph or list item of the blog post, character for character
+- The phrase must describe what the related post is about, so readers know where the link goes
+- Never use a heading, text that is already a link, or generic text like "click here" or "read more"
+- Leave a post out if no phrase fits naturally. Do NOT rewrite the post.
+
+OUTPUT FORMAT (return as valid JSON):
+{
+  "links": [
+    { "articleId": "...", "anchor": "..." }
+  ]
+}`;
+
+  const { links: picks } = await generateJSON({
+    step,
+    prompt: anchorPrompt,
+    schema: internalLinkAnchorsSchema,
+    maxTokens: 1000
+  });
+
+  return applyAnchors(content, pending.map((target) => ({
+    target,
+    anchor: picks.find((pick) => pick.articleId === target.id)?.anchor.trim()
+  })));
+}
+
+/**
+ * Link each target post at its anchor phrase, where the phrase is found in body text
+ * and the post is not linked yet
+ * @param {string} content - Article markdown
+ * @param {Array<{target: Object, anchor: string}>} anchors - Anchor chosen for each target post
+ * @returns {{content: string, links: Object[], skipped: string[]}} - Same shape as insertContextualLinks
+ */
+function applyAnchors(content, anchors) {
+  let linked = content;
+  const links = [];
+  const skipped = [];
+
+  for (const { target, anchor } of anchors) {
+    const found = anchor && anchor.split(/\s+/).length <= MAX_ANCHOR_WORDS && !linked.includes(`](${target.url})`)
+      ? findAnchor(linked, anchor)
+      : null;
+    if (!found) {
+      skipped.push(target.id);
+      continue;
+    }
+
+    linked = `${linked.slice(0, found.index)}[${found.text}](${target.url})${linked.slice(found.index + found.text.length)}`;
+    links.push({ articleId: target.id, url: target.url, anchor: found.text });
+  }
+
+  return { content: linked, links, skipped };
+}
+
+/**
+ * Link a new article to the user's related live posts
+ * @param {string} uid - User ID
+ * @param {Object} article - { title, targetKeyword, content } (not saved yet)
+ * @returns {Promise<{content: string, relatedLinks: Object[]}>}
+ */
+async function linkRelatedArticles(uid, article) {
+  const related = await findRelatedArticles(uid, article, { limit: MAX_RELATED_LINKS, requireUrl: true });
+  if (related.length === 0) {
+    return { content: article.content, relatedLinks: [] };
+  }
+
+  console.log(`🧭 Related posts: ${related.map((post) => `"${post.title}" (${post.similarity})`).join(', ')}`);
+
+  const { content, links } = await insertContextualLinks(article.content, related, { step: 'blog.internal-links' });
+  return { content, relatedLinks: links };
+}
+
+/**
+ * Add links to a published article from related older articles
+ * @param {string} uid - User ID
+ * @param {string} articleId - The published article
+ * @param {Object} options - { actor? }
+ * @returns {Promise<{articleId: string, updated: Object[], skipped: string[]}>} - updated: [{ articleId, anchor, revision }]
+ * @throws {WorkflowError} - 404 unknown article, 409 article not live
+ */
+async function backfillInternalLinks(uid, articleId, { actor = 'internal-linking' } = {}) {
+  const doc = await articleRef(uid, articleId).get();
+  if (!doc.exists) {
+    throw new WorkflowError('Article not found', 404);
+  }
+
+  const article = { id: doc.id, ...doc.data() };
+  const url = getArticleUrl(article);
+  if (!url) {
+    throw new WorkflowError('Article has not been published, so there is no URL to link to', 409);
+  }
+
+  const related = await findRelatedArticles(uid, article, {
+    limit: MAX_BACKFILL_ARTICLES,
+    requireUrl: false,
+    filter: (candidate) => !candidate.content.includes(`](${url})`)
+  });
+
+  const target = { id: article.id, title: article.title, targetKeyword: article.targetKeyword, url };
+  const updated = [];
+  const skipped = [];
+
+  for (const older of related) {
+    const { links } = await insertContextualLinks(older.content, [target], { step: 'linking.backfill' });
+    if (links.length === 0) {
+      skipped.push(older.id);
+      continue;
+    }
+
+    // The anchor was picked from the text read above; the link goes into the text
+    // as it is now, with relatedLinks, in one transaction so concurrent edits are kept
+    let applied;
+    const { revision, changedFields } = await saveRevision(uid, older.id, (latest) => {
+      applied = applyAnchors(latest.content || '', links.map(({ anchor }) => ({ target, anchor })));
+      return { content: applied.content };
+    }, {
+      actor,
+      note: `Linked to "${article.title}"`,
+      source: 'internal-links',
+      update: (latest, { changedFields: changed }) => (changed.length > 0
+        ? { relatedLinks: [...(latest.relatedLinks || []), ...applied.links] }
+        : {})
+    });
+    if (changedFields.length === 0) {
+      skipped.push(older.id);
+      continue;
+    }
+
+    updated.push({ articleId: older.id, anchor: applied.links[0].anchor, revision });
+  }
+
+  console.log(`🧭 Backfilled links to ${articleId} into ${updated.length} related article${updated.length === 1 ? '' : 's'}${skipped.length ? ` (${skipped.length} had no fitting anchor)` : ''}`);
+
+  return { articleId, updated, skipped };
+}
+
+module.exports = {
+  MAX_RELATED_LINKS,
+  getArticleUrl,
+  findRelatedArticles,
+  insertContextualLinks,
+  linkRelatedArticles,
+  backfillInternalLinks
+};
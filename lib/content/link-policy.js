@@ -0,0 +1,173 @@
+/**
+ * Link Policy
+ *
+ * Post-processes generated markdown so it only links where it is allowed to:
+ * - Links to one of the user's `extractedLinks` are kept; near misses (http vs
+ *   https, www, trailing slash, tracking parameters, relative paths on the
+ *   user's site) are rewritten to the exact allowed URL
+ * - Every other link (external sites, invented pages) is removed, keeping its anchor text
+ * - Kept links must respond; unreachable ones are removed too. Links and their
+ *   redirects are only requested on public addresses (see host-guard.js)
+ * - Only the first link to each URL is kept, and at most MAX_INTERNAL_LINKS links overall
+ *   (callers adding their own links, e.g. to related posts, raise `maxLinks`)
+ *
+ * Images and their Unsplash photo credits are left alone.
+ */
+
+const { httpRequest } = require('../utils/http-client');
+const { IMAGE_BLOCK_PATTERN } = require('./rewrite-section');
+
+// ── Configuration ────────────────────────────────────────────
+const MAX_INTERNAL_LINKS = 3;
+const BLOCKED_STATUSES = [401, 403, 429]; // Bot protection, not a broken page: keep the link
+const MAX_REDIRECTS = 5;
+// ─────────────────────────────────────────────────────────────
+
+const LINK_PATTERN = new RegExp(`(${IMAGE_BLOCK_PATTERN.source})|\\[([^\\]]+)\\]\\(\\s*<?([^)\\s>]+)>?(?:\\s+"[^"]*")?\\s*\\)`, 'g');
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|gclid|fbclid|ref)$/i;
+
+/**
+ * Comparable form of a URL: host without www, path without trailing slash,
+ * tracking parameters and fragment dropped
+ * @param {string} url - Absolute or relative URL
+ * @param {string|null} base - Base for relative URLs (the user's site)
+ * @returns {string|null} - null for anything that isn't an http(s) URL
+ */
+function normalizeUrl(url, base = null) {
+  let parsed;
+  try {
+    parsed = base ? new URL(url, base) : new URL(url);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAM_PATTERN.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const search = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${search}`;
+}
+
+/**
+ * Allowed links as URLs; `extractedLinks` entries are strings or { url, text }
+ * @param {Array<string|Object>} links - Allowed links
+ * @returns {string[]}
+ */
+function toUrls(links) {
+  return (links || []).map((link) => (typeof link === 'string' ? link : link?.url)).filter(Boolean);
+}
+
+/**
+ * Request a link, following redirects by hand so every hop passes the host guard
+ * @param {string} url - Absolute URL
+ * @param {string} method - HEAD or GET
+ * @returns {Promise<Response>} - First non-redirect response
+ * @throws {BlockedHostError} - When the link or a redirect target isn't a public address
+ * @throws {Error} - After MAX_REDIRECTS redirects
+ */
+async function requestLink(url, method) {
+  for (let redirects = 0; ; redirects++) {
+    const response = await httpRequest('links', url, { method });
+    const location = response.status >= 300 && response.status < 400 ? response.headers?.get('location') : null;
+    if (!location) return response;
+
+    await response.text().catch(() => {});
+    if (redirects >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    url = new URL(location, url).href;
+  }
+}
+
+/**
+ * Default reachability check: HEAD, falling back to GET for servers that refuse HEAD.
+ * Links to non-public addresses are reported unreachable without being requested.
+ * @param {string} url - Absolute URL
+ * @returns {Promise<{ok: boolean, status: number|null, error?: string}>}
+ */
+async function checkLink(url) {
+  try {
+    let response = await requestLink(url, 'HEAD');
+    if (response.status === 405 || response.status === 501) {
+      response = await requestLink(url, 'GET');
+    }
+    await response.text().catch(() => {});
+
+    return { ok: response.status < 400 || BLOCKED_STATUSES.includes(response.status), status: response.status };
+  } catch (error) {
+    return { ok: false, status: null, error: error.message };
+  }
+}
+
+/**
+ * Apply the link policy to markdown
+ * @param {string} content - Article markdown
+ * @param {Object} options - {
+ *   allowedLinks: the user's extractedLinks (strings or { url }),
+ *   siteUrl?: base for relative links (defaults to the first allowed link's site),
+ *   checkLink?: async (url) => { ok, status } (defaults to a HEAD request),
+ *   checked?: Map of url → check result, shared between calls to avoid re-checking,
+ *   maxLinks?: links kept at most (default MAX_INTERNAL_LINKS)
+ * }
+ * @returns {Promise<{content: string, links: Object[], removedLinks: Object[]}>} - links:
+ *   [{ url, anchor, status, originalUrl? }]; removedLinks: [{ url, anchor, reason, status? }]
+ *   with reason 'not-allowed' | 'unreachable' | 'duplicate' | 'limit'
+ */
+async function applyLinkPolicy(content, { allowedLinks = [], siteUrl = null, checkLink: check = checkLink, checked = new Map(), maxLinks = MAX_INTERNAL_LINKS } = {}) {
+  const allowedUrls = toUrls(allowedLinks);
+  const base = siteUrl || allowedUrls.find((url) => normalizeUrl(url)) || null;
+  const allowed = new Map(allowedUrls.map((url) => [normalizeUrl(url), url]).filter(([key]) => key));
+
+  const matches = [...String(content || '').matchAll(LINK_PATTERN)].filter((match) => !match[1]);
+  const decisions = [];
+  const kept = new Set();
+
+  for (const match of matches) {
+    const [, , anchor, url] = match;
+    const target = allowed.get(normalizeUrl(url, base));
+
+    if (!target) {
+      decisions.push({ match, removed: { url, anchor, reason: 'not-allowed' } });
+      continue;
+    }
+    if (kept.has(target)) {
+      decisions.push({ match, removed: { url, anchor, reason: 'duplicate' } });
+      continue;
+    }
+    if (kept.size >= maxLinks) {
+      decisions.push({ match, removed: { url, anchor, reason: 'limit' } });
+      continue;
+    }
+
+    if (!checked.has(target)) checked.set(target, await check(target));
+    const result = checked.get(target);
+    if (!result.ok) {
+      decisions.push({ match, removed: { url, anchor, reason: 'unreachable', status: result.status } });
+      continue;
+    }
+
+    kept.add(target);
+    decisions.push({ match, link: { url: target, anchor, status: result.status, ...(target !== url ? { originalUrl: url } : {}) } });
+  }
+
+  // Rebuild from the end so earlier offsets stay valid
+  let output = String(content || '');
+  for (const { match, link, removed } of [...decisions].reverse()) {
+    const replacement = link ? `[${link.anchor}](${link.url})` : removed.anchor;
+    output = output.slice(0, match.index) + replacement + output.slice(match.index + match[0].length);
+  }
+
+  return {
+    content: output,
+    links: decisions.filter((decision) => decision.link).map((decision) => decision.link),
+    removedLinks: decisions.filter((decision) => decision.removed).map((decision) => decision.removed)
+  };
+}
+
+module.exports = {
+  MAX_INTERNAL_LINKS,
+  normalizeUrl,
+  toUrls,
+  checkLink,
+  applyLinkPolicy
+};
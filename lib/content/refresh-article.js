@@ -0,0 +1,213 @@
+/**
+ * Refresh Article Module
+ *
+ * Keeps published articles current. Research is baked in at generation time,
+ * so after a few months statistics and "this year" references go stale.
+ * A refresh:
+ * 1. Re-runs research for the article's target keyword
+ * 2. Asks the model for outdated passages (facts, statistics, years) and their replacements
+ * 3. Applies the replacements that match the text verbatim and saves a new revision
+ * Each refresh is appended to `refreshHistory` on the article as a changelog:
+ *   { refreshedAt, revision, changes: [{ original, updated, reason }], skipped, sources }
+ * Publish the article again to push the refreshed text to the live post.
+ */
+
+const { generateJSON, research } = require('../llm/llm-client');
+const { refreshAuditSchema } = require('../llm/schemas');
+const { WorkflowError, articlesRef, articleRef } = require('../articles/article-workflow');
+const { saveRevision } = require('../articles/article-revisions');
+const { IMAGE_BLOCK_PATTERN } = require('./rewrite-section');
+
+// ── Configuration ────────────────────────────────────────────
+const DEFAULT_REFRESH_AFTER_MONTHS = 6;
+const RETRY_AFTER_HOURS = 24;   // A failed refresh is not picked up again for this long
+const MAX_HISTORY_ENTRIES = 10; // Changelog entries kept on the article
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * When an article's content was last brought up to date
+ */
+function getFreshAsOf(article) {
+  return article.lastRefreshedAt || article.createdAt || null;
+}
+
+/**
+ * Find published articles that have not been generated or refreshed for a while
+ * @param {string} uid - User ID
+ * @param {Object} options - { months?: number, now?: Date, limit?: number }
+ * @returns {Promise<Array<{id: string, title: string, targetKeyword: string, freshAsOf: string}>>} - Oldest first
+ */
+async function findStaleArticles(uid, { months = DEFAULT_REFRESH_AFTER_MONTHS, now = new Date(), limit = 20 } = {}) {
+  const cutoff = new Date(now);
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - months);
+  const retryCutoff = new Date(now.getTime() - RETRY_AFTER_HOURS * 60 * 60 * 1000).toISOString();
+
+  const snapshot = await articlesRef(uid).where('status', '==', 'published').get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((article) => {
+      const freshAsOf = getFreshAsOf(article);
+      return freshAsOf && freshAsOf < cutoff.toISOString()
+        && !(article.refreshAttemptedAt && article.refreshAttemptedAt > retryCutoff);
+    })
+    .sort((a, b) => getFreshAsOf(a).localeCompare(getFreshAsOf(b)))
+    .slice(0, limit)
+    .map((article) => ({
+      id: article.id,
+      title: article.title,
+      targetKeyword: article.targetKeyword || null,
+      freshAsOf: getFreshAsOf(article)
+    }));
+}
+
+/**
+ * Apply verbatim replacements to the content
+ * @returns {{content: string, applied: Object[], skipped: Object[]}}
+ */
+function applyChanges(content, changes) {
+  const applied = [];
+  const skipped = [];
+
+  for (const change of changes) {
+    if (change.original === change.updated || !content.includes(change.original)) {
+      skipped.push(change);
+      continue;
+    }
+    content = content.replace(change.original, () => change.updated);
+    applied.push({ original: change.original, updated: change.updated, reason: change.reason });
+  }
+
+  return { content, applied, skipped };
+}
+
+/**
+ * Refresh one article with new research and save the result as a revision
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {Object} options - { actor?, now?: Date }
+ * @returns {Promise<Object>} - { articleId, revision (null when nothing changed), changes, skipped }
+ * @throws {WorkflowError} - 404 unknown article, 409 archived article
+ */
+async function refreshArticle(uid, articleId, { actor = 'refresh', now = new Date() } = {}) {
+  const ref = articleRef(uid, articleId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    throw new WorkflowError('Article not found', 404);
+  }
+
+  const article = doc.data();
+  if (article.status === 'archived') {
+    throw new WorkflowError('Archived articles cannot be refreshed', 409);
+  }
+
+  await ref.update({ refreshAttemptedAt: now.toISOString() });
+
+  const keyword = article.targetKeyword || article.title;
+  const currentYear = now.getUTCFullYear();
+  const freshAsOf = (getFreshAsOf(article) || '').slice(0, 10) || 'an earlier date';
+  const location = article.location || article.city || '';
+
+  console.log(`🔄 Refreshing article ${articleId} ("${article.title}") for user ${uid}...`);
+
+  const researchPrompt = `You are a research assistant updating an existing blog post.
+
+[TARGET KEYWORD]: "${keyword}"
+${location ? `[MARKET]: ${location}\n` : ''}
+The post was written on ${freshAsOf}. Today is ${now.toISOString().slice(0, 10)}.
+
+Find what has changed about "${keyword}" since then:
+1. The most recent statistics and data points (state the year each one is from)
+2. New regulations, standards, prices or best practices
+3. Anything that used to be true and no longer is
+
+Focus EXCLUSIVELY on "${keyword}". Prefer authoritative sources from the last 12 months. Avoid Wikipedia.`;
+
+  const { content: newResearch, citations } = await research({ step: 'refresh.research', prompt: researchPrompt });
+
+  console.log(`✅ Refresh research completed (${citations.length} sources)`);
+
+  const articleText = article.content.replace(IMAGE_BLOCK_PATTERN, '').replace(/\n{3,}/g, '\n\n');
+
+  const auditPrompt = `You are a fact-checking editor. Today is ${now.toISOString().slice(0, 10)}; the current year is ${currentYear}.
+
+The blog post below was written on ${freshAsOf} about "${keyword}".
+
+NEW RESEARCH:
+${newResearch}
+
+BLOG POST:
+${articleText}
+
+Find passages in the blog post that are now outdated:
+- Statistics or facts contradicted or superseded by the new research
+- Years presented as current or upcoming ("in ${currentYear - 1}", "${currentYear - 1} Edition", "this year") that should now say ${currentYear}
+- Prices, regulations or recommendations that have changed
+
+For each one, return:
+- "original": the exact text from the blog post, copied character for character (one sentence or less)
+- "updated": the replacement text, same tone and length, no em dashes, no links
+- "reason": one short sentence on what changed, naming the source where there is one
+
+Do NOT rewrite for style. Do NOT change anything the new research does not support. If nothing is outdated, return an empty list.
+
+OUTPUT FORMAT (return as valid JSON):
+{
+  "changes": [
+    { "original": "...", "updated": "...", "reason": "..." }
+  ]
+}`;
+
+  const audit = await generateJSON({
+    step: 'refresh.audit',
+    prompt: auditPrompt,
+    schema: refreshAuditSchema,
+    maxTokens: 3000
+  });
+
+  // Replacements and the changelog are applied to the article as it is now, in
+  // one transaction, so edits made while the research ran are kept. The callbacks
+  // may run more than once; `result` holds the outcome of the run that committed.
+  const refreshedAt = new Date().toISOString();
+  let result;
+  const { revision: saved, changedFields } = await saveRevision(uid, articleId, (latest) => {
+    result = applyChanges(latest.content || '', audit.changes);
+    return { content: result.content };
+  }, {
+    actor,
+    note: 'Refreshed with new research; the changes are listed in refreshHistory',
+    source: 'refresh',
+    update: (latest, { revision: next, changedFields: changed }) => ({
+      lastRefreshedAt: refreshedAt,
+      refreshAttemptedAt: null,
+      researchData: newResearch,
+      researchSources: [...new Set([...(latest.researchSources || []), ...citations])],
+      refreshHistory: [...(latest.refreshHistory || []), {
+        refreshedAt,
+        revision: changed.length > 0 ? next : null,
+        changes: result.applied,
+        skipped: result.skipped.length,
+        sources: citations
+      }].slice(-MAX_HISTORY_ENTRIES)
+    })
+  });
+  const { applied, skipped } = result;
+  const revision = changedFields.length > 0 ? saved : null;
+
+  console.log(`📝 ${applied.length} outdated passages updated, ${skipped.length} suggestions skipped (no exact match)`);
+
+  console.log(`✅ Article ${articleId} refreshed${revision ? ` (revision ${revision})` : ' (already up to date)'}`);
+
+  return {
+    articleId,
+    revision,
+    changes: applied,
+    skipped: skipped.length
+  };
+}
+
+module.exports = {
+  DEFAULT_REFRESH_AFTER_MONTHS,
+  findStaleArticles,
+  refreshArticle
+};
@@ -0,0 +1,217 @@
+/**
+ * Rewrite Section Module
+ *
+ * Rewrites one H2 section of a generated article without regenerating the
+ * whole post. The stored outline and filtered research keep the new text on
+ * topic; the Unsplash images inside the section are kept as they are.
+ * The result is saved as a new article revision (source 'rewrite').
+ */
+
+const { db } = require('../../firebase');
+const { generateText } = require('../llm/llm-client');
+const { WorkflowError, articleRef } = require('../articles/article-workflow');
+const { saveRevision } = require('../articles/article-revisions');
+
+const MAX_INSTRUCTIONS_LENGTH = 500;
+
+// Image + Unsplash credit blocks inserted by generate-blog.js
+const IMAGE_BLOCK_PATTERN = /!\[[^\]]*\]\([^)\s]+\)(?:\n\*Photo by [^\n]*\*)?/g;
+
+/**
+ * Canned instructions selectable by name, built from the article's context
+ */
+const REWRITE_PRESETS = {
+  shorter: () => 'Cut the section to roughly half its current length. Keep the strongest points and the takeaways list.',
+  more_local: (article) => (article.businessType === 'local' && article.location
+    ? `Make the section more local to ${article.location}: refer to local conditions, regulations or customer situations there where they genuinely apply.`
+    : `Make the section speak directly to readers in the ${article.location || 'target'} market.`),
+  add_statistic: () => 'Add one specific statistic from the research, naming its source in the sentence (no link).',
+};
+
+/**
+ * Split markdown into its H2 sections
+ * @param {string} content - Article markdown
+ * @returns {Array<{heading: string, start: number, end: number}>} - Offsets of each section in `content`
+ */
+function splitSections(content) {
+  const starts = [...content.matchAll(/^## .*$/gm)].map((match) => ({ heading: match[0].slice(3).trim(), start: match.index }));
+
+  return starts.map((section, i) => ({
+    ...section,
+    end: i + 1 < starts.length ? starts[i + 1].start : content.length,
+  }));
+}
+
+/**
+ * Find the outline entry for a section: same heading, else same position
+ */
+function findOutlineSection(outline, heading, index) {
+  const sections = outline?.sections || [];
+  const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+  return sections.find((section) => normalize(section.h2) === normalize(heading)) || sections[index] || null;
+}
+
+/**
+ * Turn requested presets and free-text instructions into one instruction list
+ * @throws {WorkflowError} - 400 for unknown presets or overlong instructions
+ */
+function buildInstructions(article, { presets = [], instructions = null }) {
+  if (!Array.isArray(presets)) {
+    throw new WorkflowError('presets must be an array');
+  }
+  const unknown = presets.filter((preset) => !REWRITE_PRESETS[preset]);
+  if (unknown.length > 0) {
+    throw new WorkflowError(`Unknown presets: ${unknown.join(', ')} (use ${Object.keys(REWRITE_PRESETS).join(', ')})`);
+  }
+  if (instructions != null && (typeof instructions !== 'string' || instructions.length > MAX_INSTRUCTIONS_LENGTH)) {
+    throw new WorkflowError(`instructions must be a string of at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+  }
+
+  const list = presets.map((preset) => REWRITE_PRESETS[preset](article));
+  if (instructions && instructions.trim()) {
+    list.push(instructions.trim());
+  }
+  return list;
+}
+
+/**
+ * Clean the model's reply: drop code fences and make sure it opens with the section heading
+ */
+function normalizeSection(text, heading) {
+  let section = String(text || '').trim().replace(/^```(?:markdown|md)?\n([\s\S]*?)\n```$/, '$1').trim();
+  // A stray H1 or preamble before the heading is dropped
+  const headingIndex = section.search(/^## /m);
+  if (headingIndex > 0) {
+    section = section.slice(headingIndex);
+  }
+  if (!section.startsWith('## ')) {
+    section = `## ${heading}\n\n${section}`;
+  }
+  return section;
+}
+
+/**
+ * Rewrite one H2 section of an article and save it as a new revision
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID
+ * @param {number} sectionIndex - 0-based index of the H2 section in the article
+ * @param {Object} options - { presets?: string[], instructions?: string, actor? }
+ * @returns {Promise<Object>} - { articleId, sectionIndex, heading, section, revision }
+ * @throws {WorkflowError} - 404 unknown article or section, 400 bad index or options, 409 archived article or
+ *   the section was edited during the rewrite
+ */
+async function rewriteSection(uid, articleId, sectionIndex, { presets = [], instructions = null, actor = null } = {}) {
+  const articleDoc = await articleRef(uid, articleId).get();
+  if (!articleDoc.exists) {
+    throw new WorkflowError('Article not found', 404);
+  }
+
+  const article = articleDoc.data();
+  if (article.status === 'archived') {
+    throw new WorkflowError('Archived articles cannot be edited; restore to draft first', 409);
+  }
+
+  const sections = splitSections(article.content || '');
+  if (!Number.isInteger(sectionIndex) || sectionIndex < 0) {
+    throw new WorkflowError('Section index must be a non-negative integer');
+  }
+  if (sectionIndex >= sections.length) {
+    throw new WorkflowError(`Section ${sectionIndex} not found (article has ${sections.length} sections)`, 404);
+  }
+
+  const extraInstructions = buildInstructions(article, { presets, instructions });
+  const target = sections[sectionIndex];
+  const currentText = article.content.slice(target.start, target.end);
+  const images = currentText.match(IMAGE_BLOCK_PATTERN) || [];
+  const currentWithoutImages = currentText.replace(IMAGE_BLOCK_PATTERN, '').replace(/\n{3,}/g, '\n\n').trim();
+  const outlineSection = findOutlineSection(article.outline, target.heading, sectionIndex);
+
+  const userDoc = await db.collection('users').doc(uid).get();
+  const services = (userDoc.exists && userDoc.data().services) || [];
+  const isLocalBusiness = article.businessType === 'local';
+  const keyword = article.targetKeyword || article.title;
+
+  console.log(`✏️ Rewriting section ${sectionIndex} ("${target.heading}") of article ${articleId} for user ${uid}`);
+
+  const prompt = `You are an expert content editor. Rewrite ONE section of an existing blog post.
+
+ARTICLE TITLE: "${article.title}"
+
+TARGET KEYWORD: "${keyword}"
+
+🎯 TOPIC BOUNDARY:
+Write ONLY about "${keyword}". Ignore research points about other topics, tools, types, or alternatives.
+
+BUSINESS CONTEXT:
+- Business: ${article.businessName || 'the business'}
+- Type: ${article.businessTypeIdentifier || 'N/A'}
+${isLocalBusiness ? `- Location: ${article.location}` : `- Target Market: ${article.location || 'N/A'}`}
+${services.length > 0 ? `- Services (mention only those directly about "${keyword}"): ${services.map((s) => s.name || s).join(', ')}` : ''}
+
+ARTICLE STRUCTURE (for continuity, do not repeat other sections):
+${sections.map((section, i) => `${i === sectionIndex ? '→' : ' '} ${i}. ${section.heading}`).join('\n')}
+${outlineSection ? `\nOUTLINE FOR THIS SECTION:\n${JSON.stringify(outlineSection, null, 2)}\n` : ''}
+RESEARCH & DATA:
+${article.researchData || '(none stored)'}
+
+CURRENT SECTION:
+${currentWithoutImages}
+
+REWRITE REQUIREMENTS:
+- Keep the heading "## ${target.heading}" unless it is off-topic
+- Keep H3 subheadings, lists and bold terms where they help
+- Professional yet conversational, short paragraphs (2-4 sentences)
+- NEVER use em dashes (—) or en dashes (–)
+- NEVER add external links; keep any internal links already in the section
+- Use statistics only from the research above
+${/\*\*(3 Key Takeaways|Action Items)\*\*/.test(currentWithoutImages) ? '- End with the bolded, bulleted "**3 Key Takeaways**" or "**Action Items**" list, as the current section does\n' : ''}${extraInstructions.length > 0 ? `\nEDITOR INSTRUCTIONS (follow these first):\n${extraInstructions.map((line) => `- ${line}`).join('\n')}\n` : ''}
+OUTPUT FORMAT:
+Output ONLY the rewritten section in markdown, starting with its "## " heading. No commentary, no other sections, no images.`;
+
+  const rewritten = await generateText({
+    step: 'blog.section-rewrite',
+    prompt,
+    system: 'You are a laser-focused SEO editor. You rewrite exactly the section you are given and nothing else.',
+    maxTokens: 2000
+  });
+
+  let section = normalizeSection(rewritten, target.heading);
+  if (images.length > 0) {
+    section += `\n\n${images.join('\n\n')}`;
+  }
+
+  // Splice into the article as it is now: edits made elsewhere while the model
+  // was writing are kept; edits to this section itself would be lost, so refuse
+  const { revision } = await saveRevision(uid, articleId, (latest) => {
+    const latestContent = latest.content || '';
+    const current = splitSections(latestContent).find((candidate) => latestContent.slice(candidate.start, candidate.end) === currentText);
+    if (!current) {
+      throw new WorkflowError('The section was changed while it was being rewritten; reload the article and try again', 409);
+    }
+
+    const separator = current.end < latestContent.length ? '\n\n' : '\n';
+    return { content: latestContent.slice(0, current.start) + section + separator + latestContent.slice(current.end) };
+  }, {
+    actor,
+    note: `Rewrote section ${sectionIndex} (${target.heading})${presets.length > 0 ? ` [${presets.join(', ')}]` : ''}`,
+    source: 'rewrite'
+  });
+
+  console.log(`✅ Section ${sectionIndex} of article ${articleId} rewritten (revision ${revision})`);
+
+  return {
+    articleId,
+    sectionIndex,
+    heading: target.heading,
+    section,
+    revision
+  };
+}
+
+module.exports = {
+  IMAGE_BLOCK_PATTERN,
+  REWRITE_PRESETS,
+  splitSections,
+  rewriteSection
+};
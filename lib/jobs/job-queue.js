@@ -0,0 +1,310 @@
+/**
+ * Durable Job Queue
+ *
+ * Firestore-backed queue for long-running pipelines (SEO analysis, blog generation).
+ * Jobs live in the top-level `jobs` collection so a restarted server can pick up
+ * whatever was queued or left running when it went down.
+ *
+ * Lifecycle: queued → running → completed | failed
+ * - A worker claims a job transactionally and holds a lease on it
+ * - The lease is extended by heartbeats while the job runs
+ * - Failed attempts are re-queued with exponential backoff until maxAttempts
+ * - Running jobs whose lease expired (crashed server) are re-queued on boot
+ *
+ * Note: claiming queries status + runAfter and needs a composite index on
+ * jobs (status ASC, runAfter ASC); recovery needs (status ASC, leaseExpiresAt ASC)
+ * and de-duplication needs (uid ASC, type ASC, status ASC).
+ */
+
+const { db } = require('../../firebase');
+
+// ── Configuration ────────────────────────────────────────────
+const JOBS_COLLECTION = 'jobs';
+const DEFAULT_MAX_ATTEMPTS = 3;
+const LEASE_DURATION_MS = 2 * 60 * 1000;    // Lease must be renewed within 2 minutes
+const BACKOFF_BASE_MS = 30 * 1000;           // First retry after ~30 seconds
+const BACKOFF_MAX_MS = 30 * 60 * 1000;       // Never wait more than 30 minutes
+// ─────────────────────────────────────────────────────────────
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Calculate retry delay for the given attempt number (exponential with jitter)
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempts) {
+  const exponential = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  const jitter = Math.random() * exponential * 0.2;
+  return Math.round(exponential + jitter);
+}
+
+/**
+ * Convert a job snapshot into a plain object
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object|null}
+ */
+function toJob(doc) {
+  if (!doc.exists) return null;
+  return { id: doc.id, ...doc.data() };
+}
+
+function activeJobQuery(type, uid) {
+  return db.collection(JOBS_COLLECTION)
+    .where('uid', '==', uid)
+    .where('type', '==', type)
+    .where('status', 'in', ACTIVE_STATUSES)
+    .limit(1);
+}
+
+/**
+ * Find a queued or running job of the given type for a user
+ * @param {string} type - Job type (e.g. 'seo-analysis')
+ * @param {string} uid - User ID
+ * @returns {Promise<Object|null>} - Active job or null
+ */
+async function findActiveJob(type, uid) {
+  const snapshot = await activeJobQuery(type, uid).get();
+  return snapshot.empty ? null : toJob(snapshot.docs[0]);
+}
+
+/**
+ * Add a job to the queue. With `dedupe`, the lookup for an active job and the
+ * write of the new one happen in one transaction, so concurrent requests
+ * cannot both create a job.
+ * @param {string} type - Job type (must have a handler registered in job-worker)
+ * @param {string} uid - User the job runs for
+ * @param {Object} payload - Handler-specific input
+ * @param {Object} options - { maxAttempts, dedupe }
+ * @returns {Promise<{jobId: string, existing: boolean}>} - Job ID (existing active job when deduped)
+ */
+async function enqueueJob(type, uid, payload = {}, options = {}) {
+  const { maxAttempts = DEFAULT_MAX_ATTEMPTS, dedupe = true } = options;
+
+  const now = new Date().toISOString();
+  const jobRef = db.collection(JOBS_COLLECTION).doc();
+  const job = {
+    type,
+    uid,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts,
+    runAfter: now,
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    heartbeatAt: null,
+    result: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const activeJob = await db.runTransaction(async (transaction) => {
+    if (dedupe) {
+      const snapshot = await transaction.get(activeJobQuery(type, uid));
+      if (!snapshot.empty) return toJob(snapshot.docs[0]);
+    }
+    transaction.set(jobRef, job);
+    return null;
+  });
+
+  if (activeJob) {
+    console.log(`♻️ [Jobs] ${type} already ${activeJob.status} for user ${uid} (job ${activeJob.id})`);
+    return { jobId: activeJob.id, existing: true };
+  }
+
+  console.log(`📥 [Jobs] Enqueued ${type} for user ${uid} (job ${jobRef.id})`);
+  return { jobId: jobRef.id, existing: false };
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(jobId) {
+  const doc = await db.collection(JOBS_COLLECTION).doc(jobId).get();
+  return toJob(doc);
+}
+
+/**
+ * Claim the next runnable job for a worker.
+ * The status check and lease write happen in one transaction so two workers
+ * can never run the same job.
+ * @param {string} workerId - Unique ID of the claiming worker
+ * @returns {Promise<Object|null>} - Claimed job or null if none is runnable
+ */
+async function claimNextJob(workerId) {
+  const now = new Date().toISOString();
+
+  const candidates = await db.collection(JOBS_COLLECTION)
+    .where('status', '==', 'queued')
+    .where('runAfter', '<=', now)
+    .orderBy('runAfter', 'asc')
+    .limit(5)
+    .get();
+
+  for (const candidate of candidates.docs) {
+    const claimed = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(candidate.ref);
+      const job = doc.data();
+
+      if (!doc.exists || job.status !== 'queued') {
+        return null;
+      }
+
+      const claimedAt = new Date();
+      const update = {
+        status: 'running',
+        attempts: (job.attempts || 0) + 1,
+        leaseOwner: workerId,
+        leaseExpiresAt: new Date(claimedAt.getTime() + LEASE_DURATION_MS).toISOString(),
+        heartbeatAt: claimedAt.toISOString(),
+        startedAt: claimedAt.toISOString(),
+        updatedAt: claimedAt.toISOString()
+      };
+
+      transaction.update(candidate.ref, update);
+      return { id: doc.id, ...job, ...update };
+    });
+
+    if (claimed) {
+      return claimed;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Renew the lease on a running job
+ * @param {string} jobId - Job ID
+ * @param {string} workerId - Worker holding the lease
+ * @returns {Promise<boolean>} - False if the lease was lost to another worker
+ */
+async function heartbeatJob(jobId, workerId) {
+  const jobRef = db.collection(JOBS_COLLECTION).doc(jobId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(jobRef);
+    if (!doc.exists) return false;
+
+    const job = doc.data();
+    if (job.status !== 'running' || job.leaseOwner !== workerId) {
+      return false;
+    }
+
+    const now = new Date();
+    transaction.update(jobRef, {
+      heartbeatAt: now.toISOString(),
+      leaseExpiresAt: new Date(now.getTime() + LEASE_DURATION_MS).toISOString(),
+      updatedAt: now.toISOString()
+    });
+    return true;
+  });
+}
+
+/**
+ * Mark a job as completed
+ * @param {string} jobId - Job ID
+ * @param {Object|null} result - Small summary of the job result
+ * @returns {Promise<void>}
+ */
+async function completeJob(jobId, result = null) {
+  const now = new Date().toISOString();
+
+  await db.collection(JOBS_COLLECTION).doc(jobId).update({
+    status: 'completed',
+    result,
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    completedAt: now,
+    updatedAt: now
+  });
+}
+
+/**
+ * Record a failed attempt. The job is re-queued with backoff until it runs
+ * out of attempts, after which it is marked failed for good.
+ * Errors flagged `retryable: false` (e.g. quota exceeded) fail immediately.
+ * @param {Object} job - Job as returned by claimNextJob
+ * @param {Error} error - Error thrown by the handler
+ * @returns {Promise<{willRetry: boolean, runAfter: string|null}>}
+ */
+async function failJob(job, error) {
+  const now = new Date();
+  const message = error instanceof Error ? error.message : String(error);
+  const willRetry = job.attempts < job.maxAttempts && error?.retryable !== false;
+
+  const update = {
+    lastError: message,
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    updatedAt: now.toISOString()
+  };
+
+  if (willRetry) {
+    update.status = 'queued';
+    update.runAfter = new Date(now.getTime() + getBackoffDelay(job.attempts)).toISOString();
+  } else {
+    update.status = 'failed';
+    update.completedAt = now.toISOString();
+  }
+
+  await db.collection(JOBS_COLLECTION).doc(job.id).update(update);
+
+  return { willRetry, runAfter: update.runAfter || null };
+}
+
+/**
+ * Re-queue running jobs whose lease has expired (their worker died mid-run)
+ * @returns {Promise<number>} - Number of jobs recovered
+ */
+async function recoverExpiredJobs() {
+  const now = new Date().toISOString();
+
+  const snapshot = await db.collection(JOBS_COLLECTION)
+    .where('status', '==', 'running')
+    .where('leaseExpiresAt', '<', now)
+    .get();
+
+  let recovered = 0;
+
+  for (const doc of snapshot.docs) {
+    const requeued = await db.runTransaction(async (transaction) => {
+      const fresh = await transaction.get(doc.ref);
+      const job = fresh.data();
+
+      if (!fresh.exists || job.status !== 'running' || job.leaseExpiresAt >= now) {
+        return false;
+      }
+
+      transaction.update(doc.ref, {
+        status: job.attempts < job.maxAttempts ? 'queued' : 'failed',
+        runAfter: now,
+        lastError: `Lease held by ${job.leaseOwner} expired at ${job.leaseExpiresAt}`,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        updatedAt: now
+      });
+      return true;
+    });
+
+    if (requeued) recovered++;
+  }
+
+  return recovered;
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  findActiveJob,
+  claimNextJob,
+  heartbeatJob,
+  completeJob,
+  failJob,
+  recoverExpiredJobs,
+  LEASE_DURATION_MS
+};
@@ -0,0 +1,250 @@
+/**
+ * Job Worker
+ *
+ * Polls the durable job queue and runs one job at a time.
+ * On boot it re-queues jobs abandoned by a previous process (expired leases),
+ * so a restart mid-run resumes the work instead of leaving the user stuck.
+ */
+
+const os = require('os');
+const {
+  claimNextJob,
+  heartbeatJob,
+  completeJob,
+  failJob,
+  recoverExpiredJobs,
+  LEASE_DURATION_MS
+} = require('./job-queue');
+const { runWithUsageContext } = require('../usage/usage-context');
+
+// ── Configuration ────────────────────────────────────────────
+const POLL_INTERVAL_MS = 5 * 1000;                      // Check for new jobs every 5 seconds
+const HEARTBEAT_INTERVAL_MS = LEASE_DURATION_MS / 4;   // Renew lease well before it expires
+const RECOVERY_INTERVAL_MS = 5 * 60 * 1000;            // Sweep for abandoned jobs every 5 minutes
+// ─────────────────────────────────────────────────────────────
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+/**
+ * Run a pipeline that counts against a monthly quota. The job reserves a slot
+ * before it runs (retries keep the reservation), the run is counted once it
+ * completes, and the slot is given back when the job fails for good.
+ * @param {Object} job - Claimed job
+ * @param {string} pipeline - Pipeline name from quota's PIPELINE_METRICS
+ * @param {Function} run - async () => result
+ */
+async function runWithQuotaSlot(job, pipeline, run) {
+  const { reserveQuota, recordQuotaUsage, releaseQuota } = require('../usage/quota');
+
+  await reserveQuota(job.uid, pipeline, job.id);
+
+  let result;
+  try {
+    result = await run();
+  } catch (error) {
+    if (job.attempts >= job.maxAttempts || error?.retryable === false) {
+      await releaseQuota(job.uid, pipeline, job.id);
+    }
+    throw error;
+  }
+
+  await recordQuotaUsage(job.uid, pipeline, job.id);
+  return result;
+}
+
+/**
+ * Job handlers by type. Each receives the claimed job and returns a small
+ * JSON-serializable summary that is stored on the job document.
+ * Required lazily so pipeline modules can enqueue jobs without a require cycle.
+ */
+const handlers = {
+  'seo-analysis': async (job) => {
+    const { updateSEOAnalysisStatus } = require('../seo-analysis-status');
+    const { processSEOAnalysis } = require('../seo/process-seo-analysis');
+
+    // Retries pick up from the last completed stage instead of paying for it again
+    const resume = !!job.payload?.resume || job.attempts > 1;
+
+    // processSEOAnalysis records its own failures; errors before it starts (quota) are recorded here
+    let started = false;
+    let result;
+    try {
+      result = await runWithQuotaSlot(job, 'seo-analysis', async () => {
+        started = true;
+        await updateSEOAnalysisStatus(job.uid, 'processing');
+        return processSEOAnalysis(job.uid, { resume });
+      });
+    } catch (error) {
+      if (!started) {
+        await updateSEOAnalysisStatus(job.uid, 'failed', error.message);
+      }
+      throw error;
+    }
+
+    return {
+      businessType: result.results?.businessType || null,
+      totalCompetitors: result.results?.summary?.totalCompetitors || 0
+    };
+  },
+
+  'blog-generation': async (job) => {
+    const { db } = require('../../firebase');
+    const { generateBlogPost } = require('../content/generate-blog');
+
+    const { contentPlanId, titleIndex, expectedTitle } = job.payload || {};
+    const result = await runWithQuotaSlot(job, 'blog-generation', () => generateBlogPost(job.uid, { contentPlanId, titleIndex, expectedTitle }));
+
+    if (job.payload?.source === 'calendar') {
+      await db.collection('users').doc(job.uid).update({
+        lastBlogGeneratedAt: new Date().toISOString(),
+      });
+    }
+
+    return {
+      articleId: result.data.articleId,
+      title: result.data.title,
+      wordCount: result.data.wordCount,
+      status: result.data.status
+    };
+  },
+
+  'article-publish': async (job) => {
+    const { publishArticle } = require('../publishing/publish-article');
+
+    const { articleId, platform, status } = job.payload;
+    return publishArticle(job.uid, articleId, { platform, status });
+  },
+
+  'article-refresh': async (job) => {
+    const { refreshArticle } = require('../content/refresh-article');
+    const { assertWithinQuota } = require('../usage/quota');
+
+    await assertWithinQuota(job.uid, 'article-refresh');
+    return refreshArticle(job.uid, job.payload.articleId, { actor: job.payload.source === 'scheduler' ? 'scheduler' : 'refresh' });
+  },
+
+  'internal-link-backfill': async (job) => {
+    const { backfillInternalLinks } = require('../content/internal-linking');
+    const { assertWithinQuota } = require('../usage/quota');
+
+    await assertWithinQuota(job.uid, 'internal-link-backfill');
+    return backfillInternalLinks(job.uid, job.payload.articleId);
+  }
+};
+
+let running = false;
+let pollTimer = null;
+let recoveryTimer = null;
+
+/**
+ * Run a single claimed job, keeping its lease alive until it settles
+ * @param {Object} job - Claimed job
+ */
+async function runJob(job) {
+  const handler = handlers[job.type];
+
+  console.log(`⚙️ [Jobs] Running ${job.type} for user ${job.uid} (job ${job.id}, attempt ${job.attempts}/${job.maxAttempts})`);
+
+  const heartbeat = setInterval(() => {
+    heartbeatJob(job.id, WORKER_ID)
+      .then((stillOwned) => {
+        if (!stillOwned) {
+          console.warn(`⚠️ [Jobs] Lost lease on job ${job.id}`);
+        }
+      })
+      .catch((error) => {
+        console.error(`⚠️ [Jobs] Heartbeat failed for job ${job.id}:`, error.message);
+      });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+
+    // Attribute every API call made by the handler to this user and pipeline
+    const result = await runWithUsageContext(
+      { uid: job.uid, pipeline: job.type },
+      () => handler(job)
+    );
+    await completeJob(job.id, result || null);
+
+    console.log(`✅ [Jobs] Completed ${job.type} (job ${job.id})`);
+  } catch (error) {
+    console.error(`❌ [Jobs] ${job.type} failed (job ${job.id}):`, error.message);
+
+    const { willRetry, runAfter } = await failJob(job, error);
+    if (willRetry) {
+      console.log(`🔁 [Jobs] Job ${job.id} will retry after ${runAfter}`);
+    } else {
+      console.log(`🛑 [Jobs] Job ${job.id} exhausted ${job.maxAttempts} attempts`);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Claim and run jobs until the queue is empty.
+ * Guarded so overlapping polls never run two jobs at once.
+ */
+async function drainQueue() {
+  if (running) return;
+  running = true;
+
+  try {
+    let job = await claimNextJob(WORKER_ID);
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob(WORKER_ID);
+    }
+  } catch (error) {
+    console.error('❌ [Jobs] Polling failed:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Recover abandoned jobs, logging how many were re-queued
+ */
+async function recoverAbandonedJobs() {
+  try {
+    const recovered = await recoverExpiredJobs();
+    if (recovered > 0) {
+      console.log(`♻️ [Jobs] Re-queued ${recovered} job(s) with expired leases`);
+    }
+  } catch (error) {
+    console.error('❌ [Jobs] Failed to recover expired jobs:', error.message);
+  }
+}
+
+/**
+ * Start the job worker: recover abandoned jobs, then poll the queue.
+ */
+async function startJobWorker() {
+  console.log(`👷 [Jobs] Worker ${WORKER_ID} started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+
+  await recoverAbandonedJobs();
+
+  pollTimer = setInterval(drainQueue, POLL_INTERVAL_MS);
+  recoveryTimer = setInterval(recoverAbandonedJobs, RECOVERY_INTERVAL_MS);
+
+  drainQueue();
+}
+
+/**
+ * Stop polling (the job in progress, if any, finishes on its own)
+ */
+function stopJobWorker() {
+  clearInterval(pollTimer);
+  clearInterval(recoveryTimer);
+  pollTimer = null;
+  recoveryTimer = null;
+}
+
+module.exports = {
+  startJobWorker,
+  stopJobWorker,
+  drainQueue
+};
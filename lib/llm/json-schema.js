@@ -0,0 +1,96 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Supports the subset used by the LLM response schemas in ./schemas.js:
+ * type, properties, required, items, minItems, maxItems, minLength, enum.
+ * Errors name the offending field path (e.g. `outline.sections[2].h2`).
+ */
+
+/**
+ * JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Whether a value's type satisfies a schema type
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of `value` (used in error messages)
+ * @returns {Array<{path: string, message: string}>} - Empty when valid
+ */
+function validate(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items, got ${value.length}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items, got ${value.length}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format validation errors, one per field
+ * @param {Array<{path: string, message: string}>} errors - From validate()
+ * @param {string} separator - Joins the errors (default: one per line)
+ * @returns {string}
+ */
+function formatErrors(errors, separator = '\n') {
+  return errors.map((error) => `${error.path.replace(/^\$\.?/, '') || '(root)'} ${error.message}`).join(separator);
+}
+
+module.exports = {
+  validate,
+  formatErrors
+};
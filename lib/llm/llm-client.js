@@ -0,0 +1,202 @@
+/**
+ * LLM Client
+ *
+ * Single entry point for text generation. Callers name the pipeline step;
+ * llm-config.js decides which provider and model serve it.
+ *
+ * - generateText: plain chat completion
+ * - generateJSON: chat completion parsed as JSON, validated against a schema
+ *   and repaired by the model when invalid
+ * - research: chat completion with source citations
+ */
+
+const { getStepConfig, getProviderSettings } = require('./llm-config');
+const { createAnthropicProvider } = require('./providers/anthropic');
+const { createOpenAICompatibleProvider } = require('./providers/openai-compatible');
+const { createFakeProvider } = require('./providers/fake');
+const { validate, formatErrors } = require('./json-schema');
+const { recordUsage } = require('../usage/usage-ledger');
+
+const DEFAULT_MAX_REPAIRS = 2; // Extra attempts after the first invalid JSON response
+
+/**
+ * Thrown when a model keeps returning JSON that does not parse or match its schema.
+ * `errors` lists the offending fields ({ path, message }).
+ */
+class LLMOutputError extends Error {
+  constructor(step, errors, content) {
+    super(`Invalid ${step} response: ${formatErrors(errors, '; ')}`);
+    this.name = 'LLMOutputError';
+    this.step = step;
+    this.errors = errors;
+    this.content = content;
+  }
+}
+
+const ADAPTERS = {
+  'anthropic': createAnthropicProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  'fake': createFakeProvider,
+};
+
+const providers = new Map();
+
+/**
+ * Get (and cache) the provider instance for a provider key
+ * @param {string} name - Provider key from llm-config
+ * @returns {Object} - Provider
+ */
+function getProvider(name) {
+  if (!providers.has(name)) {
+    const settings = getProviderSettings(name);
+    providers.set(name, ADAPTERS[settings.adapter](settings));
+  }
+  return providers.get(name);
+}
+
+/**
+ * Run one completion for a step and record its usage
+ * @param {Object} request - { step, prompt, system, maxTokens, model, json }
+ * @returns {Promise<Object>} - Provider response ({ content, model, citations, usage })
+ */
+async function complete(request) {
+  const step = request.step || 'default';
+  const config = getStepConfig(step);
+  const provider = getProvider(config.provider);
+
+  console.log(`📡 LLM ${step} → ${provider.name}${config.model ? `/${config.model}` : ''} (max tokens: ${request.maxTokens || 'default'})...`);
+
+  const response = await provider.chat({
+    ...request,
+    step,
+    model: request.model || config.model,
+  });
+
+  await recordUsage({
+    provider: provider.usageProvider,
+    operation: step,
+    model: response.model,
+    inputTokens: response.usage.inputTokens,
+    outputTokens: response.usage.outputTokens,
+    cost: response.usage.cost
+  });
+
+  return response;
+}
+
+/**
+ * Parse JSON out of a model reply, tolerating code fences and surrounding prose
+ * @param {string} text - Raw model output
+ * @returns {*} - Parsed value
+ */
+function parseJSONResponse(text) {
+  const stripped = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+
+  try {
+    return JSON.parse(stripped);
+  } catch (error) {
+    const match = stripped.match(/[[{][\s\S]*[\]}]/);
+    if (!match) throw error;
+    return JSON.parse(match[0]);
+  }
+}
+
+/**
+ * Generate text for a pipeline step
+ * @param {Object} options - { step, prompt, system?, maxTokens?, model? }
+ * @returns {Promise<string>} - Generated text
+ */
+async function generateText({ step, prompt, system = null, maxTokens = 3000, model = null }) {
+  const response = await complete({ step, prompt, system, maxTokens, model });
+  return response.content;
+}
+
+/**
+ * Parse and validate a JSON reply
+ * @returns {{value: *, errors: Array}} - errors is empty when the reply is usable
+ */
+function checkJSONResponse(content, schema) {
+  let value;
+  try {
+    value = parseJSONResponse(content);
+  } catch (error) {
+    return { value: null, errors: [{ path: '$', message: `is not valid JSON (${error.message})` }] };
+  }
+
+  return { value, errors: schema ? validate(value, schema) : [] };
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix its previous reply
+ */
+function buildRepairPrompt(prompt, content, errors) {
+  return `${prompt}
+
+---
+Your previous response was rejected:
+${content}
+
+Problems:
+${formatErrors(errors)}
+
+Return the corrected JSON only, with every problem fixed and nothing else changed.`;
+}
+
+/**
+ * Generate JSON for a pipeline step, validated against a schema.
+ * Invalid replies are sent back to the model with the validation errors,
+ * up to `maxRepairs` times.
+ * @param {Object} options - { step, prompt, schema?, system?, maxTokens?, model?, maxRepairs? }
+ * @returns {Promise<*>} - Parsed JSON matching `schema`
+ * @throws {LLMOutputError} - When no attempt produced valid JSON
+ */
+async function generateJSON({
+  step,
+  prompt,
+  schema = null,
+  system = null,
+  maxTokens = 3000,
+  model = null,
+  maxRepairs = DEFAULT_MAX_REPAIRS
+}) {
+  let attemptPrompt = prompt;
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await complete({ step, prompt: attemptPrompt, system, maxTokens, model, json: true });
+    const { value, errors } = checkJSONResponse(response.content, schema);
+
+    if (errors.length === 0) {
+      return value;
+    }
+
+    console.warn(`⚠️ Invalid ${step} response (attempt ${attempt + 1}/${maxRepairs + 1}):\n${formatErrors(errors)}`);
+
+    if (attempt >= maxRepairs) {
+      console.error(`Giving up on ${step} response:`, response.content.substring(0, 500));
+      throw new LLMOutputError(step, errors, response.content);
+    }
+
+    attemptPrompt = buildRepairPrompt(prompt, response.content, errors);
+  }
+}
+
+/**
+ * Research a topic, returning the findings and their sources
+ * @param {Object} options - { step, prompt, system?, maxTokens?, model? }
+ * @returns {Promise<{content: string, citations: string[]}>}
+ */
+async function research({ step = 'research', prompt, system = null, maxTokens = null, model = null }) {
+  const response = await complete({ step, prompt, system, maxTokens, model });
+  return {
+    content: response.content,
+    citations: response.citations || []
+  };
+}
+
+module.exports = {
+  generateText,
+  generateJSON,
+  research,
+  parseJSONResponse,
+  LLMOutputError
+};
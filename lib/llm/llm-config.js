@@ -0,0 +1,121 @@
+/**
+ * LLM Provider Configuration
+ *
+ * Each pipeline step names the provider and model it runs on, so models can
+ * be swapped (or A/B tested) per step without touching pipeline code.
+ *
+ * Overrides, in order of precedence:
+ * - LLM_PROVIDER=fake           routes every step to the deterministic fake
+ * - LLM_STEPS='{"blog.outline":{"provider":"openai","model":"gpt-4o"}}'
+ *                               per-step provider and/or model (JSON)
+ */
+
+// ── Providers ────────────────────────────────────────────────
+const PROVIDERS = {
+  anthropic: {
+    adapter: 'anthropic',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    defaultModel: 'claude-sonnet-5',
+  },
+  perplexity: {
+    adapter: 'openai-compatible',
+    apiKeyEnv: 'PERPLEXITY_API_KEY',
+    baseUrl: 'https://api.perplexity.ai',
+    defaultModel: 'sonar',
+    jsonMode: false, // Only accepts json_schema response formats
+  },
+  openai: {
+    adapter: 'openai-compatible',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseUrlEnv: 'OPENAI_BASE_URL',
+    baseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+  },
+  fake: {
+    adapter: 'fake',
+  },
+};
+// ─────────────────────────────────────────────────────────────
+
+// ── Pipeline steps ───────────────────────────────────────────
+// `research` steps expect source citations back; Perplexity provides them.
+const STEPS = {
+  'default': { provider: 'anthropic' },
+  'research': { provider: 'perplexity' },
+  'titles.research': { provider: 'perplexity' },
+  'titles.generate': { provider: 'anthropic' },
+  'blog.service-filter': { provider: 'anthropic' },
+  'blog.research': { provider: 'perplexity' },
+  'blog.research-filter': { provider: 'anthropic' },
+  'blog.outline': { provider: 'anthropic' },
+  'blog.body': { provider: 'anthropic' },
+  'blog.image-queries': { provider: 'anthropic' },
+  'blog.section-rewrite': { provider: 'anthropic' },
+  'refresh.research': { provider: 'perplexity' },
+  'refresh.audit': { provider: 'anthropic' },
+};
+// ─────────────────────────────────────────────────────────────
+
+let stepOverrides = null;
+
+/**
+ * Parse LLM_STEPS once
+ */
+function getStepOverrides() {
+  if (stepOverrides) return stepOverrides;
+
+  stepOverrides = {};
+  if (process.env.LLM_STEPS) {
+    try {
+      stepOverrides = JSON.parse(process.env.LLM_STEPS);
+    } catch (error) {
+      console.warn('⚠️ Ignoring LLM_STEPS, not valid JSON:', error.message);
+    }
+  }
+
+  return stepOverrides;
+}
+
+/**
+ * Resolve provider and model for a pipeline step
+ * @param {string} step - Step name (unknown steps fall back to 'default')
+ * @returns {{provider: string, model: string|null}}
+ */
+function getStepConfig(step) {
+  if (process.env.LLM_PROVIDER === 'fake') {
+    return { provider: 'fake', model: null };
+  }
+
+  const config = {
+    model: null,
+    ...(STEPS[step] || STEPS.default),
+    ...(getStepOverrides()[step] || {}),
+  };
+
+  if (!PROVIDERS[config.provider]) {
+    throw new Error(`Unknown LLM provider "${config.provider}" for step "${step}"`);
+  }
+
+  return config;
+}
+
+/**
+ * Get a provider's settings with credentials resolved from the environment
+ * @param {string} name - Provider key from PROVIDERS
+ * @returns {Object} - { name, adapter, apiKey, baseUrl, defaultModel, ... }
+ */
+function getProviderSettings(name) {
+  const provider = PROVIDERS[name];
+
+  return {
+    ...provider,
+    name,
+    apiKey: provider.apiKeyEnv ? process.env[provider.apiKeyEnv] : null,
+    baseUrl: (provider.baseUrlEnv && process.env[provider.baseUrlEnv]) || provider.baseUrl,
+  };
+}
+
+module.exports = {
+  getStepConfig,
+  getProviderSettings
+};
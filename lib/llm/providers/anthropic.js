@@ -0,0 +1,85 @@
+/**
+ * Anthropic Messages API adapter
+ *
+ * Anthropic has no native JSON mode, so JSON requests get an extra system
+ * instruction and the caller strips any code fences from the reply.
+ */
+
+const { httpRequest } = require('../../utils/http-client');
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const JSON_INSTRUCTION = 'Respond with a single valid JSON value only. No markdown, no commentary.';
+
+/**
+ * Create an Anthropic provider
+ * @param {Object} config - { name, apiKey, baseUrl?, defaultModel }
+ * @returns {Object} - Provider ({ name, usageProvider, chat })
+ */
+function createAnthropicProvider(config) {
+  const url = config.baseUrl || ANTHROPIC_API_URL;
+
+  /**
+   * Run one chat completion
+   * @param {Object} request - { prompt, system, maxTokens, model, json }
+   * @returns {Promise<Object>} - { content, model, usage: { inputTokens, outputTokens } }
+   */
+  async function chat(request) {
+    if (!config.apiKey) {
+      throw new Error(`API key for LLM provider "${config.name}" is not set`);
+    }
+
+    const system = [request.system, request.json ? JSON_INSTRUCTION : null]
+      .filter(Boolean)
+      .join('\n\n');
+
+    const body = {
+      model: request.model || config.defaultModel,
+      max_tokens: request.maxTokens,
+      messages: [{
+        role: 'user',
+        content: request.prompt
+      }]
+    };
+
+    if (system) {
+      body.system = system;
+    }
+
+    const response = await httpRequest(config.name, url, {
+      method: 'POST',
+      headers: {
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`${config.name} API error:`, errorText);
+      throw new Error(`${config.name} API error: ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    return {
+      content: result.content.filter((block) => block.type === 'text').map((block) => block.text).join(''),
+      model: body.model,
+      usage: {
+        inputTokens: result.usage?.input_tokens || 0,
+        outputTokens: result.usage?.output_tokens || 0
+      }
+    };
+  }
+
+  return {
+    name: config.name,
+    usageProvider: config.usageProvider || 'anthropic',
+    chat
+  };
+}
+
+module.exports = {
+  createAnthropicProvider
+};
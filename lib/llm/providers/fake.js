@@ -0,0 +1,87 @@
+/**
+ * Deterministic fake adapter
+ *
+ * Never touches the network. Responses are looked up by pipeline step:
+ * 1. Fixtures registered with setFakeResponses() (strings or functions of the request)
+ * 2. Fixtures from the JSON file at LLM_FAKE_FIXTURES
+ * 3. A stable placeholder derived from the step and prompt
+ *
+ * Used by the test suite and for running pipelines offline (LLM_PROVIDER=fake).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+let fixtures = {};
+let fileFixtures = null;
+
+/**
+ * Load fixtures from LLM_FAKE_FIXTURES once
+ */
+function loadFileFixtures() {
+  if (fileFixtures) return fileFixtures;
+
+  fileFixtures = {};
+  if (process.env.LLM_FAKE_FIXTURES) {
+    fileFixtures = JSON.parse(fs.readFileSync(process.env.LLM_FAKE_FIXTURES, 'utf8'));
+  }
+
+  return fileFixtures;
+}
+
+/**
+ * Register canned responses by step, replacing any previously registered
+ * @param {Object} responses - { [step]: string | Object | (request) => string | Object }
+ */
+function setFakeResponses(responses = {}) {
+  fixtures = { ...responses };
+}
+
+/**
+ * Create the fake provider
+ * @param {Object} config - { name }
+ * @returns {Object} - Provider ({ name, usageProvider, chat })
+ */
+function createFakeProvider(config = {}) {
+  /**
+   * Answer a chat request from fixtures
+   * @param {Object} request - { step, prompt, system, maxTokens, model, json }
+   * @returns {Promise<Object>} - { content, model, citations, usage }
+   */
+  async function chat(request) {
+    const fixture = request.step in fixtures
+      ? fixtures[request.step]
+      : loadFileFixtures()[request.step];
+
+    let content;
+    if (fixture !== undefined) {
+      const value = typeof fixture === 'function' ? await fixture(request) : fixture;
+      content = typeof value === 'string' ? value : JSON.stringify(value);
+    } else {
+      const digest = crypto.createHash('sha256').update(`${request.step}\n${request.prompt}`).digest('hex').slice(0, 12);
+      content = request.json ? '{}' : `[fake ${request.step}] ${digest}`;
+    }
+
+    return {
+      content,
+      model: request.model || 'fake',
+      citations: [],
+      usage: {
+        inputTokens: Math.ceil(request.prompt.length / 4),
+        outputTokens: Math.ceil(content.length / 4),
+        cost: 0
+      }
+    };
+  }
+
+  return {
+    name: config.name || 'fake',
+    usageProvider: 'fake',
+    chat
+  };
+}
+
+module.exports = {
+  createFakeProvider,
+  setFakeResponses
+};
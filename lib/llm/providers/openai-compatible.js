@@ -0,0 +1,103 @@
+/**
+ * OpenAI-compatible Chat Completions adapter
+ *
+ * Works with OpenAI itself and any endpoint that speaks the same protocol
+ * (Perplexity, OpenRouter, Groq, local vLLM/Ollama servers, ...).
+ * Research providers such as Perplexity return source URLs in `citations`
+ * or `search_results`; both are normalized to `citations`.
+ */
+
+const { httpRequest } = require('../../utils/http-client');
+
+/**
+ * Collect citation URLs from a chat completion response
+ * @param {Object} result - Parsed response body
+ * @returns {string[]} - Unique URLs
+ */
+function extractCitations(result) {
+  const urls = [
+    ...(result.citations || []),
+    ...(result.search_results || []).map((item) => item.url)
+  ].filter(Boolean);
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} config - { name, apiKey, baseUrl, defaultModel, jsonMode?, usageProvider? }
+ *   `jsonMode: false` for endpoints that reject response_format: json_object
+ * @returns {Object} - Provider ({ name, usageProvider, chat })
+ */
+function createOpenAICompatibleProvider(config) {
+  const url = `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  /**
+   * Run one chat completion
+   * @param {Object} request - { prompt, system, maxTokens, model, json }
+   * @returns {Promise<Object>} - { content, model, citations, usage: { inputTokens, outputTokens, cost? } }
+   */
+  async function chat(request) {
+    if (!config.apiKey) {
+      throw new Error(`API key for LLM provider "${config.name}" is not set`);
+    }
+
+    const messages = [];
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push({ role: 'user', content: request.prompt });
+
+    const body = {
+      model: request.model || config.defaultModel,
+      messages
+    };
+
+    if (request.maxTokens) {
+      body.max_tokens = request.maxTokens;
+    }
+
+    if (request.json && config.jsonMode !== false) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const response = await httpRequest(config.name, url, {
+      method: 'POST',
+      headers: {
+        'accept': 'application/json',
+        'content-type': 'application/json',
+        'Authorization': `Bearer ${config.apiKey}`
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`${config.name} API error:`, errorText);
+      throw new Error(`${config.name} API error: ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    return {
+      content: result.choices[0].message.content,
+      model: result.model || body.model,
+      citations: extractCitations(result),
+      usage: {
+        inputTokens: result.usage?.prompt_tokens || 0,
+        outputTokens: result.usage?.completion_tokens || 0,
+        cost: result.usage?.cost?.total_cost // Reported by Perplexity; estimated otherwise
+      }
+    };
+  }
+
+  return {
+    name: config.name,
+    usageProvider: config.usageProvider || config.name,
+    chat
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider
+};
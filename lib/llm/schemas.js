@@ -0,0 +1,187 @@
+/**
+ * LLM Response Schemas
+ *
+ * Shapes that generateJSON() validates model output against. Keep these in
+ * step with the OUTPUT FORMAT sections of the prompts that produce them.
+ */
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Content plan titles (generate-titles.js)
+ * @param {number} count - Exact number of titles expected
+ * @param {string[]} formats - Allowed format IDs (any non-empty string when omitted)
+ */
+function createTitlesSchema(count, formats) {
+  return {
+    type: 'object',
+    required: ['titles'],
+    properties: {
+      titles: {
+        type: 'array',
+        minItems: count,
+        maxItems: count,
+        items: {
+          type: 'object',
+          required: ['title', 'format', 'targetKeyword'],
+          properties: {
+            title: { type: 'string', minLength: 10 },
+            format: formats ? { type: 'string', enum: formats } : { type: 'string', minLength: 1 },
+            targetKeyword: { type: 'string', minLength: 1 },
+            researchInsight: { type: 'string' },
+            length: { type: 'number' },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Blog outline (generate-blog.js, step 4); `meta` feeds the article's meta title and description
+const outlineSchema = {
+  type: 'object',
+  required: ['outline'],
+  properties: {
+    meta: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+      },
+    },
+    outline: {
+      type: 'object',
+      required: ['introduction', 'sections', 'conclusion'],
+      properties: {
+        introduction: {
+          type: 'object',
+          required: ['keyPoints'],
+          properties: {
+            wordCount: { type: 'number' },
+            keyPoints: stringList,
+            hook: { type: 'string' },
+          },
+        },
+        sections: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['h2', 'keyPoints'],
+            properties: {
+              h2: { type: 'string', minLength: 1 },
+              wordCount: { type: 'number' },
+              keyPoints: stringList,
+              statistics: stringList,
+              internalLinks: stringList,
+              subsections: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['h3'],
+                  properties: {
+                    h3: { type: 'string', minLength: 1 },
+                    keyPoints: stringList,
+                  },
+                },
+              },
+            },
+          },
+        },
+        conclusion: {
+          type: 'object',
+          required: ['keyPoints'],
+          properties: {
+            wordCount: { type: 'number' },
+            keyPoints: stringList,
+            cta: { type: 'string' },
+          },
+        },
+        faqs: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['question', 'answer'],
+            properties: {
+              question: { type: 'string', minLength: 1 },
+              answer: { type: 'string', minLength: 1 },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Services relevant to the target keyword (generate-blog.js, step 2)
+const serviceFilterSchema = {
+  type: 'object',
+  required: ['services'],
+  properties: {
+    services: stringList,
+  },
+};
+
+// Unsplash search queries (generate-blog.js, step 6)
+const imageQueriesSchema = {
+  type: 'object',
+  required: ['queries'],
+  properties: {
+    queries: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 5,
+      items: { type: 'string', minLength: 1 },
+    },
+  },
+};
+
+// Outdated passages and their replacements (refresh-article.js)
+const refreshAuditSchema = {
+  type: 'object',
+  required: ['changes'],
+  properties: {
+    changes: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        required: ['original', 'updated', 'reason'],
+        properties: {
+          original: { type: 'string', minLength: 1 },
+          updated: { type: 'string' },
+          reason: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+  },
+};
+
+// Anchor phrases for links to related posts (internal-linking.js)
+const internalLinkAnchorsSchema = {
+  type: 'object',
+  required: ['links'],
+  properties: {
+    links: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['articleId', 'anchor'],
+        properties: {
+          articleId: { type: 'string', minLength: 1 },
+          anchor: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  createTitlesSchema,
+  outlineSchema,
+  serviceFilterSchema,
+  imageQueriesSchema,
+  refreshAuditSchema,
+  internalLinkAnchorsSchema
+};
@@ -0,0 +1,72 @@
+/**
+ * Article Fields for Publishing
+ *
+ * Derives the fields every CMS asks for (slug, meta description) from a
+ * generated article, preferring values already stored on the article.
+ */
+
+const META_DESCRIPTION_LENGTH = 155;
+
+/**
+ * Turn text into a URL slug
+ * @param {string} text - e.g. a title
+ * @returns {string} - e.g. 'emergency-widget-repair-what-to-do'
+ */
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Strip markdown syntax, leaving readable text
+ */
+function toPlainText(markdown) {
+  return String(markdown || '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`>#]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Slug for an article
+ * @param {Object} article - Article document
+ * @returns {string}
+ */
+function getArticleSlug(article) {
+  return article.slug || slugify(article.title);
+}
+
+/**
+ * Meta description for an article: the stored one, else its first paragraph
+ * trimmed to ~155 characters on a word boundary
+ * @param {Object} article - Article document
+ * @returns {string}
+ */
+function getMetaDescription(article) {
+  if (article.metaDescription) return article.metaDescription;
+
+  const firstParagraph = String(article.content || '')
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .find((block) => block && !/^(#|!\[|\*Photo by)/.test(block));
+
+  const text = toPlainText(firstParagraph);
+  if (text.length <= META_DESCRIPTION_LENGTH) return text;
+
+  return `${text.slice(0, META_DESCRIPTION_LENGTH).replace(/\s+\S*$/, '')}…`;
+}
+
+module.exports = {
+  slugify,
+  getArticleSlug,
+  getMetaDescription
+};
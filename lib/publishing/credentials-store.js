@@ -0,0 +1,116 @@
+/**
+ * Publishing Credentials Store
+ *
+ * Per-user CMS credentials live in users/{uid}/publishing_credentials/{platform}.
+ * Everything the publisher needs is stored as one encrypted blob; only the
+ * non-secret `siteUrl` is kept in plain text so it can be shown in the UI.
+ */
+
+const { db } = require('../../firebase');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+const { assertPublicUrl, BlockedHostError } = require('../utils/host-guard');
+const { PublishError } = require('./publish-error');
+
+function credentialsRef(uid, platform) {
+  return db.collection('users').doc(uid).collection('publishing_credentials').doc(platform);
+}
+
+/**
+ * Encrypt and save credentials for a platform, replacing any existing ones
+ * @param {string} uid - User ID
+ * @param {string} platform - Publisher key (e.g. 'wordpress')
+ * @param {Object} credentials - Platform-specific credentials (must include siteUrl)
+ * @returns {Promise<void>}
+ */
+async function saveCredentials(uid, platform, credentials) {
+  const now = new Date().toISOString();
+
+  await credentialsRef(uid, platform).set({
+    platform,
+    siteUrl: credentials.siteUrl || null,
+    encrypted: encryptSecret(JSON.stringify(credentials)),
+    updatedAt: now
+  });
+}
+
+/**
+ * Load and decrypt credentials for a platform
+ * @param {string} uid - User ID
+ * @param {string} platform - Publisher key
+ * @returns {Promise<Object|null>} - Credentials, or null if none are saved
+ */
+async function getCredentials(uid, platform) {
+  const doc = await credentialsRef(uid, platform).get();
+  if (!doc.exists) return null;
+
+  return JSON.parse(decryptSecret(doc.data().encrypted));
+}
+
+/**
+ * List the platforms a user has connected (no secrets)
+ * @param {string} uid - User ID
+ * @returns {Promise<Array<{platform: string, siteUrl: string|null, updatedAt: string}>>}
+ */
+async function listCredentials(uid) {
+  const snapshot = await db.collection('users').doc(uid).collection('publishing_credentials').get();
+
+  return snapshot.docs.map((doc) => {
+    const { platform, siteUrl, updatedAt } = doc.data();
+    return { platform, siteUrl, updatedAt };
+  });
+}
+
+/**
+ * Check that credentials include the fields a publisher needs (and that
+ * siteUrl, when present, is an http(s) URL)
+ * @param {string} platform - Publisher key
+ * @param {Object} credentials - Credentials as submitted
+ * @param {string[]} fields - Required field names
+ * @throws {PublishError} - status 400 naming the first problem
+ */
+function requireCredentialFields(platform, credentials, fields) {
+  for (const field of fields) {
+    if (!credentials[field]) {
+      throw new PublishError(`${field} is required`, { platform, status: 400 });
+    }
+  }
+  if (credentials.siteUrl && !/^https?:\/\//i.test(credentials.siteUrl)) {
+    throw new PublishError('siteUrl must start with http:// or https://', { platform, status: 400 });
+  }
+}
+
+/**
+ * Check that siteUrl is on the public internet, for publishers that call the
+ * site's API from our servers
+ * @param {string} platform - Publisher key
+ * @param {Object} credentials - Credentials as submitted (with siteUrl)
+ * @throws {PublishError} - status 400 when the host does not resolve or resolves to a
+ *   loopback, private or link-local address
+ */
+async function requirePublicSiteUrl(platform, credentials) {
+  try {
+    await assertPublicUrl(credentials.siteUrl);
+  } catch (error) {
+    const reason = error instanceof BlockedHostError ? error.message : `${new URL(credentials.siteUrl).hostname} could not be resolved`;
+    throw new PublishError(`siteUrl must be a public site: ${reason}`, { platform, status: 400 });
+  }
+}
+
+/**
+ * Remove a platform's credentials
+ * @param {string} uid - User ID
+ * @param {string} platform - Publisher key
+ * @returns {Promise<void>}
+ */
+async function deleteCredentials(uid, platform) {
+  await credentialsRef(uid, platform).delete();
+}
+
+module.exports = {
+  saveCredentials,
+  getCredentials,
+  listCredentials,
+  deleteCredentials,
+  requireCredentialFields,
+  requirePublicSiteUrl
+};
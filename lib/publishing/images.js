@@ -0,0 +1,76 @@
+/**
+ * Article Images for Publishing
+ *
+ * Helpers for publishers that re-host an article's Unsplash images on the CMS
+ * (WordPress, Ghost) instead of hot-linking them.
+ */
+
+const { httpRequest } = require('../utils/http-client');
+const { escapeHtml } = require('./markdown-to-html');
+const { PublishError } = require('./publish-error');
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * Download an image
+ * @param {string} url - Image URL
+ * @param {string} platform - Publisher the image is for (for errors)
+ * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>}
+ */
+async function downloadImage(url, platform) {
+  const response = await httpRequest('images', url);
+  if (!response.ok) {
+    throw new PublishError(`Image download failed: ${response.status} ${url}`, { platform, status: response.status });
+  }
+
+  const contentType = (response.headers.get('content-type') || 'image/jpeg').split(';')[0];
+
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType,
+    extension: IMAGE_EXTENSIONS[contentType] || 'jpg'
+  };
+}
+
+/**
+ * Upload each article image once, reusing uploads recorded on a previous publish
+ * @param {Object[]} images - article.images
+ * @param {Object} previousMedia - publication.media from the last publish ({ index: { id, url, sourceUrl } })
+ * @param {Function} upload - async (image, index) => ({ id, url })
+ * @returns {Promise<Object>} - Media by image index: { id, url, sourceUrl }
+ */
+async function uploadArticleImages(images = [], previousMedia = {}, upload) {
+  const media = { ...previousMedia };
+
+  for (let i = 0; i < images.length; i++) {
+    if (!media[i] || media[i].sourceUrl !== images[i].url) {
+      media[i] = { ...(await upload(images[i], i)), sourceUrl: images[i].url };
+    }
+  }
+
+  return media;
+}
+
+/**
+ * Point image tags in rendered HTML at the uploaded copies
+ * @param {string} html - Rendered article HTML
+ * @param {Object} media - Media by image index, from uploadArticleImages
+ * @returns {string}
+ */
+function replaceImageUrls(html, media) {
+  return Object.values(media).reduce(
+    (result, { sourceUrl, url }) => result.split(escapeHtml(sourceUrl)).join(escapeHtml(url)),
+    html
+  );
+}
+
+module.exports = {
+  downloadImage,
+  uploadArticleImages,
+  replaceImageUrls
+};
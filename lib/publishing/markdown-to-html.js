@@ -0,0 +1,164 @@
+/**
+ * Markdown to HTML
+ *
+ * Converts the markdown produced by generate-blog.js (headings, paragraphs,
+ * lists, blockquotes, code, links, images, bold/italic) into HTML for CMSs
+ * that store rendered content. Raw HTML in the source is escaped, not passed through.
+ */
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Only allow web, mail and relative link targets (no javascript: and friends)
+ */
+function isSafeUrl(url) {
+  return /^(https?:\/\/|mailto:|\/|#)/i.test(url.replace(/&amp;/g, '&'));
+}
+
+/**
+ * Render inline markdown (already-escaped text is never double escaped)
+ * @param {string} text - One block's text
+ * @returns {string} - HTML
+ */
+function renderInline(text) {
+  const codeSpans = [];
+
+  let html = escapeHtml(text)
+    // Protect inline code from further formatting
+    .replace(/`([^`]+)`/g, (match, code) => {
+      codeSpans.push(`<code>${code}</code>`);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    })
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => (isSafeUrl(src) ? `<img src="${src}" alt="${alt}" />` : alt))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => (isSafeUrl(href) ? `<a href="${href}">${label}</a>` : label))
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+}
+
+/**
+ * Convert markdown to HTML
+ * @param {string} markdown - Markdown source
+ * @returns {string} - HTML
+ */
+function markdownToHtml(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+
+  let paragraph = [];
+  let list = null; // { tag: 'ul'|'ol', items: [] }
+  let quote = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      html.push(`<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+  const flushQuote = () => {
+    if (quote.length > 0) {
+      html.push(`<blockquote>${markdownToHtml(quote.join('\n'))}</blockquote>`);
+      quote = [];
+    }
+  };
+  const flushAll = () => {
+    flushParagraph();
+    flushList();
+    flushQuote();
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block
+    if (/^```/.test(line.trim())) {
+      flushAll();
+      const code = [];
+      for (i++; i < lines.length && !/^```/.test(lines[i].trim()); i++) {
+        code.push(lines[i]);
+      }
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flushAll();
+      continue;
+    }
+
+    const quoteMatch = line.match(/^\s*>\s?(.*)$/);
+    if (quoteMatch) {
+      flushParagraph();
+      flushList();
+      quote.push(quoteMatch[1]);
+      continue;
+    }
+    flushQuote();
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flushAll();
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushAll();
+      html.push('<hr />');
+      continue;
+    }
+
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+      continue;
+    }
+
+    // Indented continuation of the previous list item
+    if (list && /^\s{2,}\S/.test(line)) {
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line.trim());
+  }
+
+  flushAll();
+  return html.join('\n');
+}
+
+/**
+ * Remove a leading H1 (CMSs render the post title themselves)
+ * @param {string} markdown - Markdown source
+ * @returns {string}
+ */
+function stripLeadingTitle(markdown) {
+  return String(markdown || '').replace(/^\s*#\s+[^\n]*\n+/, '');
+}
+
+module.exports = {
+  markdownToHtml,
+  stripLeadingTitle,
+  escapeHtml
+};
@@ -0,0 +1,163 @@
+/**
+ * Publish Article
+ *
+ * Pushes a generated article to a user's CMS with the matching publisher and
+ * records the result on the article under `publications.<platform>`:
+ *   { remoteId, url, status, media, revision, publishedAt, lastError }
+ * Publishing again updates the same remote post instead of creating a duplicate.
+ *
+ * Only approved (or scheduled / already published) articles can go live; a
+ * successful publish moves the article to `published` through the workflow and
+ * queues links to it from related older articles (lib/content/internal-linking.js).
+ * Pushing a remote draft (status 'draft') is allowed from any status but archived.
+ *
+ * Each user picks a destination (`publishingPlatform` on the user document);
+ * it is used whenever a publish request doesn't name a platform.
+ */
+
+const { db } = require('../../firebase');
+const { getCredentials, listCredentials } = require('./credentials-store');
+const { PublishError } = require('./publish-error');
+const { PUBLISHABLE_STATUSES, transitionArticle } = require('../articles/article-workflow');
+const { enqueueJob } = require('../jobs/job-queue');
+
+/**
+ * Publishers by platform key. Each module exports:
+ * - platform: its key
+ * - validateCredentials(credentials, { uid }) → { account }, throwing PublishError (4xx status) when unusable
+ * - publish(article, credentials, { status, previous, uid }) → { remoteId, url, status: 'publish'|'draft', media?, revision? }
+ *   where `previous` is the article's earlier publication record on that platform, if any
+ */
+const PUBLISHERS = {
+  wordpress: require('./publishers/wordpress'),
+  ghost: require('./publishers/ghost'),
+  webflow: require('./publishers/webflow'),
+  shopify: require('./publishers/shopify'),
+  git: require('./publishers/git')
+};
+
+/**
+ * Look up a publisher by platform key
+ * @param {string} platform - e.g. 'wordpress'
+ * @returns {Object|null} - Publisher module, or null if unsupported
+ */
+function getPublisher(platform) {
+  return Object.hasOwn(PUBLISHERS, platform) ? PUBLISHERS[platform] : null;
+}
+
+/**
+ * Decide where to publish: the requested platform, else the user's chosen
+ * destination, else their only connected platform
+ * @param {string} uid - User ID
+ * @param {string|null} platform - Requested platform, if any
+ * @returns {Promise<string>} - Platform key
+ * @throws {PublishError} - status 400 when no destination can be determined
+ */
+async function resolvePlatform(uid, platform = null) {
+  if (platform) return platform;
+
+  const userDoc = await db.collection('users').doc(uid).get();
+  const destination = userDoc.exists ? userDoc.data().publishingPlatform : null;
+  if (destination) return destination;
+
+  const connected = await listCredentials(uid);
+  if (connected.length === 1) return connected[0].platform;
+
+  throw new PublishError(
+    connected.length === 0
+      ? 'No publishing platform connected'
+      : 'Choose a publishing destination first (PUT /publishing/destination)',
+    { status: 400 }
+  );
+}
+
+/**
+ * Publish one article
+ * @param {string} uid - User ID
+ * @param {string} articleId - Article ID in users/{uid}/generated_articles
+ * @param {Object} options - { platform?: key (defaults to the user's destination), status: 'publish'|'draft' }
+ * @returns {Promise<Object>} - { platform, remoteId, url, status }
+ */
+async function publishArticle(uid, articleId, { platform = null, status = 'publish' } = {}) {
+  platform = await resolvePlatform(uid, platform);
+
+  const publisher = getPublisher(platform);
+  if (!publisher) {
+    throw new PublishError(`Unsupported publishing platform: ${platform}`, { platform, status: 400 });
+  }
+
+  const articleRef = db.collection('users').doc(uid).collection('generated_articles').doc(articleId);
+  const articleDoc = await articleRef.get();
+  if (!articleDoc.exists) {
+    throw new PublishError('Article not found', { platform, status: 404 });
+  }
+  const article = articleDoc.data();
+  const articleStatus = article.status || 'draft';
+
+  if (articleStatus === 'archived' || (status === 'publish' && !PUBLISHABLE_STATUSES.includes(articleStatus))) {
+    throw new PublishError(`Article is ${articleStatus}; only approved articles can be published`, { platform, status: 409 });
+  }
+
+  const credentials = await getCredentials(uid, platform);
+  if (!credentials) {
+    throw new PublishError(`No ${platform} credentials saved for this user`, { platform, status: 400 });
+  }
+
+  const previous = article.publications?.[platform] || null;
+
+  console.log(`📤 Publishing article ${articleId} to ${platform} for user ${uid}${previous?.remoteId ? ` (updating post ${previous.remoteId})` : ''}`);
+
+  let result;
+  try {
+    result = await publisher.publish({ id: articleId, ...article }, credentials, { status, previous, uid });
+  } catch (error) {
+    await articleRef.update({
+      [`publications.${platform}.lastError`]: error.message,
+      [`publications.${platform}.failedAt`]: new Date().toISOString()
+    });
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const update = {
+    [`publications.${platform}`]: {
+      remoteId: result.remoteId,
+      url: result.url,
+      status: result.status,
+      media: result.media || {},
+      revision: result.revision || null,
+      publishedAt: previous?.publishedAt || now,
+      updatedAt: now,
+      lastError: null
+    },
+    updatedAt: now
+  };
+  await articleRef.update(update);
+
+  if (result.status === 'publish' && articleStatus !== 'published') {
+    await transitionArticle(uid, articleId, 'published', { actor: 'publisher', note: `Published to ${platform}: ${result.url}` });
+
+    // The post is live and has a URL now, so related older articles can link to it
+    try {
+      await enqueueJob('internal-link-backfill', uid, { articleId, source: 'publish' }, { dedupe: false });
+    } catch (error) {
+      console.warn(`⚠️ Could not queue internal link backfill for ${articleId}:`, error.message);
+    }
+  }
+
+  console.log(`✅ Published article ${articleId} to ${platform}: ${result.url}`);
+
+  return {
+    platform,
+    remoteId: result.remoteId,
+    url: result.url,
+    status: result.status
+  };
+}
+
+module.exports = {
+  publishArticle,
+  getPublisher,
+  resolvePlatform,
+  PLATFORMS: Object.keys(PUBLISHERS)
+};
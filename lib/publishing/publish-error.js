@@ -0,0 +1,18 @@
+/**
+ * Error raised by publishers when a CMS rejects a request.
+ * Client errors (4xx other than 408/429) are not retryable: the job queue
+ * fails them immediately instead of hammering the customer's site.
+ */
+class PublishError extends Error {
+  constructor(message, { platform, status = null } = {}) {
+    super(message);
+    this.name = 'PublishError';
+    this.platform = platform;
+    this.status = status;
+    this.retryable = !(status >= 400 && status < 500 && status !== 408 && status !== 429);
+  }
+}
+
+module.exports = {
+  PublishError
+};
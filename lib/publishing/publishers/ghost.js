@@ -0,0 +1,170 @@
+/**
+ * Ghost Publisher
+ *
+ * Publishes an article through the Ghost Admin API (v5) using an Admin API key
+ * from a custom integration (Settings → Integrations):
+ * 1. Download each Unsplash image and upload it to Ghost's image storage
+ * 2. Create the post from HTML (or update it when the article was published before)
+ *
+ * Credentials: { siteUrl, adminApiKey: '<id>:<secret>', tags? }
+ * - tags: default tag names for every post
+ */
+
+const crypto = require('crypto');
+const { httpRequest } = require('../../utils/http-client');
+const { markdownToHtml, stripLeadingTitle } = require('../markdown-to-html');
+const { getArticleSlug, getMetaDescription } = require('../article-fields');
+const { downloadImage, uploadArticleImages, replaceImageUrls } = require('../images');
+const { PublishError } = require('../publish-error');
+const { requireCredentialFields, requirePublicSiteUrl } = require('../credentials-store');
+
+const PLATFORM = 'ghost';
+const ACCEPT_VERSION = 'v5.0';
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Sign a short-lived Admin API token (HS256 JWT keyed by the hex secret)
+ * @param {string} adminApiKey - '<id>:<secret>'
+ * @returns {string} - JWT
+ */
+function createAdminToken(adminApiKey) {
+  const [id, secret] = adminApiKey.split(':');
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: id }));
+  const payload = base64Url(JSON.stringify({ iat: now, exp: now + 5 * 60, aud: '/admin/' }));
+  const signature = crypto
+    .createHmac('sha256', Buffer.from(secret, 'hex'))
+    .update(`${header}.${payload}`)
+    .digest('base64url');
+
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Call the Ghost Admin API
+ * @param {Object} credentials - Ghost credentials
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /ghost/api/admin
+ * @param {Object} options - { json?: Object, body?: FormData }
+ * @returns {Promise<Object>} - Parsed response body
+ */
+async function ghostRequest(credentials, method, path, { json, body } = {}) {
+  const url = `${credentials.siteUrl.replace(/\/+$/, '')}/ghost/api/admin${path}`;
+  const response = await httpRequest(PLATFORM, url, {
+    method,
+    headers: {
+      'Authorization': `Ghost ${createAdminToken(credentials.adminApiKey)}`,
+      'Accept-Version': ACCEPT_VERSION,
+      ...(json ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: json ? JSON.stringify(json) : body
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    let message = text;
+    try {
+      message = JSON.parse(text).errors?.[0]?.message || text;
+    } catch (error) {
+      // Not JSON; keep the raw text
+    }
+    throw new PublishError(`Ghost API error: ${response.status} - ${String(message).slice(0, 300)}`, {
+      platform: PLATFORM,
+      status: response.status
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Check that credentials are complete and accepted by the site
+ * @param {Object} credentials - Ghost credentials
+ * @returns {Promise<{account: string}>} - The site title
+ */
+async function validateCredentials(credentials) {
+  requireCredentialFields(PLATFORM, credentials, ['siteUrl', 'adminApiKey']);
+  if (!/^[0-9a-f]+:[0-9a-f]+$/i.test(credentials.adminApiKey)) {
+    throw new PublishError('adminApiKey must look like <id>:<secret>', { platform: PLATFORM, status: 400 });
+  }
+  await requirePublicSiteUrl(PLATFORM, credentials);
+
+  const { site } = await ghostRequest(credentials, 'GET', '/site/');
+  return { account: site.title };
+}
+
+/**
+ * Download an image and upload it to Ghost
+ * @returns {Promise<{id: null, url: string}>} - Ghost stores images by URL only
+ */
+async function uploadImage(credentials, image, filename) {
+  const { buffer, contentType, extension } = await downloadImage(image.url, PLATFORM);
+
+  const form = new FormData();
+  form.append('file', new Blob([buffer], { type: contentType }), `${filename}.${extension}`);
+  form.append('purpose', 'image');
+
+  const { images } = await ghostRequest(credentials, 'POST', '/images/upload/', { body: form });
+  return { id: null, url: images[0].url };
+}
+
+/**
+ * Publish (or update) an article as a Ghost post
+ * @param {Object} article - Article document from generated_articles
+ * @param {Object} credentials - Ghost credentials
+ * @param {Object} options - { status: 'publish'|'draft', previous: earlier publication record, if any }
+ * @returns {Promise<{remoteId: string, url: string, status: string, media: Object}>}
+ */
+async function publish(article, credentials, { status = 'publish', previous = null } = {}) {
+  const slug = getArticleSlug(article);
+  const metaDescription = getMetaDescription(article);
+
+  const media = await uploadArticleImages(article.images, previous?.media, (image, index) => {
+    console.log(`🖼️ Uploading image ${index + 1}/${article.images.length} to Ghost`);
+    return uploadImage(credentials, image, `${slug}-${index + 1}`);
+  });
+  const html = replaceImageUrls(markdownToHtml(stripLeadingTitle(article.content)), media);
+
+  const tags = [...new Set([...(credentials.tags || []), ...(article.categories || [])])];
+
+  const post = {
+    title: article.title,
+    slug,
+    html,
+    status: status === 'publish' ? 'published' : 'draft',
+    custom_excerpt: metaDescription.slice(0, 300),
+    meta_description: metaDescription,
+    ...(media[0] ? { feature_image: media[0].url, feature_image_alt: article.images[0].alt || null } : {}),
+    ...(tags.length > 0 ? { tags: tags.map((name) => ({ name })) } : {})
+  };
+
+  let saved;
+  if (previous?.remoteId) {
+    // Ghost rejects updates that don't echo the post's current updated_at
+    const { posts: [current] } = await ghostRequest(credentials, 'GET', `/posts/${previous.remoteId}/`);
+    ({ posts: [saved] } = await ghostRequest(credentials, 'PUT', `/posts/${previous.remoteId}/?source=html`, {
+      json: { posts: [{ ...post, updated_at: current.updated_at }] }
+    }));
+  } else {
+    ({ posts: [saved] } = await ghostRequest(credentials, 'POST', '/posts/?source=html', {
+      json: { posts: [post] }
+    }));
+  }
+
+  return {
+    remoteId: saved.id,
+    url: saved.url,
+    status: saved.status === 'published' ? 'publish' : 'draft',
+    media
+  };
+}
+
+module.exports = {
+  platform: PLATFORM,
+  validateCredentials,
+  publish
+};
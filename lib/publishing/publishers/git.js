@@ -0,0 +1,281 @@
+/**
+ * Git Publisher
+ *
+ * Publishes an article to a static site kept in a Git repository (Hugo,
+ * Next.js, Astro, ...) by writing a markdown file with YAML front matter and
+ * committing it. Both repositories with a working tree (the branch must be
+ * checked out) and bare repositories (committed with plumbing, no checkout)
+ * are supported. Nothing is pushed; a hook or CI job on the repo takes over.
+ *
+ * Each user's repositories must live in their own folder, GIT_PUBLISH_ROOT/<uid>/,
+ * so users can't point the server at arbitrary paths or at each other's
+ * repositories. Symlinks, `.git` files and parent repositories that lead out of
+ * that folder are refused, and `branch` / `contentDir` can't climb out of the repo.
+ *
+ * Credentials: { repoPath, branch?, contentDir?, siteUrl?, authorName?, authorEmail? }
+ * - repoPath: path relative to GIT_PUBLISH_ROOT/<uid>
+ * - branch: defaults to 'main'; contentDir: defaults to 'content/posts' (relative, no '.' or '..')
+ * - siteUrl: public base URL for posts (e.g. 'https://acme.com/blog'), used to report the post URL
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { stripLeadingTitle } = require('../markdown-to-html');
+const { getArticleSlug, getMetaDescription } = require('../article-fields');
+const { PublishError } = require('../publish-error');
+const { requireCredentialFields } = require('../credentials-store');
+
+const PLATFORM = 'git';
+const ZERO_SHA = '0'.repeat(40);
+const SAFE_SEGMENT = /^[A-Za-z0-9_][A-Za-z0-9._-]*$/; // Path or ref segment: no leading '.' or '-'
+
+const DEFAULT_AUTHOR = {
+  name: 'Typonix',
+  email: 'publisher@typonix.local'
+};
+
+/**
+ * Run a git command
+ * @param {string[]} args - git arguments
+ * @param {Object} options - { cwd, env?, input? }
+ * @returns {Promise<string>} - Trimmed stdout
+ */
+function runGit(args, { cwd, env = {}, input = null }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd, env: { ...process.env, ...env } });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout.trim());
+      } else {
+        reject(new PublishError(`git ${args[0]} failed: ${stderr.trim() || `exit code ${code}`}`, { platform: PLATFORM }));
+      }
+    });
+
+    child.stdin.end(input === null ? undefined : input);
+  });
+}
+
+function isInside(target, folder) {
+  return target === folder || target.startsWith(`${folder}${path.sep}`);
+}
+
+/**
+ * Check a branch name and content directory from the credentials
+ * @param {Object} credentials - Git settings
+ * @returns {{branch: string, contentDir: string}}
+ * @throws {PublishError} - status 400 for absolute paths, '.' / '..' segments or unusual characters
+ */
+function resolveTargets(credentials) {
+  const branch = credentials.branch || 'main';
+  const contentDir = String(credentials.contentDir || 'content/posts').replace(/\/+$/, '');
+
+  if (!branch.split('/').every((segment) => SAFE_SEGMENT.test(segment) && !segment.endsWith('.lock'))) {
+    throw new PublishError('branch must be a plain branch name (letters, digits, ".", "_", "-" and "/")', { platform: PLATFORM, status: 400 });
+  }
+  if (!contentDir.split('/').every((segment) => SAFE_SEGMENT.test(segment))) {
+    throw new PublishError('contentDir must be a relative path inside the repository, without "." or ".." segments', { platform: PLATFORM, status: 400 });
+  }
+
+  return { branch, contentDir };
+}
+
+/**
+ * Resolve a repository path inside the user's folder, GIT_PUBLISH_ROOT/<uid>, and check that
+ * it is a git repository whose files stay in that folder
+ * @param {string} repoPath - Path relative to the user's folder
+ * @param {string} uid - User ID
+ * @returns {Promise<{cwd: string, bare: boolean, topLevel: string|null}>} - Real paths of the
+ *   repository and, unless bare, of its working tree
+ */
+async function resolveRepo(repoPath, uid) {
+  const root = process.env.GIT_PUBLISH_ROOT;
+  if (!root) {
+    throw new PublishError('Git publishing is disabled (GIT_PUBLISH_ROOT is not set)', { platform: PLATFORM, status: 400 });
+  }
+  if (!uid || !SAFE_SEGMENT.test(uid)) {
+    throw new PublishError('Git publishing needs the user the repository belongs to', { platform: PLATFORM, status: 400 });
+  }
+
+  const folder = path.resolve(root, uid);
+  const resolved = path.resolve(folder, String(repoPath));
+  if (!isInside(resolved, folder)) {
+    throw new PublishError('repoPath must be inside your folder in GIT_PUBLISH_ROOT', { platform: PLATFORM, status: 400 });
+  }
+
+  const notARepo = new PublishError(`${repoPath} is not a git repository in your folder`, { platform: PLATFORM, status: 400 });
+  try {
+    const realFolder = await fs.realpath(folder);
+    const cwd = await fs.realpath(resolved);
+    const gitDir = await fs.realpath(await runGit(['rev-parse', '--absolute-git-dir'], { cwd }));
+    const bare = (await runGit(['rev-parse', '--is-bare-repository'], { cwd })) === 'true';
+    const topLevel = bare ? null : await fs.realpath(await runGit(['rev-parse', '--show-toplevel'], { cwd }));
+
+    // Git looks for repositories in parent folders and follows .git files; neither may lead outside
+    if (![cwd, gitDir, topLevel].every((dir) => dir === null || isInside(dir, realFolder))) throw notARepo;
+
+    return { cwd, bare, topLevel };
+  } catch (error) {
+    throw notARepo;
+  }
+}
+
+/**
+ * Build the markdown file: YAML front matter plus the article body.
+ * Strings are JSON-quoted, which is valid YAML.
+ * @param {Object} article - Article document
+ * @param {string} status - 'publish' or 'draft'
+ * @param {string} date - ISO date the post was first published
+ * @returns {string}
+ */
+function buildMarkdownFile(article, status, date) {
+  const frontMatter = {
+    title: article.title,
+    slug: getArticleSlug(article),
+    date,
+    description: getMetaDescription(article),
+    draft: status !== 'publish',
+    ...(article.targetKeyword ? { keywords: [article.targetKeyword] } : {}),
+    ...(article.categories?.length ? { categories: article.categories } : {}),
+    ...(article.images?.[0] ? { image: article.images[0].url } : {})
+  };
+
+  const yaml = Object.entries(frontMatter)
+    .map(([key, value]) => (Array.isArray(value)
+      ? `${key}:\n${value.map((item) => `  - ${JSON.stringify(item)}`).join('\n')}`
+      : `${key}: ${JSON.stringify(value)}`))
+    .join('\n');
+
+  return `---\n${yaml}\n---\n\n${stripLeadingTitle(article.content).trim()}\n`;
+}
+
+/**
+ * Check that the repository is a git repository in the user's folder and that
+ * the branch and content directory are usable
+ * @param {Object} credentials - Git settings
+ * @param {Object} options - { uid }
+ * @returns {Promise<{account: string}>} - The repository and branch
+ */
+async function validateCredentials(credentials, { uid } = {}) {
+  requireCredentialFields(PLATFORM, credentials, ['repoPath']);
+  const { branch } = resolveTargets(credentials);
+  await resolveRepo(credentials.repoPath, uid);
+
+  return { account: `${credentials.repoPath}#${branch}` };
+}
+
+/**
+ * Commit a file to a bare repository without a checkout, using a temporary index
+ * @returns {Promise<string>} - Commit SHA (the current head if nothing changed)
+ */
+async function commitToBareRepo(cwd, branch, filePath, content, message, env) {
+  const ref = `refs/heads/${branch}`;
+  const parent = await runGit(['rev-parse', '--verify', '--quiet', ref], { cwd }).catch(() => null);
+
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-publish-'));
+  const indexEnv = { ...env, GIT_INDEX_FILE: path.join(tmpDir, 'index') };
+
+  try {
+    if (parent) {
+      await runGit(['read-tree', parent], { cwd, env: indexEnv });
+    }
+    const blob = await runGit(['hash-object', '-w', '--stdin'], { cwd, input: content });
+    await runGit(['update-index', '--add', '--cacheinfo', `100644,${blob},${filePath}`], { cwd, env: indexEnv });
+    const tree = await runGit(['write-tree'], { cwd, env: indexEnv });
+
+    if (parent && tree === await runGit(['rev-parse', `${parent}^{tree}`], { cwd })) {
+      return parent;
+    }
+
+    const commit = await runGit(['commit-tree', tree, ...(parent ? ['-p', parent] : []), '-m', message], { cwd, env: indexEnv });
+    // Fails if someone else moved the branch meanwhile
+    await runGit(['update-ref', ref, commit, parent || ZERO_SHA], { cwd });
+    return commit;
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Commit a file in a repository with a working tree (the branch must be checked out)
+ * @returns {Promise<string>} - Commit SHA (the current head if nothing changed)
+ */
+async function commitToWorkingTree(root, branch, filePath, content, message, env) {
+  const checkedOut = await runGit(['symbolic-ref', '--short', 'HEAD'], { cwd: root });
+  if (checkedOut !== branch) {
+    throw new PublishError(`Branch ${branch} is not checked out (on ${checkedOut})`, { platform: PLATFORM, status: 409 });
+  }
+
+  // A symlinked directory or file in the repository must not redirect the write elsewhere
+  const dir = path.join(root, path.dirname(filePath));
+  await fs.mkdir(dir, { recursive: true });
+  const target = path.join(await fs.realpath(dir), path.basename(filePath));
+  const existing = await fs.lstat(target).catch(() => null);
+  if (!isInside(target, root) || existing?.isSymbolicLink()) {
+    throw new PublishError(`${filePath} leads outside the repository`, { platform: PLATFORM, status: 400 });
+  }
+  await fs.writeFile(target, content);
+  await runGit(['add', '--', filePath], { cwd: root });
+
+  const unchanged = await runGit(['diff', '--cached', '--quiet', '--', filePath], { cwd: root }).then(() => true, () => false);
+  if (!unchanged) {
+    await runGit(['commit', '-m', message, '--', filePath], { cwd: root, env });
+  }
+
+  return runGit(['rev-parse', 'HEAD'], { cwd: root });
+}
+
+/**
+ * Write the article as <contentDir>/<slug>.md and commit it
+ * @param {Object} article - Article document from generated_articles
+ * @param {Object} credentials - Git settings
+ * @param {Object} options - { status: 'publish'|'draft', previous: earlier publication record, if any, uid }
+ * @returns {Promise<{remoteId: string, url: string|null, status: string, revision: string}>}
+ */
+async function publish(article, credentials, { status = 'publish', previous = null, uid } = {}) {
+  const { branch, contentDir } = resolveTargets(credentials);
+  const { cwd, bare, topLevel } = await resolveRepo(credentials.repoPath, uid);
+  const slug = getArticleSlug(article);
+  if (!SAFE_SEGMENT.test(slug)) {
+    throw new PublishError(`Slug "${slug}" cannot be used as a file name`, { platform: PLATFORM, status: 400 });
+  }
+  const filePath = path.posix.join(contentDir, `${slug}.md`);
+
+  const content = buildMarkdownFile(article, status, previous?.publishedAt || new Date().toISOString());
+  const message = `${previous?.remoteId ? 'Update' : 'Publish'} "${article.title}"`;
+  const author = {
+    name: credentials.authorName || DEFAULT_AUTHOR.name,
+    email: credentials.authorEmail || DEFAULT_AUTHOR.email
+  };
+  const env = {
+    GIT_AUTHOR_NAME: author.name,
+    GIT_AUTHOR_EMAIL: author.email,
+    GIT_COMMITTER_NAME: author.name,
+    GIT_COMMITTER_EMAIL: author.email
+  };
+
+  const revision = bare
+    ? await commitToBareRepo(cwd, branch, filePath, content, message, env)
+    : await commitToWorkingTree(topLevel, branch, filePath, content, message, env);
+
+  return {
+    remoteId: filePath,
+    url: credentials.siteUrl ? `${credentials.siteUrl.replace(/\/+$/, '')}/${slug}/` : null,
+    status,
+    revision
+  };
+}
+
+module.exports = {
+  platform: PLATFORM,
+  validateCredentials,
+  publish,
+  buildMarkdownFile
+};
@@ -0,0 +1,121 @@
+/**
+ * Shopify Publisher
+ *
+ * Publishes an article to a Shopify store blog through the Admin REST API
+ * using a custom app's Admin API access token (write_content scope).
+ * Shopify fetches the featured image from its URL itself.
+ *
+ * Credentials: { siteUrl: 'https://<shop>.myshopify.com', accessToken, blogId, storefrontUrl?, tags? }
+ * - storefrontUrl: public domain for post URLs (defaults to siteUrl)
+ * - tags: default tags for every article
+ */
+
+const { httpRequest } = require('../../utils/http-client');
+const { markdownToHtml, stripLeadingTitle, escapeHtml } = require('../markdown-to-html');
+const { getArticleSlug, getMetaDescription } = require('../article-fields');
+const { PublishError } = require('../publish-error');
+const { requireCredentialFields, requirePublicSiteUrl } = require('../credentials-store');
+
+const PLATFORM = 'shopify';
+const API_VERSION = '2024-10';
+
+/**
+ * Call the Shopify Admin REST API
+ * @param {Object} credentials - Shopify credentials
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /admin/api/<version>
+ * @param {Object} json - Request body, if any
+ * @returns {Promise<Object>} - Parsed response body
+ */
+async function shopifyRequest(credentials, method, path, json = null) {
+  const url = `${credentials.siteUrl.replace(/\/+$/, '')}/admin/api/${API_VERSION}${path}`;
+  const response = await httpRequest(PLATFORM, url, {
+    method,
+    headers: {
+      'X-Shopify-Access-Token': credentials.accessToken,
+      'Content-Type': 'application/json'
+    },
+    body: json ? JSON.stringify(json) : undefined
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    let message = text;
+    try {
+      const { errors } = JSON.parse(text);
+      message = typeof errors === 'string' ? errors : JSON.stringify(errors);
+    } catch (error) {
+      // Not JSON; keep the raw text
+    }
+    throw new PublishError(`Shopify API error: ${response.status} - ${String(message).slice(0, 300)}`, {
+      platform: PLATFORM,
+      status: response.status
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Check that credentials are complete and can read the blog
+ * @param {Object} credentials - Shopify credentials
+ * @returns {Promise<{account: string}>} - The blog title
+ */
+async function validateCredentials(credentials) {
+  requireCredentialFields(PLATFORM, credentials, ['siteUrl', 'accessToken', 'blogId']);
+  await requirePublicSiteUrl(PLATFORM, credentials);
+
+  const { blog } = await shopifyRequest(credentials, 'GET', `/blogs/${credentials.blogId}.json`);
+  return { account: blog.title };
+}
+
+/**
+ * Publish (or update) an article as a Shopify blog article
+ * @param {Object} article - Article document from generated_articles
+ * @param {Object} credentials - Shopify credentials
+ * @param {Object} options - { status: 'publish'|'draft', previous: earlier publication record, if any }
+ * @returns {Promise<{remoteId: number, url: string, status: string}>}
+ */
+async function publish(article, credentials, { status = 'publish', previous = null } = {}) {
+  const metaDescription = getMetaDescription(article);
+  const image = article.images?.[0];
+  const tags = [...new Set([...(credentials.tags || []), ...(article.categories || [])])];
+
+  const payload = {
+    article: {
+      title: article.title,
+      handle: getArticleSlug(article),
+      body_html: markdownToHtml(stripLeadingTitle(article.content)),
+      summary_html: `<p>${escapeHtml(metaDescription)}</p>`,
+      published: status === 'publish',
+      ...(tags.length > 0 ? { tags: tags.join(', ') } : {}),
+      ...(image ? { image: { src: image.url, alt: image.alt || '' } } : {}),
+      metafields: [{
+        namespace: 'global',
+        key: 'description_tag',
+        value: metaDescription,
+        type: 'single_line_text_field'
+      }]
+    }
+  };
+
+  const articlesPath = `/blogs/${credentials.blogId}/articles`;
+  const { article: saved } = previous?.remoteId
+    ? await shopifyRequest(credentials, 'PUT', `${articlesPath}/${previous.remoteId}.json`, payload)
+    : await shopifyRequest(credentials, 'POST', `${articlesPath}.json`, payload);
+
+  const { blog } = await shopifyRequest(credentials, 'GET', `/blogs/${credentials.blogId}.json`);
+  const storefront = (credentials.storefrontUrl || credentials.siteUrl).replace(/\/+$/, '');
+
+  return {
+    remoteId: saved.id,
+    url: `${storefront}/blogs/${blog.handle}/${saved.handle}`,
+    status: saved.published_at ? 'publish' : 'draft'
+  };
+}
+
+module.exports = {
+  platform: PLATFORM,
+  validateCredentials,
+  publish
+};
@@ -0,0 +1,120 @@
+/**
+ * Webflow Publisher
+ *
+ * Publishes an article as an item in a Webflow CMS collection (Data API v2)
+ * using a site API token with CMS read/write scope. Webflow imports images
+ * from their URLs itself, so nothing is uploaded.
+ *
+ * Credentials: { siteUrl, apiToken, collectionId, fields? }
+ * - fields: collection field slugs, defaults match Webflow's blog template
+ *   { body: 'post-body', summary: 'post-summary', image: 'main-image' }
+ */
+
+const { httpRequest } = require('../../utils/http-client');
+const { markdownToHtml, stripLeadingTitle } = require('../markdown-to-html');
+const { getArticleSlug, getMetaDescription } = require('../article-fields');
+const { PublishError } = require('../publish-error');
+const { requireCredentialFields } = require('../credentials-store');
+
+const PLATFORM = 'webflow';
+const API_BASE = 'https://api.webflow.com/v2';
+
+const DEFAULT_FIELDS = {
+  body: 'post-body',
+  summary: 'post-summary',
+  image: 'main-image'
+};
+
+/**
+ * Call the Webflow Data API
+ * @param {Object} credentials - Webflow credentials
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /v2
+ * @param {Object} json - Request body, if any
+ * @returns {Promise<Object>} - Parsed response body
+ */
+async function webflowRequest(credentials, method, path, json = null) {
+  const response = await httpRequest(PLATFORM, `${API_BASE}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${credentials.apiToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: json ? JSON.stringify(json) : undefined
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    let message = text;
+    try {
+      message = JSON.parse(text).message || text;
+    } catch (error) {
+      // Not JSON; keep the raw text
+    }
+    throw new PublishError(`Webflow API error: ${response.status} - ${String(message).slice(0, 300)}`, {
+      platform: PLATFORM,
+      status: response.status
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Check that credentials are complete and can read the collection
+ * @param {Object} credentials - Webflow credentials
+ * @returns {Promise<{account: string}>} - The collection name
+ */
+async function validateCredentials(credentials) {
+  requireCredentialFields(PLATFORM, credentials, ['siteUrl', 'apiToken', 'collectionId']);
+
+  const collection = await webflowRequest(credentials, 'GET', `/collections/${credentials.collectionId}`);
+  return { account: collection.displayName };
+}
+
+/**
+ * Publish (or update) an article as a collection item. Published items go
+ * through the /live endpoints so they appear on the site without a site publish.
+ * @param {Object} article - Article document from generated_articles
+ * @param {Object} credentials - Webflow credentials
+ * @param {Object} options - { status: 'publish'|'draft', previous: earlier publication record, if any }
+ * @returns {Promise<{remoteId: string, url: string, status: string}>}
+ */
+async function publish(article, credentials, { status = 'publish', previous = null } = {}) {
+  const fields = { ...DEFAULT_FIELDS, ...(credentials.fields || {}) };
+  const slug = getArticleSlug(article);
+  const image = article.images?.[0];
+
+  const item = {
+    isArchived: false,
+    isDraft: status !== 'publish',
+    fieldData: {
+      name: article.title,
+      slug,
+      [fields.body]: markdownToHtml(stripLeadingTitle(article.content)),
+      [fields.summary]: getMetaDescription(article),
+      ...(image ? { [fields.image]: { url: image.url, alt: image.alt || '' } } : {})
+    }
+  };
+
+  const live = status === 'publish' ? '/live' : '';
+  const itemsPath = `/collections/${credentials.collectionId}/items`;
+
+  const saved = previous?.remoteId
+    ? await webflowRequest(credentials, 'PATCH', `${itemsPath}/${previous.remoteId}${live}`, item)
+    : await webflowRequest(credentials, 'POST', `${itemsPath}${live}`, item);
+
+  const collection = await webflowRequest(credentials, 'GET', `/collections/${credentials.collectionId}`);
+
+  return {
+    remoteId: saved.id,
+    url: `${credentials.siteUrl.replace(/\/+$/, '')}/${collection.slug}/${saved.fieldData?.slug || slug}`,
+    status: saved.isDraft ? 'draft' : 'publish'
+  };
+}
+
+module.exports = {
+  platform: PLATFORM,
+  validateCredentials,
+  publish
+};
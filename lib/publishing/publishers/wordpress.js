@@ -0,0 +1,185 @@
+/**
+ * WordPress Publisher
+ *
+ * Publishes an article through the WordPress REST API (wp-json/wp/v2) using an
+ * Application Password (Users → Profile → Application Passwords):
+ * 1. Download each Unsplash image and upload it to the media library
+ * 2. Resolve category names to IDs, creating missing categories
+ * 3. Create the post (or update it when the article was published before)
+ *
+ * Credentials: { siteUrl, username, applicationPassword, categories?, metaDescriptionField? }
+ * - categories: default category names for every post
+ * - metaDescriptionField: registered post meta key for SEO plugins
+ *   (e.g. '_yoast_wpseo_metadesc'); the excerpt always carries the description
+ */
+
+const { httpRequest } = require('../../utils/http-client');
+const { markdownToHtml, stripLeadingTitle } = require('../markdown-to-html');
+const { getArticleSlug, getMetaDescription } = require('../article-fields');
+const { downloadImage, uploadArticleImages, replaceImageUrls } = require('../images');
+const { PublishError } = require('../publish-error');
+const { requireCredentialFields, requirePublicSiteUrl } = require('../credentials-store');
+
+const PLATFORM = 'wordpress';
+
+function apiBase(siteUrl) {
+  return `${siteUrl.replace(/\/+$/, '')}/wp-json/wp/v2`;
+}
+
+function authHeader(credentials) {
+  const token = Buffer.from(`${credentials.username}:${credentials.applicationPassword}`).toString('base64');
+  return `Basic ${token}`;
+}
+
+/**
+ * Call the WordPress REST API
+ * @param {Object} credentials - WordPress credentials
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /wp-json/wp/v2
+ * @param {Object} options - { json?: Object, body?: Buffer, headers?: Object }
+ * @returns {Promise<Object>} - Parsed response body
+ */
+async function wpRequest(credentials, method, path, { json, body, headers = {} } = {}) {
+  const response = await httpRequest(PLATFORM, `${apiBase(credentials.siteUrl)}${path}`, {
+    method,
+    headers: {
+      'Authorization': authHeader(credentials),
+      ...(json ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: json ? JSON.stringify(json) : body
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    let message = text;
+    try {
+      message = JSON.parse(text).message || text;
+    } catch (error) {
+      // Not JSON (e.g. an HTML error page); keep the raw text
+    }
+    throw new PublishError(`WordPress API error: ${response.status} - ${String(message).slice(0, 300)}`, {
+      platform: PLATFORM,
+      status: response.status
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Check that credentials are complete and accepted by the site
+ * @param {Object} credentials - WordPress credentials
+ * @returns {Promise<{account: string}>} - The WordPress user the credentials belong to
+ * @throws {PublishError} - Missing fields (status 400) or rejected credentials
+ */
+async function validateCredentials(credentials) {
+  requireCredentialFields(PLATFORM, credentials, ['siteUrl', 'username', 'applicationPassword']);
+  await requirePublicSiteUrl(PLATFORM, credentials);
+
+  const user = await wpRequest(credentials, 'GET', '/users/me?context=edit');
+  return { account: user.name || user.slug || credentials.username };
+}
+
+/**
+ * Download an image and add it to the media library
+ * @param {Object} credentials - WordPress credentials
+ * @param {Object} image - Unsplash image { url, alt, photographer }
+ * @param {string} filename - Base file name (no extension)
+ * @returns {Promise<{id: number, url: string}>} - Media ID and its URL on the site
+ */
+async function uploadImage(credentials, image, filename) {
+  const { buffer, contentType, extension } = await downloadImage(image.url, PLATFORM);
+
+  const media = await wpRequest(credentials, 'POST', '/media', {
+    body: buffer,
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}.${extension}"`
+    }
+  });
+
+  // Alt text and caption can't be sent with the binary upload
+  await wpRequest(credentials, 'POST', `/media/${media.id}`, {
+    json: {
+      alt_text: image.alt || '',
+      caption: image.photographer ? `Photo by ${image.photographer} on Unsplash` : ''
+    }
+  });
+
+  return { id: media.id, url: media.source_url };
+}
+
+/**
+ * Resolve category names to IDs, creating the ones that don't exist
+ * @param {Object} credentials - WordPress credentials
+ * @param {string[]} names - Category names
+ * @returns {Promise<number[]>} - Category IDs
+ */
+async function resolveCategories(credentials, names) {
+  const ids = [];
+
+  for (const name of names) {
+    const matches = await wpRequest(credentials, 'GET', `/categories?search=${encodeURIComponent(name)}&per_page=100`);
+    const existing = matches.find((category) => category.name.toLowerCase() === name.toLowerCase());
+
+    if (existing) {
+      ids.push(existing.id);
+    } else {
+      const created = await wpRequest(credentials, 'POST', '/categories', { json: { name } });
+      ids.push(created.id);
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Publish (or update) an article as a WordPress post
+ * @param {Object} article - Article document from generated_articles
+ * @param {Object} credentials - WordPress credentials
+ * @param {Object} options - { status: 'publish'|'draft', previous: earlier publication record, if any }
+ * @returns {Promise<{remoteId: number, url: string, status: string, media: Object}>}
+ */
+async function publish(article, credentials, { status = 'publish', previous = null } = {}) {
+  const slug = getArticleSlug(article);
+  const metaDescription = getMetaDescription(article);
+
+  // Upload images once; re-publishing reuses the media already on the site
+  const media = await uploadArticleImages(article.images, previous?.media, (image, index) => {
+    console.log(`🖼️ Uploading image ${index + 1}/${article.images.length} to WordPress`);
+    return uploadImage(credentials, image, `${slug}-${index + 1}`);
+  });
+  const html = replaceImageUrls(markdownToHtml(stripLeadingTitle(article.content)), media);
+
+  const categoryNames = [...new Set([...(credentials.categories || []), ...(article.categories || [])])];
+  const categories = await resolveCategories(credentials, categoryNames);
+
+  const post = {
+    title: article.title,
+    slug,
+    content: html,
+    status,
+    excerpt: metaDescription,
+    ...(categories.length > 0 ? { categories } : {}),
+    ...(media[0] ? { featured_media: media[0].id } : {}),
+    ...(credentials.metaDescriptionField ? { meta: { [credentials.metaDescriptionField]: metaDescription } } : {})
+  };
+
+  const saved = previous?.remoteId
+    ? await wpRequest(credentials, 'POST', `/posts/${previous.remoteId}`, { json: post })
+    : await wpRequest(credentials, 'POST', '/posts', { json: post });
+
+  return {
+    remoteId: saved.id,
+    url: saved.link,
+    status: saved.status,
+    media
+  };
+}
+
+module.exports = {
+  platform: PLATFORM,
+  validateCredentials,
+  publish
+};
@@ -1,9 +1,21 @@
 /**
- * Blog Post Scheduler
+ * Editorial Calendar Scheduler
  *
- * Runs every 2 days at 06:00 AM and generates one blog post
- * for each subscribed user that hasn't had a post generated
- * in the last 48 hours.
+ * Every 15 minutes, walks each subscribed user's editorial calendar
+ * (lib/calendar/editorial-calendar.js) and moves its slots along:
+ * 1. Queues blog generation for the next slot once it is within the calendar's lead time
+ * 2. Picks up finished jobs: generated drafts go to review (approval mode) or are
+ *    approved and scheduled for the slot (auto mode); failed jobs mark the slot `failed`
+ * 3. Follows each slot's article through the review workflow until it is published
+ * 4. Queues publishing for `scheduled` articles whose publishAt has come — including
+ *    ones scheduled by hand, even when the calendar itself is disabled
+ * 5. When the calendar sets `refreshAfterMonths`, queues a refresh for the stalest
+ *    published article (one at a time)
+ * 6. Reclaims content plan titles whose generation lease expired (the run died
+ *    without finishing), recording a failure so the title is retried
+ * The job worker does the actual generation and publishing.
+ *
+ * Users without a calendar get DEFAULT_CALENDAR (drafts only, Mon/Wed/Fri 06:00 UTC).
  *
  * Subscription field: users where `subscriptionActive === true`
  * Change SUBSCRIPTION_FIELD / SUBSCRIPTION_VALUE below if your
@@ -12,17 +24,31 @@
 
 const cron = require('node-cron');
 const { db } = require('../firebase');
-const { generateBlogPost } = require('./content/generate-blog');
+const { enqueueJob, getJob } = require('./jobs/job-queue');
+const { assertWithinQuota, QuotaExceededError } = require('./usage/quota');
+const {
+  getUserCalendar,
+  getUpcomingSlots,
+  getEntryId,
+  entriesRef,
+  getActiveEntries,
+  attachGeneratedArticle,
+  syncEntryWithArticle
+} = require('./calendar/editorial-calendar');
+const { articlesRef, transitionArticle } = require('./articles/article-workflow');
+const { findStaleArticles } = require('./content/refresh-article');
+const { reclaimExpiredTitles } = require('./content/content-plans');
 
 // ── Configuration ────────────────────────────────────────────
 const SUBSCRIPTION_FIELD = 'subscriptionActive'; // Firestore field
 const SUBSCRIPTION_VALUE = true;                 // Required value
-const INTERVAL_HOURS = 48;                       // Minimum hours between posts per user
+const TICK_SCHEDULE = '*/15 * * * *';            // How often calendars are checked
+const CATCH_UP_HOURS = 24;                       // Slots missed by up to this long (e.g. downtime) still run
 // ─────────────────────────────────────────────────────────────
 
 /**
  * Fetch all subscribed users from Firestore.
- * @returns {Promise<Array<{uid: string, lastBlogGeneratedAt: string|null}>>}
+ * @returns {Promise<Array<{uid: string, data: Object}>>}
  */
 async function getSubscribedUsers() {
   const snapshot = await db
@@ -37,88 +63,254 @@ async function getSubscribedUsers() {
 
   return snapshot.docs.map((doc) => ({
     uid: doc.id,
-    lastBlogGeneratedAt: doc.data().lastBlogGeneratedAt || null,
+    data: doc.data(),
   }));
 }
 
 /**
- * Check whether a user is eligible for a new blog post.
- * A user is eligible if they have never had a post generated,
- * or if it has been at least INTERVAL_HOURS since the last one.
- * @param {string|null} lastBlogGeneratedAt - ISO timestamp or null
- * @returns {boolean}
+ * Record on the user document why the scheduler skipped them.
+ * @param {string} uid - User ID
+ * @param {QuotaExceededError} err - Quota error explaining the skip
+ */
+async function recordSchedulerSkip(uid, err) {
+  try {
+    await db.collection('users').doc(uid).update({
+      lastSchedulerSkip: {
+        reason: err.message,
+        metric: err.metric,
+        allowance: err.allowance,
+        skippedAt: new Date().toISOString(),
+      },
+    });
+  } catch (updateErr) {
+    console.warn(`⚠️ [Scheduler] Failed to record skip for user ${uid}:`, updateErr.message);
+  }
+}
+
+/**
+ * Move in-flight entries along: finished generation jobs hand their draft to
+ * the workflow, and entries waiting on review or publishing follow their article
+ * @param {string} uid - User ID
+ * @param {Object[]} entries - Active calendar entries (updated in place)
  */
-function isEligible(lastBlogGeneratedAt) {
-  if (!lastBlogGeneratedAt) return true;
+async function reconcileEntries(uid, entries) {
+  for (const entry of entries) {
+    if (entry.status === 'generating') {
+      if (!entry.jobId) continue;
 
-  const lastTime = new Date(lastBlogGeneratedAt).getTime();
-  const now = Date.now();
-  const hoursSinceLast = (now - lastTime) / (1000 * 60 * 60);
+      const job = await getJob(entry.jobId);
+      if (!job || job.status === 'failed') {
+        entry.status = 'failed';
+        await entriesRef(uid).doc(entry.id).update({
+          status: 'failed',
+          error: job?.lastError || 'Job not found',
+          updatedAt: new Date().toISOString(),
+        });
+        console.log(`❌ [Scheduler] Slot ${entry.slotAt} failed for user ${uid}: ${job?.lastError || 'job not found'}`);
+      } else if (job.status === 'completed') {
+        entry.status = await attachGeneratedArticle(uid, entry, { articleId: job.result.articleId, title: job.result.title, status: job.result.status });
+        entry.articleId = job.result.articleId;
+        console.log(`📝 [Scheduler] Draft for slot ${entry.slotAt} is ${entry.status} (user ${uid})`);
+      }
+      continue;
+    }
 
-  return hoursSinceLast >= INTERVAL_HOURS;
+    const previous = entry.status;
+    entry.status = await syncEntryWithArticle(uid, entry);
+    if (entry.status !== previous) {
+      console.log(`🔄 [Scheduler] Slot ${entry.slotAt} is now ${entry.status} (user ${uid})`);
+    }
+  }
 }
 
 /**
- * Core job: iterate subscribed users and generate a blog post for each eligible one.
+ * Queue publishing for scheduled articles whose publishAt has come.
+ * The publish job ID is kept on the article so it is queued only once; when
+ * that job fails the article drops back to `approved` for someone to look at.
+ * @returns {Promise<number>} - Jobs queued
  */
-async function runBlogGenerationJob() {
-  console.log('\n🕐 [Scheduler] Blog generation job started at', new Date().toISOString());
+async function publishDueArticles(uid, now) {
+  const snapshot = await articlesRef(uid)
+    .where('status', '==', 'scheduled')
+    .where('schedule.publishAt', '<=', now.toISOString())
+    .get();
+
+  let queued = 0;
+
+  for (const doc of snapshot.docs) {
+    const article = doc.data();
+
+    if (article.publishJobId) {
+      const job = await getJob(article.publishJobId);
+      if (job && ['queued', 'running'].includes(job.status)) continue;
+
+      if (!job || job.status === 'failed') {
+        await transitionArticle(uid, doc.id, 'approved', {
+          actor: 'scheduler',
+          note: `Scheduled publish failed: ${job?.lastError || 'job not found'}`,
+        });
+        await doc.ref.update({ publishJobId: null });
+        console.log(`❌ [Scheduler] Publishing article ${doc.id} failed for user ${uid}; moved back to approved`);
+        continue;
+      }
+    }
+
+    const { jobId } = await enqueueJob('article-publish', uid, {
+      articleId: doc.id,
+      platform: article.schedule.platform || null,
+      status: 'publish',
+    }, { dedupe: false });
+    await doc.ref.update({ publishJobId: jobId });
+
+    console.log(`📤 [Scheduler] Publishing queued for article ${doc.id} (user ${uid}, job ${jobId})`);
+    queued++;
+  }
+
+  return queued;
+}
+
+/**
+ * Queue generation for the next slot inside the lead-time window, one at a time
+ * @returns {Promise<'queued'|'skipped'|null>} - What happened, or null if nothing was due
+ */
+async function generateNextEntry(uid, calendar, entries, now) {
+  if (entries.some((entry) => entry.status === 'generating')) return null;
+
+  const slots = getUpcomingSlots(calendar, {
+    from: new Date(now.getTime() - CATCH_UP_HOURS * 60 * 60 * 1000),
+    until: new Date(now.getTime() + calendar.leadTimeHours * 60 * 60 * 1000),
+    count: 20,
+  });
+
+  for (const slotAt of slots) {
+    const entryRef = entriesRef(uid).doc(getEntryId(slotAt));
+    if ((await entryRef.get()).exists) continue;
+
+    const entry = {
+      slotAt,
+      publishMode: calendar.publishMode,
+      platform: calendar.platform,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    };
+
+    try {
+      await assertWithinQuota(uid, 'blog-generation');
+    } catch (err) {
+      if (!(err instanceof QuotaExceededError)) throw err;
+
+      console.log(`🚫 [Scheduler] Skipping slot ${slotAt} for user ${uid}: ${err.message}`);
+      await recordSchedulerSkip(uid, err);
+      await entryRef.set({ ...entry, status: 'skipped', error: err.message });
+      return 'skipped';
+    }
+
+    // A generation the user started by hand is not the slot's to claim: leave the
+    // slot open and try again on a later tick, once that job has finished
+    const { jobId, existing } = await enqueueJob('blog-generation', uid, { source: 'calendar', slotAt });
+    if (existing) {
+      console.log(`⏳ [Scheduler] Slot ${slotAt} waits for blog generation job ${jobId} to finish (user ${uid})`);
+      return null;
+    }
+    await entryRef.set({ ...entry, status: 'generating', jobId });
+
+    console.log(`📥 [Scheduler] Blog generation queued for slot ${slotAt} (user ${uid}, job ${jobId})`);
+    return 'queued';
+  }
+
+  return null;
+}
+
+/**
+ * Queue a refresh for the user's stalest published article, if refreshes are on.
+ * Refresh jobs are de-duplicated per user, so at most one runs at a time.
+ * @returns {Promise<boolean>} - Whether a new refresh job was queued
+ */
+async function refreshStaleArticle(uid, calendar, now) {
+  if (!calendar.refreshAfterMonths) return false;
+
+  const [stale] = await findStaleArticles(uid, { months: calendar.refreshAfterMonths, now, limit: 1 });
+  if (!stale) return false;
 
-  let users;
   try {
-    users = await getSubscribedUsers();
+    await assertWithinQuota(uid, 'article-refresh');
   } catch (err) {
-    console.error('❌ [Scheduler] Failed to fetch subscribed users:', err.message);
-    return;
+    if (!(err instanceof QuotaExceededError)) throw err;
+    return false;
   }
 
-  const eligible = users.filter((u) => isEligible(u.lastBlogGeneratedAt));
+  const { jobId, existing } = await enqueueJob('article-refresh', uid, { articleId: stale.id, source: 'scheduler' });
+  if (existing) return false;
 
-  console.log(`👥 [Scheduler] Subscribed users: ${users.length} | Eligible: ${eligible.length}`);
+  console.log(`🔄 [Scheduler] Refresh queued for article ${stale.id} (fresh as of ${stale.freshAsOf}, user ${uid}, job ${jobId})`);
+  return true;
+}
 
-  if (eligible.length === 0) {
-    console.log('✅ [Scheduler] No users need a new post right now.');
+/**
+ * Core job: advance every subscribed user's calendar.
+ * Errors for one user are logged and do not stop the others.
+ * @param {Date} now - Current time (injectable for tests)
+ */
+async function runCalendarTick(now = new Date()) {
+  console.log('\n🕐 [Scheduler] Calendar tick started at', now.toISOString());
+
+  let users;
+  try {
+    users = await getSubscribedUsers();
+  } catch (err) {
+    console.error('❌ [Scheduler] Failed to fetch subscribed users:', err.message);
     return;
   }
 
-  let successCount = 0;
+  let generationCount = 0;
+  let publishCount = 0;
+  let skippedCount = 0;
+  let refreshCount = 0;
+  let reclaimCount = 0;
   let failCount = 0;
 
-  // Process sequentially to avoid hammering external APIs
-  for (const user of eligible) {
-    console.log(`\n📝 [Scheduler] Generating blog for user: ${user.uid}`);
+  // Jobs run one at a time in the worker, so external APIs are not hammered
+  for (const user of users) {
     try {
-      await generateBlogPost(user.uid);
+      const { calendar } = getUserCalendar(user.data);
+
+      // Before generation, so a reclaimed title can be picked up again this tick
+      reclaimCount += await reclaimExpiredTitles(user.uid, now);
+
+      if (calendar.enabled) {
+        const entries = await getActiveEntries(user.uid);
+        await reconcileEntries(user.uid, entries);
+
+        const generation = await generateNextEntry(user.uid, calendar, entries, now);
+        if (generation === 'queued') generationCount++;
+        if (generation === 'skipped') skippedCount++;
 
-      // Update lastBlogGeneratedAt timestamp
-      await db.collection('users').doc(user.uid).update({
-        lastBlogGeneratedAt: new Date().toISOString(),
-      });
+        if (await refreshStaleArticle(user.uid, calendar, now)) refreshCount++;
+      }
 
-      console.log(`✅ [Scheduler] Blog generated for user: ${user.uid}`);
-      successCount++;
+      publishCount += await publishDueArticles(user.uid, now);
     } catch (err) {
-      console.error(`❌ [Scheduler] Failed for user ${user.uid}:`, err.message);
+      console.error(`❌ [Scheduler] Calendar failed for user ${user.uid}:`, err.message);
       failCount++;
       // Continue with next user — do not abort the whole run
     }
   }
 
   console.log(
-    `\n🏁 [Scheduler] Job complete — ✅ ${successCount} succeeded | ❌ ${failCount} failed\n`
+    `\n🏁 [Scheduler] Tick complete — 👥 ${users.length} users | 📥 ${generationCount} generating | 📤 ${publishCount} publishing | 🔄 ${refreshCount} refreshing | ♻️ ${reclaimCount} titles reclaimed | 🚫 ${skippedCount} over quota | ❌ ${failCount} failed\n`
   );
 }
 
 /**
  * Start the cron scheduler.
- * Runs at 06:00 AM every 2 days (cron: "0 6 every2days")
+ * Checks calendars every 15 minutes (cron: "*\/15 * * * *")
  */
 function startScheduler() {
-  console.log('🗓️  [Scheduler] Blog generation scheduler registered (every 2 days at 06:00 AM)');
+  console.log('🗓️  [Scheduler] Editorial calendar scheduler registered (every 15 minutes)');
 
-  cron.schedule('0 6 */2 * *', async () => {
-    await runBlogGenerationJob();
+  cron.schedule(TICK_SCHEDULE, async () => {
+    await runCalendarTick();
   });
 }
 
-module.exports = { startScheduler, runBlogGenerationJob };
+module.exports = { startScheduler, runCalendarTick };
@@ -1,9 +1,29 @@
 /**
  * SEO Analysis Status Management
+ *
+ * Tracks the overall analysis status plus a per-stage breakdown stored on the
+ * user document under `seoAnalysisStages.<stage>`:
+ * { status, startedAt, completedAt, itemsTotal, itemsProcessed, itemsFailed, cost, error }
  */
 
 const { db } = require('../firebase');
 
+/**
+ * Pipeline stages in execution order, with their share of the progress bar.
+ * Weights roughly follow how long each stage takes on a typical run.
+ */
+const ANALYSIS_STAGES = [
+  { key: 'discovery', label: 'Competitor discovery', weight: 10 },
+  { key: 'scraping', label: 'Scraping competitor websites', weight: 20 },
+  { key: 'embeddings', label: 'Similarity analysis', weight: 10 },
+  { key: 'intersection', label: 'Domain intersection', weight: 35 },
+  { key: 'target_keywords', label: 'Target keyword selection', weight: 5 },
+  { key: 'keyword_ideas', label: 'Keyword ideas', weight: 5 },
+  { key: 'content', label: 'Content plan generation', weight: 15 },
+];
+
+const FINISHED_STAGE_STATUSES = ['completed', 'skipped'];
+
 /**
  * Update SEO analysis status for a user
  * @param {string} uid - User ID
@@ -52,10 +72,195 @@ async function getSEOAnalysisStatus(uid) {
     startedAt: data.seoAnalysisStartedAt,
     completedAt: data.seoAnalysisCompletedAt,
     error: data.seoAnalysisError,
+    jobId: data.seoAnalysisJobId || null,
+    stages: formatAnalysisStages(data.seoAnalysisStages),
+    percentage: calculateAnalysisPercentage(data.seoAnalysisStatus, data.seoAnalysisStages),
+  };
+}
+
+/**
+ * Reset stages to 'pending' at the start of a run
+ * @param {string} uid - User ID
+ * @param {string|null} fromStage - When resuming, only reset this stage and the ones after it
+ * @returns {Promise<void>}
+ */
+async function resetAnalysisStages(uid, fromStage = null) {
+  const fromIndex = fromStage ? ANALYSIS_STAGES.findIndex((s) => s.key === fromStage) : 0;
+  const update = { seoAnalysisError: null };
+
+  if (fromIndex <= 0) {
+    const stages = {};
+    ANALYSIS_STAGES.forEach(({ key }) => {
+      stages[key] = { status: 'pending' };
+    });
+    update.seoAnalysisStages = stages;
+  } else {
+    ANALYSIS_STAGES.slice(fromIndex).forEach(({ key }) => {
+      update[`seoAnalysisStages.${key}`] = { status: 'pending' };
+    });
+  }
+
+  await db.collection('users').doc(uid).update(update);
+}
+
+/**
+ * Find the first stage that did not finish cleanly in the previous run.
+ * A completed stage with failed items (e.g. some competitors errored) counts as unfinished.
+ * @param {Object|undefined} stages - `seoAnalysisStages` from the user document
+ * @returns {string|null} - Stage key to resume from, or null if every stage finished
+ */
+function getResumeStage(stages = {}) {
+  for (const { key } of ANALYSIS_STAGES) {
+    const stage = stages[key];
+    if (!stage || !FINISHED_STAGE_STATUSES.includes(stage.status) || stage.itemsFailed > 0) {
+      return key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Update one stage of the analysis
+ * @param {string} uid - User ID
+ * @param {string} stage - Stage key from ANALYSIS_STAGES
+ * @param {string} status - 'pending', 'running', 'completed', 'failed', 'skipped'
+ * @param {Object} data - Optional { itemsTotal, itemsProcessed, itemsFailed, cost, error, note }
+ * @returns {Promise<void>}
+ */
+async function updateAnalysisStage(uid, stage, status, data = {}) {
+  const prefix = `seoAnalysisStages.${stage}`;
+  const update = {
+    [`${prefix}.status`]: status,
   };
+
+  if (status === 'running') {
+    update[`${prefix}.startedAt`] = new Date().toISOString();
+  }
+
+  if (['completed', 'failed', 'skipped'].includes(status)) {
+    update[`${prefix}.completedAt`] = new Date().toISOString();
+  }
+
+  for (const field of ['itemsTotal', 'itemsProcessed', 'itemsFailed', 'cost', 'error', 'note']) {
+    if (data[field] !== undefined) {
+      update[`${prefix}.${field}`] = data[field];
+    }
+  }
+
+  await db.collection('users').doc(uid).update(update);
+}
+
+/**
+ * Create a tracker bound to one user's analysis run.
+ * Tracking failures are logged and never break the pipeline itself.
+ * @param {string} uid - User ID
+ * @returns {Object} - { reset, start, progress, complete, skip, fail, failRunning }
+ *   `reset(fromStage)` resets every stage, or only `fromStage` onward when resuming
+ */
+function createStageTracker(uid) {
+  const running = new Set();
+
+  const write = async (stage, status, data) => {
+    try {
+      await updateAnalysisStage(uid, stage, status, data);
+    } catch (error) {
+      console.warn(`⚠️ Failed to record stage ${stage} (${status}):`, error.message);
+    }
+  };
+
+  return {
+    reset: async (fromStage = null) => {
+      running.clear();
+      try {
+        await resetAnalysisStages(uid, fromStage);
+      } catch (error) {
+        console.warn('⚠️ Failed to reset analysis stages:', error.message);
+      }
+    },
+    start: async (stage, data = {}) => {
+      running.add(stage);
+      await write(stage, 'running', { itemsProcessed: 0, ...data });
+    },
+    progress: async (stage, itemsProcessed, data = {}) => {
+      await write(stage, 'running', { ...data, itemsProcessed });
+    },
+    complete: async (stage, data = {}) => {
+      running.delete(stage);
+      await write(stage, 'completed', data);
+    },
+    skip: async (stage, note) => {
+      running.delete(stage);
+      await write(stage, 'skipped', { note });
+    },
+    fail: async (stage, error) => {
+      running.delete(stage);
+      await write(stage, 'failed', { error: error instanceof Error ? error.message : String(error) });
+    },
+    failRunning: async (error) => {
+      for (const stage of [...running]) {
+        running.delete(stage);
+        await write(stage, 'failed', { error: error instanceof Error ? error.message : String(error) });
+      }
+    },
+  };
+}
+
+/**
+ * Convert the stored stages map into an ordered array for API responses
+ * @param {Object|undefined} stages - `seoAnalysisStages` from the user document
+ * @returns {Array<Object>}
+ */
+function formatAnalysisStages(stages = {}) {
+  return ANALYSIS_STAGES.map(({ key, label }) => {
+    const stage = stages[key] || {};
+    return {
+      key,
+      label,
+      status: stage.status || 'pending',
+      startedAt: stage.startedAt || null,
+      completedAt: stage.completedAt || null,
+      itemsTotal: stage.itemsTotal ?? null,
+      itemsProcessed: stage.itemsProcessed ?? null,
+      itemsFailed: stage.itemsFailed ?? null,
+      cost: stage.cost ?? null,
+      error: stage.error || null,
+      note: stage.note || null,
+    };
+  });
+}
+
+/**
+ * Calculate overall completion percentage from stage weights.
+ * A running stage contributes its share of processed items.
+ * @param {string|undefined} status - Overall analysis status
+ * @param {Object|undefined} stages - `seoAnalysisStages` from the user document
+ * @returns {number} - 0 to 100
+ */
+function calculateAnalysisPercentage(status, stages = {}) {
+  if (status === 'completed') return 100;
+
+  const totalWeight = ANALYSIS_STAGES.reduce((sum, s) => sum + s.weight, 0);
+  let doneWeight = 0;
+
+  ANALYSIS_STAGES.forEach(({ key, weight }) => {
+    const stage = stages[key];
+    if (!stage) return;
+
+    if (FINISHED_STAGE_STATUSES.includes(stage.status)) {
+      doneWeight += weight;
+    } else if (stage.status === 'running' && stage.itemsTotal > 0) {
+      doneWeight += weight * Math.min(1, (stage.itemsProcessed || 0) / stage.itemsTotal);
+    }
+  });
+
+  return Math.round((doneWeight / totalWeight) * 100);
 }
 
 module.exports = {
   updateSEOAnalysisStatus,
-  getSEOAnalysisStatus
+  getSEOAnalysisStatus,
+  updateAnalysisStage,
+  createStageTracker,
+  getResumeStage,
+  ANALYSIS_STAGES
 };
@@ -5,9 +5,8 @@
  * based on seed keywords. Calculates opportunity scores and categorizes keywords.
  */
 
-// Dynamic import for node-fetch (ES Module)
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 const { db } = require('../../firebase');
+const { callKeywordIdeas } = require('../utils/dataforseo-client');
 
 /**
  * Generate keyword ideas from seed keywords using DataForSEO API
@@ -41,42 +40,7 @@ async function generateKeywordIdeas(uid) {
     console.log(`📊 Requesting keyword ideas for ${seedKeywords.length} seed keywords`);
 
     // Call DataForSEO Keyword Ideas API
-    const credentials = Buffer.from(
-      `${process.env.DATAFORSEO_LOGIN}:${process.env.DATAFORSEO_PASSWORD}`
-    ).toString('base64');
-
-    const dataForSeoResponse = await fetch(
-      'https://api.dataforseo.com/v3/dataforseo_labs/google/keyword_ideas/live',
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Basic ${credentials}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify([
-          {
-            keywords: seedKeywords,
-            location_code: targetCountryCode,
-            language_code: language,
-            include_serp_info: false,
-            include_seed_keyword: false,
-            limit: 150,
-            filters: [
-              ['keyword_info.search_volume', '>', 0]
-            ],
-            order_by: ['keyword_info.search_volume,desc']
-          }
-        ]),
-      }
-    );
-
-    if (!dataForSeoResponse.ok) {
-      const errorData = await dataForSeoResponse.json();
-      console.error('❌ DataForSEO API error:', errorData);
-      throw new Error(`Failed to fetch keyword ideas from DataForSEO: ${errorData}`);
-    }
-
-    const dataForSeoData = await dataForSeoResponse.json();
+    const dataForSeoData = await callKeywordIdeas(seedKeywords, targetCountryCode, language, 150);
 
     if (!dataForSeoData.tasks || dataForSeoData.tasks.length === 0) {
       throw new Error('No results from DataForSEO');
@@ -111,35 +75,7 @@ async function generateKeywordIdeas(uid) {
 
     // Calculate opportunity scores based on volume, difficulty, and CPC
     keywordIdeas.forEach((kw) => {
-      let score = 0;
-
-      // Volume score (0-40 points)
-      if (kw.search_volume >= 10000) score += 40;
-      else if (kw.search_volume >= 5000) score += 30;
-      else if (kw.search_volume >= 1000) score += 20;
-      else if (kw.search_volume >= 500) score += 10;
-      else score += 5;
-
-      // Difficulty score (0-30 points, lower difficulty = higher score)
-      const difficulty = kw.difficulty || 50;
-      if (difficulty < 30) score += 30;
-      else if (difficulty < 50) score += 20;
-      else if (difficulty < 70) score += 10;
-      else score += 5;
-
-      // CPC score (0-20 points, higher CPC = more valuable)
-      if (kw.cpc >= 5) score += 20;
-      else if (kw.cpc >= 2) score += 15;
-      else if (kw.cpc >= 1) score += 10;
-      else if (kw.cpc >= 0.5) score += 5;
-
-      // Intent score (0-10 points)
-      if (kw.search_intent === 'transactional') score += 10;
-      else if (kw.search_intent === 'commercial') score += 8;
-      else if (kw.search_intent === 'navigational') score += 5;
-      else score += 3; // informational
-
-      kw.opportunity_score = score;
+      kw.opportunity_score = calculateOpportunityScore(kw);
     });
 
     // Categorize keywords into opportunity types
@@ -216,6 +152,43 @@ async function generateKeywordIdeas(uid) {
   }
 }
 
+/**
+ * Score a keyword idea from 0-100 on volume, difficulty, CPC and intent
+ * @param {Object} kw - Keyword idea ({ search_volume, difficulty, cpc, search_intent })
+ * @returns {number} Opportunity score
+ */
+function calculateOpportunityScore(kw) {
+  let score = 0;
+
+  // Volume score (0-40 points)
+  if (kw.search_volume >= 10000) score += 40;
+  else if (kw.search_volume >= 5000) score += 30;
+  else if (kw.search_volume >= 1000) score += 20;
+  else if (kw.search_volume >= 500) score += 10;
+  else score += 5;
+
+  // Difficulty score (0-30 points, lower difficulty = higher score)
+  const difficulty = kw.difficulty || 50;
+  if (difficulty < 30) score += 30;
+  else if (difficulty < 50) score += 20;
+  else if (difficulty < 70) score += 10;
+  else score += 5;
+
+  // CPC score (0-20 points, higher CPC = more valuable)
+  if (kw.cpc >= 5) score += 20;
+  else if (kw.cpc >= 2) score += 15;
+  else if (kw.cpc >= 1) score += 10;
+  else if (kw.cpc >= 0.5) score += 5;
+
+  // Intent score (0-10 points)
+  if (kw.search_intent === 'transactional') score += 10;
+  else if (kw.search_intent === 'commercial') score += 8;
+  else if (kw.search_intent === 'navigational') score += 5;
+  else score += 3; // informational
+
+  return score;
+}
+
 /**
  * Categorize keywords into different opportunity types
  * @param {Array} keywords - Array of keyword objects with scores
@@ -267,4 +240,6 @@ function categorizeKeywords(keywords) {
 
 module.exports = {
   generateKeywordIdeas,
+  calculateOpportunityScore,
+  categorizeKeywords,
 };
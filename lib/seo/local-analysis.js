@@ -50,8 +50,11 @@ function isExcludedDomain(domain) {
 
 /**
  * Process LOCAL business SEO analysis
+ * @param {Object} userData - User onboarding data
+ * @param {string|null} uid - User ID (enables similarity ranking)
+ * @param {Object|null} tracker - Optional stage tracker from createStageTracker
  */
-async function processLocalBusinessSEO(userData, uid = null) {
+async function processLocalBusinessSEO(userData, uid = null, tracker = null) {
   console.log('🏪 Processing LOCAL business SEO analysis...');
 
   const { latitude, longitude, language, businessTypeIdentifier, businessName } = userData;
@@ -79,6 +82,7 @@ async function processLocalBusinessSEO(userData, uid = null) {
   };
 
   // Call DataForSEO Maps API
+  await tracker?.start('discovery');
   const response = await callDataForSEOMaps([task]);
 
   // Process results
@@ -111,6 +115,12 @@ async function processLocalBusinessSEO(userData, uid = null) {
 
   console.log(`✅ Filtered to ${uniqueBusinesses.length} businesses with unique real websites`);
 
+  await tracker?.complete('discovery', {
+    itemsTotal: businessResults.length,
+    itemsProcessed: uniqueBusinesses.length,
+    cost: response.cost || 0
+  });
+
   // Perform similarity analysis if uid provided
   let topCompetitors;
 
@@ -146,6 +156,8 @@ async function processLocalBusinessSEO(userData, uid = null) {
 
       if (services.length === 0) {
         console.log('⚠️ No services found, skipping similarity analysis');
+        await tracker?.skip('scraping', 'No services to compare competitors against');
+        await tracker?.skip('embeddings', 'No services to compare competitors against');
         topCompetitors = uniqueBusinesses.slice(0, 20).map(item => removeUndefined({
           title: item.title || 'Unknown',
           placeId: item.place_id || null,
@@ -163,11 +175,10 @@ async function processLocalBusinessSEO(userData, uid = null) {
         const servicesText = services.join(' ');
         console.log(`📋 Combined ${services.length} services (${servicesText.length} characters)`);
 
-        const userEmbedding = await getEmbedding(servicesText);
-
         console.log(`📍 Scraping ${uniqueBusinesses.length} competitor websites...`);
+        await tracker?.start('scraping', { itemsTotal: uniqueBusinesses.length });
 
-        const competitorAnalysis = [];
+        const scrapeResults = [];
         const batchSize = 20;
 
         for (let i = 0; i < uniqueBusinesses.length; i += batchSize) {
@@ -176,27 +187,49 @@ async function processLocalBusinessSEO(userData, uid = null) {
           const batchResults = await Promise.all(
             batch.map(async (item) => {
               const scrapedText = await scrapeWebsiteWithJina(item.url);
-
-              if (!scrapedText || scrapedText.trim().length === 0) {
-                return { ...item, similarity: 0, scraped: false };
-              }
-
-              const competitorEmbedding = await getEmbedding(scrapedText);
-              const similarity = cosineSimilarity(userEmbedding, competitorEmbedding);
-
               return {
-                ...item,
-                similarity,
-                scraped: true,
-                scrapedTextLength: scrapedText.length
+                item,
+                scrapedText,
+                scraped: !!scrapedText && scrapedText.trim().length > 0
               };
             })
           );
 
-          competitorAnalysis.push(...batchResults);
-          console.log(`✅ Processed ${Math.min(i + batchSize, uniqueBusinesses.length)} / ${uniqueBusinesses.length} websites`);
+          scrapeResults.push(...batchResults);
+          console.log(`✅ Scraped ${scrapeResults.length} / ${uniqueBusinesses.length} websites`);
+          await tracker?.progress('scraping', scrapeResults.length);
         }
 
+        const validScrapes = scrapeResults.filter(r => r.scraped);
+        await tracker?.complete('scraping', { itemsProcessed: validScrapes.length });
+
+        // Embed services and scraped websites, then score similarity
+        await tracker?.start('embeddings', { itemsTotal: validScrapes.length });
+
+        const userEmbedding = await getEmbedding(servicesText);
+        const competitorAnalysis = scrapeResults
+          .filter(r => !r.scraped)
+          .map(r => ({ ...r.item, similarity: 0, scraped: false }));
+
+        for (let i = 0; i < validScrapes.length; i += batchSize) {
+          const batch = validScrapes.slice(i, i + batchSize);
+          const embeddings = await getEmbedding(batch.map(r => r.scrapedText));
+
+          batch.forEach((result, index) => {
+            competitorAnalysis.push({
+              ...result.item,
+              similarity: cosineSimilarity(userEmbedding, embeddings[index]),
+              scraped: true,
+              scrapedTextLength: result.scrapedText.length
+            });
+          });
+
+          console.log(`✅ Embedded ${Math.min(i + batchSize, validScrapes.length)} / ${validScrapes.length} websites`);
+          await tracker?.progress('embeddings', Math.min(i + batchSize, validScrapes.length));
+        }
+
+        await tracker?.complete('embeddings', { itemsProcessed: validScrapes.length });
+
         // Sort by similarity
         let sortedBySimilarity = competitorAnalysis
           .filter(c => c.scraped)
@@ -272,6 +305,7 @@ async function processLocalBusinessSEO(userData, uid = null) {
       }
     } catch (error) {
       console.error('⚠️ Error in similarity analysis:', error);
+      await tracker?.failRunning(error);
 
       topCompetitors = uniqueBusinesses.slice(0, 20).map(item => removeUndefined({
         title: item.title || 'Unknown',
@@ -287,6 +321,8 @@ async function processLocalBusinessSEO(userData, uid = null) {
       }));
     }
   } else {
+    await tracker?.skip('scraping', 'No user to compare competitors against');
+    await tracker?.skip('embeddings', 'No user to compare competitors against');
     topCompetitors = uniqueBusinesses.slice(0, 20).map(item => removeUndefined({
       title: item.title || 'Unknown',
       placeId: item.place_id || null,
@@ -329,12 +365,58 @@ async function processLocalBusinessSEO(userData, uid = null) {
   return analysisResult;
 }
 
+// Intersection results younger than this are reused when resuming an analysis
+const INTERSECTION_FRESHNESS_MS = 7 * 24 * 60 * 60 * 1000;
+
+function isFresh(isoTimestamp) {
+  if (!isoTimestamp) return false;
+  return Date.now() - new Date(isoTimestamp).getTime() < INTERSECTION_FRESHNESS_MS;
+}
+
+/**
+ * Check whether a competitor's intersection was already analyzed recently.
+ * Uses the per-competitor checkpoint, falling back to the unique keywords doc
+ * (written last for each competitor) for runs made before checkpoints existed.
+ */
+async function isIntersectionFresh(uid, competitorDomain, checkpointDomains) {
+  if (isFresh(checkpointDomains[competitorDomain])) {
+    return true;
+  }
+
+  const uniqueDoc = await db.collection('users').doc(uid)
+    .collection('intersections').doc('unique')
+    .collection('websites').doc(competitorDomain)
+    .get();
+
+  return uniqueDoc.exists && isFresh(uniqueDoc.data().processedAt);
+}
+
 /**
  * Run domain intersection analysis for user vs competitors
+ * @param {Object|null} tracker - Optional stage tracker from createStageTracker
+ * @param {Object} options - { skipFresh: reuse competitors analyzed within the freshness window }
+ * @returns {Promise<{processed: number, skipped: number, failed: number, cost: number}>}
  */
-async function runDomainIntersectionAnalysis(uid, userWebsite, competitors, locationCode, languageCode) {
+async function runDomainIntersectionAnalysis(uid, userWebsite, competitors, locationCode, languageCode, tracker = null, options = {}) {
+  const { skipFresh = false } = options;
+
   console.log(`🔍 Running domain intersection analysis for ${competitors.length} competitors...`);
 
+  let processed = 0;
+  let skipped = 0;
+  let failed = 0;
+  let totalCost = 0;
+
+  // Per-competitor checkpoints: { domains: { [domain]: processedAt } }
+  const checkpointRef = db.collection('users').doc(uid)
+    .collection('seo_checkpoints').doc('intersection');
+  let checkpointDomains = {};
+
+  if (skipFresh) {
+    const checkpointDoc = await checkpointRef.get();
+    checkpointDomains = checkpointDoc.exists ? (checkpointDoc.data().domains || {}) : {};
+  }
+
   // Extract domain from user website URL
   const userDomain = new URL(userWebsite).hostname.replace('www.', '');
 
@@ -374,6 +456,13 @@ async function runDomainIntersectionAnalysis(uid, userWebsite, competitors, loca
     try {
       const competitorDomain = new URL(competitor.url).hostname.replace('www.', '');
 
+      if (skipFresh && await isIntersectionFresh(uid, competitorDomain, checkpointDomains)) {
+        console.log(`⏭️ Skipping ${competitorDomain}: intersection analyzed within the last 7 days`);
+        skipped++;
+        await tracker?.progress('intersection', processed + skipped + failed, { cost: totalCost });
+        continue;
+      }
+
       // Get shared keywords
       const sharedData = await callDomainIntersection(
         competitorDomain,
@@ -383,6 +472,7 @@ async function runDomainIntersectionAnalysis(uid, userWebsite, competitors, loca
         true
       );
 
+      totalCost += sharedData.cost || 0;
       const sharedResult = sharedData.tasks[0].result?.[0];
       const totalSharedKeywords = sharedResult?.total_count || 0;
 
@@ -431,6 +521,7 @@ async function runDomainIntersectionAnalysis(uid, userWebsite, competitors, loca
         false
       );
 
+      totalCost += uniqueData.cost || 0;
       const uniqueResult = uniqueData.tasks[0].result?.[0];
       const totalUniqueKeywords = uniqueResult?.total_count || 0;
 
@@ -542,12 +633,23 @@ async function runDomainIntersectionAnalysis(uid, userWebsite, competitors, loca
         console.log(`✅ Saved ${totalUniqueKeywords} unique keywords for ${competitorDomain}`);
       }
 
+      // Checkpoint so a resumed analysis does not pay for this competitor again.
+      // set() with merge treats the dotted domain as a literal map key.
+      await checkpointRef.set({
+        domains: { [competitorDomain]: new Date().toISOString() }
+      }, { merge: true });
+
+      processed++;
     } catch (error) {
       console.warn(`⚠️ Failed to analyze intersection with ${competitor.url}:`, error);
+      failed++;
     }
+
+    await tracker?.progress('intersection', processed + skipped + failed, { cost: totalCost });
   }
 
-  console.log('✅ Domain intersection analysis completed');
+  console.log(`✅ Domain intersection analysis completed (${processed} analyzed, ${skipped} reused, ${failed} failed)`);
+  return { processed, skipped, failed, cost: totalCost };
 }
 
 // Keyword generation utilities
@@ -55,8 +55,11 @@ function isExcludedDomain(domain) {
 /**
  * Process ONLINE business SEO analysis
  * Uses Competitors Domain API to discover competitors, then ranks by similarity
+ * @param {Object} userData - User onboarding data
+ * @param {string|null} uid - User ID (enables similarity ranking)
+ * @param {Object|null} tracker - Optional stage tracker from createStageTracker
  */
-async function processOnlineBusinessSEO(userData, uid = null) {
+async function processOnlineBusinessSEO(userData, uid = null, tracker = null) {
   console.log('🌐 Processing ONLINE business SEO analysis...');
 
   const { targetCountryCode, language, businessName, websiteUrl, competitors } = userData;
@@ -81,6 +84,9 @@ async function processOnlineBusinessSEO(userData, uid = null) {
   console.log(`🔍 Discovering competitors for: ${userDomain}`);
 
   // Step 1: Call Competitors Domain API to discover competitors
+  await tracker?.start('discovery');
+  let discoveryCost = 0;
+
   let competitorsData = await callCompetitorsDomain(
     userDomain,
     locationCode,
@@ -88,6 +94,7 @@ async function processOnlineBusinessSEO(userData, uid = null) {
     100 // Get up to 100 competitors
   );
 
+  discoveryCost += competitorsData.cost || 0;
   let taskResult = competitorsData.tasks[0];
   let result = taskResult.result?.[0];
   let competitorItems = result?.items || [];
@@ -118,6 +125,7 @@ async function processOnlineBusinessSEO(userData, uid = null) {
           100
         );
 
+        discoveryCost += fallbackData.cost || 0;
         const fallbackResult = fallbackData.tasks[0].result?.[0];
         const fallbackItems = fallbackResult?.items || [];
 
@@ -171,6 +179,12 @@ async function processOnlineBusinessSEO(userData, uid = null) {
 
   console.log(`✅ Filtered to ${filteredCompetitors.length} competitors (excluded big sites and high-traffic platforms)`);
 
+  await tracker?.complete('discovery', {
+    itemsTotal: competitorItems.length,
+    itemsProcessed: filteredCompetitors.length,
+    cost: discoveryCost
+  });
+
   // Step 3: If user has uid, fetch services and perform similarity analysis
   let topCompetitors;
 
@@ -207,6 +221,8 @@ async function processOnlineBusinessSEO(userData, uid = null) {
 
       if (services.length === 0) {
         console.log('⚠️ No services found, skipping similarity analysis');
+        await tracker?.skip('scraping', 'No services to compare competitors against');
+        await tracker?.skip('embeddings', 'No services to compare competitors against');
         topCompetitors = filteredCompetitors.slice(0, 10).map((item) => ({
           domain: item.domain,
           metrics: item.metrics
@@ -218,11 +234,9 @@ async function processOnlineBusinessSEO(userData, uid = null) {
 
         console.log('🔍 Performing similarity analysis based on services...');
 
-        // Get embedding for user's services
-        const userEmbedding = await getEmbedding(servicesText);
-
-        // Scrape all competitor websites in parallel
+        // Scrape competitor websites in parallel (the HTTP layer caps concurrent Jina requests)
         console.log(`📍 Scraping ${filteredCompetitors.length} competitor websites...`);
+        await tracker?.start('scraping', { itemsTotal: filteredCompetitors.length });
 
         const scrapeResults = await Promise.all(
           filteredCompetitors.map(async (item) => {
@@ -241,6 +255,11 @@ async function processOnlineBusinessSEO(userData, uid = null) {
         // Filter out failed scrapes and prepare for batch embedding
         const validScrapes = scrapeResults.filter(r => r.scraped);
         console.log(`📊 ${validScrapes.length} websites successfully scraped`);
+        await tracker?.complete('scraping', { itemsProcessed: validScrapes.length });
+
+        // Get embedding for user's services
+        await tracker?.start('embeddings', { itemsTotal: validScrapes.length });
+        const userEmbedding = await getEmbedding(servicesText);
 
         let competitorAnalysis = [];
 
@@ -282,6 +301,7 @@ async function processOnlineBusinessSEO(userData, uid = null) {
         }
 
         console.log(`✅ Completed similarity analysis for ${competitorAnalysis.length} competitors`);
+        await tracker?.complete('embeddings', { itemsProcessed: validScrapes.length });
 
         // Sort by similarity
         let sortedBySimilarity = competitorAnalysis
@@ -368,6 +388,7 @@ async function processOnlineBusinessSEO(userData, uid = null) {
       }
     } catch (error) {
       console.error('⚠️ Error fetching services or performing similarity analysis:', error);
+      await tracker?.failRunning(error);
 
       // Fallback to top 10 competitors
       topCompetitors = filteredCompetitors.slice(0, 10).map((item) => ({
@@ -378,6 +399,8 @@ async function processOnlineBusinessSEO(userData, uid = null) {
   } else {
     // No uid provided, just use top 10 filtered competitors
     console.log('⚠️ No uid provided, using top 10 filtered competitors');
+    await tracker?.skip('scraping', 'No user to compare competitors against');
+    await tracker?.skip('embeddings', 'No user to compare competitors against');
 
     topCompetitors = filteredCompetitors.slice(0, 10).map((item) => ({
       domain: item.domain,
@@ -398,7 +421,7 @@ async function processOnlineBusinessSEO(userData, uid = null) {
       filteredCompetitorsCount: filteredCompetitors.length,
       topCompetitors
     }],
-    totalCost: competitorsData.cost,
+    totalCost: discoveryCost,
     summary: {
       totalKeywords: 0,
       totalCompetitors: topCompetitors.length,
@@ -4,9 +4,10 @@
  */
 
 const { db } = require('../../firebase');
-const { updateSEOAnalysisStatus } = require('../seo-analysis-status');
+const { updateSEOAnalysisStatus, createStageTracker, getResumeStage, ANALYSIS_STAGES } = require('../seo-analysis-status');
 const { processLocalBusinessSEO, runDomainIntersectionAnalysis, generateTargetKeywords } = require('./local-analysis');
 const { processOnlineBusinessSEO } = require('./online-analysis');
+const { enqueueJob } = require('../jobs/job-queue');
 
 /**
  * Recursively remove undefined values from any object/array.
@@ -28,7 +29,19 @@ function deepRemoveUndefined(obj) {
   return obj;
 }
 
-async function processSEOAnalysis(uid) {
+function stageIndex(stage) {
+  return ANALYSIS_STAGES.findIndex((s) => s.key === stage);
+}
+
+/**
+ * Run the full SEO analysis pipeline for a user
+ * @param {string} uid - User ID
+ * @param {Object} options - { resume: continue from the first stage that did not finish last time }
+ * @returns {Promise<Object>}
+ */
+async function processSEOAnalysis(uid, options = {}) {
+  const tracker = createStageTracker(uid);
+
   try {
     console.log(`🔄 Processing SEO analysis for user ${uid}...`);
 
@@ -61,23 +74,45 @@ async function processSEOAnalysis(uid) {
       competitorsCount: userData.competitors?.length || 0
     });
 
+    // Work out where to start. Discovery, scraping and embeddings produce
+    // seoAnalysisResults together, so they can only be skipped as a group.
+    let resumeStage = null;
+    if (options.resume) {
+      resumeStage = getResumeStage(userData.seoAnalysisStages);
+      if ((resumeStage && stageIndex(resumeStage) <= stageIndex('embeddings')) || !userData.seoAnalysisResults) {
+        resumeStage = 'discovery';
+      }
+      console.log(`⏯️ Resuming SEO analysis from stage: ${resumeStage || 'none (all stages finished)'}`);
+    }
+
+    const shouldRun = (stage) => !options.resume || (resumeStage !== null && stageIndex(stage) >= stageIndex(resumeStage));
+
+    await tracker.reset(options.resume ? resumeStage : null);
+
     // Route analysis based on business type
     let analysisResults;
 
-    if (userData.businessType === 'local') {
-      analysisResults = await processLocalBusinessSEO(userData, uid);
+    if (!shouldRun('discovery')) {
+      console.log('⏭️ Reusing competitor discovery and similarity results from the previous run');
+      analysisResults = userData.seoAnalysisResults;
+    } else if (userData.businessType === 'local') {
+      analysisResults = await processLocalBusinessSEO(userData, uid, tracker);
     } else if (userData.businessType === 'online') {
-      analysisResults = await processOnlineBusinessSEO(userData, uid);
+      analysisResults = await processOnlineBusinessSEO(userData, uid, tracker);
     } else {
       throw new Error(`Unknown business type: ${userData.businessType}`);
     }
 
-    await userDocRef.update({
-      seoAnalysisResults: deepRemoveUndefined(analysisResults),
-    });
+    if (shouldRun('discovery')) {
+      await userDocRef.update({
+        seoAnalysisResults: deepRemoveUndefined(analysisResults),
+      });
+    }
 
     // Run domain intersection analysis if user has a website
-    if (userData.websiteUrl) {
+    if (!shouldRun('target_keywords')) {
+      console.log('⏭️ Domain intersection and target keywords already completed');
+    } else if (userData.websiteUrl) {
       console.log('🔍 Starting domain intersection analysis...');
 
       try {
@@ -121,13 +156,26 @@ async function processSEOAnalysis(uid) {
         }
 
         if (allCompetitors.length > 0) {
-          await runDomainIntersectionAnalysis(
-            uid,
-            userData.websiteUrl,
-            allCompetitors,
-            locationCode,
-            languageCode
-          );
+          if (shouldRun('intersection')) {
+            await tracker.start('intersection', { itemsTotal: allCompetitors.filter((c) => c.url).length });
+
+            const intersectionSummary = await runDomainIntersectionAnalysis(
+              uid,
+              userData.websiteUrl,
+              allCompetitors,
+              locationCode,
+              languageCode,
+              tracker,
+              { skipFresh: !!options.resume }
+            );
+
+            await tracker.complete('intersection', {
+              itemsProcessed: intersectionSummary.processed + intersectionSummary.skipped,
+              itemsFailed: intersectionSummary.failed,
+              cost: intersectionSummary.cost,
+              note: intersectionSummary.skipped > 0 ? `${intersectionSummary.skipped} competitor(s) reused from checkpoint` : undefined
+            });
+          }
 
           // Update competitors array in Firestore with discovered competitors
           if (userData.businessType === 'local') {
@@ -161,77 +209,97 @@ async function processSEOAnalysis(uid) {
           // Generate target keywords after intersection analysis
           try {
             console.log('🎯 Generating target keywords...');
-            await generateTargetKeywords(uid);
+            await tracker.start('target_keywords');
+            const targetKeywords = await generateTargetKeywords(uid);
+            await tracker.complete('target_keywords', { itemsProcessed: targetKeywords.length });
             console.log('✅ Target keywords generation completed');
           } catch (error) {
             console.error('⚠️ Target keywords generation failed (non-critical):', error);
+            await tracker.fail('target_keywords', error);
           }
         } else {
           console.log('⚠️ No competitors found for intersection analysis');
+          await tracker.skip('intersection', 'No competitors found');
+          await tracker.skip('target_keywords', 'No competitors found');
         }
       } catch (error) {
         console.error('⚠️ Domain intersection analysis failed (non-critical):', error);
         // Don't fail the whole process if intersection analysis fails
+        await tracker.failRunning(error);
       }
+    } else {
+      await tracker.skip('intersection', 'No website URL');
+      await tracker.skip('target_keywords', 'No website URL');
     }
 
     // Generate keyword ideas using DataForSEO Keyword Ideas API
-    try {
-      console.log('💡 Generating keyword ideas from seed keywords...');
+    if (!shouldRun('keyword_ideas')) {
+      console.log('⏭️ Keyword ideas already generated');
+    } else {
+      try {
+        console.log('💡 Generating keyword ideas from seed keywords...');
       
-      const { generateKeywordIdeas } = require('./keyword-ideas');
-      const keywordIdeasResult = await generateKeywordIdeas(uid);
+        const { generateKeywordIdeas } = require('./keyword-ideas');
+        await tracker.start('keyword_ideas');
+        const keywordIdeasResult = await generateKeywordIdeas(uid);
+        await tracker.complete('keyword_ideas', {
+          itemsProcessed: keywordIdeasResult.total_opportunities_found || 0,
+          cost: keywordIdeasResult.cost || 0
+        });
       
-      console.log(`✅ Generated ${keywordIdeasResult.total_opportunities_found || 0} keyword ideas (cost: $${keywordIdeasResult.cost || 0})`);
-      console.log(`📊 Analysis summary:`, {
-        total: keywordIdeasResult.analysis_summary?.total_opportunities || 0,
-        high_priority: keywordIdeasResult.analysis_summary?.high_priority_opportunities || 0,
-        commercial: keywordIdeasResult.analysis_summary?.commercial_opportunities || 0,
-        quick_wins: keywordIdeasResult.analysis_summary?.quick_win_opportunities || 0,
-      });
-    } catch (error) {
-      console.error('⚠️ Keyword ideas generation failed (non-critical):', error);
-      // Don't fail the whole process if keyword ideas generation fails
+        console.log(`✅ Generated ${keywordIdeasResult.total_opportunities_found || 0} keyword ideas (cost: $${keywordIdeasResult.cost || 0})`);
+        console.log(`📊 Analysis summary:`, {
+          total: keywordIdeasResult.analysis_summary?.total_opportunities || 0,
+          high_priority: keywordIdeasResult.analysis_summary?.high_priority_opportunities || 0,
+          commercial: keywordIdeasResult.analysis_summary?.commercial_opportunities || 0,
+          quick_wins: keywordIdeasResult.analysis_summary?.quick_win_opportunities || 0,
+        });
+      } catch (error) {
+        console.error('⚠️ Keyword ideas generation failed (non-critical):', error);
+        // Don't fail the whole process if keyword ideas generation fails
+        await tracker.fail('keyword_ideas', error);
+      }
     }
 
-    // Mark as completed
-    await updateSEOAnalysisStatus(uid, 'completed');
-
-    console.log(`✅ SEO analysis completed for user ${uid}`);
-
-    // Automatically trigger content generation after SEO analysis completes
-    try {
-      console.log('📝 Triggering automatic content generation...');
+    // Automatically trigger content generation once the analysis data is in place
+    if (!shouldRun('content')) {
+      console.log('⏭️ Content plan already generated');
+    } else {
+      try {
+        console.log('📝 Triggering automatic content generation...');
+        await tracker.start('content');
 
-      // Import content generation modules
-      const { generateContentTitles } = require('../content/generate-titles');
-      const { generateBlogPost } = require('../content/generate-blog');
+        // Import content generation modules
+        const { generateContentTitles } = require('../content/generate-titles');
 
-      // Step 1: Generate content titles
-      console.log('🎯 Step 1: Generating content titles...');
+        // Step 1: Generate content titles
+        console.log('🎯 Step 1: Generating content titles...');
       
-      const titlesResult = await generateContentTitles(uid);
-      console.log(`✅ Content titles generated: ${titlesResult.titles?.length || 0} titles`);
+        const titlesResult = await generateContentTitles(uid);
+        console.log(`✅ Content titles generated: ${titlesResult.titles?.length || 0} titles`);
 
-      // Step 2: Generate first blog post
-      console.log('📰 Step 2: Generating first blog post...');
+        // Step 2: Generate first blog post
+        console.log('📰 Step 2: Generating first blog post...');
       
-      // Run blog generation asynchronously (don't wait for it)
-      generateBlogPost(uid)
-        .then((blogResult) => {
-          console.log(`✅ First blog post generated: ${blogResult.data.title}`);
-        })
-        .catch((error) => {
-          console.error('⚠️ Blog generation failed (non-critical):', error);
-        });
+        // Queue blog generation as its own job so it survives restarts and retries on failure
+        const { jobId: blogJobId } = await enqueueJob('blog-generation', uid, { source: 'seo-analysis' });
+        console.log(`📥 First blog post queued (job ${blogJobId})`);
 
-      console.log('✅ Content generation pipeline triggered successfully');
+        await tracker.complete('content', { itemsProcessed: titlesResult.titles?.length || 0 });
+        console.log('✅ Content generation pipeline triggered successfully');
       
-    } catch (error) {
-      console.error('⚠️ Content generation failed (non-critical):', error);
-      // Don't fail the whole process if content generation fails
+      } catch (error) {
+        console.error('⚠️ Content generation failed (non-critical):', error);
+        // Don't fail the whole process if content generation fails
+        await tracker.fail('content', error);
+      }
     }
 
+    // Mark as completed
+    await updateSEOAnalysisStatus(uid, 'completed');
+
+    console.log(`✅ SEO analysis completed for user ${uid}`);
+
     return {
       success: true,
       message: 'SEO analysis completed successfully',
@@ -241,6 +309,8 @@ async function processSEOAnalysis(uid) {
   } catch (error) {
     console.error('❌ Error in process-analysis:', error);
 
+    await tracker.failRunning(error);
+
     await updateSEOAnalysisStatus(
       uid,
       'failed',
@@ -0,0 +1,285 @@
+/**
+ * Spending Caps and Quotas
+ *
+ * Each user gets the limits of their plan (`plan` on the user document),
+ * optionally overridden per user via `quotaOverrides`. Limits reset every
+ * calendar month (UTC).
+ *
+ * - Dollar spend comes from the usage ledger (users/{uid}/usage)
+ * - Pipeline counts are kept in users/{uid}/quota_usage/{YYYY-MM}
+ *
+ * A counted pipeline run reserves its slot before it starts (the limit check
+ * and the reservation happen in one transaction, so concurrent runs cannot
+ * overshoot), is counted once it completes and gives the slot back if it
+ * fails for good. Reservations live in the same document under `reservations`.
+ */
+
+const { db, admin } = require('../../firebase');
+const { summarizeUsage } = require('./usage-ledger');
+
+// ── Plan limits ──────────────────────────────────────────────
+// null means unlimited
+// titlesPerPlan: default and largest content plan size (null = generate-titles' own maximum)
+const PLAN_LIMITS = {
+  free: { monthlyBudget: 2, analysesPerMonth: 1, articlesPerMonth: 2, titlesPerPlan: 15 },
+  starter: { monthlyBudget: 25, analysesPerMonth: 2, articlesPerMonth: 15, titlesPerPlan: 15 },
+  pro: { monthlyBudget: 100, analysesPerMonth: 10, articlesPerMonth: 60, titlesPerPlan: 30 },
+  unlimited: { monthlyBudget: null, analysesPerMonth: null, articlesPerMonth: null, titlesPerPlan: null },
+};
+const DEFAULT_PLAN = 'free';
+const SUBSCRIBED_DEFAULT_PLAN = 'starter'; // Subscribed users without an explicit plan
+const RESERVATION_TTL_MS = 6 * 60 * 60 * 1000; // A reservation its run never settled (crash) stops counting after 6 hours
+// ─────────────────────────────────────────────────────────────
+
+// Which counters each pipeline consumes (every pipeline is also subject to the dollar budget)
+const PIPELINE_METRICS = {
+  'seo-analysis': 'analyses',
+  'blog-generation': 'articles',
+  'keyword-ideas': null,
+  'content-titles': null,
+  'section-rewrite': null,
+  'article-refresh': null,
+  'internal-link-backfill': null,
+};
+
+// Plan limit for each counter
+const METRIC_LIMITS = {
+  analyses: 'analysesPerMonth',
+  articles: 'articlesPerMonth',
+};
+
+/**
+ * Thrown when a pipeline would exceed the user's budget or quota.
+ * `status` is 402 for the dollar budget and 429 for pipeline counts.
+ */
+class QuotaExceededError extends Error {
+  constructor(message, { status, metric, allowance }) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.status = status;
+    this.metric = metric;
+    this.allowance = allowance;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Current month key and start timestamp (UTC)
+ */
+function getCurrentPeriod() {
+  const now = new Date();
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return {
+    key: start.toISOString().slice(0, 7),
+    start: start.toISOString(),
+  };
+}
+
+/**
+ * Resolve the effective limits for a user
+ * @param {Object} userData - User document data
+ * @returns {Object} - { plan, monthlyBudget, analysesPerMonth, articlesPerMonth, titlesPerPlan }
+ */
+function getUserLimits(userData = {}) {
+  const plan = PLAN_LIMITS[userData.plan]
+    ? userData.plan
+    : (userData.subscriptionActive ? SUBSCRIBED_DEFAULT_PLAN : DEFAULT_PLAN);
+
+  return {
+    plan,
+    ...PLAN_LIMITS[plan],
+    ...(userData.quotaOverrides || {}),
+  };
+}
+
+/**
+ * Build { limit, used, reserved, remaining } for one allowance (reserved: runs in progress)
+ */
+function toAllowance(limit, used, reserved = 0) {
+  return {
+    limit,
+    used,
+    reserved,
+    remaining: limit === null || limit === undefined ? null : Math.max(0, limit - used - reserved),
+  };
+}
+
+/**
+ * Unexpired reservations of a counter, other than `exceptId`
+ */
+function countReservations(counters, metric, now = new Date(), exceptId = null) {
+  const cutoff = new Date(now.getTime() - RESERVATION_TTL_MS).toISOString();
+  return Object.entries(counters.reservations || {})
+    .filter(([id, reservation]) => id !== exceptId && reservation.metric === metric && reservation.reservedAt > cutoff)
+    .length;
+}
+
+function quotaUsageRef(uid, periodKey) {
+  return db.collection('users').doc(uid).collection('quota_usage').doc(periodKey);
+}
+
+/**
+ * Get the user's allowance for the current month
+ * @param {string} uid - User ID
+ * @param {Object|null} userData - User document data (fetched when omitted)
+ * @returns {Promise<Object>} - { plan, period, monthlyBudget, analyses, articles }
+ */
+async function getQuotaStatus(uid, userData = null) {
+  if (!userData) {
+    const userDoc = await db.collection('users').doc(uid).get();
+    if (!userDoc.exists) {
+      throw new Error('User not found');
+    }
+    userData = userDoc.data();
+  }
+
+  const limits = getUserLimits(userData);
+  const period = getCurrentPeriod();
+
+  const [spend, countersDoc] = await Promise.all([
+    summarizeUsage(uid, { from: period.start }),
+    quotaUsageRef(uid, period.key).get(),
+  ]);
+
+  const counters = countersDoc.exists ? countersDoc.data() : {};
+
+  return {
+    plan: limits.plan,
+    period: period.key,
+    monthlyBudget: toAllowance(limits.monthlyBudget, Math.round(spend.totalCost * 10000) / 10000),
+    analyses: toAllowance(limits.analysesPerMonth, counters.analyses || 0, countReservations(counters, 'analyses')),
+    articles: toAllowance(limits.articlesPerMonth, counters.articles || 0, countReservations(counters, 'articles')),
+  };
+}
+
+/**
+ * Ensure a pipeline may run for the user, throwing QuotaExceededError if not
+ * @param {string} uid - User ID
+ * @param {string} pipeline - A key of PIPELINE_METRICS
+ * @param {Object|null} userData - User document data (fetched when omitted)
+ * @returns {Promise<Object>} - Current allowance (see getQuotaStatus)
+ */
+async function assertWithinQuota(uid, pipeline, userData = null) {
+  const allowance = await getQuotaStatus(uid, userData);
+
+  if (allowance.monthlyBudget.remaining === 0) {
+    throw new QuotaExceededError(
+      `Monthly API budget of $${allowance.monthlyBudget.limit} reached for the ${allowance.plan} plan`,
+      { status: 402, metric: 'monthlyBudget', allowance }
+    );
+  }
+
+  const metric = PIPELINE_METRICS[pipeline];
+  if (metric && allowance[metric].remaining === 0) {
+    throw new QuotaExceededError(
+      `Monthly limit of ${allowance[metric].limit} ${metric} reached for the ${allowance.plan} plan`,
+      { status: 429, metric, allowance }
+    );
+  }
+
+  return allowance;
+}
+
+/**
+ * Reserve a slot of the user's monthly quota for a pipeline run, throwing
+ * QuotaExceededError if none is left. Reserving again with the same `runId`
+ * (a retry) keeps the existing reservation.
+ * @param {string} uid - User ID
+ * @param {string} pipeline - A key of PIPELINE_METRICS
+ * @param {string} runId - Identifies the run (e.g. its job ID)
+ * @returns {Promise<Object>} - Current allowance (see getQuotaStatus)
+ */
+async function reserveQuota(uid, pipeline, runId) {
+  const allowance = await assertWithinQuota(uid, null);
+
+  const metric = PIPELINE_METRICS[pipeline];
+  if (!metric) return allowance;
+
+  const userRef = db.collection('users').doc(uid);
+  const countersRef = quotaUsageRef(uid, allowance.period);
+
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const countersDoc = await transaction.get(countersRef);
+    if (!userDoc.exists) {
+      throw new Error('User not found');
+    }
+
+    const now = new Date();
+    const counters = countersDoc.exists ? countersDoc.data() : {};
+    const limit = getUserLimits(userDoc.data())[METRIC_LIMITS[metric]];
+    const current = toAllowance(limit, counters[metric] || 0, countReservations(counters, metric, now, runId));
+
+    if (current.remaining === 0) {
+      throw new QuotaExceededError(
+        `Monthly limit of ${limit} ${metric} reached for the ${allowance.plan} plan`,
+        { status: 429, metric, allowance: { ...allowance, [metric]: current } }
+      );
+    }
+
+    transaction.set(countersRef, {
+      reservations: { [runId]: { metric, reservedAt: now.toISOString() } },
+      updatedAt: now.toISOString(),
+    }, { merge: true });
+
+    return { ...allowance, [metric]: toAllowance(limit, current.used, current.reserved + 1) };
+  });
+}
+
+/**
+ * Count one completed pipeline run against the user's monthly quota,
+ * settling its reservation
+ * @param {string} uid - User ID
+ * @param {string} pipeline - Pipeline name from PIPELINE_METRICS
+ * @param {string|null} runId - The run's reservation, if it made one
+ * @returns {Promise<void>}
+ */
+async function recordQuotaUsage(uid, pipeline, runId = null) {
+  const metric = PIPELINE_METRICS[pipeline];
+  if (!metric) return;
+
+  const period = getCurrentPeriod();
+
+  try {
+    await quotaUsageRef(uid, period.key).set({
+      [metric]: admin.firestore.FieldValue.increment(1),
+      ...(runId ? { reservations: { [runId]: admin.firestore.FieldValue.delete() } } : {}),
+      updatedAt: new Date().toISOString(),
+    }, { merge: true });
+  } catch (error) {
+    console.warn(`⚠️ Failed to record ${metric} quota usage for user ${uid}:`, error.message);
+  }
+}
+
+/**
+ * Give back the slot reserved by a run that failed for good
+ * @param {string} uid - User ID
+ * @param {string} pipeline - Pipeline name from PIPELINE_METRICS
+ * @param {string} runId - The run's reservation
+ * @returns {Promise<void>}
+ */
+async function releaseQuota(uid, pipeline, runId) {
+  const metric = PIPELINE_METRICS[pipeline];
+  if (!metric) return;
+
+  const period = getCurrentPeriod();
+
+  try {
+    await quotaUsageRef(uid, period.key).set({
+      reservations: { [runId]: admin.firestore.FieldValue.delete() },
+      updatedAt: new Date().toISOString(),
+    }, { merge: true });
+  } catch (error) {
+    console.warn(`⚠️ Failed to release ${metric} quota reservation for user ${uid}:`, error.message);
+  }
+}
+
+module.exports = {
+  QuotaExceededError,
+  getQuotaStatus,
+  assertWithinQuota,
+  reserveQuota,
+  recordQuotaUsage,
+  releaseQuota,
+  getUserLimits
+};
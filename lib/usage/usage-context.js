@@ -0,0 +1,34 @@
+/**
+ * Usage Context
+ *
+ * Carries the acting user and pipeline through async calls so API clients in
+ * lib/utils can attribute their usage without every function taking a uid.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with usage attributed to a user and pipeline
+ * @param {Object} context - { uid, pipeline }
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} - Whatever fn returns
+ */
+function runWithUsageContext(context, fn) {
+  const parent = storage.getStore() || {};
+  return storage.run({ ...parent, ...context }, fn);
+}
+
+/**
+ * Get the usage context of the current call chain
+ * @returns {{uid?: string, pipeline?: string}}
+ */
+function getUsageContext() {
+  return storage.getStore() || {};
+}
+
+module.exports = {
+  runWithUsageContext,
+  getUsageContext
+};
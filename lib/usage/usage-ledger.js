@@ -0,0 +1,157 @@
+/**
+ * API Usage Ledger
+ *
+ * Records one document per outbound API call in `users/{uid}/usage`:
+ * { provider, operation, pipeline, model, inputTokens, outputTokens, requests, cost, day, createdAt }
+ *
+ * DataForSEO reports cost in dollars on every response. For token-billed
+ * providers the cost is estimated from the PRICING table below.
+ */
+
+const { db } = require('../../firebase');
+const { getUsageContext } = require('./usage-context');
+
+// ── Pricing (USD) ────────────────────────────────────────────
+// Per million tokens unless noted. Update when provider pricing changes.
+const PRICING = {
+  anthropic: { input: 3.0, output: 15.0 },
+  openai: { input: 0.02, output: 0 },            // text-embedding-3-small
+  perplexity: { input: 1.0, output: 1.0, perRequest: 0.005 },
+  jina: { input: 0, output: 0.02 },              // Reader: billed by the tokens it returns
+  unsplash: { input: 0, output: 0 },             // Free tier, tracked for request counts
+  fake: { input: 0, output: 0 },                 // Offline LLM provider (tests)
+};
+
+// Models priced differently from their provider's default above
+const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10.0 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+};
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Estimate cost for a token-billed call
+ * @param {string} provider - Provider key from PRICING
+ * @param {number} inputTokens - Prompt/input tokens
+ * @param {number} outputTokens - Completion/output tokens
+ * @param {string|null} model - Model name, for models listed in MODEL_PRICING
+ * @returns {number} - Cost in USD
+ */
+function estimateCost(provider, inputTokens = 0, outputTokens = 0, model = null) {
+  const pricing = MODEL_PRICING[model] || PRICING[provider];
+  if (!pricing) return 0;
+
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000
+    + (pricing.perRequest || 0);
+}
+
+/**
+ * Record usage for one API call, attributed via the current usage context.
+ * Never throws: a failed ledger write must not break the pipeline that made the call.
+ * @param {Object} usage - { provider, operation, model, inputTokens, outputTokens, cost }
+ *   `cost` overrides the estimate (e.g. DataForSEO's reported cost)
+ * @returns {Promise<void>}
+ */
+async function recordUsage(usage) {
+  const { uid, pipeline } = getUsageContext();
+  const {
+    provider,
+    operation,
+    model = null,
+    inputTokens = 0,
+    outputTokens = 0,
+  } = usage;
+
+  const cost = usage.cost !== undefined && usage.cost !== null
+    ? usage.cost
+    : estimateCost(provider, inputTokens, outputTokens, model);
+
+  if (!uid) {
+    console.log(`💸 Untracked ${provider} usage (${operation}): $${cost.toFixed(6)} (no user in context)`);
+    return;
+  }
+
+  const now = new Date();
+
+  try {
+    await db.collection('users').doc(uid).collection('usage').add({
+      provider,
+      operation,
+      pipeline: pipeline || 'unknown',
+      model,
+      inputTokens,
+      outputTokens,
+      requests: 1,
+      cost,
+      day: now.toISOString().slice(0, 10),
+      createdAt: now.toISOString(),
+    });
+  } catch (error) {
+    console.warn(`⚠️ Failed to record ${provider} usage for user ${uid}:`, error.message);
+  }
+}
+
+/**
+ * Add one usage record to a summary bucket
+ */
+function addToBucket(buckets, key, record) {
+  if (!buckets[key]) {
+    buckets[key] = { cost: 0, requests: 0, inputTokens: 0, outputTokens: 0 };
+  }
+
+  const bucket = buckets[key];
+  bucket.cost += record.cost || 0;
+  bucket.requests += record.requests || 1;
+  bucket.inputTokens += record.inputTokens || 0;
+  bucket.outputTokens += record.outputTokens || 0;
+}
+
+/**
+ * Summarize a user's spend by provider, pipeline and day
+ * @param {string} uid - User ID
+ * @param {Object} range - { from, to } ISO dates or timestamps (inclusive)
+ * @returns {Promise<Object>} - { from, to, totalCost, totalRequests, byProvider, byPipeline, byDay }
+ */
+async function summarizeUsage(uid, range = {}) {
+  let query = db.collection('users').doc(uid).collection('usage');
+
+  if (range.from) {
+    query = query.where('createdAt', '>=', new Date(range.from).toISOString());
+  }
+  if (range.to) {
+    // A bare date (YYYY-MM-DD) includes the whole day
+    const to = /^\d{4}-\d{2}-\d{2}$/.test(range.to) ? `${range.to}T23:59:59.999Z` : range.to;
+    query = query.where('createdAt', '<=', new Date(to).toISOString());
+  }
+
+  const snapshot = await query.get();
+
+  const summary = {
+    from: range.from || null,
+    to: range.to || null,
+    totalCost: 0,
+    totalRequests: 0,
+    byProvider: {},
+    byPipeline: {},
+    byDay: {},
+  };
+
+  snapshot.forEach((doc) => {
+    const record = doc.data();
+
+    summary.totalCost += record.cost || 0;
+    summary.totalRequests += record.requests || 1;
+
+    addToBucket(summary.byProvider, record.provider, record);
+    addToBucket(summary.byPipeline, record.pipeline || 'unknown', record);
+    addToBucket(summary.byDay, record.day, record);
+  });
+
+  return summary;
+}
+
+module.exports = {
+  recordUsage,
+  summarizeUsage,
+  estimateCost
+};
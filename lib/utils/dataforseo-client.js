@@ -2,7 +2,8 @@
  * DataForSEO API Client Utility
  */
 
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const { httpRequest } = require('./http-client');
+const { recordUsage } = require('../usage/usage-ledger');
 
 const DATAFORSEO_LOGIN = process.env.DATAFORSEO_LOGIN;
 const DATAFORSEO_PASSWORD = process.env.DATAFORSEO_PASSWORD;
@@ -11,6 +12,7 @@ const DATAFORSEO_PASSWORD = process.env.DATAFORSEO_PASSWORD;
 const DATAFORSEO_MAPS_API_URL = 'https://api.dataforseo.com/v3/serp/google/maps/live/advanced';
 const DATAFORSEO_COMPETITORS_API_URL = 'https://api.dataforseo.com/v3/dataforseo_labs/google/competitors_domain/live';
 const DATAFORSEO_DOMAIN_INTERSECTION_URL = 'https://api.dataforseo.com/v3/dataforseo_labs/google/domain_intersection/live';
+const DATAFORSEO_KEYWORD_IDEAS_URL = 'https://api.dataforseo.com/v3/dataforseo_labs/google/keyword_ideas/live';
 
 /**
  * Call DataForSEO Google Maps API
@@ -22,7 +24,7 @@ async function callDataForSEOMaps(tasks) {
 
   console.log(`📡 Calling DataForSEO Google Maps API with ${tasks.length} task(s)...`);
 
-  const response = await fetch(DATAFORSEO_MAPS_API_URL, {
+  const response = await httpRequest('dataforseo', DATAFORSEO_MAPS_API_URL, {
     method: 'POST',
     headers: {
       'Authorization': `Basic ${auth}`,
@@ -42,6 +44,7 @@ async function callDataForSEOMaps(tasks) {
   }
 
   console.log(`✅ DataForSEO Maps API call successful. Cost: $${data.cost}`);
+  await recordUsage({ provider: 'dataforseo', operation: 'serp.google.maps', cost: data.cost || 0 });
   return data;
 }
 
@@ -71,7 +74,7 @@ async function callCompetitorsDomain(target, locationCode, languageCode, limit =
     limit
   });
 
-  const response = await fetch(DATAFORSEO_COMPETITORS_API_URL, {
+  const response = await httpRequest('dataforseo', DATAFORSEO_COMPETITORS_API_URL, {
     method: 'POST',
     headers: {
       'Authorization': `Basic ${auth}`,
@@ -91,6 +94,7 @@ async function callCompetitorsDomain(target, locationCode, languageCode, limit =
   }
 
   console.log(`✅ Competitors Domain API call successful. Cost: $${data.cost}`);
+  await recordUsage({ provider: 'dataforseo', operation: 'labs.competitors_domain', cost: data.cost || 0 });
   console.log(`📊 API Response structure:`, {
     tasksCount: data.tasks?.length,
     resultExists: !!data.tasks?.[0]?.result,
@@ -126,7 +130,7 @@ async function callDomainIntersection(target1, target2, locationCode, languageCo
   const mode = intersections ? 'shared' : 'unique';
   console.log(`📡 Calling Domain Intersection API (${mode}): ${target1} vs ${target2}...`);
 
-  const response = await fetch(DATAFORSEO_DOMAIN_INTERSECTION_URL, {
+  const response = await httpRequest('dataforseo', DATAFORSEO_DOMAIN_INTERSECTION_URL, {
     method: 'POST',
     headers: {
       'Authorization': `Basic ${auth}`,
@@ -146,6 +150,58 @@ async function callDomainIntersection(target1, target2, locationCode, languageCo
   }
 
   console.log(`✅ Domain Intersection API call successful (${mode}). Cost: $${data.cost}`);
+  await recordUsage({ provider: 'dataforseo', operation: 'labs.domain_intersection', cost: data.cost || 0 });
+  return data;
+}
+
+/**
+ * Call DataForSEO Keyword Ideas API
+ * @param {string[]} keywords - Seed keywords
+ * @param {number} locationCode - Location code
+ * @param {string} languageCode - Language code
+ * @param {number} limit - Maximum number of ideas to return
+ * @returns {Promise<Object>} - API response
+ */
+async function callKeywordIdeas(keywords, locationCode, languageCode, limit = 150) {
+  const auth = Buffer.from(`${DATAFORSEO_LOGIN}:${DATAFORSEO_PASSWORD}`).toString('base64');
+
+  const task = [{
+    keywords,
+    location_code: locationCode,
+    language_code: languageCode,
+    include_serp_info: false,
+    include_seed_keyword: false,
+    limit,
+    filters: [
+      ['keyword_info.search_volume', '>', 0]
+    ],
+    order_by: ['keyword_info.search_volume,desc']
+  }];
+
+  console.log(`📡 Calling Keyword Ideas API with ${keywords.length} seed keyword(s)...`);
+
+  const response = await httpRequest('dataforseo', DATAFORSEO_KEYWORD_IDEAS_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${auth}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(task)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`DataForSEO Keyword Ideas API error: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  const data = await response.json();
+
+  if (data.status_code !== 20000) {
+    throw new Error(`DataForSEO Keyword Ideas API returned status: ${data.status_code} - ${data.status_message}`);
+  }
+
+  console.log(`✅ Keyword Ideas API call successful. Cost: $${data.cost}`);
+  await recordUsage({ provider: 'dataforseo', operation: 'labs.keyword_ideas', cost: data.cost || 0 });
   return data;
 }
 
@@ -173,5 +229,6 @@ module.exports = {
   callDataForSEOMaps,
   callCompetitorsDomain,
   callDomainIntersection,
+  callKeywordIdeas,
   getLocationCode
 };
@@ -0,0 +1,68 @@
+/**
+ * Secret Encryption Utility
+ *
+ * AES-256-GCM with a server-held key (CREDENTIALS_ENCRYPTION_KEY: 32 bytes,
+ * hex or base64). Ciphertexts are self-describing strings:
+ *   v1:<iv base64>:<auth tag base64>:<ciphertext base64>
+ * so the format can be rotated later without guessing.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+const IV_BYTES = 12;
+
+/**
+ * Load the encryption key from the environment
+ * @returns {Buffer} - 32-byte key
+ */
+function getKey() {
+  const raw = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!raw) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not set');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+
+  return key;
+}
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} - Versioned ciphertext
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a string produced by encryptSecret
+ * @param {string} payload - Versioned ciphertext
+ * @returns {string} - Plaintext
+ * @throws {Error} - Unknown version, wrong key or tampered ciphertext
+ */
+function decryptSecret(payload) {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognized encrypted secret format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,151 @@
+/**
+ * Host Guard
+ *
+ * Customer-supplied URLs (CMS site URLs, article links) are fetched from our servers, so a URL
+ * pointing at localhost, the private network or a cloud metadata endpoint would
+ * let a customer reach internal services. Providers with `publicOnly` in their
+ * HTTP policy are checked here:
+ * - assertPublicUrl resolves the host before the request and rejects it if any
+ *   address is loopback, private, link-local or otherwise not public
+ * - publicAgent repeats the check for the address each connection actually
+ *   uses, so a DNS answer that changes between the two (rebinding) is caught too
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],        // "This" network
+  ['10.0.0.0', 8],       // Private
+  ['100.64.0.0', 10],    // Carrier-grade NAT
+  ['127.0.0.0', 8],      // Loopback
+  ['169.254.0.0', 16],   // Link-local (cloud metadata endpoints)
+  ['172.16.0.0', 12],    // Private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.168.0.0', 16],   // Private
+  ['198.18.0.0', 15],    // Benchmarking
+  ['224.0.0.0', 4],      // Multicast
+  ['240.0.0.0', 4],      // Reserved, broadcast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128],           // Unspecified
+  ['::1', 128],          // Loopback
+  ['fc00::', 7],         // Unique local
+  ['fe80::', 10],        // Link-local
+  ['ff00::', 8],         // Multicast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Thrown for URLs that must not be fetched; never retried
+ */
+class BlockedHostError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedHostError';
+    this.code = 'EBLOCKEDHOST';
+    this.retryable = false;
+  }
+}
+
+// DNS lookup (dns.lookup signature); swappable so tests resolve without a network
+let lookup = dns.lookup;
+
+/**
+ * Replace the function used to resolve host names
+ * @param {Function|null} fn - dns.lookup-compatible function, or null to restore dns.lookup
+ */
+function setLookup(fn) {
+  lookup = fn || dns.lookup;
+}
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function resolveAll(hostname) {
+  return new Promise((resolve, reject) => {
+    lookup(hostname, { all: true }, (error, addresses) => (error ? reject(error) : resolve(addresses)));
+  });
+}
+
+/**
+ * Check that a URL is http(s) and its host resolves only to public addresses
+ * @param {string} url - Absolute URL
+ * @returns {Promise<void>}
+ * @throws {BlockedHostError} - Not http(s), or resolves to a non-public address
+ * @throws {Error} - The host does not resolve (ENOTFOUND)
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new BlockedHostError(`Invalid URL: ${url}`);
+  }
+  if (!/^https?:$/.test(parsed.protocol)) {
+    throw new BlockedHostError(`Only http(s) URLs can be fetched: ${url}`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname) ? [{ address: hostname }] : await resolveAll(hostname);
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw new BlockedHostError(`${parsed.hostname} resolves to a non-public address (${blocked.address})`);
+  }
+}
+
+/**
+ * dns.lookup replacement for agents: fails the connection on a non-public address
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new BlockedHostError(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    return callback(null, address, family);
+  });
+}
+
+const agents = {
+  'http:': new http.Agent({ keepAlive: true, lookup: publicLookup }),
+  'https:': new https.Agent({ keepAlive: true, lookup: publicLookup })
+};
+
+/**
+ * Agent for a request URL (node-fetch `agent` option)
+ * @param {URL} parsedUrl - Request URL
+ * @returns {http.Agent}
+ */
+function publicAgent(parsedUrl) {
+  return agents[parsedUrl.protocol];
+}
+
+module.exports = {
+  BlockedHostError,
+  isPublicAddress,
+  assertPublicUrl,
+  publicAgent,
+  setLookup
+};
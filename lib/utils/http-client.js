@@ -0,0 +1,219 @@
+/**
+ * Shared HTTP Layer
+ *
+ * Every outbound API call goes through httpRequest(provider, url, options), which applies
+ * the provider's policy from HTTP_POLICIES:
+ * - Per-attempt timeout
+ * - Retries on network errors, timeouts, 429 and 5xx with jittered exponential backoff
+ *   (a Retry-After header takes precedence)
+ * - A concurrency limit (requests in flight at once)
+ * - Token-bucket rate limiting (requests per second, with burst)
+ * - publicOnly: the URL must resolve to public addresses and redirects are not
+ *   followed (customer-supplied hosts; see host-guard.js)
+ *
+ * Limits are per process and shared by every user and pipeline in it.
+ */
+
+const { assertPublicUrl, publicAgent } = require('./host-guard');
+
+const nodeFetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+// ── Provider policies ────────────────────────────────────────
+// ratePerSecond/burst: token bucket. concurrency: max requests in flight.
+const DEFAULT_POLICY = {
+  timeoutMs: 30000,
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 20000,
+  concurrency: 5,
+  ratePerSecond: 5,
+  burst: 5,
+};
+
+const HTTP_POLICIES = {
+  dataforseo: { timeoutMs: 120000, concurrency: 10, ratePerSecond: 30, burst: 30 }, // 2000 req/min account limit
+  jina: { timeoutMs: 60000, maxRetries: 2, concurrency: 10, ratePerSecond: 3, burst: 10 }, // 200 RPM with an API key
+  openai: { timeoutMs: 60000, concurrency: 5, ratePerSecond: 5, burst: 10 },
+  anthropic: { timeoutMs: 300000, maxRetries: 4, concurrency: 4, ratePerSecond: 1, burst: 4 },
+  perplexity: { timeoutMs: 120000, concurrency: 4, ratePerSecond: 1, burst: 4 },
+  unsplash: { timeoutMs: 15000, maxRetries: 1, concurrency: 2, ratePerSecond: 1, burst: 2 }, // 50 req/hour on demo keys
+  images: { timeoutMs: 30000, maxRetries: 2, concurrency: 4, ratePerSecond: 5, burst: 5 }, // Image CDN downloads for publishing
+  links: { timeoutMs: 10000, maxRetries: 1, concurrency: 4, ratePerSecond: 5, burst: 5, publicOnly: true }, // Reachability checks for article links
+  wordpress: { timeoutMs: 60000, maxRetries: 2, concurrency: 2, ratePerSecond: 2, burst: 4, publicOnly: true }, // Customer sites; be gentle
+  ghost: { timeoutMs: 60000, maxRetries: 2, concurrency: 2, ratePerSecond: 2, burst: 4, publicOnly: true },
+  webflow: { timeoutMs: 30000, maxRetries: 3, concurrency: 2, ratePerSecond: 1, burst: 2 }, // 60 req/min on site plans
+  shopify: { timeoutMs: 30000, maxRetries: 3, concurrency: 2, ratePerSecond: 2, burst: 4, publicOnly: true }, // REST leaky bucket: 2 req/s
+};
+// ─────────────────────────────────────────────────────────────
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+// Underlying fetch; swappable so tests can record or replay traffic
+let transport = nodeFetch;
+
+const limiters = new Map();
+
+/**
+ * Replace the function used to perform requests
+ * @param {Function|null} fn - fetch-compatible function, or null to restore node-fetch
+ */
+function setTransport(fn) {
+  transport = fn || nodeFetch;
+}
+
+/**
+ * Resolve the full policy for a provider
+ * @param {string} provider - Provider key
+ * @returns {Object} - Policy
+ */
+function getPolicy(provider) {
+  return { ...DEFAULT_POLICY, ...(HTTP_POLICIES[provider] || {}) };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a limiter combining a concurrency semaphore and a token bucket
+ * @param {Object} policy - { concurrency, ratePerSecond, burst }
+ */
+function createLimiter(policy) {
+  let active = 0;
+  let tokens = policy.burst;
+  let lastRefill = Date.now();
+  const waiting = [];
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(policy.burst, tokens + ((now - lastRefill) / 1000) * policy.ratePerSecond);
+    lastRefill = now;
+  }
+
+  async function acquire() {
+    if (active >= policy.concurrency) {
+      await new Promise((resolve) => waiting.push(resolve)); // Slot is handed over by release()
+    } else {
+      active++;
+    }
+
+    refill();
+    while (tokens < 1) {
+      await sleep(Math.ceil(((1 - tokens) / policy.ratePerSecond) * 1000));
+      refill();
+    }
+    tokens -= 1;
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  return { acquire, release };
+}
+
+function getLimiter(provider) {
+  if (!limiters.has(provider)) {
+    limiters.set(provider, createLimiter(getPolicy(provider)));
+  }
+  return limiters.get(provider);
+}
+
+/**
+ * Delay before the next attempt: Retry-After if given, else jittered exponential backoff
+ * @param {Object} policy - Provider policy
+ * @param {number} attempt - Attempt that just failed (0-based)
+ * @param {Object|null} response - Failed response, if any
+ * @returns {number} - Milliseconds
+ */
+function getRetryDelay(policy, attempt, response) {
+  const retryAfter = response?.headers?.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (ms > 0) return Math.min(ms, policy.maxDelayMs);
+  }
+
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2)); // "Equal jitter"
+}
+
+/**
+ * Perform one attempt with a timeout
+ */
+async function attemptRequest(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await transport(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      const timeoutError = new Error(`Request timed out after ${timeoutMs}ms`);
+      timeoutError.code = 'ETIMEDOUT';
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Make an HTTP request under a provider's retry, timeout and rate limit policy.
+ * Non-retryable error responses (e.g. 400, 401) are returned as-is for the
+ * caller to handle; a retryable status is returned once retries run out.
+ * @param {string} provider - Provider key from HTTP_POLICIES
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options (method, headers, body)
+ * @returns {Promise<Response>} - fetch Response
+ * @throws {Error} - Network errors and timeouts after the last retry
+ * @throws {BlockedHostError} - publicOnly providers, for URLs that resolve to non-public addresses
+ */
+async function httpRequest(provider, url, options = {}) {
+  const policy = getPolicy(provider);
+  const limiter = getLimiter(provider);
+
+  if (policy.publicOnly) {
+    await assertPublicUrl(url);
+    options = { ...options, redirect: 'manual', agent: publicAgent };
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await limiter.acquire();
+
+    let response = null;
+    let error = null;
+    try {
+      response = await attemptRequest(url, options, policy.timeoutMs);
+    } catch (requestError) {
+      error = requestError;
+    } finally {
+      limiter.release();
+    }
+
+    const retryable = error || RETRYABLE_STATUSES.has(response.status);
+    if (!retryable || attempt >= policy.maxRetries) {
+      if (error) throw error;
+      return response;
+    }
+
+    if (response) {
+      await response.text().catch(() => {}); // Free the connection before retrying
+    }
+
+    const delay = getRetryDelay(policy, attempt, response);
+    console.warn(`🔁 ${provider} request failed (${error ? error.message : `HTTP ${response.status}`}), retry ${attempt + 1}/${policy.maxRetries} in ${delay}ms`);
+    await sleep(delay);
+  }
+}
+
+module.exports = {
+  httpRequest,
+  setTransport
+};
@@ -2,7 +2,8 @@
  * Jina.ai Website Scraper Utility
  */
 
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const { httpRequest } = require('./http-client');
+const { recordUsage } = require('../usage/usage-ledger');
 
 const JINA_API_KEY = process.env.JINA_API_KEY;
 const JINA_API_URL = 'https://r.jina.ai';
@@ -15,7 +16,7 @@ const JINA_API_URL = 'https://r.jina.ai';
 async function scrapeWebsiteWithJina(url) {
   try {
     const jinaUrl = `${JINA_API_URL}/${url}`;
-    const response = await fetch(jinaUrl, {
+    const response = await httpRequest('jina', jinaUrl, {
       headers: {
         'Authorization': `Bearer ${JINA_API_KEY}`,
         'X-Return-Format': 'text'
@@ -28,6 +29,14 @@ async function scrapeWebsiteWithJina(url) {
     }
 
     const text = await response.text();
+
+    // Jina bills by output tokens (the page text it returns); text responses carry no usage, so estimate ~4 chars/token
+    await recordUsage({
+      provider: 'jina',
+      operation: 'reader',
+      outputTokens: Math.ceil(text.length / 4)
+    });
+
     return text;
   } catch (error) {
     console.warn(`⚠️ Error scraping ${url}:`, error);
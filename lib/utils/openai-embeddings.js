@@ -2,7 +2,8 @@
  * OpenAI Embeddings Utility
  */
 
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const { httpRequest } = require('./http-client');
+const { recordUsage } = require('../usage/usage-ledger');
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
@@ -17,7 +18,7 @@ async function getEmbedding(input) {
     ? input.map(t => t.slice(0, 8000)) // Limit each text to ~8k chars
     : input.slice(0, 8000);
 
-  const response = await fetch('https://api.openai.com/v1/embeddings', {
+  const response = await httpRequest('openai', 'https://api.openai.com/v1/embeddings', {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${OPENAI_API_KEY}`,
@@ -40,6 +41,13 @@ async function getEmbedding(input) {
     throw new Error('Invalid response format from OpenAI API');
   }
 
+  await recordUsage({
+    provider: 'openai',
+    operation: 'embeddings',
+    model: 'text-embedding-3-small',
+    inputTokens: data.usage?.prompt_tokens || 0
+  });
+
   if (isBatch) {
     // Return array of embeddings in correct order
     return data.data
@@ -1,49 +1,21 @@
 /**
  * Perplexity API Client Utility
  * Used for real-time market research and content research
+ *
+ * Kept for existing callers; new code should use research() from
+ * lib/llm/llm-client, which also returns the cited sources.
  */
 
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
-
-const PERPLEXITY_API_KEY = process.env.PERPLEXITY_API_KEY;
-const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
+const { research } = require('../llm/llm-client');
 
 /**
  * Call Perplexity API for research
  * @param {string} prompt - Research prompt
+ * @param {string} step - Pipeline step used to pick the provider (see lib/llm/llm-config.js)
  * @returns {Promise<string>} - Research response
  */
-async function callPerplexity(prompt) {
-  if (!PERPLEXITY_API_KEY) {
-    throw new Error('PERPLEXITY_API_KEY is not set');
-  }
-
-  console.log('📡 Calling Perplexity API...');
-
-  const response = await fetch(PERPLEXITY_API_URL, {
-    method: 'POST',
-    headers: {
-      'accept': 'application/json',
-      'content-type': 'application/json',
-      'Authorization': `Bearer ${PERPLEXITY_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: 'sonar',
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    })
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Perplexity API error:', errorText);
-    throw new Error(`Perplexity API error: ${response.status}`);
-  }
-
-  const result = await response.json();
-  const content = result.choices[0].message.content;
+async function callPerplexity(prompt, step = 'research') {
+  const { content } = await research({ step, prompt });
 
   console.log('✅ Perplexity research completed');
   return content;
@@ -3,7 +3,8 @@
  * Used for fetching royalty-free images for blog posts
  */
 
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const { httpRequest } = require('./http-client');
+const { recordUsage } = require('../usage/usage-ledger');
 
 const UNSPLASH_ACCESS_KEY = process.env.UNSPLASH_ACCESS_KEY;
 const UNSPLASH_API_URL = 'https://api.unsplash.com/search/photos';
@@ -23,7 +24,7 @@ async function searchUnsplash(query, perPage = 1) {
   try {
     const url = `${UNSPLASH_API_URL}?query=${encodeURIComponent(query)}&per_page=${perPage}&orientation=landscape`;
     
-    const response = await fetch(url, {
+    const response = await httpRequest('unsplash', url, {
       headers: {
         'Authorization': `Client-ID ${UNSPLASH_ACCESS_KEY}`
       }
@@ -35,6 +36,11 @@ async function searchUnsplash(query, perPage = 1) {
     }
 
     const data = await response.json();
+
+    await recordUsage({
+      provider: 'unsplash',
+      operation: 'search.photos'
+    });
     
     if (data.results && data.results.length > 0) {
       const image = data.results[0];
@@ -0,0 +1,134 @@
+/**
+ * Authentication Middleware
+ *
+ * Every user-facing route resolves the acting user from a verified
+ * Firebase ID token instead of trusting a `uid` sent by the caller.
+ *
+ * Two kinds of callers are supported:
+ * - Users:    `Authorization: Bearer <Firebase ID token>`
+ * - Services: `X-Service-Key: <SERVICE_API_KEY>` plus the target `uid`
+ *             in the body or query, so admin tooling can act on behalf of a user
+ */
+
+const crypto = require('crypto');
+const { auth } = require('../firebase');
+
+const SERVICE_API_KEY = process.env.SERVICE_API_KEY;
+
+/**
+ * Compare a provided service key with SERVICE_API_KEY in constant time
+ * @param {string|undefined} providedKey - Value of the X-Service-Key header
+ * @returns {boolean}
+ */
+function isValidServiceKey(providedKey) {
+  if (!SERVICE_API_KEY || !providedKey) {
+    return false;
+  }
+
+  const expected = Buffer.from(SERVICE_API_KEY);
+  const provided = Buffer.from(providedKey);
+
+  if (expected.length !== provided.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Read the uid the caller claims to act for (body first, then query)
+ * @param {Object} req - Express request
+ * @returns {string|undefined}
+ */
+function getRequestedUid(req) {
+  return req.body?.uid || req.query?.uid;
+}
+
+/**
+ * Require an authenticated caller and set `req.uid` to the acting user.
+ *
+ * Users are identified by their verified ID token; a `uid` in the body or
+ * query is still accepted for compatibility but must match the token.
+ * Service callers must name the target user explicitly.
+ */
+async function requireAuth(req, res, next) {
+  const requestedUid = getRequestedUid(req);
+
+  if (req.headers['x-service-key'] !== undefined) {
+    if (!isValidServiceKey(req.headers['x-service-key'])) {
+      return res.status(401).json({
+        error: 'Invalid service credential'
+      });
+    }
+
+    if (!requestedUid) {
+      return res.status(400).json({
+        error: 'uid is required when acting on behalf of a user'
+      });
+    }
+
+    req.uid = requestedUid;
+    req.authType = 'service';
+    console.log(`🔑 Service credential acting on behalf of user: ${requestedUid}`);
+    return next();
+  }
+
+  const idToken = getBearerToken(req);
+
+  if (!idToken) {
+    return res.status(401).json({
+      error: 'Missing bearer token in Authorization header'
+    });
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await auth.verifyIdToken(idToken);
+  } catch (error) {
+    console.warn('⚠️ ID token verification failed:', error.code || error.message);
+    return res.status(401).json({
+      error: 'Invalid or expired ID token'
+    });
+  }
+
+  if (requestedUid && requestedUid !== decodedToken.uid) {
+    return res.status(403).json({
+      error: 'uid does not match the authenticated user'
+    });
+  }
+
+  req.uid = decodedToken.uid;
+  req.authType = 'user';
+  req.user = decodedToken;
+  return next();
+}
+
+/**
+ * Require the service credential (admin tooling and operational endpoints only)
+ */
+function requireService(req, res, next) {
+  if (!isValidServiceKey(req.headers['x-service-key'])) {
+    return res.status(401).json({
+      error: 'Service credential required'
+    });
+  }
+
+  req.authType = 'service';
+  return next();
+}
+
+module.exports = {
+  requireAuth,
+  requireService
+};
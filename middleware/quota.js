@@ -0,0 +1,55 @@
+/**
+ * Quota Middleware
+ *
+ * Rejects requests that would start a pipeline over the user's monthly
+ * budget (402) or pipeline quota (429). Must run after requireAuth.
+ */
+
+const { assertWithinQuota, QuotaExceededError } = require('../lib/usage/quota');
+
+/**
+ * Send the standard over-quota response
+ * @param {Object} res - Express response
+ * @param {QuotaExceededError} error - Quota error
+ */
+function sendQuotaError(res, error) {
+  return res.status(error.status).json({
+    error: error.message,
+    metric: error.metric,
+    allowance: error.allowance
+  });
+}
+
+/**
+ * Require the authenticated user to be within quota for a pipeline
+ * @param {string|null} pipeline - Pipeline name, or null to check only the dollar budget
+ */
+function requireQuota(pipeline) {
+  return async (req, res, next) => {
+    try {
+      req.allowance = await assertWithinQuota(req.uid, pipeline);
+      return next();
+    } catch (error) {
+      if (error instanceof QuotaExceededError) {
+        console.log(`🚫 Quota exceeded for user ${req.uid} (${error.metric}): ${error.message}`);
+        return sendQuotaError(res, error);
+      }
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      console.error('Error checking quota:', error);
+      return res.status(500).json({
+        error: 'Failed to check quota',
+        message: error.message
+      });
+    }
+  };
+}
+
+module.exports = {
+  requireQuota
+};
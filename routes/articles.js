@@ -0,0 +1,348 @@
+/**
+ * Article Routes
+ *
+ * Review workflow and revision history for generated articles.
+ *
+ * Endpoints:
+ * - GET   /articles                                        - List articles (optionally by status)
+ * - GET   /articles/:articleId                             - Get an article with its status history
+ * - POST  /articles/:articleId/transition                  - Move an article through the review workflow
+ * - PATCH /articles/:articleId                             - Edit title, content or meta description (new revision)
+ * - GET   /articles/:articleId/revisions                   - List revisions, newest first
+ * - GET   /articles/:articleId/revisions/:revision         - Get one revision with its text
+ * - GET   /articles/:articleId/revisions/:revision/diff    - Compare a revision with an earlier one
+ * - POST  /articles/:articleId/revisions/:revision/restore - Roll back to an earlier revision
+ * - GET   /articles/:articleId/comments                    - List review comments
+ * - POST  /articles/:articleId/comments                    - Add a review comment
+ *
+ * Statuses: draft → in_review → approved → scheduled → published → archived
+ * (generated articles failing the quality gate start in needs_review)
+ * (see lib/articles/article-workflow.js for every allowed transition)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  ARTICLE_STATUSES,
+  WorkflowError,
+  articlesRef,
+  articleRef,
+  transitionArticle,
+  addComment,
+  listComments
+} = require('../lib/articles/article-workflow');
+const {
+  editArticle,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../lib/articles/article-revisions');
+const { requireAuth } = require('../middleware/auth');
+
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Who is acting: the user, or 'service' for service-key calls
+ */
+function getActor(req) {
+  return req.authType === 'service' ? 'service' : req.uid;
+}
+
+/**
+ * Parse a :revision param (positive integer) or answer 400
+ */
+function parseRevision(value) {
+  const revision = Number(value);
+  if (!Number.isInteger(revision) || revision < 1) {
+    throw new WorkflowError('Revision must be a positive integer');
+  }
+  return revision;
+}
+
+/**
+ * Answer a workflow error with its status, anything else with 500
+ */
+function handleError(res, error, action) {
+  if (error instanceof WorkflowError) {
+    return res.status(error.status).json({
+      error: error.message
+    });
+  }
+
+  console.error(`Error trying to ${action}:`, error);
+  return res.status(500).json({
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+}
+
+/**
+ * GET /articles
+ * List the user's articles, newest first (without their content)
+ *
+ * Query: { status?: string, limit?: number (default 50, max 100) }
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_LIST_LIMIT);
+
+    if (status && !ARTICLE_STATUSES.includes(status)) {
+      throw new WorkflowError(`status must be one of: ${ARTICLE_STATUSES.join(', ')}`);
+    }
+
+    let query = articlesRef(req.uid);
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+
+    const articles = snapshot.docs.map((doc) => {
+      const { content, statusHistory, ...article } = doc.data();
+      return { id: doc.id, ...article, status: article.status || 'draft' };
+    });
+
+    return res.json({
+      success: true,
+      count: articles.length,
+      articles
+    });
+
+  } catch (error) {
+    return handleError(res, error, 'list articles');
+  }
+});
+
+/**
+ * GET /articles/:articleId
+ * Get an article, including its status history and schedule
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/:articleId', requireAuth, async (req, res) => {
+  try {
+    const doc = await articleRef(req.uid, req.params.articleId).get();
+    if (!doc.exists) {
+      throw new WorkflowError('Article not found', 404);
+    }
+
+    return res.json({
+      success: true,
+      article: { id: doc.id, ...doc.data(), status: doc.data().status || 'draft' }
+    });
+
+  } catch (error) {
+    return handleError(res, error, 'fetch article');
+  }
+});
+
+/**
+ * POST /articles/:articleId/transition
+ * Move an article to another workflow status
+ *
+ * Body: {
+ *   to: 'in_review'|'approved'|'draft'|'scheduled'|'archived',
+ *   note?: string,
+ *   publishAt?: ISO date (required for 'scheduled'), platform?: string (for 'scheduled')
+ * }
+ * Articles become 'published' by publishing them (POST /publishing/articles/:articleId/publish)
+ * or when the scheduler publishes a scheduled article.
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.post('/:articleId/transition', requireAuth, async (req, res) => {
+  try {
+    const { to, note = null, publishAt = null, platform = null } = req.body || {};
+
+    if (to === 'published') {
+      throw new WorkflowError('Publish the article with POST /publishing/articles/:articleId/publish instead');
+    }
+
+    const result = await transitionArticle(req.uid, req.params.articleId, to, {
+      actor: getActor(req),
+      note,
+      publishAt,
+      platform
+    });
+
+    console.log(`🔀 Article ${result.articleId} moved from ${result.from} to ${result.to} for user ${req.uid}`);
+
+    return res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    return handleError(res, error, 'change article status');
+  }
+});
+
+/**
+ * PATCH /articles/:articleId
+ * Edit an article; every change is saved as a new revision
+ *
+ * Body: { title?: string, content?: string, metaDescription?: string, note?: string }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.patch('/:articleId', requireAuth, async (req, res) => {
+  try {
+    const { title, content, metaDescription, note = null } = req.body || {};
+
+    const result = await editArticle(req.uid, req.params.articleId, { title, content, metaDescription }, {
+      actor: getActor(req),
+      note
+    });
+
+    return res.json({
+      success: true,
+      articleId: req.params.articleId,
+      ...result
+    });
+
+  } catch (error) {
+    return handleError(res, error, 'edit article');
+  }
+});
+
+/**
+ * GET /articles/:articleId/revisions
+ * List revisions, newest first (metadata only)
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/:articleId/revisions', requireAuth, async (req, res) => {
+  try {
+    const revisions = await listRevisions(req.uid, req.params.articleId);
+
+    return res.json({
+      success: true,
+      count: revisions.length,
+      revisions
+    });
+
+  } catch (error) {
+    return handleError(res, error, 'list revisions');
+  }
+});
+
+/**
+ * GET /articles/:articleId/revisions/:revision
+ * Get a revision with its title, content and meta description
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/:articleId/revisions/:revision', requireAuth, async (req, res) => {
+  try {
+    const revision = await getRevision(req.uid, req.params.articleId, parseRevision(req.params.revision));
+
+    return res.json({
+      success: true,
+      revision
+    });
+
+  } catch (error) {
+    return handleError(res, error, 'fetch revision');
+  }
+});
+
+/**
+ * GET /articles/:articleId/revisions/:revision/diff
+ * Line diff of a revision against an earlier one
+ *
+ * Query: { against?: number } — defaults to the previous revision
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/:articleId/revisions/:revision/diff', requireAuth, async (req, res) => {
+  try {
+    const revision = parseRevision(req.params.revision);
+    const against = req.query.against !== undefined ? parseRevision(req.query.against) : revision - 1;
+    if (against < 1) {
+      throw new WorkflowError('Revision 1 has nothing to compare against; pass ?against=<revision>');
+    }
+
+    const diff = await diffRevisions(req.uid, req.params.articleId, revision, against);
+
+    return res.json({
+      success: true,
+      ...diff
+    });
+
+  } catch (error) {
+    return handleError(res, error, 'diff revisions');
+  }
+});
+
+/**
+ * POST /articles/:articleId/revisions/:revision/restore
+ * Roll back to an earlier revision; the restored text is saved as a new revision
+ *
+ * Body: { note?: string }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.post('/:articleId/revisions/:revision/restore', requireAuth, async (req, res) => {
+  try {
+    const revision = parseRevision(req.params.revision);
+    const result = await restoreRevision(req.uid, req.params.articleId, revision, {
+      actor: getActor(req),
+      note: req.body?.note || null
+    });
+
+    return res.json({
+      success: true,
+      articleId: req.params.articleId,
+      restoredFrom: revision,
+      ...result
+    });
+
+  } catch (error) {
+    return handleError(res, error, 'restore revision');
+  }
+});
+
+/**
+ * GET /articles/:articleId/comments
+ * List review comments, oldest first
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/:articleId/comments', requireAuth, async (req, res) => {
+  try {
+    const comments = await listComments(req.uid, req.params.articleId);
+
+    return res.json({
+      success: true,
+      count: comments.length,
+      comments
+    });
+
+  } catch (error) {
+    return handleError(res, error, 'list comments');
+  }
+});
+
+/**
+ * POST /articles/:articleId/comments
+ * Leave a review comment
+ *
+ * Body: { body: string }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.post('/:articleId/comments', requireAuth, async (req, res) => {
+  try {
+    const comment = await addComment(req.uid, req.params.articleId, {
+      actor: getActor(req),
+      body: req.body?.body
+    });
+
+    return res.status(201).json({
+      success: true,
+      comment
+    });
+
+  } catch (error) {
+    return handleError(res, error, 'add comment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+/**
+ * Editorial Calendar Routes
+ *
+ * Endpoints:
+ * - GET  /calendar                         - Calendar settings and the upcoming queue
+ * - PUT  /calendar                         - Set cadence, timezone and publish mode
+ * - POST /calendar/entries/:entryId/approve - Approve a draft and schedule it for its slot
+ */
+
+const express = require('express');
+const router = express.Router();
+const { db } = require('../firebase');
+const {
+  CalendarError,
+  normalizeCalendar,
+  getUserCalendar,
+  getCalendarQueue,
+  approveEntry
+} = require('../lib/calendar/editorial-calendar');
+const { WorkflowError } = require('../lib/articles/article-workflow');
+const { getPublisher } = require('../lib/publishing/publish-article');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * GET /calendar
+ * Get the user's calendar, in-flight slots and the next slots with the
+ * content plan titles that will fill them
+ *
+ * Query: { count?: number } — upcoming slots to list (default 10, max 50)
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { uid } = req;
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 10, 1), 50);
+
+    const userDoc = await db.collection('users').doc(uid).get();
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const { calendar, isDefault } = getUserCalendar(userDoc.data());
+    const queue = await getCalendarQueue(uid, calendar, count);
+
+    return res.json({
+      success: true,
+      calendar,
+      isDefault,
+      ...queue
+    });
+
+  } catch (error) {
+    console.error('Error fetching calendar:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch calendar',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /calendar
+ * Replace the user's calendar
+ *
+ * Body: {
+ *   timezone: 'America/New_York',
+ *   slots: [{ day: 'mon', time: '09:00' }, { day: 'thu', time: '09:00' }],
+ *   publishMode?: 'auto'|'approval', leadTimeHours?: number, platform?: string, enabled?: boolean,
+ *   refreshAfterMonths?: number|null — refresh published articles older than this
+ * }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.put('/', requireAuth, async (req, res) => {
+  try {
+    const { uid } = req;
+    const calendar = normalizeCalendar(req.body || {});
+
+    if (calendar.platform && !getPublisher(calendar.platform)) {
+      return res.status(400).json({
+        error: `Unsupported publishing platform: ${calendar.platform}`
+      });
+    }
+
+    await db.collection('users').doc(uid).set({ editorialCalendar: calendar }, { merge: true });
+
+    console.log(`🗓️ Saved editorial calendar for user ${uid} (${calendar.slots.length} slots/week, ${calendar.publishMode})`);
+
+    return res.json({
+      success: true,
+      calendar
+    });
+
+  } catch (error) {
+    if (error instanceof CalendarError) {
+      return res.status(400).json({
+        error: 'Invalid calendar',
+        message: error.message
+      });
+    }
+
+    console.error('Error saving calendar:', error);
+    return res.status(500).json({
+      error: 'Failed to save calendar',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /calendar/entries/:entryId/approve
+ * Approve a draft waiting for review and schedule it for its slot; the
+ * scheduler publishes it then (or right away if the slot has passed).
+ * Same as approving and scheduling the article through /articles.
+ *
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.post('/entries/:entryId/approve', requireAuth, async (req, res) => {
+  try {
+    const { uid } = req;
+    const actor = req.authType === 'service' ? 'service' : uid;
+    const entry = await approveEntry(uid, req.params.entryId, actor);
+
+    return res.json({
+      success: true,
+      entryId: entry.id,
+      articleId: entry.articleId,
+      slotAt: entry.slotAt,
+      status: entry.status
+    });
+
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    console.error('Error approving calendar entry:', error);
+    return res.status(500).json({
+      error: 'Failed to approve calendar entry',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
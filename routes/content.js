@@ -2,40 +2,86 @@
  * Content Generation Routes
  * 
  * Endpoints:
- * - POST /content/generate-titles    - Generate 15 blog post titles
- * - POST /content/generate-blog      - Generate complete blog post with images
- * - POST /content/run-scheduled-blogs - Manually trigger the 2-day scheduler job
+ * - POST /content/generate-titles    - Generate a content plan of blog post titles
+ * - POST /content/generate-blog      - Queue a complete blog post with images (returns job ID)
+ * - GET  /content/titles             - List planned titles across content plans with their queue position
+ * - PATCH  /content/plans/:planId/titles/:index - Edit, pin or skip a title
+ * - DELETE /content/plans/:planId/titles/:index - Delete a title
+ * - PUT  /content/plans/:planId/titles/order    - Reorder a plan's titles
+ * - POST /content/plans/:planId/titles/:index/retry - Queue generation again for a title that failed
+ * - POST /content/articles/:id/sections/:index/rewrite - Rewrite one H2 section of an article
+ * - GET  /content/stale-articles     - Published articles due for a refresh
+ * - POST /content/articles/:id/refresh - Queue a refresh with new research (returns job ID)
+ * - GET  /content/articles/:id/export - Download an article as HTML, AMP HTML, DOCX, text or markdown
+ * - POST /content/articles/:id/internal-links - Queue links to a published article from related older ones (returns job ID)
+ * - POST /content/run-scheduled-blogs - Manually run one editorial calendar scheduler tick
  */
 
 const express = require('express');
 const router = express.Router();
 const { generateContentTitles } = require('../lib/content/generate-titles');
-const { generateBlogPost } = require('../lib/content/generate-blog');
-const { runBlogGenerationJob } = require('../lib/scheduler');
+const { enqueueJob, findActiveJob, getJob } = require('../lib/jobs/job-queue');
+const { runCalendarTick } = require('../lib/scheduler');
+const { requireAuth, requireService } = require('../middleware/auth');
+const { requireQuota } = require('../middleware/quota');
+const { runWithUsageContext } = require('../lib/usage/usage-context');
+const { rewriteSection } = require('../lib/content/rewrite-section');
+const { findStaleArticles, DEFAULT_REFRESH_AFTER_MONTHS } = require('../lib/content/refresh-article');
+const { WorkflowError, articleRef } = require('../lib/articles/article-workflow');
+const { exportArticle } = require('../lib/content/export-article');
+const { getArticleUrl } = require('../lib/content/internal-linking');
+const {
+  ContentPlanError,
+  listTitles,
+  getTitleForGeneration,
+  updateTitle,
+  deleteTitle,
+  reorderTitles,
+  addCustomTitle,
+  retryTitle
+} = require('../lib/content/content-plans');
+
+/**
+ * Answer a content plan error with its status
+ * @returns {boolean} - Whether the error was handled
+ */
+function sendContentPlanError(res, error) {
+  if (!(error instanceof ContentPlanError)) return false;
+  res.status(error.status).json({
+    error: error.message
+  });
+  return true;
+}
 
 /**
  * POST /content/generate-titles
- * Generate 15 SEO-optimized blog post titles
- * 
- * Body: { uid: string }
+ * Generate a content plan of SEO-optimized blog post titles. Keywords come from
+ * the user's targetKeywords, backfilled from keyword ideas, then extra angles.
+ *
+ * Body (all optional): {
+ *   count?: number,          // plan size; defaults to and is capped by the plan tier
+ *   formats?: string[],      // title format IDs (see TITLE_FORMATS in lib/content/generate-titles.js)
+ *   minLength?, maxLength?   // title length in characters (default 50-70)
+ * }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
  */
-router.post('/generate-titles', async (req, res) => {
+router.post('/generate-titles', requireAuth, requireQuota('content-titles'), async (req, res) => {
   try {
-    const { uid } = req.body;
-
-    if (!uid) {
-      return res.status(400).json({
-        error: 'uid is required in request body'
-      });
-    }
+    const { uid } = req;
+    const { count, formats, minLength, maxLength } = req.body || {};
 
     console.log(`🎯 Generating content titles for user: ${uid}`);
 
-    const result = await generateContentTitles(uid);
+    const result = await runWithUsageContext(
+      { uid, pipeline: 'content-titles' },
+      () => generateContentTitles(uid, { count, formats, minLength, maxLength })
+    );
 
     return res.json(result);
 
   } catch (error) {
+    if (sendContentPlanError(res, error)) return;
+
     console.error('Error generating titles:', error);
     return res.status(500).json({
       error: 'Failed to generate titles',
@@ -46,30 +92,430 @@ router.post('/generate-titles', async (req, res) => {
 
 /**
  * POST /content/generate-blog
- * Generate a complete blog post with research, outline, content, and images
- * 
- * Body: { uid: string }
+ * Queue generation of a complete blog post with research, outline, content, and images.
+ * Without a body it writes the next title in the queue (pinned titles first).
+ * Returns a job ID; poll GET /jobs/:jobId for the result.
+ *
+ * Body (optional, one of):
+ * - { contentPlanId, titleIndex } — write this planned title
+ * - { title, targetKeyword, format? } — add a custom title to the newest plan and write it
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
  */
-router.post('/generate-blog', async (req, res) => {
+router.post('/generate-blog', requireAuth, requireQuota('blog-generation'), async (req, res) => {
   try {
-    const { uid } = req.body;
+    const { uid } = req;
+    const { contentPlanId, titleIndex, title, targetKeyword, format } = req.body || {};
+    const isCustom = title !== undefined || targetKeyword !== undefined;
+    const isPlanned = contentPlanId !== undefined || titleIndex !== undefined;
 
-    if (!uid) {
+    if (isCustom && isPlanned) {
       return res.status(400).json({
-        error: 'uid is required in request body'
+        error: 'Pass either contentPlanId + titleIndex or title + targetKeyword, not both'
       });
     }
 
-    console.log(`📝 Generating blog post for user: ${uid}`);
+    let selection = {};
+    let expectedTitle;
+    if (isCustom || isPlanned) {
+      if (isPlanned) {
+        selection = { contentPlanId: String(contentPlanId), titleIndex: Number(titleIndex) };
+        const selected = await getTitleForGeneration(uid, selection);
+        expectedTitle = selected.title.title;
+      }
 
-    const result = await generateBlogPost(uid);
+      // The job queue runs one generation per user; an explicit title must not be silently dropped
+      const activeJob = await findActiveJob('blog-generation', uid);
+      if (activeJob) {
+        return res.status(409).json({
+          error: 'Blog generation already in progress; try again when it finishes',
+          jobId: activeJob.id
+        });
+      }
 
-    return res.json(result);
+      if (isCustom) {
+        selection = await addCustomTitle(uid, { title, targetKeyword, format });
+        expectedTitle = title.trim();
+      }
+    }
+
+    console.log(`📝 Queueing blog post generation for user: ${uid}${selection.contentPlanId ? ` (plan ${selection.contentPlanId}, title ${selection.titleIndex})` : ''}`);
+
+    // The title text travels with the job, so reordering the plan while it waits cannot change what is written
+    const payload = { source: 'manual', ...selection };
+    if (expectedTitle !== undefined) {
+      payload.expectedTitle = expectedTitle;
+    }
+    const { jobId, existing } = await enqueueJob('blog-generation', uid, payload);
+
+    return res.json({
+      success: true,
+      message: existing ? 'Blog generation already in progress' : 'Blog generation queued',
+      jobId,
+      ...selection
+    });
 
   } catch (error) {
+    if (sendContentPlanError(res, error)) return;
+
     console.error('Error generating blog:', error);
     return res.status(500).json({
-      error: 'Failed to generate blog post',
+      error: 'Failed to queue blog post generation',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /content/titles
+ * List every planned title across content plans (newest plan first) with its
+ * state (pending/generating/failed/created/skipped), position in the generation
+ * queue and, for titles that failed, `lastGenerationError: { message, step, failedAt }`
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/titles', requireAuth, async (req, res) => {
+  try {
+    const titles = await listTitles(req.uid);
+
+    return res.json({
+      success: true,
+      count: titles.length,
+      titles
+    });
+
+  } catch (error) {
+    console.error('Error listing titles:', error);
+    return res.status(500).json({
+      error: 'Failed to list titles',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /content/plans/:planId/titles/:index
+ * Edit a title that has not been written yet, pin it to the front of the
+ * queue or skip it
+ *
+ * Body: { title?, targetKeyword?, format?, pinned?: boolean, skipped?: boolean }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.patch('/plans/:planId/titles/:index', requireAuth, async (req, res) => {
+  try {
+    const { uid: _uid, ...changes } = req.body || {};
+    const title = await updateTitle(req.uid, req.params.planId, Number(req.params.index), changes);
+
+    return res.json({
+      success: true,
+      title
+    });
+
+  } catch (error) {
+    if (sendContentPlanError(res, error)) return;
+
+    console.error('Error updating title:', error);
+    return res.status(500).json({
+      error: 'Failed to update title',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /content/plans/:planId/titles/:index
+ * Delete a title that has not been written yet (later titles move up one index)
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.delete('/plans/:planId/titles/:index', requireAuth, async (req, res) => {
+  try {
+    const removed = await deleteTitle(req.uid, req.params.planId, Number(req.params.index));
+
+    return res.json({
+      success: true,
+      removed
+    });
+
+  } catch (error) {
+    if (sendContentPlanError(res, error)) return;
+
+    console.error('Error deleting title:', error);
+    return res.status(500).json({
+      error: 'Failed to delete title',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /content/plans/:planId/titles/order
+ * Reorder a plan's titles
+ *
+ * Body: { order: number[] } — the current title indexes in their new order, e.g. [2, 0, 1]
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.put('/plans/:planId/titles/order', requireAuth, async (req, res) => {
+  try {
+    const titles = await reorderTitles(req.uid, req.params.planId, req.body?.order);
+
+    return res.json({
+      success: true,
+      titles
+    });
+
+  } catch (error) {
+    if (sendContentPlanError(res, error)) return;
+
+    console.error('Error reordering titles:', error);
+    return res.status(500).json({
+      error: 'Failed to reorder titles',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /content/plans/:planId/titles/:index/retry
+ * Generate a title again after a failed run. Clears its failure count (a title
+ * that failed MAX_GENERATION_FAILURES times is out of the queue until then)
+ * and queues generation for it. Returns a job ID like /generate-blog.
+ *
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.post('/plans/:planId/titles/:index/retry', requireAuth, requireQuota('blog-generation'), async (req, res) => {
+  try {
+    const { uid } = req;
+    const selection = { contentPlanId: req.params.planId, titleIndex: Number(req.params.index) };
+
+    const activeJob = await findActiveJob('blog-generation', uid);
+    if (activeJob) {
+      return res.status(409).json({
+        error: 'Blog generation already in progress; try again when it finishes',
+        jobId: activeJob.id
+      });
+    }
+
+    const title = await retryTitle(uid, selection.contentPlanId, selection.titleIndex);
+
+    console.log(`🔁 Retrying blog generation for user ${uid} (plan ${selection.contentPlanId}, title ${selection.titleIndex})`);
+
+    const { jobId } = await enqueueJob('blog-generation', uid, { source: 'retry', ...selection, expectedTitle: title.title });
+
+    return res.json({
+      success: true,
+      message: 'Blog generation queued',
+      jobId,
+      ...selection,
+      lastGenerationError: title.lastGenerationError || null
+    });
+
+  } catch (error) {
+    if (sendContentPlanError(res, error)) return;
+
+    console.error('Error retrying title:', error);
+    return res.status(500).json({
+      error: 'Failed to retry title',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /content/articles/:id/sections/:index/rewrite
+ * Rewrite one H2 section (0-based index) from the article's stored outline and
+ * research. The new text is saved as an article revision, so it can be diffed
+ * or rolled back through /articles/:id/revisions.
+ *
+ * Body: {
+ *   presets?: ['shorter'|'more_local'|'add_statistic'],
+ *   instructions?: string (max 500 chars, e.g. "mention our 24/7 hotline")
+ * }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.post('/articles/:id/sections/:index/rewrite', requireAuth, requireQuota('section-rewrite'), async (req, res) => {
+  try {
+    const { uid } = req;
+    const { presets = [], instructions = null } = req.body || {};
+    const sectionIndex = Number(req.params.index);
+
+    const result = await runWithUsageContext(
+      { uid, pipeline: 'section-rewrite' },
+      () => rewriteSection(uid, req.params.id, sectionIndex, {
+        presets,
+        instructions,
+        actor: req.authType === 'service' ? 'service' : uid
+      })
+    );
+
+    return res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    console.error('Error rewriting section:', error);
+    return res.status(500).json({
+      error: 'Failed to rewrite section',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /content/stale-articles
+ * List published articles not generated or refreshed in the last `months`, oldest first
+ *
+ * Query: { months?: number (default 6) }
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/stale-articles', requireAuth, async (req, res) => {
+  try {
+    const months = Math.min(Math.max(parseInt(req.query.months, 10) || DEFAULT_REFRESH_AFTER_MONTHS, 1), 36);
+    const articles = await findStaleArticles(req.uid, { months, limit: 100 });
+
+    return res.json({
+      success: true,
+      months,
+      count: articles.length,
+      articles
+    });
+
+  } catch (error) {
+    console.error('Error listing stale articles:', error);
+    return res.status(500).json({
+      error: 'Failed to list stale articles',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /content/articles/:id/refresh
+ * Queue a refresh: new research for the article's keyword, outdated facts and
+ * years replaced, saved as a new revision with a changelog in `refreshHistory`.
+ * Returns a job ID; poll GET /jobs/:jobId for the list of changes. 409 while
+ * another article's refresh is queued or running.
+ *
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.post('/articles/:id/refresh', requireAuth, requireQuota('article-refresh'), async (req, res) => {
+  try {
+    const { uid } = req;
+    const articleDoc = await articleRef(uid, req.params.id).get();
+
+    if (!articleDoc.exists) {
+      return res.status(404).json({
+        error: 'Article not found'
+      });
+    }
+    if (articleDoc.data().status === 'archived') {
+      return res.status(409).json({
+        error: 'Archived articles cannot be refreshed'
+      });
+    }
+
+    // One refresh per user at a time, as for the scheduler's refreshes
+    const { jobId, existing } = await enqueueJob('article-refresh', uid, { articleId: req.params.id, source: 'manual' });
+    if (existing && (await getJob(jobId))?.payload?.articleId !== req.params.id) {
+      return res.status(409).json({
+        error: 'Another article is being refreshed; try again when it has finished',
+        jobId
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: existing ? 'Article refresh already in progress' : 'Article refresh queued',
+      jobId
+    });
+
+  } catch (error) {
+    console.error('Error queueing article refresh:', error);
+    return res.status(500).json({
+      error: 'Failed to queue article refresh',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /content/articles/:id/export
+ * Download an article as a file:
+ *   html - standalone sanitized HTML with heading anchors and a table of contents (default)
+ *   amp  - the same document as valid AMP HTML
+ *   docx - Word document for clients who edit there
+ *   txt  - clean text, links written as "label (url)"
+ *   md   - the stored markdown
+ * Photographer attribution lines are kept in every format.
+ *
+ * Query: { format?: 'html'|'amp'|'docx'|'txt'|'md' }
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/articles/:id/export', requireAuth, async (req, res) => {
+  try {
+    const { filename, contentType, body } = await exportArticle(req.uid, req.params.id, req.query.format || 'html');
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(body);
+
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    console.error('Error exporting article:', error);
+    return res.status(500).json({
+      error: 'Failed to export article',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /content/articles/:id/internal-links
+ * Queue a backfill: related older articles get a contextual link to this
+ * published article, each saved as a new revision. Runs automatically on first
+ * publish; use this after publishing elsewhere or to retry. Poll GET /jobs/:jobId for the result.
+ *
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.post('/articles/:id/internal-links', requireAuth, requireQuota('internal-link-backfill'), async (req, res) => {
+  try {
+    const { uid } = req;
+    const articleDoc = await articleRef(uid, req.params.id).get();
+
+    if (!articleDoc.exists) {
+      return res.status(404).json({
+        error: 'Article not found'
+      });
+    }
+    if (!getArticleUrl(articleDoc.data())) {
+      return res.status(409).json({
+        error: 'Article has not been published, so there is no URL to link to'
+      });
+    }
+
+    const { jobId } = await enqueueJob('internal-link-backfill', uid, { articleId: req.params.id, source: 'manual' }, { dedupe: false });
+
+    return res.json({
+      success: true,
+      message: 'Internal link backfill queued',
+      jobId
+    });
+
+  } catch (error) {
+    console.error('Error queueing internal link backfill:', error);
+    return res.status(500).json({
+      error: 'Failed to queue internal link backfill',
       details: error.message
     });
   }
@@ -77,20 +523,22 @@ router.post('/generate-blog', async (req, res) => {
 
 /**
  * POST /content/run-scheduled-blogs
- * Manually trigger the 2-day scheduler job for all eligible subscribed users.
- * Useful for testing — no need to wait for the cron to fire.
+ * Manually run one calendar tick for all subscribed users (queue due
+ * generation and publishing). Useful for testing — no need to wait for the cron to fire.
+ *
+ * Auth: X-Service-Key only
  */
-router.post('/run-scheduled-blogs', async (req, res) => {
+router.post('/run-scheduled-blogs', requireService, async (req, res) => {
   try {
-    console.log('🔧 Manual trigger: running blog generation job now...');
+    console.log('🔧 Manual trigger: running calendar scheduler tick now...');
     // Run async — respond immediately so the HTTP request doesn't time out
     res.json({
       success: true,
-      message: 'Blog generation job triggered. Check server logs for progress.'
+      message: 'Calendar scheduler tick triggered. Check server logs for progress.'
     });
-    await runBlogGenerationJob();
+    await runCalendarTick();
   } catch (error) {
-    console.error('Error running scheduled blog job:', error);
+    console.error('Error running calendar scheduler tick:', error);
     // Response already sent above; just log
   }
 });
@@ -0,0 +1,55 @@
+/**
+ * Job Routes
+ *
+ * Endpoints:
+ * - GET /jobs/:jobId - Poll the status of a queued pipeline job
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getJob } = require('../lib/jobs/job-queue');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * GET /jobs/:jobId
+ * Get the status of a job owned by the authenticated user
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/:jobId', requireAuth, async (req, res) => {
+  try {
+    const { uid } = req;
+    const { jobId } = req.params;
+
+    const job = await getJob(jobId);
+
+    // Report other users' jobs as missing rather than leaking that they exist
+    if (!job || job.uid !== uid) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    return res.json({
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      runAfter: job.runAfter,
+      startedAt: job.startedAt || null,
+      completedAt: job.completedAt || null,
+      result: job.result,
+      error: job.lastError
+    });
+
+  } catch (error) {
+    console.error('Error fetching job status:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch job status',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,9 @@
 
 const express = require('express');
 const { generateKeywordIdeas } = require('../lib/seo/keyword-ideas');
+const { requireAuth } = require('../middleware/auth');
+const { requireQuota } = require('../middleware/quota');
+const { runWithUsageContext } = require('../lib/usage/usage-context');
 
 const router = express.Router();
 
@@ -13,7 +16,7 @@ const router = express.Router();
  * POST /keywords/ideas
  * Generate keyword ideas from seed keywords using DataForSEO API
  * 
- * Request body: { uid: string }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
  * 
  * Response: {
  *   success: true,
@@ -24,20 +27,16 @@ const router = express.Router();
  *   cost: number
  * }
  */
-router.post('/ideas', async (req, res) => {
+router.post('/ideas', requireAuth, requireQuota('keyword-ideas'), async (req, res) => {
   try {
-    const { uid } = req.body;
-
-    if (!uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
+    const { uid } = req;
 
     console.log(`📊 Starting keyword ideas generation for user ${uid}`);
 
-    const result = await generateKeywordIdeas(uid);
+    const result = await runWithUsageContext(
+      { uid, pipeline: 'keyword-ideas' },
+      () => generateKeywordIdeas(uid)
+    );
 
     res.json(result);
 
@@ -0,0 +1,256 @@
+/**
+ * Publishing Routes
+ *
+ * Endpoints:
+ * - GET    /publishing/credentials              - List connected CMS platforms (no secrets) and the destination
+ * - PUT    /publishing/credentials/:platform    - Verify and save (encrypted) CMS credentials
+ * - DELETE /publishing/credentials/:platform    - Disconnect a CMS platform
+ * - PUT    /publishing/destination              - Choose the platform articles are published to by default
+ * - POST   /publishing/articles/:articleId/publish - Queue publishing an article (returns job ID)
+ *
+ * Platforms: wordpress, ghost, webflow, shopify, git
+ */
+
+const express = require('express');
+const router = express.Router();
+const { db } = require('../firebase');
+const { saveCredentials, listCredentials, deleteCredentials } = require('../lib/publishing/credentials-store');
+const { getPublisher, resolvePlatform, PLATFORMS } = require('../lib/publishing/publish-article');
+const { PUBLISHABLE_STATUSES, articleRef } = require('../lib/articles/article-workflow');
+const { enqueueJob } = require('../lib/jobs/job-queue');
+const { requireAuth } = require('../middleware/auth');
+
+const POST_STATUSES = ['publish', 'draft'];
+
+/**
+ * GET /publishing/credentials
+ * List the CMS platforms the user has connected
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/credentials', requireAuth, async (req, res) => {
+  try {
+    const credentials = await listCredentials(req.uid);
+    const userDoc = await db.collection('users').doc(req.uid).get();
+
+    return res.json({
+      success: true,
+      destination: (userDoc.exists && userDoc.data().publishingPlatform) || null,
+      platforms: PLATFORMS,
+      credentials
+    });
+
+  } catch (error) {
+    console.error('Error listing publishing credentials:', error);
+    return res.status(500).json({
+      error: 'Failed to list publishing credentials',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /publishing/credentials/:platform
+ * Check credentials against the CMS, then store them encrypted. The first
+ * platform a user connects becomes their publishing destination.
+ *
+ * Body (fields per platform, see lib/publishing/publishers/):
+ * - wordpress: { siteUrl, username, applicationPassword, categories?, metaDescriptionField? }
+ * - ghost:     { siteUrl, adminApiKey, tags? }
+ * - webflow:   { siteUrl, apiToken, collectionId, fields? }
+ * - shopify:   { siteUrl, accessToken, blogId, storefrontUrl?, tags? }
+ * - git:       { repoPath, branch?, contentDir?, siteUrl?, authorName?, authorEmail? }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.put('/credentials/:platform', requireAuth, async (req, res) => {
+  const { platform } = req.params;
+  const publisher = getPublisher(platform);
+
+  if (!publisher) {
+    return res.status(400).json({
+      error: `Unsupported publishing platform: ${platform}`
+    });
+  }
+
+  const { uid: _uid, ...credentials } = req.body || {};
+
+  try {
+    const { account } = await publisher.validateCredentials(credentials, { uid: req.uid });
+    await saveCredentials(req.uid, platform, credentials);
+
+    const userRef = db.collection('users').doc(req.uid);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists || !userDoc.data().publishingPlatform) {
+      await userRef.set({ publishingPlatform: platform }, { merge: true });
+    }
+
+    console.log(`🔐 Saved ${platform} credentials for user ${req.uid} (${credentials.siteUrl})`);
+
+    return res.json({
+      success: true,
+      platform,
+      siteUrl: credentials.siteUrl,
+      account
+    });
+
+  } catch (error) {
+    if (error.name === 'PublishError' && error.status >= 400 && error.status < 500) {
+      return res.status(400).json({
+        error: 'Invalid publishing credentials',
+        message: error.message
+      });
+    }
+
+    console.error('Error saving publishing credentials:', error);
+    return res.status(500).json({
+      error: 'Failed to save publishing credentials',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /publishing/credentials/:platform
+ * Remove stored credentials for a platform
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.delete('/credentials/:platform', requireAuth, async (req, res) => {
+  const { platform } = req.params;
+
+  if (!getPublisher(platform)) {
+    return res.status(400).json({
+      error: `Unsupported publishing platform: ${platform}`
+    });
+  }
+
+  try {
+    await deleteCredentials(req.uid, platform);
+
+    const userRef = db.collection('users').doc(req.uid);
+    const userDoc = await userRef.get();
+    if (userDoc.exists && userDoc.data().publishingPlatform === platform) {
+      await userRef.update({ publishingPlatform: null });
+    }
+
+    return res.json({
+      success: true,
+      platform
+    });
+
+  } catch (error) {
+    console.error('Error deleting publishing credentials:', error);
+    return res.status(500).json({
+      error: 'Failed to delete publishing credentials',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /publishing/destination
+ * Choose where articles are published when a request doesn't name a platform
+ *
+ * Body: { platform: string } — must already have credentials saved
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.put('/destination', requireAuth, async (req, res) => {
+  try {
+    const { uid } = req;
+    const { platform } = req.body || {};
+
+    const connected = await listCredentials(uid);
+    if (!connected.some((entry) => entry.platform === platform)) {
+      return res.status(400).json({
+        error: 'Connect the platform before choosing it as destination',
+        connected: connected.map((entry) => entry.platform)
+      });
+    }
+
+    await db.collection('users').doc(uid).set({ publishingPlatform: platform }, { merge: true });
+
+    return res.json({
+      success: true,
+      destination: platform
+    });
+
+  } catch (error) {
+    console.error('Error setting publishing destination:', error);
+    return res.status(500).json({
+      error: 'Failed to set publishing destination',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /publishing/articles/:articleId/publish
+ * Queue publishing an article to a connected CMS. Publishing an article that
+ * is already live updates the existing post. Only approved, scheduled or
+ * published articles can go live (status 'draft' pushes a remote draft).
+ * Returns a job ID; poll GET /jobs/:jobId for the post URL.
+ *
+ * Body: { platform?: string (defaults to the user's destination), status?: 'publish'|'draft' }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.post('/articles/:articleId/publish', requireAuth, async (req, res) => {
+  try {
+    const { uid } = req;
+    const { articleId } = req.params;
+    const { status = 'publish' } = req.body || {};
+
+    let platform;
+    try {
+      platform = await resolvePlatform(uid, req.body?.platform);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    if (!getPublisher(platform)) {
+      return res.status(400).json({
+        error: `Unsupported publishing platform: ${platform}`
+      });
+    }
+    if (!POST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${POST_STATUSES.join(', ')}`
+      });
+    }
+
+    const articleDoc = await articleRef(uid, articleId).get();
+    if (!articleDoc.exists) {
+      return res.status(404).json({
+        error: 'Article not found'
+      });
+    }
+
+    const articleStatus = articleDoc.data().status || 'draft';
+    if (articleStatus === 'archived' || (status === 'publish' && !PUBLISHABLE_STATUSES.includes(articleStatus))) {
+      return res.status(409).json({
+        error: `Article is ${articleStatus}; only approved articles can be published`
+      });
+    }
+
+    console.log(`📤 Queueing ${platform} publish of article ${articleId} for user: ${uid}`);
+
+    // Each publish request is its own job; the article ID is in the payload
+    const { jobId } = await enqueueJob('article-publish', uid, { articleId, platform, status }, { dedupe: false });
+
+    return res.json({
+      success: true,
+      message: 'Publishing queued',
+      jobId
+    });
+
+  } catch (error) {
+    console.error('Error queueing publish:', error);
+    return res.status(500).json({
+      error: 'Failed to queue publishing',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
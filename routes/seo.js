@@ -6,27 +6,27 @@
  * - GET /seo/debug-env - Debug environment variables
  * - POST /seo/start-analysis - Start SEO analysis
  * - POST /seo/process-analysis - Process SEO analysis (alternative endpoint)
+ * - POST /seo/resume-analysis - Resume a failed SEO analysis from the last completed stage
  */
 
 const express = require('express');
 const router = express.Router();
-const { getSEOAnalysisStatus, updateSEOAnalysisStatus } = require('../lib/seo-analysis-status');
-const { processSEOAnalysis } = require('../lib/seo/process-seo-analysis');
+const { getSEOAnalysisStatus, updateSEOAnalysisStatus, getResumeStage } = require('../lib/seo-analysis-status');
+const { enqueueJob } = require('../lib/jobs/job-queue');
 const { db } = require('../firebase');
+const { requireAuth, requireService } = require('../middleware/auth');
+const { requireQuota } = require('../middleware/quota');
 
 /**
  * GET /seo/status
- * Check SEO analysis status for a user
+ * Check SEO analysis status for a user, with a per-stage breakdown
+ * (status, timing, item counts, cost) and an overall percentage
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
  */
-router.get('/status', async (req, res) => {
+router.get('/status', requireAuth, async (req, res) => {
   try {
-    const { uid } = req.query;
-
-    if (!uid) {
-      return res.status(400).json({
-        error: 'uid query parameter is required'
-      });
-    }
+    const { uid } = req;
 
     const status = await getSEOAnalysisStatus(uid);
 
@@ -40,7 +40,11 @@ router.get('/status', async (req, res) => {
       status: status.status,
       startedAt: status.startedAt,
       completedAt: status.completedAt,
-      error: status.error
+      error: status.error,
+      jobId: status.jobId,
+      percentage: status.percentage,
+      currentStage: status.stages.find((s) => s.status === 'running')?.key || null,
+      stages: status.stages
     });
 
   } catch (error) {
@@ -56,8 +60,10 @@ router.get('/status', async (req, res) => {
  * GET /seo/debug-env
  * Debug endpoint to check environment variables
  * WARNING: Remove or protect this in production!
+ *
+ * Auth: X-Service-Key only
  */
-router.get('/debug-env', (req, res) => {
+router.get('/debug-env', requireService, (req, res) => {
   const envVars = {
     NODE_ENV: process.env.NODE_ENV,
     PORT: process.env.PORT,
@@ -65,7 +71,13 @@ router.get('/debug-env', (req, res) => {
     DATAFORSEO_PASSWORD: process.env.DATAFORSEO_PASSWORD ? '✅ Set' : '❌ Not set',
     OPENAI_API_KEY: process.env.OPENAI_API_KEY ? '✅ Set' : '❌ Not set',
     JINA_API_KEY: process.env.JINA_API_KEY ? '✅ Set' : '❌ Not set',
+    ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY ? '✅ Set' : '❌ Not set',
+    PERPLEXITY_API_KEY: process.env.PERPLEXITY_API_KEY ? '✅ Set' : '❌ Not set',
+    LLM_PROVIDER: process.env.LLM_PROVIDER || 'per-step config',
+    CREDENTIALS_ENCRYPTION_KEY: process.env.CREDENTIALS_ENCRYPTION_KEY ? '✅ Set' : '❌ Not set',
+    GIT_PUBLISH_ROOT: process.env.GIT_PUBLISH_ROOT || 'not set (git publishing disabled)',
     FIREBASE_DATABASE_URL: process.env.FIREBASE_DATABASE_URL ? '✅ Set' : '❌ Not set',
+    SERVICE_API_KEY: process.env.SERVICE_API_KEY ? '✅ Set' : '❌ Not set',
   };
 
   return res.json({
@@ -79,17 +91,11 @@ router.get('/debug-env', (req, res) => {
  * POST /seo/start-analysis
  * Start SEO analysis for a user
  * 
- * Body: { uid: string }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
  */
-router.post('/start-analysis', async (req, res) => {
+router.post('/start-analysis', requireAuth, requireQuota('seo-analysis'), async (req, res) => {
   try {
-    const { uid } = req.body;
-
-    if (!uid) {
-      return res.status(400).json({
-        error: 'uid is required in request body'
-      });
-    }
+    const { uid } = req;
 
     console.log(`🚀 Starting SEO analysis for user: ${uid}`);
 
@@ -110,23 +116,20 @@ router.post('/start-analysis', async (req, res) => {
       });
     }
 
-    // Update status to processing
-    await updateSEOAnalysisStatus(uid, 'processing');
+    // Queue the analysis; the job worker runs it and survives restarts
+    const { jobId, existing } = await enqueueJob('seo-analysis', uid);
 
-    // Run the analysis asynchronously (don't await - let it run in background)
-    processSEOAnalysis(uid)
-      .then(() => {
-        console.log(`✅ SEO analysis completed for user: ${uid}`);
-      })
-      .catch((error) => {
-        console.error(`❌ SEO analysis failed for user ${uid}:`, error);
-      });
+    if (!existing) {
+      await updateSEOAnalysisStatus(uid, 'pending');
+      await userDocRef.update({ seoAnalysisJobId: jobId });
+    }
 
     return res.json({
       success: true,
-      message: 'SEO analysis started successfully',
+      message: existing ? 'SEO analysis already in progress' : 'SEO analysis started successfully',
       uid,
-      status: 'processing'
+      jobId,
+      status: existing ? (userData.seoAnalysisStatus || 'pending') : 'pending'
     });
 
   } catch (error) {
@@ -143,21 +146,71 @@ router.post('/start-analysis', async (req, res) => {
  * Alternative endpoint to process SEO analysis
  * Same as start-analysis but different name for compatibility
  * 
- * Body: { uid: string }
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
  */
-router.post('/process-analysis', async (req, res) => {
+router.post('/process-analysis', requireAuth, requireQuota('seo-analysis'), async (req, res) => {
   try {
-    const { uid } = req.body;
+    const { uid } = req;
+
+    console.log(`🚀 Processing SEO analysis for user: ${uid}`);
+
+    // Check if user exists and onboarding is completed
+    const userDocRef = db.collection('users').doc(uid);
+    const userDoc = await userDocRef.get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
 
-    if (!uid) {
+    const userData = userDoc.data();
+    if (!userData.onboardingCompleted) {
       return res.status(400).json({
-        error: 'uid is required in request body'
+        error: 'Onboarding not completed. Please complete onboarding first.'
       });
     }
 
-    console.log(`🚀 Processing SEO analysis for user: ${uid}`);
+    // Queue the analysis; the job worker runs it and survives restarts
+    const { jobId, existing } = await enqueueJob('seo-analysis', uid);
+
+    if (!existing) {
+      await updateSEOAnalysisStatus(uid, 'pending');
+      await userDocRef.update({ seoAnalysisJobId: jobId });
+    }
+
+    return res.json({
+      success: true,
+      message: existing ? 'SEO analysis already in progress' : 'SEO analysis processing started',
+      uid,
+      jobId,
+      status: existing ? (userData.seoAnalysisStatus || 'pending') : 'pending'
+    });
+
+  } catch (error) {
+    console.error('Error processing SEO analysis:', error);
+    return res.status(500).json({
+      error: 'Failed to process SEO analysis',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /seo/resume-analysis
+ * Resume an SEO analysis from the first stage that did not finish.
+ * Completed stages are reused and competitors whose intersection data is
+ * still fresh are skipped, so DataForSEO is not charged twice.
+ * Resuming does not count as a new analysis, but the dollar budget still applies.
+ * 
+ * Auth: Bearer ID token (or X-Service-Key with { uid } in body)
+ */
+router.post('/resume-analysis', requireAuth, requireQuota(null), async (req, res) => {
+  try {
+    const { uid } = req;
+
+    console.log(`⏯️ Resuming SEO analysis for user: ${uid}`);
 
-    // Check if user exists and onboarding is completed
     const userDocRef = db.collection('users').doc(uid);
     const userDoc = await userDocRef.get();
 
@@ -174,29 +227,39 @@ router.post('/process-analysis', async (req, res) => {
       });
     }
 
-    // Update status to processing
-    await updateSEOAnalysisStatus(uid, 'processing');
+    if (!userData.seoAnalysisStages) {
+      return res.status(400).json({
+        error: 'No previous analysis to resume. Use /seo/start-analysis instead.'
+      });
+    }
 
-    // Run the analysis asynchronously (don't await - let it run in background)
-    processSEOAnalysis(uid)
-      .then(() => {
-        console.log(`✅ SEO analysis completed for user: ${uid}`);
-      })
-      .catch((error) => {
-        console.error(`❌ SEO analysis failed for user ${uid}:`, error);
+    const resumeStage = getResumeStage(userData.seoAnalysisStages);
+    if (!resumeStage) {
+      return res.status(400).json({
+        error: 'Every stage of the last analysis completed. Nothing to resume.'
       });
+    }
+
+    const { jobId, existing } = await enqueueJob('seo-analysis', uid, { resume: true });
+
+    if (!existing) {
+      await updateSEOAnalysisStatus(uid, 'pending');
+      await userDocRef.update({ seoAnalysisJobId: jobId });
+    }
 
     return res.json({
       success: true,
-      message: 'SEO analysis processing started',
+      message: existing ? 'SEO analysis already in progress' : 'SEO analysis resumed',
       uid,
-      status: 'processing'
+      jobId,
+      resumeStage,
+      status: existing ? (userData.seoAnalysisStatus || 'pending') : 'pending'
     });
 
   } catch (error) {
-    console.error('Error processing SEO analysis:', error);
+    console.error('Error resuming SEO analysis:', error);
     return res.status(500).json({
-      error: 'Failed to process SEO analysis',
+      error: 'Failed to resume SEO analysis',
       message: error.message
     });
   }
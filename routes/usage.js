@@ -0,0 +1,87 @@
+/**
+ * Usage Routes
+ *
+ * Endpoints:
+ * - GET /usage/summary - Summarize API spend by provider, pipeline and day
+ * - GET /usage/quota   - Remaining monthly budget and pipeline allowance
+ */
+
+const express = require('express');
+const router = express.Router();
+const { summarizeUsage } = require('../lib/usage/usage-ledger');
+const { getQuotaStatus } = require('../lib/usage/quota');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * GET /usage/summary
+ * Summarize the authenticated user's API spend.
+ *
+ * Query: { from?: ISO date, to?: ISO date } — defaults to the current calendar month (UTC)
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/summary', requireAuth, async (req, res) => {
+  try {
+    const { uid } = req;
+    const now = new Date();
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+
+    const from = req.query.from || monthStart;
+    const to = req.query.to || now.toISOString();
+
+    if (Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        error: 'from and to must be valid ISO dates'
+      });
+    }
+
+    const summary = await summarizeUsage(uid, { from, to });
+
+    return res.json({
+      success: true,
+      uid,
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Error summarizing usage:', error);
+    return res.status(500).json({
+      error: 'Failed to summarize usage',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /usage/quota
+ * Get the authenticated user's plan limits and what is left this month
+ *
+ * Auth: Bearer ID token (or X-Service-Key with ?uid=<uid>)
+ */
+router.get('/quota', requireAuth, async (req, res) => {
+  try {
+    const { uid } = req;
+
+    const allowance = await getQuotaStatus(uid);
+
+    return res.json({
+      success: true,
+      uid,
+      ...allowance
+    });
+
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    console.error('Error fetching quota:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch quota',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
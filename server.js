@@ -13,9 +13,15 @@ app.use(express.urlencoded({ extended: true }));
 const seoRoutes = require('./routes/seo');
 const contentRoutes = require('./routes/content');
 const keywordRoutes = require('./routes/keywords');
+const jobRoutes = require('./routes/jobs');
+const usageRoutes = require('./routes/usage');
+const publishingRoutes = require('./routes/publishing');
+const calendarRoutes = require('./routes/calendar');
+const articleRoutes = require('./routes/articles');
 
-// Import scheduler
+// Import scheduler and job worker
 const { startScheduler } = require('./lib/scheduler');
+const { startJobWorker } = require('./lib/jobs/job-worker');
 
 // Basic route
 app.get('/', (req, res) => {
@@ -23,19 +29,62 @@ app.get('/', (req, res) => {
     message: 'Welcome to typonixAPI',
     status: 'running',
     firebase: 'connected',
+    auth: 'Authorization: Bearer <Firebase ID token> (or X-Service-Key + uid for admin tooling)',
     endpoints: {
       seo: {
-        status: 'GET /seo/status?uid=<uid>',
+        status: 'GET /seo/status',
         debugEnv: 'GET /seo/debug-env',
         startAnalysis: 'POST /seo/start-analysis',
-        processAnalysis: 'POST /seo/process-analysis'
+        processAnalysis: 'POST /seo/process-analysis',
+        resumeAnalysis: 'POST /seo/resume-analysis'
       },
       content: {
         generateTitles: 'POST /content/generate-titles',
-        generateBlog: 'POST /content/generate-blog'
+        generateBlog: 'POST /content/generate-blog',
+        listTitles: 'GET /content/titles',
+        updateTitle: 'PATCH /content/plans/:planId/titles/:index',
+        deleteTitle: 'DELETE /content/plans/:planId/titles/:index',
+        reorderTitles: 'PUT /content/plans/:planId/titles/order',
+        retryTitle: 'POST /content/plans/:planId/titles/:index/retry',
+        rewriteSection: 'POST /content/articles/:id/sections/:index/rewrite',
+        staleArticles: 'GET /content/stale-articles?months=<months>',
+        refreshArticle: 'POST /content/articles/:id/refresh',
+        exportArticle: 'GET /content/articles/:id/export?format=html|amp|docx|txt|md',
+        backfillInternalLinks: 'POST /content/articles/:id/internal-links'
       },
       keywords: {
         generateIdeas: 'POST /keywords/ideas'
+      },
+      jobs: {
+        status: 'GET /jobs/:jobId'
+      },
+      usage: {
+        summary: 'GET /usage/summary?from=<date>&to=<date>',
+        quota: 'GET /usage/quota'
+      },
+      publishing: {
+        listCredentials: 'GET /publishing/credentials',
+        saveCredentials: 'PUT /publishing/credentials/:platform',
+        deleteCredentials: 'DELETE /publishing/credentials/:platform',
+        setDestination: 'PUT /publishing/destination',
+        publishArticle: 'POST /publishing/articles/:articleId/publish'
+      },
+      calendar: {
+        get: 'GET /calendar',
+        update: 'PUT /calendar',
+        approveEntry: 'POST /calendar/entries/:entryId/approve'
+      },
+      articles: {
+        list: 'GET /articles?status=<status>',
+        get: 'GET /articles/:articleId',
+        transition: 'POST /articles/:articleId/transition',
+        edit: 'PATCH /articles/:articleId',
+        revisions: 'GET /articles/:articleId/revisions',
+        revision: 'GET /articles/:articleId/revisions/:revision',
+        diff: 'GET /articles/:articleId/revisions/:revision/diff?against=<revision>',
+        restore: 'POST /articles/:articleId/revisions/:revision/restore',
+        listComments: 'GET /articles/:articleId/comments',
+        addComment: 'POST /articles/:articleId/comments'
       }
     }
   });
@@ -54,9 +103,15 @@ app.get('/health', (req, res) => {
 app.use('/seo', seoRoutes);
 app.use('/content', contentRoutes);
 app.use('/keywords', keywordRoutes);
+app.use('/jobs', jobRoutes);
+app.use('/usage', usageRoutes);
+app.use('/publishing', publishingRoutes);
+app.use('/calendar', calendarRoutes);
+app.use('/articles', articleRoutes);
 
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 typonixAPI server running on port ${PORT}`);
   startScheduler();
+  startJobWorker();
 });
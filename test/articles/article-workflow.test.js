@@ -0,0 +1,130 @@
+const { db } = require('../support/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { transitionArticle, addComment, listComments } = require('../../lib/articles/article-workflow');
+const {
+  saveRevision,
+  editArticle,
+  listRevisions,
+  diffRevisions,
+  restoreRevision,
+} = require('../../lib/articles/article-revisions');
+const { diffLines, formatDiff } = require('../../lib/articles/text-diff');
+
+const UID = 'user-1';
+const ARTICLE_ID = 'article_1';
+const ARTICLE_PATH = `users/${UID}/generated_articles/${ARTICLE_ID}`;
+
+describe('article workflow', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.doc(ARTICLE_PATH).set({ title: 'Widget Care', content: 'Intro\n\nBody', status: 'draft' });
+  });
+
+  it('walks an article through review and records who moved it', async () => {
+    await transitionArticle(UID, ARTICLE_ID, 'in_review', { actor: 'writer' });
+    await transitionArticle(UID, ARTICLE_ID, 'approved', { actor: 'editor', note: 'Looks good' });
+    await transitionArticle(UID, ARTICLE_ID, 'scheduled', { actor: 'editor', publishAt: '2025-11-03T09:00:00Z', platform: 'ghost' });
+
+    const article = db.getData(ARTICLE_PATH);
+    assert.equal(article.status, 'scheduled');
+    assert.deepEqual(article.schedule, { publishAt: '2025-11-03T09:00:00.000Z', platform: 'ghost' });
+    assert.deepEqual(article.statusHistory.map(({ from, to, actor }) => [from, to, actor]), [
+      ['draft', 'in_review', 'writer'],
+      ['in_review', 'approved', 'editor'],
+      ['approved', 'scheduled', 'editor'],
+    ]);
+
+    await transitionArticle(UID, ARTICLE_ID, 'approved', { actor: 'editor' });
+    assert.equal(db.getData(ARTICLE_PATH).schedule, null);
+  });
+
+  it('rejects transitions the workflow does not allow', async () => {
+    await assert.rejects(transitionArticle(UID, ARTICLE_ID, 'published'), { status: 409 });
+    await assert.rejects(transitionArticle(UID, ARTICLE_ID, 'live'), { status: 400 });
+    await assert.rejects(transitionArticle(UID, 'missing', 'in_review'), { status: 404 });
+
+    await transitionArticle(UID, ARTICLE_ID, 'in_review');
+    await transitionArticle(UID, ARTICLE_ID, 'approved');
+    await assert.rejects(transitionArticle(UID, ARTICLE_ID, 'scheduled'), /publishAt/);
+  });
+
+  it('keeps review comments with the status they were left in', async () => {
+    await transitionArticle(UID, ARTICLE_ID, 'in_review');
+    await addComment(UID, ARTICLE_ID, { actor: 'editor', body: '  Tighten the intro  ' });
+
+    const comments = await listComments(UID, ARTICLE_ID);
+    assert.equal(comments.length, 1);
+    assert.equal(comments[0].body, 'Tighten the intro');
+    assert.equal(comments[0].status, 'in_review');
+    await assert.rejects(addComment(UID, ARTICLE_ID, { actor: 'editor', body: ' ' }), { status: 400 });
+  });
+});
+
+describe('article revisions', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.doc(ARTICLE_PATH).set({ title: 'Widget Care', content: 'Intro\n\nBody', status: 'draft', createdAt: '2025-10-01T00:00:00.000Z' });
+  });
+
+  it('saves a baseline for legacy articles and diffs edits against it', async () => {
+    const edit = await editArticle(UID, ARTICLE_ID, { content: 'Intro\n\nBetter body', title: 'Widget Care' }, { actor: 'editor' });
+    assert.deepEqual(edit, { revision: 2, changedFields: ['content'] });
+
+    const article = db.getData(ARTICLE_PATH);
+    assert.equal(article.revision, 2);
+    assert.equal(article.wordCount, 3);
+    assert.deepEqual((await listRevisions(UID, ARTICLE_ID)).map(({ revision, source }) => [revision, source]), [
+      [2, 'edit'],
+      [1, 'generated'],
+    ]);
+
+    const diff = await diffRevisions(UID, ARTICLE_ID, 2);
+    assert.deepEqual(diff.content, { added: 1, removed: 1, diff: '  Intro\n  \n- Body\n+ Better body' });
+    assert.equal(diff.title, undefined);
+  });
+
+  it('restores an old revision as a new one', async () => {
+    await saveRevision(UID, ARTICLE_ID, { title: 'Widget Care', content: 'Intro\n\nBody' }, { source: 'generated' });
+    await editArticle(UID, ARTICLE_ID, { title: 'Widget Care 101', metaDescription: 'All about widgets' }, { actor: 'editor' });
+
+    const restored = await restoreRevision(UID, ARTICLE_ID, 1, { actor: 'editor' });
+    assert.deepEqual(restored, { revision: 3, changedFields: ['title', 'metaDescription'] });
+
+    const article = db.getData(ARTICLE_PATH);
+    assert.equal(article.title, 'Widget Care');
+    assert.equal(article.metaDescription, null);
+    assert.equal(db.getData(`${ARTICLE_PATH}/revisions/0003`).restoredFrom, 1);
+  });
+
+  it('refuses empty edits and edits to archived articles', async () => {
+    await assert.rejects(editArticle(UID, ARTICLE_ID, {}, { actor: 'editor' }), { status: 400 });
+    await assert.rejects(editArticle(UID, ARTICLE_ID, { title: '  ' }, { actor: 'editor' }), { status: 400 });
+    await assert.rejects(editArticle(UID, ARTICLE_ID, { content: 'line\n'.repeat(50000) }, { actor: 'editor' }), { status: 400 });
+
+    await transitionArticle(UID, ARTICLE_ID, 'archived');
+    await assert.rejects(editArticle(UID, ARTICLE_ID, { title: 'New' }, { actor: 'editor' }), { status: 409 });
+  });
+});
+
+describe('formatDiff', () => {
+  it('collapses long unchanged runs', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].join('\n');
+    const after = ['a', 'b', 'c', 'd', 'e', 'f', 'G'].join('\n');
+
+    assert.equal(formatDiff(diffLines(before, after)), '…\n  e\n  f\n- g\n+ G');
+  });
+
+  it('reports an oversized changed middle as removed and re-added without building the full table', () => {
+    const middle = (prefix) => Array.from({ length: 3000 }, (_, index) => `${prefix}${index}`);
+    const before = ['head', ...middle('old '), 'tail'].join('\n');
+    const after = ['head', ...middle('new '), 'tail'].join('\n');
+
+    const ops = diffLines(before, after);
+    assert.deepEqual(ops[0], { type: 'equal', line: 'head' });
+    assert.deepEqual(ops.at(-1), { type: 'equal', line: 'tail' });
+    assert.equal(ops.filter((op) => op.type === 'remove').length, 3000);
+    assert.equal(ops.filter((op) => op.type === 'add').length, 3000);
+  });
+});
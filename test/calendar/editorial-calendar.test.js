@@ -0,0 +1,66 @@
+require('../support/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCalendar, getUpcomingSlots, getEntryId } = require('../../lib/calendar/editorial-calendar');
+
+describe('normalizeCalendar', () => {
+  it('fills defaults and normalizes days and times', () => {
+    assert.deepEqual(normalizeCalendar({ timezone: 'Europe/Berlin', slots: [{ day: 'Monday', time: '9:00' }] }), {
+      enabled: true,
+      timezone: 'Europe/Berlin',
+      slots: [{ day: 'mon', time: '09:00' }],
+      publishMode: 'approval',
+      leadTimeHours: 24,
+      platform: null,
+      refreshAfterMonths: null,
+    });
+  });
+
+  it('rejects bad timezones, days, times and modes', () => {
+    const slots = [{ day: 'mon', time: '09:00' }];
+    assert.throws(() => normalizeCalendar({ timezone: 'Mars/Olympus', slots }), /Unknown timezone/);
+    assert.throws(() => normalizeCalendar({ slots: [{ day: 'someday', time: '09:00' }] }), /slots\[0\]\.day/);
+    assert.throws(() => normalizeCalendar({ slots: [{ day: 'mon', time: '25:00' }] }), /slots\[0\]\.time/);
+    assert.throws(() => normalizeCalendar({ slots, publishMode: 'yolo' }), /publishMode/);
+    assert.throws(() => normalizeCalendar({ slots: [] }), /non-empty/);
+    assert.throws(() => normalizeCalendar({ slots, refreshAfterMonths: 0.5 }), /refreshAfterMonths/);
+  });
+});
+
+describe('getUpcomingSlots', () => {
+  const calendar = normalizeCalendar({
+    timezone: 'America/New_York',
+    slots: [{ day: 'thu', time: '09:00' }, { day: 'mon', time: '09:00' }],
+  });
+
+  it('lists slots in the calendar timezone across a DST change', () => {
+    // US daylight saving time ends Sunday 2025-11-02
+    const slots = getUpcomingSlots(calendar, { from: new Date('2025-10-29T12:00:00Z'), count: 3 });
+
+    assert.deepEqual(slots, [
+      '2025-10-30T13:00:00.000Z', // Thu 09:00 EDT
+      '2025-11-03T14:00:00.000Z', // Mon 09:00 EST
+      '2025-11-06T14:00:00.000Z', // Thu 09:00 EST
+    ]);
+  });
+
+  it('excludes the current instant and stops at `until`', () => {
+    const slots = getUpcomingSlots(calendar, {
+      from: new Date('2025-10-30T13:00:00Z'),
+      until: new Date('2025-11-05T00:00:00Z'),
+      count: 10,
+    });
+
+    assert.deepEqual(slots, ['2025-11-03T14:00:00.000Z']);
+  });
+
+  it('finds slots early in the day for zones ahead of UTC', () => {
+    const tokyo = normalizeCalendar({ timezone: 'Asia/Tokyo', slots: [{ day: 'tue', time: '07:30' }] });
+    // Mon 2025-10-27 23:00 UTC is already Tue 08:00 in Tokyo, so the next slot is a week out
+    const slots = getUpcomingSlots(tokyo, { from: new Date('2025-10-27T23:00:00Z'), count: 1 });
+
+    assert.deepEqual(slots, ['2025-11-03T22:30:00.000Z']);
+    assert.equal(getEntryId(slots[0]), '2025-11-03T2230Z');
+  });
+});
@@ -0,0 +1,196 @@
+const { db } = require('../support/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runCalendarTick } = require('../../lib/scheduler');
+const { approveEntry } = require('../../lib/calendar/editorial-calendar');
+const { enqueueJob } = require('../../lib/jobs/job-queue');
+
+const UID = 'user-1';
+const SLOT = '2025-10-30T13:00:00.000Z'; // Thu 09:00 in New York
+const ENTRY_PATH = `users/${UID}/calendar_entries/2025-10-30T1300Z`;
+const ARTICLE_PATH = `users/${UID}/generated_articles/article_1`;
+
+async function getJobs(type) {
+  const snapshot = await db.collection('jobs').where('type', '==', type).get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+async function completeJob(jobId, result) {
+  await db.collection('jobs').doc(jobId).update({ status: 'completed', result });
+}
+
+/**
+ * Stand in for the job worker: generation saves a draft article
+ */
+async function completeGeneration(jobId, status = 'draft') {
+  await db.doc(ARTICLE_PATH).set({ title: 'Widget Care', content: 'Body', status, createdAt: '2025-10-30T02:30:00.000Z' });
+  await completeJob(jobId, { articleId: 'article_1', title: 'Widget Care', status });
+}
+
+describe('calendar scheduler', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.collection('users').doc(UID).set({
+      subscriptionActive: true,
+      editorialCalendar: {
+        timezone: 'America/New_York',
+        slots: [{ day: 'thu', time: '09:00' }],
+        publishMode: 'auto',
+        leadTimeHours: 12,
+      },
+    });
+  });
+
+  it('generates ahead of the slot and publishes when it arrives', async () => {
+    // Outside the lead-time window: nothing to do
+    await runCalendarTick(new Date('2025-10-29T12:00:00Z'));
+    assert.equal(db.getData(ENTRY_PATH), undefined);
+
+    await runCalendarTick(new Date('2025-10-30T02:00:00Z'));
+    const [generation] = await getJobs('blog-generation');
+    assert.deepEqual(generation.payload, { source: 'calendar', slotAt: SLOT });
+    assert.equal(db.getData(ENTRY_PATH).status, 'generating');
+
+    await completeGeneration(generation.id);
+    await runCalendarTick(new Date('2025-10-30T03:00:00Z'));
+    assert.equal(db.getData(ENTRY_PATH).status, 'scheduled');
+    const article = db.getData(ARTICLE_PATH);
+    assert.equal(article.status, 'scheduled');
+    assert.deepEqual(article.schedule, { publishAt: SLOT, platform: null });
+    assert.deepEqual(article.statusHistory.map((change) => change.to), ['in_review', 'approved', 'scheduled']);
+    assert.equal((await getJobs('article-publish')).length, 0);
+
+    await runCalendarTick(new Date('2025-10-30T13:05:00Z'));
+    await runCalendarTick(new Date('2025-10-30T13:10:00Z'));
+    const publishJobs = await getJobs('article-publish');
+    assert.equal(publishJobs.length, 1, 'queued once while the job is pending');
+    assert.deepEqual(publishJobs[0].payload, { articleId: 'article_1', platform: null, status: 'publish' });
+
+    // The publish job moves the article to published and records the URL
+    await db.doc(ARTICLE_PATH).update({
+      status: 'published',
+      'publications.wordpress': { url: 'https://blog.test/widget-care/' },
+    });
+    await completeJob(publishJobs[0].id, { platform: 'wordpress', url: 'https://blog.test/widget-care/' });
+    await runCalendarTick(new Date('2025-10-30T13:20:00Z'));
+    const entry = db.getData(ENTRY_PATH);
+    assert.equal(entry.status, 'published');
+    assert.equal(entry.url, 'https://blog.test/widget-care/');
+  });
+
+  it('waits for approval before publishing in approval mode', async () => {
+    await db.collection('users').doc(UID).update({ 'editorialCalendar.publishMode': 'approval' });
+
+    await runCalendarTick(new Date('2025-10-30T02:00:00Z'));
+    const [generation] = await getJobs('blog-generation');
+    await completeGeneration(generation.id);
+
+    await runCalendarTick(new Date('2025-10-30T14:00:00Z'));
+    assert.equal(db.getData(ENTRY_PATH).status, 'awaiting_approval');
+    assert.equal(db.getData(ARTICLE_PATH).status, 'in_review');
+    assert.equal((await getJobs('article-publish')).length, 0);
+
+    const entry = await approveEntry(UID, '2025-10-30T1300Z', UID);
+    assert.equal(entry.status, 'scheduled');
+    assert.equal(db.getData(ARTICLE_PATH).schedule.publishAt, SLOT);
+
+    await runCalendarTick(new Date('2025-10-30T14:15:00Z'));
+    assert.equal((await getJobs('article-publish')).length, 1);
+  });
+
+  it('does not auto-approve drafts that failed the quality gate', async () => {
+    await runCalendarTick(new Date('2025-10-30T02:00:00Z'));
+    const [generation] = await getJobs('blog-generation');
+    await completeGeneration(generation.id, 'needs_review');
+
+    await runCalendarTick(new Date('2025-10-30T03:00:00Z'));
+    await runCalendarTick(new Date('2025-10-30T13:05:00Z'));
+    assert.equal(db.getData(ENTRY_PATH).status, 'awaiting_approval');
+    assert.equal(db.getData(ARTICLE_PATH).status, 'needs_review');
+    assert.equal((await getJobs('article-publish')).length, 0);
+
+    const entry = await approveEntry(UID, '2025-10-30T1300Z', UID);
+    assert.equal(entry.status, 'scheduled');
+  });
+
+  it('follows approvals made on the article itself', async () => {
+    await db.collection('users').doc(UID).update({ 'editorialCalendar.publishMode': 'approval' });
+
+    await runCalendarTick(new Date('2025-10-30T02:00:00Z'));
+    const [generation] = await getJobs('blog-generation');
+    await completeGeneration(generation.id);
+    await runCalendarTick(new Date('2025-10-30T03:00:00Z'));
+
+    await db.doc(ARTICLE_PATH).update({ status: 'approved' });
+    await runCalendarTick(new Date('2025-10-30T03:15:00Z'));
+    assert.equal(db.getData(ENTRY_PATH).status, 'scheduled');
+    assert.equal(db.getData(ARTICLE_PATH).status, 'scheduled');
+
+    await db.doc(ARTICLE_PATH).update({ status: 'archived' });
+    await runCalendarTick(new Date('2025-10-30T03:30:00Z'));
+    assert.equal(db.getData(ENTRY_PATH).status, 'skipped');
+  });
+
+  it('queues one refresh at a time for stale published articles when enabled', async () => {
+    await db.doc(`users/${UID}/generated_articles/old`).set({ title: 'Old', status: 'published', createdAt: '2025-01-01T00:00:00.000Z' });
+    await db.doc(`users/${UID}/generated_articles/older`).set({ title: 'Older', status: 'published', createdAt: '2024-12-01T00:00:00.000Z' });
+
+    await runCalendarTick(new Date('2025-10-29T12:00:00Z'));
+    assert.equal((await getJobs('article-refresh')).length, 0, 'off by default');
+
+    await db.collection('users').doc(UID).update({ 'editorialCalendar.refreshAfterMonths': 6 });
+    await runCalendarTick(new Date('2025-10-29T12:00:00Z'));
+    await runCalendarTick(new Date('2025-10-29T12:15:00Z'));
+
+    const refreshes = await getJobs('article-refresh');
+    assert.equal(refreshes.length, 1);
+    assert.deepEqual(refreshes[0].payload, { articleId: 'older', source: 'scheduler' });
+  });
+
+  it('moves the article back to approved when scheduled publishing fails', async () => {
+    await db.collection('users').doc(UID).update({ 'editorialCalendar.enabled': false });
+    await db.doc(ARTICLE_PATH).set({
+      title: 'Widget Care',
+      status: 'scheduled',
+      schedule: { publishAt: '2025-10-30T10:00:00.000Z', platform: 'ghost' },
+    });
+
+    await runCalendarTick(new Date('2025-10-30T10:05:00Z'));
+    const [publish] = await getJobs('article-publish');
+    assert.equal(publish.payload.platform, 'ghost');
+
+    await db.collection('jobs').doc(publish.id).update({ status: 'failed', lastError: 'Ghost 401' });
+    await runCalendarTick(new Date('2025-10-30T10:20:00Z'));
+    const article = db.getData(ARTICLE_PATH);
+    assert.equal(article.status, 'approved');
+    assert.equal(article.schedule, null);
+    assert.equal(article.publishJobId, null);
+    assert.match(article.statusHistory.at(-1).note, /Ghost 401/);
+  });
+
+  it('marks the slot failed when generation fails for good', async () => {
+    await runCalendarTick(new Date('2025-10-30T02:00:00Z'));
+    const [generation] = await getJobs('blog-generation');
+    await db.collection('jobs').doc(generation.id).update({ status: 'failed', lastError: 'No uncreated titles found' });
+
+    await runCalendarTick(new Date('2025-10-30T02:15:00Z'));
+    const entry = db.getData(ENTRY_PATH);
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.error, 'No uncreated titles found');
+  });
+
+  it('leaves the slot open while a generation started by hand is running', async () => {
+    const { jobId: manualJobId } = await enqueueJob('blog-generation', UID, { source: 'manual' });
+
+    await runCalendarTick(new Date('2025-10-30T02:00:00Z'));
+    assert.equal(db.getData(ENTRY_PATH), undefined);
+    assert.equal((await getJobs('blog-generation')).length, 1);
+
+    await completeJob(manualJobId, { articleId: 'manual_article', title: 'Widget Care', status: 'draft' });
+    await runCalendarTick(new Date('2025-10-30T02:15:00Z'));
+    const entry = db.getData(ENTRY_PATH);
+    assert.equal(entry.status, 'generating');
+    assert.notEqual(entry.jobId, manualJobId);
+  });
+});
@@ -0,0 +1,151 @@
+require('../support/setup');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setFakeResponses } = require('../../lib/llm/providers/fake');
+const { lintArticle, enforceArticleQuality } = require('../../lib/content/article-quality');
+const { applyLinkPolicy, toUrls } = require('../../lib/content/link-policy');
+
+const KEYWORD = 'widget repair';
+const CONTEXT = { targetKeyword: KEYWORD, allowedUrls: ['https://acme-widgets.test'] };
+
+const FILLER = 'Small checks save money and keep every part of the machine running well for years.';
+
+/**
+ * An article that follows every rule: ~700 words, keyword 6 times, takeaways after each H2
+ */
+function buildArticle({ sectionBody = FILLER } = {}) {
+  const section = (heading, mention) => [
+    `## ${heading}`,
+    '',
+    `${mention} ${Array(13).fill(sectionBody).join(' ')}`,
+    '',
+    '**3 Key Takeaways**',
+    '',
+    '- Check parts often',
+    '- Fix small faults early',
+    '- Call a trusted shop',
+    '',
+  ].join('\n');
+
+  return [
+    '# Widget Repair Made Simple',
+    '',
+    `Good widget repair starts early. ${FILLER} Read our [repair guide](https://acme-widgets.test/repair).`,
+    '',
+    '![A widget](https://images.unsplash.test/w.jpg)',
+    '*Photo by [Jane Doe](https://unsplash.com/@jane) on Unsplash*',
+    '',
+    section('Why Widgets Fail', 'Widget repair is cheaper than replacement.'),
+    section('Repair Steps', 'Plan your widget repair carefully.'),
+    section('Costs', 'A widget repair costs less than you think.'),
+    '## Conclusion',
+    '',
+    'Book your widget repair today.',
+  ].join('\n');
+}
+
+describe('lintArticle', () => {
+  it('passes an article that follows every rule', () => {
+    const report = lintArticle(buildArticle(), CONTEXT);
+
+    assert.deepEqual(report.violations.filter((v) => v.severity === 'error'), []);
+    assert.equal(report.passed, true);
+    assert.equal(report.metrics.keywordUses, 6);
+    assert.equal(report.metrics.h2Count, 4);
+    assert.ok(report.metrics.wordCount >= 600 && report.metrics.wordCount <= 800, `${report.metrics.wordCount} words`);
+    assert.ok(report.metrics.readability > 50);
+  });
+
+  it('reports dashes, external links, missing takeaways and heading problems', () => {
+    const content = buildArticle()
+      .replace('Good widget repair starts early.', 'Good widget repair starts early — really. See [this](https://other.test/page).')
+      .replace('## Costs', '#### Costs')
+      .replace(/\*\*3 Key Takeaways\*\*\n\n- Check parts often\n- Fix small faults early\n- Call a trusted shop\n\n## Repair Steps/, '## Repair Steps');
+
+    const report = lintArticle(content, CONTEXT);
+    const rules = report.violations.map((violation) => violation.rule);
+
+    assert.equal(report.passed, false);
+    assert.deepEqual(rules.filter((rule) => ['em-dashes', 'external-links', 'takeaways', 'headings'].includes(rule)), ['em-dashes', 'external-links', 'takeaways', 'headings']);
+    assert.deepEqual(report.metrics.externalLinks, ['https://other.test/page']);
+    assert.deepEqual(report.metrics.sectionsWithoutTakeaways, ['Why Widgets Fail']);
+    assert.match(report.violations.find((v) => v.rule === 'headings').message, /skips from H3 to H4|skips from H2 to H4/);
+  });
+
+  it('accepts every link the link policy keeps', async () => {
+    const allowedLinks = [{ url: 'https://www.Acme-Widgets.test/repair/', text: 'Repair' }, 'https://shop.acme-widgets.test/parts?id=7'];
+    const content = buildArticle().replace('https://acme-widgets.test/repair', 'http://acme-widgets.test/repair?utm_source=x')
+      .replace('Book your widget repair today.', 'Book your widget repair today or order [parts](https://shop.acme-widgets.test/parts?id=7).');
+
+    const linked = await applyLinkPolicy(content, { allowedLinks, checkLink: async () => ({ ok: true, status: 200 }) });
+    assert.equal(linked.links.length, 2);
+
+    const report = lintArticle(linked.content, { targetKeyword: KEYWORD, allowedUrls: toUrls(allowedLinks) });
+    assert.deepEqual(report.metrics.externalLinks, []);
+  });
+
+  it('warns about keyword stuffing and hard-to-read text', () => {
+    const content = buildArticle({ sectionBody: 'Comprehensive multidisciplinary widget repair methodologies necessitate extraordinarily sophisticated organizational considerations, notwithstanding considerable administrative complications.' });
+    const report = lintArticle(content, CONTEXT);
+
+    assert.ok(report.violations.some((v) => v.rule === 'keyword-density' && v.severity === 'warning'));
+    assert.ok(report.violations.some((v) => v.rule === 'readability' && v.severity === 'warning'));
+  });
+});
+
+describe('enforceArticleQuality', () => {
+  let fixPrompt;
+
+  before(() => {
+    process.env.LLM_PROVIDER = 'fake';
+  });
+
+  after(() => {
+    delete process.env.LLM_PROVIDER;
+    setFakeResponses({});
+  });
+
+  beforeEach(() => {
+    fixPrompt = null;
+  });
+
+  it('runs a fix-up pass aimed at the failed rules', async () => {
+    const broken = buildArticle().replace('starts early.', 'starts early — always.');
+    setFakeResponses({
+      'blog.quality-fix': (request) => {
+        fixPrompt = request.prompt;
+        return buildArticle();
+      },
+    });
+
+    const { content, report } = await enforceArticleQuality(broken, CONTEXT);
+
+    assert.match(fixPrompt, /Remove every em dash/);
+    assert.doesNotMatch(fixPrompt, /words\. Bring it to/);
+    assert.equal(content, buildArticle());
+    assert.equal(report.passed, true);
+    assert.equal(report.fixAttempted, true);
+    assert.deepEqual(report.initialViolations.map((v) => v.rule), ['em-dashes']);
+  });
+
+  it('keeps the original when the fix-up makes things worse', async () => {
+    const broken = buildArticle().replace('starts early.', 'starts early — always.');
+    setFakeResponses({ 'blog.quality-fix': 'Sorry, I cannot help with that.' });
+
+    const { content, report } = await enforceArticleQuality(broken, CONTEXT);
+
+    assert.equal(content, broken);
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.violations.map((v) => v.rule), ['em-dashes']);
+  });
+
+  it('skips the fix-up when the article passes', async () => {
+    setFakeResponses({});
+
+    const { report } = await enforceArticleQuality(buildArticle(), CONTEXT);
+
+    assert.equal(report.passed, true);
+    assert.equal(report.fixAttempted, false);
+  });
+});
@@ -0,0 +1,115 @@
+const { db } = require('../support/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildArticleSeo } = require('../../lib/content/article-seo');
+const { editArticle, restoreRevision, saveRevision } = require('../../lib/articles/article-revisions');
+
+const UID = 'user-1';
+
+const ARTICLE = {
+  title: 'Emergency Plumber in Austin: What to Do Before We Arrive',
+  content: '# Emergency Plumber in Austin\n\nA burst pipe can flood a kitchen in minutes. Here is how to limit the damage while help is on the way.\n\n## Shut Off the Water\n\nFind the main valve.',
+  targetKeyword: 'emergency plumber austin',
+  wordCount: 900,
+  businessName: "Joe's Plumbing",
+  businessType: 'local',
+  businessTypeIdentifier: 'Plumber',
+  city: 'Austin, TX',
+  images: [{ url: 'https://images.unsplash.test/pipe.jpg', alt: 'Burst pipe' }],
+  outline: { faqs: [{ question: 'How fast can a plumber arrive?', answer: 'Usually within an hour.' }] },
+  createdAt: '2025-10-01T00:00:00.000Z',
+};
+
+const USER = {
+  websiteUrl: 'https://joes-plumbing.test',
+  address: { street: '12 Main St', city: 'Austin', state: 'TX', zip: '78701', country: 'US' },
+  latitude: '30.2672',
+  longitude: -97.7431,
+};
+
+describe('buildArticleSeo', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('builds meta fields, Open Graph and LocalBusiness JSON-LD for local businesses', async () => {
+    const seo = await buildArticleSeo(UID, ARTICLE, {
+      meta: { title: 'Emergency Plumber Austin: First Steps', description: 'What to do in a plumbing emergency in Austin.' },
+      userData: USER,
+    });
+
+    assert.equal(seo.metaTitle, 'Emergency Plumber Austin: First Steps');
+    assert.equal(seo.slug, 'emergency-plumber-austin');
+    assert.deepEqual(seo.openGraph, {
+      title: 'Emergency Plumber Austin: First Steps',
+      description: 'What to do in a plumbing emergency in Austin.',
+      type: 'article',
+      image: 'https://images.unsplash.test/pipe.jpg',
+      imageAlt: 'Burst pipe',
+      siteName: "Joe's Plumbing",
+    });
+
+    const [posting, faq, business] = seo.jsonLd;
+    assert.equal(posting['@type'], 'BlogPosting');
+    assert.deepEqual(posting.publisher, { '@type': 'Organization', name: "Joe's Plumbing", url: 'https://joes-plumbing.test' });
+    assert.equal(faq.mainEntity[0].acceptedAnswer.text, 'Usually within an hour.');
+    assert.equal(business['@type'], 'LocalBusiness');
+    assert.deepEqual(business.geo, { '@type': 'GeoCoordinates', latitude: 30.2672, longitude: -97.7431 });
+    assert.deepEqual(business.address, {
+      '@type': 'PostalAddress', streetAddress: '12 Main St', addressLocality: 'Austin', addressRegion: 'TX', postalCode: '78701', addressCountry: 'US',
+    });
+  });
+
+  it('derives missing meta fields and keeps slugs unique', async () => {
+    await db.doc(`users/${UID}/generated_articles/existing`).set({ slug: 'emergency-plumber-austin' });
+
+    const seo = await buildArticleSeo(UID, { ...ARTICLE, businessType: 'online' }, { userData: {} });
+
+    assert.equal(seo.slug, 'emergency-plumber-austin-2');
+    assert.equal(seo.metaTitle, 'Emergency Plumber in Austin: What to Do Before We Arrive');
+    assert.match(seo.metaDescription, /^A burst pipe can flood a kitchen/);
+    assert.deepEqual(seo.jsonLd.map((item) => item['@type']), ['BlogPosting', 'FAQPage']);
+  });
+});
+
+describe('SEO fields after edits', () => {
+  const ARTICLE_PATH = `users/${UID}/generated_articles/plumber`;
+
+  beforeEach(async () => {
+    db.reset();
+    const seo = await buildArticleSeo(UID, ARTICLE, { meta: { title: 'Emergency Plumber Austin: First Steps' }, userData: USER });
+    await db.doc(ARTICLE_PATH).set({ ...ARTICLE, ...seo, status: 'draft', updatedAt: ARTICLE.createdAt });
+    await saveRevision(UID, 'plumber', { title: ARTICLE.title, content: ARTICLE.content, metaDescription: seo.metaDescription }, { source: 'generated' });
+  });
+
+  it('follows title, description and content changes, and restores', async () => {
+    await editArticle(UID, 'plumber', { title: 'Burst Pipe? Call an Austin Plumber', metaDescription: 'Limit the damage from a burst pipe.' }, { actor: 'editor' });
+
+    let article = db.getData(ARTICLE_PATH);
+    assert.equal(article.metaTitle, 'Burst Pipe? Call an Austin Plumber');
+    assert.equal(article.openGraph.title, 'Burst Pipe? Call an Austin Plumber');
+    assert.equal(article.openGraph.description, 'Limit the damage from a burst pipe.');
+    assert.equal(article.openGraph.image, 'https://images.unsplash.test/pipe.jpg');
+    assert.equal(article.slug, 'emergency-plumber-austin');
+
+    const [posting, faq, business] = article.jsonLd;
+    assert.equal(posting.headline, 'Burst Pipe? Call an Austin Plumber');
+    assert.equal(posting.description, 'Limit the damage from a burst pipe.');
+    assert.equal(posting.dateModified, article.updatedAt);
+    assert.notEqual(posting.dateModified, ARTICLE.createdAt);
+    assert.equal(faq['@type'], 'FAQPage');
+    assert.equal(business['@type'], 'LocalBusiness');
+
+    await editArticle(UID, 'plumber', { content: 'Short body.' }, { actor: 'editor' });
+    article = db.getData(ARTICLE_PATH);
+    assert.equal(article.jsonLd[0].wordCount, 2);
+    assert.equal(article.metaTitle, 'Burst Pipe? Call an Austin Plumber');
+
+    await restoreRevision(UID, 'plumber', 1, { actor: 'editor' });
+    article = db.getData(ARTICLE_PATH);
+    assert.equal(article.metaTitle, 'Emergency Plumber in Austin: What to Do Before We Arrive');
+    assert.equal(article.jsonLd[0].headline, 'Emergency Plumber in Austin: What to Do Before We Arrive');
+    assert.match(article.openGraph.description, /^A burst pipe can flood a kitchen/);
+  });
+});
@@ -0,0 +1,201 @@
+const { db } = require('../support/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getTitleQueue,
+  listTitles,
+  getTitleForGeneration,
+  updateTitle,
+  deleteTitle,
+  reorderTitles,
+  addCustomTitle,
+  claimTitle,
+  claimNextTitle,
+  recordTitleFailure,
+  completeTitle,
+  reclaimExpiredTitles,
+  retryTitle,
+} = require('../../lib/content/content-plans');
+const { buildGeneratedRevision } = require('../../lib/articles/article-revisions');
+
+const UID = 'user-1';
+const PLANS = `users/${UID}/content_plans`;
+
+function titleText(entry) {
+  return entry.title.title;
+}
+
+describe('content plan titles', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.doc(`${PLANS}/old`).set({
+      createdAt: '2025-09-01T00:00:00.000Z',
+      titles: [
+        { title: 'Old A', targetKeyword: 'a' },
+        { title: 'Old B', targetKeyword: 'b' },
+      ],
+    });
+    await db.doc(`${PLANS}/new`).set({
+      createdAt: '2025-10-01T00:00:00.000Z',
+      titles: [
+        { title: 'New A', targetKeyword: 'na', created: true, articleId: 'article_na' },
+        { title: 'New B', targetKeyword: 'nb' },
+        { title: 'New C', targetKeyword: 'nc' },
+      ],
+    });
+    await db.doc(`users/${UID}/generated_articles/article_na`).set({ title: 'New A', contentPlanId: 'new', titleIndex: 0 });
+  });
+
+  it('queues newest plans first, pinned titles ahead and skipped titles out', async () => {
+    assert.deepEqual((await getTitleQueue(UID)).map(titleText), ['New B', 'New C', 'Old A', 'Old B']);
+
+    await updateTitle(UID, 'old', 1, { pinned: true });
+    await updateTitle(UID, 'new', 2, { skipped: true });
+
+    assert.deepEqual((await getTitleQueue(UID)).map(titleText), ['Old B', 'New B', 'Old A']);
+
+    const titles = await listTitles(UID);
+    assert.deepEqual(titles.map(({ title, state, queuePosition }) => [title, state, queuePosition]), [
+      ['New A', 'created', null],
+      ['New B', 'pending', 2],
+      ['New C', 'skipped', null],
+      ['Old A', 'pending', 3],
+      ['Old B', 'pending', 1],
+    ]);
+  });
+
+  it('edits pending titles and refuses written ones', async () => {
+    const updated = await updateTitle(UID, 'new', 1, { title: '  New B, Revised ', targetKeyword: 'nb revised' });
+    assert.equal(updated.title, 'New B, Revised');
+    assert.equal(db.getData(`${PLANS}/new`).titles[1].targetKeyword, 'nb revised');
+
+    await assert.rejects(updateTitle(UID, 'new', 0, { title: 'Again' }), { status: 409 });
+    await assert.rejects(updateTitle(UID, 'new', 9, { title: 'Missing' }), { status: 404 });
+    await assert.rejects(updateTitle(UID, 'new', 1, { pinned: 'yes' }), { status: 400 });
+  });
+
+  it('reorders and deletes titles, keeping article title indexes in step', async () => {
+    await reorderTitles(UID, 'new', [2, 0, 1]);
+    assert.deepEqual(db.getData(`${PLANS}/new`).titles.map(({ title }) => title), ['New C', 'New A', 'New B']);
+    assert.equal(db.getData(`users/${UID}/generated_articles/article_na`).titleIndex, 1);
+
+    await deleteTitle(UID, 'new', 0);
+    assert.deepEqual(db.getData(`${PLANS}/new`).titles.map(({ title }) => title), ['New A', 'New B']);
+    assert.equal(db.getData(`users/${UID}/generated_articles/article_na`).titleIndex, 0);
+
+    await assert.rejects(reorderTitles(UID, 'new', [0, 0]), { status: 400 });
+    await assert.rejects(deleteTitle(UID, 'new', 0), { status: 409 });
+  });
+
+  it('validates explicit and custom selections', async () => {
+    const selected = await getTitleForGeneration(UID, { contentPlanId: 'old', titleIndex: 1 });
+    assert.equal(selected.title.title, 'Old B');
+    assert.equal(selected.plan.id, 'old');
+
+    await assert.rejects(getTitleForGeneration(UID, { contentPlanId: 'new', titleIndex: 0 }), { status: 409 });
+    await assert.rejects(getTitleForGeneration(UID, { contentPlanId: 'gone', titleIndex: 0 }), { status: 404 });
+
+    // A title queued by text follows a reorder; one deleted since is not replaced by its neighbour
+    await reorderTitles(UID, 'old', [1, 0]);
+    const moved = await getTitleForGeneration(UID, { contentPlanId: 'old', titleIndex: 1, expectedTitle: 'Old B' });
+    assert.equal(moved.titleIndex, 0);
+    assert.equal(moved.title.title, 'Old B');
+    await deleteTitle(UID, 'old', 0);
+    await assert.rejects(getTitleForGeneration(UID, { contentPlanId: 'old', titleIndex: 0, expectedTitle: 'Old B' }), { status: 404 });
+
+    const custom = await addCustomTitle(UID, { title: 'Widget Myths', targetKeyword: 'widget myths' });
+    assert.deepEqual(custom, { contentPlanId: 'new', titleIndex: 3 });
+    assert.equal(db.getData(`${PLANS}/new`).titles[3].custom, true);
+  });
+
+  it('leases titles for generation and reclaims expired leases as failures', async () => {
+    const claimed = await claimTitle(UID, 'new', 1, { step: 'research' });
+    assert.equal(claimed.generating, true);
+    assert.equal(claimed.generationStep, 'research');
+    assert.deepEqual((await getTitleQueue(UID)).map(titleText), ['New C', 'Old A', 'Old B']);
+    await assert.rejects(claimTitle(UID, 'new', 1), { status: 409 });
+
+    // Nothing to reclaim while the lease holds
+    assert.equal(await reclaimExpiredTitles(UID), 0);
+
+    const later = new Date(Date.parse(claimed.generationLeaseExpiresAt) + 1000);
+    assert.equal(await reclaimExpiredTitles(UID, later), 1);
+
+    const title = db.getData(`${PLANS}/new`).titles[1];
+    assert.equal(title.generating, false);
+    assert.equal(title.generationFailures, 1);
+    assert.equal(title.lastGenerationError.step, 'research');
+    assert.match(title.lastGenerationError.message, /lease expired/);
+    assert.deepEqual((await getTitleQueue(UID)).map(titleText), ['New B', 'New C', 'Old A', 'Old B']);
+  });
+
+  it('holds titles that keep failing until they are retried', async () => {
+    await assert.rejects(retryTitle(UID, 'new', 1), { status: 409 });
+
+    for (let i = 0; i < 3; i++) {
+      const { generationId } = await claimTitle(UID, 'new', 1);
+      await recordTitleFailure(UID, { planId: 'new', titleIndex: 1, generationId }, { message: 'Outline invalid', step: 'outline' });
+    }
+
+    assert.deepEqual((await getTitleQueue(UID)).map(titleText), ['New C', 'Old A', 'Old B']);
+    assert.equal((await listTitles(UID)).find(({ title }) => title === 'New B').state, 'failed');
+
+    const retried = await retryTitle(UID, 'new', 1);
+    assert.equal(retried.state, 'pending');
+    assert.equal(retried.lastGenerationError.step, 'outline');
+    assert.equal((await getTitleForGeneration(UID, { contentPlanId: 'new', titleIndex: 1 })).title.title, 'New B');
+  });
+
+  it('lets concurrent runs claim different titles and only the claim holder save an article', async () => {
+    const [first, second] = await Promise.all([claimNextTitle(UID), claimNextTitle(UID)]);
+    assert.deepEqual([first, second].map(titleText).sort(), ['New B', 'New C']);
+    assert.ok(db.transactionRetries > 0, 'the two claims should have contended for the same title');
+
+    const claim = { planId: 'new', titleIndex: first.titleIndex, generationId: first.title.generationId };
+    const articles = db.collection('users').doc(UID).collection('generated_articles');
+
+    // The lease expired and another run took the title over
+    await reclaimExpiredTitles(UID, new Date(Date.parse(first.title.generationLeaseExpiresAt) + 1000));
+    const takeover = await claimTitle(UID, 'new', first.titleIndex);
+
+    const stale = { title: 'Stale', content: 'Old run', createdAt: '2025-10-02T00:00:00.000Z' };
+    await assert.rejects(completeTitle(UID, claim, articles.doc('article_stale'), stale, {
+      revision: buildGeneratedRevision(UID, 'article_stale', stale),
+    }), { status: 409 });
+    assert.equal(db.getData(`users/${UID}/generated_articles/article_stale`), undefined);
+    assert.equal(db.getData(`users/${UID}/generated_articles/article_stale/revisions/0001`), undefined);
+
+    const fresh = { title: 'Fresh', content: 'New run', createdAt: '2025-10-02T00:00:00.000Z', revision: 1 };
+    await completeTitle(UID, { ...claim, generationId: takeover.generationId }, articles.doc('article_new'), fresh, {
+      revision: buildGeneratedRevision(UID, 'article_new', fresh),
+    });
+    const revision = db.getData(`users/${UID}/generated_articles/article_new/revisions/0001`);
+    assert.equal(revision.source, 'generated');
+    assert.equal(revision.content, 'New run');
+    const title = db.getData(`${PLANS}/new`).titles[first.titleIndex];
+    assert.equal(title.created, true);
+    assert.equal(title.articleId, 'article_new');
+    assert.equal(title.generatedAt, '2025-10-02T00:00:00.000Z');
+    assert.equal(db.getData(`users/${UID}/generated_articles/article_new`).title, 'Fresh');
+
+    await assert.rejects(claimTitle(UID, 'new', first.titleIndex), { status: 409 });
+  });
+
+  it('gives articles saved at the same time different slugs', async () => {
+    await db.doc(`users/${UID}/generated_articles/article_na`).update({ slug: 'widget-care' });
+    const [b, c] = await Promise.all([claimTitle(UID, 'new', 1), claimTitle(UID, 'new', 2)]);
+    const articles = db.collection('users').doc(UID).collection('generated_articles');
+    const retriesBefore = db.transactionRetries;
+
+    const saved = await Promise.all([
+      completeTitle(UID, { planId: 'new', titleIndex: 1, generationId: b.generationId }, articles.doc('article_nb'), { title: 'New B' }, { slugBase: 'widget-care' }),
+      completeTitle(UID, { planId: 'new', titleIndex: 2, generationId: c.generationId }, articles.doc('article_nc'), { title: 'New C' }, { slugBase: 'widget-care' }),
+    ]);
+
+    assert.deepEqual(saved.map(({ slug }) => slug).sort(), ['widget-care-2', 'widget-care-3']);
+    assert.deepEqual([db.getData(`users/${UID}/generated_articles/article_nb`).slug, db.getData(`users/${UID}/generated_articles/article_nc`).slug].sort(),
+      ['widget-care-2', 'widget-care-3']);
+    assert.ok(db.transactionRetries > retriesBefore, 'the two saves should have contended for the same slug');
+  });
+});
@@ -0,0 +1,120 @@
+const { db } = require('../support/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { exportArticle, renderHtml, renderText } = require('../../lib/content/export-article');
+
+const UID = 'user-1';
+
+const ARTICLE = {
+  title: 'Widget Repair & You',
+  slug: 'widget-repair',
+  metaTitle: 'Widget Repair Guide',
+  metaDescription: 'How widgets break and how to fix them.',
+  jsonLd: [{ '@type': 'BlogPosting', headline: '</script><script>alert(1)</script>' }],
+  content: [
+    '# Widget Repair & You',
+    '',
+    'Read [the manual](https://example.com/manual) first. <script>alert(1)</script>',
+    '',
+    '![Broken widget](https://images.unsplash.test/widget.jpg)',
+    '*Photo by [Jane Doe](https://unsplash.com/@jane) on Unsplash*',
+    '',
+    '## Why Widgets Break',
+    '',
+    '- Worn gears',
+    '- Loose **springs**',
+    '',
+    '### Common Parts',
+    '',
+    'Gears and springs.',
+    '',
+    '## Why Widgets Break',
+    '',
+    'Twice, to test anchors.',
+  ].join('\n'),
+};
+
+/**
+ * Entries of a ZIP archive by name, read through the central directory
+ */
+function unzip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const entries = {};
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const local = buffer.readUInt32LE(offset + 42);
+    const start = local + 30 + buffer.readUInt16LE(local + 26);
+    entries[name] = zlib.inflateRawSync(buffer.subarray(start, start + buffer.readUInt32LE(offset + 20))).toString('utf8');
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('article export', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('renders sanitized HTML with heading anchors, a table of contents and captioned images', () => {
+    const html = renderHtml(ARTICLE);
+
+    assert.match(html, /<title>Widget Repair Guide<\/title>/);
+    assert.match(html, /<h1>Widget Repair &amp; You<\/h1>/);
+    assert.match(html, /<h2 id="why-widgets-break">Why Widgets Break<\/h2>/);
+    assert.match(html, /<h2 id="why-widgets-break-2">/);
+    assert.match(html, /<nav class="toc"[^>]*>[\s\S]*<a href="#why-widgets-break">Why Widgets Break<\/a><ol><li><a href="#common-parts">/);
+    assert.match(html, /<figure><img src="https:\/\/images.unsplash.test\/widget.jpg" alt="Broken widget" \/><figcaption>Photo by <a href="https:\/\/unsplash.com\/@jane">Jane Doe<\/a> on Unsplash<\/figcaption><\/figure>/);
+    assert.doesNotMatch(html, /<script>alert/);
+    assert.equal((html.match(/<h1/g) || []).length, 1);
+  });
+
+  it('renders AMP HTML with amp-img', () => {
+    const html = renderHtml(ARTICLE, { amp: true });
+
+    assert.match(html, /<html ⚡ lang="en">/);
+    assert.match(html, /<style amp-boilerplate>/);
+    assert.match(html, /<amp-img src="https:\/\/images.unsplash.test\/widget.jpg"[^>]*layout="responsive"><\/amp-img>/);
+    assert.doesNotMatch(html, /<img /);
+  });
+
+  it('renders clean text that keeps the photographer attribution', () => {
+    const text = renderText(ARTICLE);
+
+    assert.match(text, /^Widget Repair & You\n=+\n/);
+    assert.match(text, /Read the manual \(https:\/\/example.com\/manual\) first\./);
+    assert.match(text, /Photo by Jane Doe \(https:\/\/unsplash.com\/@jane\) on Unsplash/);
+    assert.match(text, /- Loose springs/);
+    assert.doesNotMatch(text, /[#*!]|\]\(/);
+  });
+
+  it('exports a Word document with headings, hyperlinks and the attribution', async () => {
+    await db.doc(`users/${UID}/generated_articles/a1`).set(ARTICLE);
+
+    const { filename, contentType, body } = await exportArticle(UID, 'a1', 'docx');
+
+    assert.equal(filename, 'widget-repair.docx');
+    assert.match(contentType, /wordprocessingml/);
+
+    const files = unzip(body);
+    assert.deepEqual(Object.keys(files).sort(), [
+      '[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'word/_rels/document.xml.rels', 'word/document.xml', 'word/styles.xml',
+    ]);
+    assert.match(files['word/document.xml'], /<w:pStyle w:val="Heading1"\/><\/w:pPr><w:r><w:t xml:space="preserve">Why Widgets Break/);
+    assert.match(files['word/document.xml'], /Photo by [\s\S]*Jane Doe[\s\S]*on Unsplash/);
+    assert.match(files['word/_rels/document.xml.rels'], /Target="https:\/\/unsplash.com\/@jane" TargetMode="External"/);
+  });
+
+  it('rejects unknown formats and articles', async () => {
+    await assert.rejects(exportArticle(UID, 'a1', 'pdf'), { status: 400 });
+    for (const format of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      await assert.rejects(exportArticle(UID, 'a1', format), { status: 400 }, format);
+    }
+    await assert.rejects(exportArticle(UID, 'missing', 'html'), { status: 404 });
+  });
+});
@@ -0,0 +1,116 @@
+const { db } = require('../support/setup');
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useCassette } = require('../support/http-recorder');
+const { setFakeResponses } = require('../../lib/llm/providers/fake');
+const { generateBlogPost } = require('../../lib/content/generate-blog');
+
+const UID = 'user-1';
+const PLAN_ID = 'plan-1';
+
+describe('generateBlogPost', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.collection('users').doc(UID).set({
+      businessName: 'Acme Widgets',
+      services: [{ name: 'Widget repair' }, { name: 'Widget sales' }],
+      extractedLinks: [{ url: 'https://acme-widgets.test/repair', text: 'Widget repair' }],
+    });
+    await db.collection('users').doc(UID).collection('content_plans').doc(PLAN_ID).set({
+      businessName: 'Acme Widgets',
+      businessType: 'online',
+      businessTypeIdentifier: 'Widget Repair Shop',
+      location: 'United States',
+      targetCountry: 'United States',
+      createdAt: '2025-10-01T00:00:00.000Z',
+      titles: [
+        { title: 'Widget Repair 101', targetKeyword: 'widget repair', format: 'ultimate_guide', created: true, articleId: 'article_old' },
+        { title: 'Emergency Widget Repair: What to Do When Your Widget Fails', targetKeyword: 'emergency widget repair', format: 'problem_solution' },
+      ],
+    });
+  });
+
+  describe('with recorded API responses', () => {
+    let cassette;
+
+    beforeEach(() => {
+      cassette = useCassette('generate-blog');
+    });
+
+    afterEach(() => {
+      cassette.eject();
+    });
+
+    it('writes, illustrates and saves the next uncreated title', async () => {
+      const result = await generateBlogPost(UID);
+
+      assert.deepEqual(cassette.pending(), []);
+      assert.equal(result.success, true);
+      assert.equal(result.data.titleIndex, 1);
+      assert.equal(result.data.imageCount, 3);
+
+      const article = db.getData(`users/${UID}/generated_articles/${result.data.articleId}`);
+      assert.equal(article.targetKeyword, 'emergency widget repair');
+      // The recorded article is far too short: the fix-up pass added the missing takeaways
+      // lists, but the length and keyword rules still fail, so it waits for review
+      assert.equal(article.status, 'needs_review');
+      assert.equal(article.qualityReport.fixAttempted, true);
+      assert.ok(article.qualityReport.initialViolations.some((violation) => violation.rule === 'takeaways'));
+      assert.deepEqual(article.qualityReport.violations.filter((v) => v.severity === 'error').map((v) => v.rule), ['word-count', 'keyword-uses']);
+      assert.equal((article.content.match(/\*\*3 Key Takeaways\*\*/g) || []).length, 3);
+      assert.deepEqual(article.researchSources, ['https://example.org/widget-institute', 'https://example.org/repair-stats']);
+      // The first outline reply lacked section headings and was repaired
+      assert.deepEqual(article.outline.sections.map((s) => s.h2), ['Section 1', 'Section 2', 'Section 3', 'Section 4']);
+      assert.equal((article.content.match(/!\[/g) || []).length, 3);
+      assert.equal(article.revision, 1);
+      assert.deepEqual(article.links, [{ url: 'https://acme-widgets.test/repair', anchor: 'Acme Widgets', status: 200 }]);
+      assert.deepEqual(article.removedLinks, []);
+
+      // No meta in the recorded outline reply, so the meta fields are derived from the article
+      assert.equal(article.slug, 'emergency-widget-repair');
+      assert.equal(article.metaTitle, 'Emergency Widget Repair: What to Do When Your Widget Fails');
+      assert.ok(article.metaDescription.length > 0 && article.metaDescription.length <= 155);
+      assert.equal(article.openGraph.type, 'article');
+      assert.deepEqual(article.jsonLd.map((item) => item['@type']), ['BlogPosting', 'FAQPage']);
+      assert.equal(db.getData(`users/${UID}/generated_articles/${result.data.articleId}/revisions/0001`).content, article.content);
+
+      const plan = db.getData(`users/${UID}/content_plans/${PLAN_ID}`);
+      assert.equal(plan.titles[1].created, true);
+      assert.equal(plan.titles[1].generating, false);
+      assert.equal(plan.titles[1].articleId, result.data.articleId);
+    });
+  });
+
+  it('releases the title with the error and step when a step throws', async () => {
+    process.env.LLM_PROVIDER = 'fake';
+    setFakeResponses({
+      'blog.service-filter': { services: ['Widget repair'] },
+      'blog.research': () => {
+        throw new Error('Research provider unavailable');
+      },
+    });
+
+    try {
+      await assert.rejects(generateBlogPost(UID), /Research provider unavailable/);
+    } finally {
+      delete process.env.LLM_PROVIDER;
+      setFakeResponses({});
+    }
+
+    const title = db.getData(`users/${UID}/content_plans/${PLAN_ID}`).titles[1];
+    assert.equal(title.generating, false);
+    assert.equal(title.generationLeaseExpiresAt, null);
+    assert.equal(title.generationFailures, 1);
+    assert.equal(title.lastGenerationError.message, 'Research provider unavailable');
+    assert.equal(title.lastGenerationError.step, 'research');
+  });
+
+  it('fails when every title has been written', async () => {
+    await db.collection('users').doc(UID).collection('content_plans').doc(PLAN_ID).update({
+      titles: [{ title: 'Widget Repair 101', targetKeyword: 'widget repair', created: true }],
+    });
+
+    await assert.rejects(generateBlogPost(UID), /No uncreated titles found/);
+  });
+});
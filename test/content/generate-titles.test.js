@@ -0,0 +1,122 @@
+const { db } = require('../support/setup');
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useCassette } = require('../support/http-recorder');
+const { setFakeResponses } = require('../../lib/llm/providers/fake');
+const { generateContentTitles } = require('../../lib/content/generate-titles');
+
+const UID = 'user-1';
+const TARGET_KEYWORDS = [
+  'emergency widget repair', 'mobile widget repair', 'antique widget repair', 'industrial widget repair',
+  'weekend widget repair', 'affordable widget repair', 'certified widget repair', 'same day widget repair',
+  'vintage widget repair', 'commercial widget repair', 'express widget repair', 'local widget repair',
+  'premium widget repair', 'budget widget repair', 'expert widget repair', 'widget repair cost',
+];
+
+describe('generateContentTitles', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.collection('users').doc(UID).set({
+      businessName: 'Acme Widgets',
+      businessType: 'online',
+      businessTypeIdentifier: 'Widget Repair Shop',
+      targetCountry: 'United States',
+      targetKeywords: TARGET_KEYWORDS,
+    });
+  });
+
+  describe('with recorded API responses', () => {
+    let cassette;
+
+    beforeEach(() => {
+      cassette = useCassette('generate-titles');
+    });
+
+    afterEach(() => {
+      cassette.eject();
+    });
+
+    it('repairs a reply with the wrong number of titles and saves the plan', async () => {
+      const result = await generateContentTitles(UID);
+
+      // First reply had 14 titles; the model was asked to fix it
+      assert.deepEqual(cassette.pending(), []);
+      assert.equal(result.titles.length, 15);
+      assert.match(result.marketResearch, /right-to-repair/);
+
+      const plan = db.getData(`users/${UID}/content_plans/${result.contentPlanId}`);
+      assert.equal(plan.status, 'draft');
+      assert.equal(plan.businessType, 'online');
+      assert.equal(plan.location, 'United States');
+      assert.equal(plan.titles.length, 15);
+    });
+  });
+
+  describe('with fewer keywords than titles', () => {
+    let prompts;
+
+    before(() => {
+      process.env.LLM_PROVIDER = 'fake';
+    });
+
+    after(() => {
+      delete process.env.LLM_PROVIDER;
+      setFakeResponses({});
+    });
+
+    beforeEach(async () => {
+      prompts = [];
+      setFakeResponses({
+        'titles.research': 'Right-to-repair laws are spreading.',
+        'titles.generate': (request) => {
+          prompts.push(request.prompt);
+          const keywords = [...request.prompt.matchAll(/^\d+\. "([^"]+)"/gm)].map(([, keyword]) => keyword);
+          return {
+            titles: keywords.map((targetKeyword, i) => ({ title: `Widget title number ${i + 1}`, format: 'how_helps', targetKeyword })),
+          };
+        },
+      });
+      await db.collection('users').doc(UID).update({ targetKeywords: TARGET_KEYWORDS.slice(0, 2) });
+      await db.doc(`users/${UID}/keyword_ideas/1730000000000`).set({
+        created_at: '2025-10-01T00:00:00.000Z',
+        top_opportunities: {
+          high_priority_opportunities: [{ keyword: 'widget warranty', opportunity_score: 60 }],
+          commercial_opportunities: [{ keyword: 'widget repair near me', opportunity_score: 90 }, { keyword: 'emergency widget repair', opportunity_score: 95 }],
+        },
+      });
+    });
+
+    it('backfills from keyword ideas, then adds angles on the same keywords', async () => {
+      const result = await generateContentTitles(UID, { count: 6, formats: ['how_helps'] });
+
+      assert.deepEqual(result.titles.map(({ targetKeyword }) => targetKeyword), [
+        'emergency widget repair', 'mobile widget repair', 'widget repair near me', 'widget warranty',
+        'emergency widget repair', 'mobile widget repair',
+      ]);
+      assert.deepEqual(result.keywordSources, { targetKeywords: 2, keywordIdeas: 2, extraAngles: 2 });
+      assert.match(prompts[0], /Generate EXACTLY 6 titles/);
+      assert.match(prompts[0], /5\. "emergency widget repair" \(angle 2/);
+      assert.ok(!prompts[0].includes('ultimate_guide'));
+
+      const plan = db.getData(`users/${UID}/content_plans/${result.contentPlanId}`);
+      assert.equal(plan.size, 6);
+      assert.deepEqual(plan.formats, ['how_helps']);
+    });
+
+    it('caps the plan size at the plan tier and rejects unknown formats', async () => {
+      await assert.rejects(generateContentTitles(UID, { count: 16 }), { status: 400, message: /1 to 15/ });
+      await assert.rejects(generateContentTitles(UID, { formats: ['city_top'] }), { status: 400 });
+
+      await db.collection('users').doc(UID).update({ plan: 'pro' });
+      const result = await generateContentTitles(UID, { count: 16 });
+      assert.equal(result.titles.length, 16);
+    });
+  });
+
+  it('requires a location', async () => {
+    await db.collection('users').doc(UID).update({ targetCountry: '' });
+
+    await assert.rejects(generateContentTitles(UID), /targetCountry is required/);
+  });
+});
@@ -0,0 +1,178 @@
+const { db } = require('../support/setup');
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setFakeResponses } = require('../../lib/llm/providers/fake');
+const { setTransport } = require('../../lib/utils/http-client');
+const { linkRelatedArticles, backfillInternalLinks } = require('../../lib/content/internal-linking');
+
+const UID = 'user-1';
+const ARTICLES = `users/${UID}/generated_articles`;
+const NEW_POST_URL = 'https://blog.acme-widgets.test/widget-maintenance/';
+const REPAIR_URL = 'https://blog.acme-widgets.test/emergency-widget-repair/';
+
+// Vectors by topic: widget posts are similar to each other, garden posts are not
+function fakeEmbedding(text) {
+  const lower = text.toLowerCase();
+  return [lower.includes('widget') ? 1 : 0, lower.includes('garden') ? 1 : 0, 0.2];
+}
+
+describe('internal linking', () => {
+  let embedded;
+
+  before(() => {
+    process.env.LLM_PROVIDER = 'fake';
+  });
+
+  after(() => {
+    delete process.env.LLM_PROVIDER;
+    setFakeResponses({});
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    embedded = [];
+    setTransport(async (url, options) => {
+      const { input } = JSON.parse(options.body);
+      embedded.push(...input);
+      const body = { data: input.map((text, index) => ({ index, embedding: fakeEmbedding(text) })), usage: { prompt_tokens: 10 } };
+      return { ok: true, status: 200, json: async () => body, text: async () => JSON.stringify(body) };
+    });
+
+    await db.doc(`${ARTICLES}/repair`).set({
+      title: 'Emergency Widget Repair',
+      targetKeyword: 'emergency widget repair',
+      content: '# Emergency Widget Repair\n\nWhen a widget fails, act fast.\n',
+      status: 'published',
+      publications: { wordpress: { remoteId: 101, url: REPAIR_URL, status: 'publish' } },
+    });
+    await db.doc(`${ARTICLES}/garden`).set({
+      title: 'Garden Lighting Ideas',
+      content: '# Garden Lighting Ideas\n\nLight up your garden path.\n',
+      status: 'published',
+      url: 'https://blog.acme-widgets.test/garden-lighting/',
+    });
+    await db.doc(`${ARTICLES}/archived`).set({
+      title: 'Widget Repair (Old)',
+      content: 'Old widget repair advice.',
+      status: 'archived',
+      url: 'https://blog.acme-widgets.test/old-widget-repair/',
+    });
+  });
+
+  afterEach(() => {
+    setTransport(null);
+  });
+
+  describe('linkRelatedArticles', () => {
+    it('links a new article to similar live posts, in body text only', async () => {
+      await db.doc(`${ARTICLES}/draft`).set({ title: 'Widget Tools', content: 'Widget tools you need.', status: 'draft' });
+      let anchorPrompt;
+      setFakeResponses({
+        'blog.internal-links': (request) => {
+          anchorPrompt = request.prompt;
+          return { links: [{ articleId: 'repair', anchor: 'emergency repair' }] };
+        },
+      });
+
+      const content = '# Widget Maintenance\n\n## Emergency Repair\n\nRegular care avoids an emergency repair later.\n';
+      const result = await linkRelatedArticles(UID, { title: 'Widget Maintenance', targetKeyword: 'widget maintenance', content });
+
+      assert.ok(anchorPrompt.includes('id: repair'));
+      assert.ok(!anchorPrompt.includes('id: garden'));
+      assert.deepEqual(result.relatedLinks, [{ articleId: 'repair', url: REPAIR_URL, anchor: 'emergency repair' }]);
+      assert.equal(result.content, `# Widget Maintenance\n\n## Emergency Repair\n\nRegular care avoids an [emergency repair](${REPAIR_URL}) later.\n`);
+
+      // Only live, non-archived posts are embedded, and only saved articles are cached
+      assert.equal(embedded.length, 3);
+      assert.ok(db.getData(`users/${UID}/article_embeddings/repair`).vector);
+      assert.equal(db.getData(`users/${UID}/article_embeddings/draft`), undefined);
+    });
+
+    it('reuses cached embeddings while the text is unchanged', async () => {
+      setFakeResponses({ 'blog.internal-links': { links: [] } });
+      const article = { title: 'Widget Maintenance', content: 'Widget care.' };
+
+      await linkRelatedArticles(UID, article);
+      await linkRelatedArticles(UID, article);
+
+      assert.equal(embedded.length, 4);
+    });
+  });
+
+  describe('backfillInternalLinks', () => {
+    beforeEach(async () => {
+      await db.doc(`${ARTICLES}/new-post`).set({
+        title: 'Widget Maintenance',
+        targetKeyword: 'widget maintenance',
+        content: '# Widget Maintenance\n\nRegular widget care.\n',
+        status: 'published',
+        publications: { wordpress: { remoteId: 102, url: NEW_POST_URL, status: 'publish' } },
+      });
+      await db.doc(`${ARTICLES}/linked`).set({
+        title: 'Widget Buying Guide',
+        content: `# Widget Buying Guide\n\nSee our [widget maintenance](${NEW_POST_URL}) guide.\n`,
+        status: 'published',
+      });
+      setFakeResponses({ 'linking.backfill': { links: [{ articleId: 'new-post', anchor: 'regular maintenance' }] } });
+    });
+
+    it('links related older articles to the newly published one with a new revision', async () => {
+      await db.doc(`${ARTICLES}/repair`).update({
+        content: '# Emergency Widget Repair\n\nWhen a widget fails, act fast. Regular maintenance prevents most failures.\n',
+      });
+
+      const result = await backfillInternalLinks(UID, 'new-post');
+
+      assert.deepEqual(result, {
+        articleId: 'new-post',
+        updated: [{ articleId: 'repair', anchor: 'Regular maintenance', revision: 2 }],
+        skipped: [],
+      });
+
+      const repair = db.getData(`${ARTICLES}/repair`);
+      assert.ok(repair.content.includes(`[Regular maintenance](${NEW_POST_URL}) prevents`));
+      assert.deepEqual(repair.relatedLinks, [{ articleId: 'new-post', url: NEW_POST_URL, anchor: 'Regular maintenance' }]);
+      assert.equal(db.getData(`${ARTICLES}/repair/revisions/0002`).source, 'internal-links');
+
+      // Already linking, unrelated or archived articles are left alone
+      assert.equal(db.getData(`${ARTICLES}/linked`).relatedLinks, undefined);
+      assert.equal(db.getData(`${ARTICLES}/garden`).relatedLinks, undefined);
+    });
+
+    it('inserts the link into the current text and keeps edits made while the anchor was picked', async () => {
+      const content = '# Emergency Widget Repair\n\nWhen a widget fails, act fast. Regular maintenance prevents most failures.\n';
+      const existingLink = { articleId: 'garden', url: 'https://blog.acme-widgets.test/garden-lighting/', anchor: 'garden' };
+      await db.doc(`${ARTICLES}/repair`).update({ content });
+      setFakeResponses({
+        'linking.backfill': async () => {
+          await db.doc(`${ARTICLES}/repair`).update({ content: `${content}\nCall us any time.\n`, relatedLinks: [existingLink] });
+          return { links: [{ articleId: 'new-post', anchor: 'regular maintenance' }] };
+        },
+      });
+
+      const result = await backfillInternalLinks(UID, 'new-post');
+
+      assert.equal(result.updated.length, 1);
+      const repair = db.getData(`${ARTICLES}/repair`);
+      assert.ok(repair.content.includes(`[Regular maintenance](${NEW_POST_URL}) prevents`));
+      assert.ok(repair.content.endsWith('Call us any time.\n'));
+      assert.deepEqual(repair.relatedLinks, [existingLink, { articleId: 'new-post', url: NEW_POST_URL, anchor: 'Regular maintenance' }]);
+    });
+
+    it('skips related articles without a fitting anchor', async () => {
+      const result = await backfillInternalLinks(UID, 'new-post');
+
+      assert.deepEqual(result.updated, []);
+      assert.deepEqual(result.skipped, ['repair']);
+      assert.equal(db.getData(`${ARTICLES}/repair`).relatedLinks, undefined);
+    });
+
+    it('refuses articles that are not live', async () => {
+      await db.doc(`${ARTICLES}/unpublished`).set({ title: 'Widget Draft', content: 'Widget text.', status: 'approved' });
+
+      await assert.rejects(backfillInternalLinks(UID, 'unpublished'), { status: 409 });
+      await assert.rejects(backfillInternalLinks(UID, 'missing'), { status: 404 });
+    });
+  });
+});
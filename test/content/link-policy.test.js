@@ -0,0 +1,141 @@
+require('../support/setup');
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTransport } = require('../../lib/utils/http-client');
+const { applyLinkPolicy, checkLink } = require('../../lib/content/link-policy');
+
+const ALLOWED = [
+  { url: 'https://acme-widgets.test/repair', text: 'Widget repair' },
+  'https://acme-widgets.test/pricing/',
+  'https://acme-widgets.test/contact',
+  'https://acme-widgets.test/about',
+];
+
+const IMAGE = '![Widget](https://images.unsplash.test/w.jpg)\n*Photo by [Jane Doe](https://unsplash.com/@jane) on Unsplash*';
+
+/**
+ * Reachability stub: every URL responds 200 except the ones listed
+ */
+function stubChecks(failing = {}) {
+  const calls = [];
+  const check = async (url) => {
+    calls.push(url);
+    return url in failing ? { ok: false, status: failing[url] } : { ok: true, status: 200 };
+  };
+  return { check, calls };
+}
+
+describe('applyLinkPolicy', () => {
+  it('keeps allowed links, rewrites near misses and strips everything else', async () => {
+    const { check } = stubChecks();
+    const content = [
+      'Book a [widget repair](https://acme-widgets.test/repair) or see [our prices](http://www.acme-widgets.test/pricing?utm_source=blog).',
+      'The [Widget Institute](https://widget-institute.test/report) agrees, and [our FAQ](/faq) has more.',
+      '',
+      IMAGE,
+    ].join('\n');
+
+    const result = await applyLinkPolicy(content, { allowedLinks: ALLOWED, checkLink: check });
+
+    assert.equal(result.content, [
+      'Book a [widget repair](https://acme-widgets.test/repair) or see [our prices](https://acme-widgets.test/pricing/).',
+      'The Widget Institute agrees, and our FAQ has more.',
+      '',
+      IMAGE,
+    ].join('\n'));
+    assert.deepEqual(result.links, [
+      { url: 'https://acme-widgets.test/repair', anchor: 'widget repair', status: 200 },
+      { url: 'https://acme-widgets.test/pricing/', anchor: 'our prices', status: 200, originalUrl: 'http://www.acme-widgets.test/pricing?utm_source=blog' },
+    ]);
+    assert.deepEqual(result.removedLinks, [
+      { url: 'https://widget-institute.test/report', anchor: 'Widget Institute', reason: 'not-allowed' },
+      { url: '/faq', anchor: 'our FAQ', reason: 'not-allowed' },
+    ]);
+  });
+
+  it('removes unreachable, duplicate and surplus links and checks each URL once', async () => {
+    const { check, calls } = stubChecks({ 'https://acme-widgets.test/contact': 404 });
+    const checked = new Map();
+    const content = [
+      '[a](https://acme-widgets.test/repair) [b](https://acme-widgets.test/repair/)',
+      '[c](https://acme-widgets.test/contact) [d](https://acme-widgets.test/pricing/)',
+      '[e](https://acme-widgets.test/about) [f](/pricing)',
+    ].join('\n');
+
+    const result = await applyLinkPolicy(content, { allowedLinks: ALLOWED, checkLink: check, checked });
+    await applyLinkPolicy(content, { allowedLinks: ALLOWED, checkLink: check, checked });
+
+    assert.equal(result.content, '[a](https://acme-widgets.test/repair) b\nc [d](https://acme-widgets.test/pricing/)\n[e](https://acme-widgets.test/about) f');
+    assert.deepEqual(result.removedLinks.map((link) => [link.anchor, link.reason]), [['b', 'duplicate'], ['c', 'unreachable'], ['f', 'duplicate']]);
+    assert.deepEqual(calls, ['https://acme-widgets.test/repair', 'https://acme-widgets.test/contact', 'https://acme-widgets.test/pricing/', 'https://acme-widgets.test/about']);
+  });
+
+  it('stops at three links', async () => {
+    const { check } = stubChecks();
+    const content = ALLOWED.map((link, i) => `[link ${i}](${typeof link === 'string' ? link : link.url})`).join(' ');
+
+    const result = await applyLinkPolicy(content, { allowedLinks: ALLOWED, checkLink: check });
+
+    assert.equal(result.links.length, 3);
+    assert.deepEqual(result.removedLinks, [{ url: 'https://acme-widgets.test/about', anchor: 'link 3', reason: 'limit' }]);
+  });
+});
+
+describe('checkLink', () => {
+  afterEach(() => {
+    setTransport(null);
+  });
+
+  it('falls back to GET when HEAD is refused and treats bot protection as reachable', async () => {
+    const requests = [];
+    setTransport(async (url, options) => {
+      requests.push(`${options.method} ${url}`);
+      const status = url.endsWith('/head-refused') ? (options.method === 'HEAD' ? 405 : 200) : url.endsWith('/blocked') ? 403 : 404;
+      return { status, text: async () => '' };
+    });
+
+    assert.deepEqual(await checkLink('https://acme-widgets.test/head-refused'), { ok: true, status: 200 });
+    assert.deepEqual(await checkLink('https://acme-widgets.test/blocked'), { ok: true, status: 403 });
+    assert.deepEqual(await checkLink('https://acme-widgets.test/gone'), { ok: false, status: 404 });
+    assert.deepEqual(requests.slice(0, 2), ['HEAD https://acme-widgets.test/head-refused', 'GET https://acme-widgets.test/head-refused']);
+  });
+
+  it('reports private addresses unreachable without requesting them', async () => {
+    const requests = [];
+    setTransport(async (url) => {
+      requests.push(url);
+      return { status: 200, text: async () => '' };
+    });
+
+    for (const url of ['http://127.0.0.1/admin', 'http://169.254.169.254/latest/meta-data']) {
+      const result = await checkLink(url);
+      assert.equal(result.ok, false);
+      assert.equal(result.status, null);
+    }
+    assert.deepEqual(requests, []);
+  });
+
+  it('follows redirects only to public hosts', async () => {
+    const requests = [];
+    const redirects = {
+      'https://acme-widgets.test/old': '/new',
+      'https://acme-widgets.test/new': 'https://www.acme-widgets.test/final',
+      'https://acme-widgets.test/sneaky': 'http://169.254.169.254/latest/meta-data',
+    };
+    setTransport(async (url, options) => {
+      requests.push(url);
+      assert.equal(options.redirect, 'manual');
+      const location = redirects[url];
+      return { status: location ? 301 : 200, headers: new Headers(location ? { location } : {}), text: async () => '' };
+    });
+
+    assert.deepEqual(await checkLink('https://acme-widgets.test/old'), { ok: true, status: 200 });
+    assert.deepEqual(requests, ['https://acme-widgets.test/old', 'https://acme-widgets.test/new', 'https://www.acme-widgets.test/final']);
+
+    requests.length = 0;
+    const result = await checkLink('https://acme-widgets.test/sneaky');
+    assert.equal(result.ok, false);
+    assert.deepEqual(requests, ['https://acme-widgets.test/sneaky']);
+  });
+});
@@ -0,0 +1,115 @@
+const { db } = require('../support/setup');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setFakeResponses } = require('../../lib/llm/providers/fake');
+const { findStaleArticles, refreshArticle } = require('../../lib/content/refresh-article');
+
+const UID = 'user-1';
+const NOW = new Date('2026-06-01T00:00:00Z');
+const ARTICLES = `users/${UID}/generated_articles`;
+
+const CONTENT = [
+  '# Widget Repair Costs: 2025 Edition',
+  '',
+  'In 2025, a typical widget repair costs $80.',
+  '',
+  '## Why Prices Rise',
+  '',
+  'Parts are scarce.',
+  '',
+].join('\n');
+
+describe('article refresh', () => {
+  let auditPrompt;
+
+  before(() => {
+    process.env.LLM_PROVIDER = 'fake';
+  });
+
+  after(() => {
+    delete process.env.LLM_PROVIDER;
+    setFakeResponses({});
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    auditPrompt = null;
+    setFakeResponses({
+      'refresh.research': 'Widget Institute 2026: average repair now costs $95.',
+      'refresh.audit': (request) => {
+        auditPrompt = request.prompt;
+        return {
+          changes: [
+            { original: 'In 2025, a typical widget repair costs $80.', updated: 'In 2026, a typical widget repair costs $95.', reason: 'Widget Institute 2026 pricing' },
+            { original: 'Text that is not in the article', updated: 'Anything', reason: 'Hallucinated' },
+          ],
+        };
+      },
+    });
+
+    await db.doc(`${ARTICLES}/old`).set({ title: 'Widget Repair Costs', targetKeyword: 'widget repair cost', content: CONTENT, status: 'published', createdAt: '2025-09-01T00:00:00.000Z' });
+    await db.doc(`${ARTICLES}/older`).set({ title: 'Widget Basics', content: 'Text', status: 'published', createdAt: '2025-06-01T00:00:00.000Z' });
+    await db.doc(`${ARTICLES}/recent`).set({ title: 'New', content: 'Text', status: 'published', createdAt: '2026-05-01T00:00:00.000Z' });
+    await db.doc(`${ARTICLES}/draft`).set({ title: 'Draft', content: 'Text', status: 'draft', createdAt: '2025-01-01T00:00:00.000Z' });
+  });
+
+  it('finds published articles older than the cutoff, oldest first', async () => {
+    const stale = await findStaleArticles(UID, { months: 6, now: NOW });
+    assert.deepEqual(stale.map(({ id }) => id), ['older', 'old']);
+
+    await db.doc(`${ARTICLES}/older`).update({ lastRefreshedAt: '2026-03-01T00:00:00.000Z' });
+    await db.doc(`${ARTICLES}/old`).update({ refreshAttemptedAt: '2026-05-31T12:00:00.000Z' });
+    assert.deepEqual(await findStaleArticles(UID, { months: 6, now: NOW }), []);
+  });
+
+  it('applies verbatim replacements as a new revision with a changelog', async () => {
+    const result = await refreshArticle(UID, 'old', { now: NOW });
+
+    assert.equal(result.revision, 2);
+    assert.equal(result.skipped, 1);
+    assert.deepEqual(result.changes.map(({ updated }) => updated), ['In 2026, a typical widget repair costs $95.']);
+    assert.match(auditPrompt, /current year is 2026/);
+    assert.match(auditPrompt, /average repair now costs \$95/);
+
+    const article = db.getData(`${ARTICLES}/old`);
+    assert.ok(article.content.includes('In 2026, a typical widget repair costs $95.'));
+    assert.equal(article.status, 'published');
+    assert.equal(article.researchData, 'Widget Institute 2026: average repair now costs $95.');
+    assert.equal(article.refreshAttemptedAt, null);
+    assert.equal(article.refreshHistory.length, 1);
+    assert.equal(article.refreshHistory[0].revision, 2);
+    assert.equal(db.getData(`${ARTICLES}/old/revisions/0002`).source, 'refresh');
+  });
+
+  it('records a refresh without a revision when nothing is outdated', async () => {
+    setFakeResponses({ 'refresh.research': 'Nothing new.', 'refresh.audit': { changes: [] } });
+
+    const result = await refreshArticle(UID, 'old', { now: NOW });
+
+    assert.equal(result.revision, null);
+    const article = db.getData(`${ARTICLES}/old`);
+    assert.equal(article.content, CONTENT);
+    assert.ok(article.lastRefreshedAt);
+  });
+
+  it('keeps edits and changelog entries made while the refresh was running', async () => {
+    setFakeResponses({
+      'refresh.research': 'Widget Institute 2026: average repair now costs $95.',
+      'refresh.audit': async () => {
+        await db.doc(`${ARTICLES}/old`).update({
+          content: CONTENT.replace('Parts are scarce.', 'Parts are scarce this year.'),
+          refreshHistory: [{ refreshedAt: '2026-05-31T00:00:00.000Z', revision: null, changes: [], skipped: 0, sources: [] }],
+        });
+        return { changes: [{ original: 'In 2025, a typical widget repair costs $80.', updated: 'In 2026, a typical widget repair costs $95.', reason: 'New pricing' }] };
+      },
+    });
+
+    await refreshArticle(UID, 'old', { now: NOW });
+
+    const article = db.getData(`${ARTICLES}/old`);
+    assert.ok(article.content.includes('In 2026, a typical widget repair costs $95.'));
+    assert.ok(article.content.includes('Parts are scarce this year.'));
+    assert.equal(article.refreshHistory.length, 2);
+  });
+});
@@ -0,0 +1,121 @@
+const { db } = require('../support/setup');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setFakeResponses } = require('../../lib/llm/providers/fake');
+const { rewriteSection, splitSections } = require('../../lib/content/rewrite-section');
+
+const UID = 'user-1';
+const ARTICLE_ID = 'article_1';
+const ARTICLE_PATH = `users/${UID}/generated_articles/${ARTICLE_ID}`;
+const IMAGE = '![Broken widget](https://images.unsplash.test/widget.jpg)\n*Photo by [Jane Doe](https://unsplash.test/@jane) on Unsplash*';
+
+const CONTENT = [
+  '# Emergency Widget Repair',
+  '',
+  'Intro paragraph.',
+  '',
+  '## Why Widgets Fail',
+  '',
+  'Old text about failures.',
+  '',
+  IMAGE,
+  '',
+  '## First Steps',
+  '',
+  'Unplug it.',
+  '',
+].join('\n');
+
+describe('rewriteSection', () => {
+  let prompts;
+
+  before(() => {
+    process.env.LLM_PROVIDER = 'fake';
+  });
+
+  after(() => {
+    delete process.env.LLM_PROVIDER;
+    setFakeResponses({});
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    prompts = [];
+    setFakeResponses({
+      'blog.section-rewrite': (request) => {
+        prompts.push(request.prompt);
+        return '```markdown\n## Why Widgets Fail\n\nNew text citing a 40% failure rate.\n```';
+      },
+    });
+    await db.doc(ARTICLE_PATH).set({
+      title: 'Emergency Widget Repair',
+      content: CONTENT,
+      targetKeyword: 'emergency widget repair',
+      businessType: 'local',
+      location: 'Austin, TX',
+      researchData: '40% of widgets fail in summer.',
+      outline: { sections: [{ h2: 'Why widgets fail', keyPoints: ['Heat'] }, { h2: 'First steps', keyPoints: ['Unplug'] }] },
+      status: 'in_review',
+    });
+  });
+
+  it('splits markdown into H2 sections', () => {
+    assert.deepEqual(splitSections(CONTENT).map(({ heading }) => heading), ['Why Widgets Fail', 'First Steps']);
+  });
+
+  it('rewrites one section, keeps its images and saves a revision', async () => {
+    const result = await rewriteSection(UID, ARTICLE_ID, 0, { presets: ['more_local'], instructions: 'Mention summer heat', actor: UID });
+
+    assert.equal(result.heading, 'Why Widgets Fail');
+    assert.equal(result.revision, 2);
+
+    const article = db.getData(ARTICLE_PATH);
+    assert.ok(article.content.includes('## Why Widgets Fail\n\nNew text citing a 40% failure rate.\n\n' + IMAGE + '\n\n## First Steps'));
+    assert.ok(!article.content.includes('Old text'));
+    assert.ok(article.content.endsWith('Unplug it.\n'));
+
+    const revision = db.getData(`${ARTICLE_PATH}/revisions/0002`);
+    assert.equal(revision.source, 'rewrite');
+    assert.match(revision.note, /more_local/);
+
+    const [prompt] = prompts;
+    assert.match(prompt, /Austin, TX/);
+    assert.match(prompt, /Mention summer heat/);
+    assert.match(prompt, /"Heat"/);
+    assert.ok(!prompt.includes('unsplash.test'));
+  });
+
+  it('keeps edits made elsewhere in the article while the section was being rewritten', async () => {
+    setFakeResponses({
+      'blog.section-rewrite': async () => {
+        await db.doc(ARTICLE_PATH).update({ content: CONTENT.replace('Unplug it.', 'Unplug it first.') });
+        return '## Why Widgets Fail\n\nNew text citing a 40% failure rate.';
+      },
+    });
+
+    await rewriteSection(UID, ARTICLE_ID, 0);
+
+    const { content } = db.getData(ARTICLE_PATH);
+    assert.ok(content.includes('New text citing a 40% failure rate.'));
+    assert.ok(content.endsWith('Unplug it first.\n'));
+  });
+
+  it('refuses to overwrite the section when it was edited during the rewrite', async () => {
+    setFakeResponses({
+      'blog.section-rewrite': async () => {
+        await db.doc(ARTICLE_PATH).update({ content: CONTENT.replace('Old text about failures.', 'Edited by hand.') });
+        return '## Why Widgets Fail\n\nNew text citing a 40% failure rate.';
+      },
+    });
+
+    await assert.rejects(rewriteSection(UID, ARTICLE_ID, 0), { status: 409 });
+    assert.ok(db.getData(ARTICLE_PATH).content.includes('Edited by hand.'));
+  });
+
+  it('rejects unknown sections and presets', async () => {
+    await assert.rejects(rewriteSection(UID, ARTICLE_ID, 5), { status: 404 });
+    await assert.rejects(rewriteSection(UID, ARTICLE_ID, 0, { presets: ['funnier'] }), { status: 400 });
+    assert.equal(prompts.length, 0);
+  });
+});
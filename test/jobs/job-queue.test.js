@@ -0,0 +1,43 @@
+const { db } = require('../support/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { enqueueJob } = require('../../lib/jobs/job-queue');
+
+const UID = 'user-1';
+
+async function jobsOfType(type) {
+  const snapshot = await db.collection('jobs').where('type', '==', type).get();
+  return snapshot.docs;
+}
+
+describe('enqueueJob', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('creates one job for concurrent requests of the same type', async () => {
+    const results = await Promise.all([
+      enqueueJob('seo-analysis', UID),
+      enqueueJob('seo-analysis', UID),
+      enqueueJob('seo-analysis', UID),
+    ]);
+
+    const jobs = await jobsOfType('seo-analysis');
+    assert.equal(jobs.length, 1);
+    assert.deepEqual(results.map(({ jobId }) => jobId), [jobs[0].id, jobs[0].id, jobs[0].id]);
+    assert.deepEqual(results.map(({ existing }) => existing).sort(), [false, true, true]);
+  });
+
+  it('queues a new job once the active one has finished, or when dedupe is off', async () => {
+    const { jobId } = await enqueueJob('article-refresh', UID, { articleId: 'a' });
+    assert.equal((await enqueueJob('article-refresh', UID, { articleId: 'a' })).existing, true);
+    assert.equal((await enqueueJob('article-refresh', UID, { articleId: 'b' }, { dedupe: false })).existing, false);
+
+    await db.collection('jobs').doc(jobId).update({ status: 'completed' });
+    await db.collection('jobs').doc((await jobsOfType('article-refresh')).find((doc) => doc.id !== jobId).id).update({ status: 'completed' });
+
+    assert.equal((await enqueueJob('article-refresh', UID, { articleId: 'a' })).existing, false);
+    assert.equal((await jobsOfType('article-refresh')).length, 3);
+  });
+});
@@ -0,0 +1,71 @@
+require('../support/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { markdownToHtml, stripLeadingTitle } = require('../../lib/publishing/markdown-to-html');
+const { slugify, getMetaDescription } = require('../../lib/publishing/article-fields');
+
+describe('markdownToHtml', () => {
+  it('renders headings, paragraphs and inline formatting', () => {
+    const html = markdownToHtml('## Why **widgets** fail\n\nMost *widgets* fail\nbecause of `dust`. See [our guide](https://acme.test/guide).');
+
+    assert.equal(html, [
+      '<h2>Why <strong>widgets</strong> fail</h2>',
+      '<p>Most <em>widgets</em> fail because of <code>dust</code>. See <a href="https://acme.test/guide">our guide</a>.</p>',
+    ].join('\n'));
+  });
+
+  it('renders lists, quotes, code blocks and images', () => {
+    const html = markdownToHtml([
+      '- First',
+      '- Second',
+      '  continued',
+      '',
+      '1. One',
+      '2. Two',
+      '',
+      '> Quoted **tip**',
+      '',
+      '```',
+      'if (a < b) {}',
+      '```',
+      '',
+      '![A widget](https://images.test/w.jpg?w=1&q=80)',
+    ].join('\n'));
+
+    assert.equal(html, [
+      '<ul><li>First</li><li>Second continued</li></ul>',
+      '<ol><li>One</li><li>Two</li></ol>',
+      '<blockquote><p>Quoted <strong>tip</strong></p></blockquote>',
+      '<pre><code>if (a &lt; b) {}</code></pre>',
+      '<p><img src="https://images.test/w.jpg?w=1&amp;q=80" alt="A widget" /></p>',
+    ].join('\n'));
+  });
+
+  it('escapes raw HTML and drops unsafe link targets', () => {
+    const html = markdownToHtml('<script>alert(1)</script> [click](javascript:void) ok');
+
+    assert.equal(html, '<p>&lt;script&gt;alert(1)&lt;/script&gt; click ok</p>');
+  });
+
+  it('strips the leading H1 only', () => {
+    assert.equal(stripLeadingTitle('# Title\n\nIntro\n\n# Other'), 'Intro\n\n# Other');
+  });
+});
+
+describe('article fields', () => {
+  it('slugifies titles', () => {
+    assert.equal(slugify('Emergency Widget Repair: What to Do When Your Widget Fails'), 'emergency-widget-repair-what-to-do-when-your-widget-fails');
+    assert.equal(slugify('Café & Crème — Tips!'), 'cafe-and-creme-tips');
+  });
+
+  it('derives a meta description from the first paragraph', () => {
+    const intro = 'Widgets fail at the worst possible moment. '.repeat(5).trim();
+    const description = getMetaDescription({ content: `# Title\n\n![img](https://images.test/a.jpg)\n\n${intro}\n\n## Next` });
+
+    assert.ok(description.length <= 156);
+    assert.ok(description.startsWith('Widgets fail at the worst possible moment.'));
+    assert.ok(description.endsWith('…'));
+    assert.equal(getMetaDescription({ metaDescription: 'Stored', content: intro }), 'Stored');
+  });
+});
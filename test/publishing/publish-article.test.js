@@ -0,0 +1,197 @@
+const { db } = require('../support/setup');
+
+process.env.SERVICE_API_KEY = 'test-service-key';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const publishingRoutes = require('../../routes/publishing');
+const { useCassette } = require('../support/http-recorder');
+const { saveCredentials, getCredentials, listCredentials } = require('../../lib/publishing/credentials-store');
+const { publishArticle, getPublisher } = require('../../lib/publishing/publish-article');
+
+const UID = 'user-1';
+const ARTICLE_ID = 'article_1';
+const IMAGE_URL = 'https://images.unsplash.test/photo-1?w=1080&q=80';
+
+const CREDENTIALS = {
+  siteUrl: 'https://blog.acme-widgets.test',
+  username: 'editor',
+  applicationPassword: 'abcd efgh ijkl mnop',
+  categories: ['Guides'],
+  metaDescriptionField: '_yoast_wpseo_metadesc',
+};
+
+const ARTICLE = {
+  title: 'Emergency Widget Repair',
+  content: [
+    '# Emergency Widget Repair',
+    '',
+    'When a widget fails, act fast.',
+    '',
+    `![Broken widget](${IMAGE_URL})`,
+    '*Photo by [Jane Doe](https://unsplash.test/@jane) on Unsplash*',
+    '',
+    '## First steps',
+    '',
+    'Unplug it.',
+  ].join('\n'),
+  images: [{ url: IMAGE_URL, alt: 'Broken widget', photographer: 'Jane Doe' }],
+  status: 'approved',
+};
+
+function postBody(cassette) {
+  const request = cassette.requests().find(({ url }) => /\/posts(\/\d+)?$/.test(url));
+  return JSON.parse(request.body);
+}
+
+describe('publishing credentials', () => {
+  beforeEach(() => db.reset());
+
+  it('stores credentials encrypted and lists them without secrets', async () => {
+    await saveCredentials(UID, 'wordpress', CREDENTIALS);
+
+    const stored = db.getData(`users/${UID}/publishing_credentials/wordpress`);
+    assert.equal(stored.siteUrl, CREDENTIALS.siteUrl);
+    assert.match(stored.encrypted, /^v1:/);
+    assert.ok(!stored.encrypted.includes('abcd'));
+
+    assert.deepEqual(await getCredentials(UID, 'wordpress'), CREDENTIALS);
+    assert.deepEqual((await listCredentials(UID)).map(({ platform, siteUrl }) => ({ platform, siteUrl })), [
+      { platform: 'wordpress', siteUrl: CREDENTIALS.siteUrl },
+    ]);
+  });
+
+  it('rejects credentials the site does not accept', async () => {
+    const cassette = useCassette('wordpress-rejected');
+    try {
+      await assert.rejects(getPublisher('wordpress').validateCredentials(CREDENTIALS), (error) => {
+        assert.equal(error.name, 'PublishError');
+        assert.equal(error.status, 401);
+        assert.equal(error.retryable, false);
+        assert.match(error.message, /invalid application password/);
+        return true;
+      });
+    } finally {
+      cassette.eject();
+    }
+  });
+
+  it('deletes credentials only for known platforms', async () => {
+    await saveCredentials(UID, 'wordpress', CREDENTIALS);
+    await db.doc(`users/${UID}`).set({ publishingPlatform: 'wordpress' });
+
+    const app = express();
+    app.use('/publishing', publishingRoutes);
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    const remove = (platform) => fetch(`http://127.0.0.1:${server.address().port}/publishing/credentials/${platform}?uid=${UID}`, {
+      method: 'DELETE',
+      headers: { 'X-Service-Key': 'test-service-key', Connection: 'close' },
+    });
+
+    try {
+      for (const platform of ['constructor', '__proto__', 'toString', 'blogger']) {
+        assert.equal((await remove(platform)).status, 400, platform);
+      }
+      assert.equal(db.getData(`users/${UID}`).publishingPlatform, 'wordpress');
+
+      assert.equal((await remove('wordpress')).status, 200);
+      assert.equal(db.getData(`users/${UID}/publishing_credentials/wordpress`), undefined);
+      assert.equal(db.getData(`users/${UID}`).publishingPlatform, null);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
+
+describe('publishArticle (wordpress)', () => {
+  let cassette;
+
+  beforeEach(async () => {
+    db.reset();
+    await saveCredentials(UID, 'wordpress', CREDENTIALS);
+    await db.collection('users').doc(UID).collection('generated_articles').doc(ARTICLE_ID).set(ARTICLE);
+  });
+
+  afterEach(() => {
+    if (cassette) cassette.eject();
+    cassette = null;
+  });
+
+  it('uploads images, creates categories and the post, and records it on the article', async () => {
+    cassette = useCassette('wordpress-publish');
+
+    const result = await publishArticle(UID, ARTICLE_ID);
+
+    assert.deepEqual(cassette.pending(), []);
+    assert.deepEqual(result, {
+      platform: 'wordpress',
+      remoteId: 101,
+      url: 'https://blog.acme-widgets.test/emergency-widget-repair/',
+      status: 'publish',
+    });
+
+    const post = postBody(cassette);
+    assert.equal(post.title, 'Emergency Widget Repair');
+    assert.equal(post.slug, 'emergency-widget-repair');
+    assert.equal(post.status, 'publish');
+    assert.equal(post.featured_media, 55);
+    assert.deepEqual(post.categories, [12]);
+    assert.equal(post.excerpt, 'When a widget fails, act fast.');
+    assert.deepEqual(post.meta, { _yoast_wpseo_metadesc: 'When a widget fails, act fast.' });
+    assert.ok(!post.content.includes('<h1>'));
+    assert.ok(post.content.includes('<img src="https://blog.acme-widgets.test/wp-content/uploads/2025/10/emergency-widget-repair-1.jpg" alt="Broken widget" />'));
+
+    const article = db.getData(`users/${UID}/generated_articles/${ARTICLE_ID}`);
+    assert.equal(article.status, 'published');
+    assert.deepEqual(article.statusHistory.map(({ from, to, actor }) => ({ from, to, actor })), [
+      { from: 'approved', to: 'published', actor: 'publisher' },
+    ]);
+    assert.equal(article.publications.wordpress.remoteId, 101);
+    assert.equal(article.publications.wordpress.media[0].id, 55);
+
+    const jobs = await db.collection('jobs').where('type', '==', 'internal-link-backfill').get();
+    assert.deepEqual(jobs.docs.map((doc) => doc.data().payload), [{ articleId: ARTICLE_ID, source: 'publish' }]);
+  });
+
+  it('updates the existing post without re-uploading images', async () => {
+    await db.collection('users').doc(UID).collection('generated_articles').doc(ARTICLE_ID).update({
+      'publications.wordpress': {
+        remoteId: 101,
+        publishedAt: '2025-10-01T00:00:00.000Z',
+        media: { 0: { id: 55, url: 'https://blog.acme-widgets.test/wp-content/uploads/w.jpg', sourceUrl: IMAGE_URL } },
+      },
+    });
+    cassette = useCassette('wordpress-republish');
+
+    const result = await publishArticle(UID, ARTICLE_ID);
+
+    assert.deepEqual(cassette.pending(), []);
+    assert.equal(result.remoteId, 101);
+    assert.equal(postBody(cassette).featured_media, 55);
+
+    const article = db.getData(`users/${UID}/generated_articles/${ARTICLE_ID}`);
+    assert.equal(article.publications.wordpress.publishedAt, '2025-10-01T00:00:00.000Z');
+  });
+
+  it('refuses to publish articles that have not been approved', async () => {
+    await db.collection('users').doc(UID).collection('generated_articles').doc(ARTICLE_ID).update({ status: 'in_review' });
+
+    await assert.rejects(publishArticle(UID, ARTICLE_ID, { platform: 'wordpress' }), (error) => {
+      assert.equal(error.status, 409);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+  });
+
+  it('fails without retrying when no credentials are saved', async () => {
+    await db.collection('users').doc(UID).collection('publishing_credentials').doc('wordpress').delete();
+
+    await assert.rejects(publishArticle(UID, ARTICLE_ID, { platform: 'wordpress' }), (error) => {
+      assert.match(error.message, /No wordpress credentials/);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+  });
+});
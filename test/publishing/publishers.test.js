@@ -0,0 +1,235 @@
+const { db, resolveToPublicAddress } = require('../support/setup');
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useCassette } = require('../support/http-recorder');
+const { saveCredentials } = require('../../lib/publishing/credentials-store');
+const { getPublisher, resolvePlatform } = require('../../lib/publishing/publish-article');
+const { httpRequest, setTransport } = require('../../lib/utils/http-client');
+const { isPublicAddress, setLookup } = require('../../lib/utils/host-guard');
+
+const UID = 'user-1';
+const IMAGE_URL = 'https://images.unsplash.test/photo-1?w=1080&q=80';
+
+const ARTICLE = {
+  title: 'Emergency Widget Repair',
+  content: `# Emergency Widget Repair\n\nWhen a widget fails, act fast.\n\n![Broken widget](${IMAGE_URL})\n\n## First steps\n\nUnplug it.`,
+  targetKeyword: 'emergency widget repair',
+  images: [{ url: IMAGE_URL, alt: 'Broken widget', photographer: 'Jane Doe' }],
+};
+
+function requestBody(cassette, pattern) {
+  return JSON.parse(cassette.requests().find(({ url }) => pattern.test(url)).body);
+}
+
+describe('CMS publishers', () => {
+  let cassette;
+
+  afterEach(() => {
+    if (cassette) cassette.eject();
+    cassette = null;
+  });
+
+  it('ghost: uploads images and creates an HTML post with a signed admin token', async () => {
+    cassette = useCassette('ghost-publish');
+    const credentials = { siteUrl: 'https://acme.ghost.test', adminApiKey: `6720abc:${'ab'.repeat(32)}`, tags: ['Guides'] };
+
+    const result = await getPublisher('ghost').publish(ARTICLE, credentials, { status: 'publish' });
+
+    assert.deepEqual(cassette.pending(), []);
+    assert.equal(result.remoteId, '6720c0ffee');
+    assert.equal(result.status, 'publish');
+    assert.equal(result.url, 'https://acme.ghost.test/emergency-widget-repair/');
+
+    const { posts: [post] } = requestBody(cassette, /\/posts\//);
+    assert.equal(post.status, 'published');
+    assert.equal(post.feature_image, 'https://acme.ghost.test/content/images/2025/10/emergency-widget-repair-1.jpg');
+    assert.ok(post.html.includes('src="https://acme.ghost.test/content/images/2025/10/emergency-widget-repair-1.jpg"'));
+    assert.deepEqual(post.tags, [{ name: 'Guides' }]);
+    assert.equal(post.meta_description, 'When a widget fails, act fast.');
+  });
+
+  it('webflow: creates a live collection item with mapped fields', async () => {
+    cassette = useCassette('webflow-publish');
+    const credentials = { siteUrl: 'https://acme.test', apiToken: 'wf-token', collectionId: 'col123', fields: { body: 'content' } };
+
+    const result = await getPublisher('webflow').publish(ARTICLE, credentials, { status: 'publish' });
+
+    assert.deepEqual(cassette.pending(), []);
+    assert.deepEqual(result, { remoteId: 'item456', url: 'https://acme.test/post/emergency-widget-repair', status: 'publish' });
+
+    const item = requestBody(cassette, /\/items\/live$/);
+    assert.equal(item.isDraft, false);
+    assert.equal(item.fieldData.slug, 'emergency-widget-repair');
+    assert.ok(item.fieldData.content.startsWith('<p>When a widget fails'));
+    assert.equal(item.fieldData['post-summary'], 'When a widget fails, act fast.');
+    assert.deepEqual(item.fieldData['main-image'], { url: IMAGE_URL, alt: 'Broken widget' });
+  });
+
+  it('shopify: creates a blog article with SEO description metafield', async () => {
+    cassette = useCassette('shopify-publish');
+    const credentials = { siteUrl: 'https://acme-widgets.myshopify.test', accessToken: 'shpat_test', blogId: 241, storefrontUrl: 'https://acme.test' };
+
+    const result = await getPublisher('shopify').publish(ARTICLE, credentials, { status: 'publish' });
+
+    assert.deepEqual(cassette.pending(), []);
+    assert.deepEqual(result, { remoteId: 9001, url: 'https://acme.test/blogs/news/emergency-widget-repair', status: 'publish' });
+
+    const { article } = requestBody(cassette, /articles\.json$/);
+    assert.equal(article.handle, 'emergency-widget-repair');
+    assert.equal(article.published, true);
+    assert.deepEqual(article.image, { src: IMAGE_URL, alt: 'Broken widget' });
+    assert.equal(article.metafields[0].value, 'When a widget fails, act fast.');
+  });
+});
+
+describe('git publisher', () => {
+  const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd, encoding: 'utf8' }).trim();
+  let root;
+  let folder;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-publish-test-'));
+    folder = path.join(root, UID);
+    fs.mkdirSync(path.join(root, 'user-2'), { recursive: true });
+    fs.mkdirSync(folder);
+    process.env.GIT_PUBLISH_ROOT = root;
+    git(folder, 'init', '--quiet', '--bare', '-b', 'main', 'bare.git');
+    git(folder, 'init', '--quiet', '-b', 'main', 'site');
+    git(path.join(folder, 'site'), 'commit', '--quiet', '--allow-empty', '-m', 'Initial commit');
+    git(path.join(root, 'user-2'), 'init', '--quiet', '-b', 'main', 'site');
+    git(path.join(root, 'user-2', 'site'), 'commit', '--quiet', '--allow-empty', '-m', 'Initial commit');
+  });
+
+  after(() => {
+    delete process.env.GIT_PUBLISH_ROOT;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('commits a markdown file with front matter to a bare repository', async () => {
+    const publisher = getPublisher('git');
+    const credentials = { repoPath: 'bare.git', siteUrl: 'https://acme.test/blog' };
+
+    const first = await publisher.publish(ARTICLE, credentials, { status: 'draft', uid: UID });
+    assert.equal(first.remoteId, 'content/posts/emergency-widget-repair.md');
+    assert.equal(first.url, 'https://acme.test/blog/emergency-widget-repair/');
+    assert.equal(git(path.join(folder, 'bare.git'), 'rev-parse', 'main'), first.revision);
+
+    const file = git(path.join(folder, 'bare.git'), 'show', `main:${first.remoteId}`);
+    assert.match(file, /^---\ntitle: "Emergency Widget Repair"\nslug: "emergency-widget-repair"\n/);
+    assert.match(file, /\ndraft: true\nkeywords:\n {2}- "emergency widget repair"\n/);
+    assert.ok(!file.includes('# Emergency Widget Repair'));
+
+    // Republishing identical content makes no new commit
+    const previous = { remoteId: first.remoteId, publishedAt: file.match(/date: "([^"]+)"/)[1] };
+    const second = await publisher.publish(ARTICLE, credentials, { status: 'draft', previous, uid: UID });
+    assert.equal(second.revision, first.revision);
+  });
+
+  it('commits into a checked-out working tree', async () => {
+    const result = await getPublisher('git').publish(ARTICLE, { repoPath: 'site', contentDir: 'posts' }, { status: 'publish', uid: UID });
+
+    const site = path.join(folder, 'site');
+    assert.equal(git(site, 'rev-parse', 'HEAD'), result.revision);
+    assert.equal(git(site, 'log', '-1', '--format=%s|%an'), 'Publish "Emergency Widget Repair"|Typonix');
+    assert.equal(git(site, 'status', '--porcelain'), '');
+    assert.match(fs.readFileSync(path.join(site, 'posts', 'emergency-widget-repair.md'), 'utf8'), /draft: false/);
+  });
+
+  it('refuses repositories outside the user\'s folder in GIT_PUBLISH_ROOT', async () => {
+    const publisher = getPublisher('git');
+
+    await assert.rejects(publisher.validateCredentials({ repoPath: '../elsewhere' }, { uid: UID }), /inside your folder in GIT_PUBLISH_ROOT/);
+    await assert.rejects(publisher.validateCredentials({ repoPath: '../user-2/site' }, { uid: UID }), { status: 400 });
+    await assert.rejects(publisher.publish(ARTICLE, { repoPath: '../user-2/site' }, { uid: UID }), { status: 400 });
+    await assert.rejects(publisher.validateCredentials({ repoPath: 'site' }), { status: 400 });
+
+    // A symlink into another user's folder is followed and refused
+    fs.symlinkSync(path.join(root, 'user-2', 'site'), path.join(folder, 'borrowed'));
+    await assert.rejects(publisher.validateCredentials({ repoPath: 'borrowed' }, { uid: UID }), /not a git repository in your folder/);
+
+    assert.equal(git(path.join(root, 'user-2', 'site'), 'rev-list', '--count', 'HEAD'), '1');
+  });
+
+  it('refuses content directories and branches that leave the repository', async () => {
+    const publisher = getPublisher('git');
+    const escaped = path.join(root, 'emergency-widget-repair.md');
+
+    for (const contentDir of ['../../..', '/tmp', 'posts/../../..', 'posts/./x']) {
+      await assert.rejects(publisher.publish(ARTICLE, { repoPath: 'site', contentDir }, { uid: UID }), { status: 400 }, contentDir);
+    }
+    for (const branch of ['../main', '/main', '-main', 'main.lock']) {
+      await assert.rejects(publisher.validateCredentials({ repoPath: 'site', branch }, { uid: UID }), { status: 400 }, branch);
+    }
+
+    // A symlinked directory inside the working tree must not redirect the write
+    fs.symlinkSync(root, path.join(folder, 'site', 'linked'));
+    await assert.rejects(publisher.publish(ARTICLE, { repoPath: 'site', contentDir: 'linked' }, { uid: UID }), /leads outside the repository/);
+
+    assert.equal(fs.existsSync(escaped), false);
+  });
+});
+
+describe('resolvePlatform', () => {
+  beforeEach(() => db.reset());
+
+  it('uses the requested platform, then the destination, then the only connected platform', async () => {
+    await assert.rejects(resolvePlatform(UID), /No publishing platform connected/);
+
+    await saveCredentials(UID, 'ghost', { siteUrl: 'https://acme.ghost.test' });
+    assert.equal(await resolvePlatform(UID), 'ghost');
+
+    await saveCredentials(UID, 'webflow', { siteUrl: 'https://acme.test' });
+    await assert.rejects(resolvePlatform(UID), /Choose a publishing destination/);
+
+    await db.collection('users').doc(UID).set({ publishingPlatform: 'webflow' });
+    assert.equal(await resolvePlatform(UID), 'webflow');
+    assert.equal(await resolvePlatform(UID, 'git'), 'git');
+  });
+});
+
+describe('customer site safety', () => {
+  afterEach(() => {
+    setTransport(null);
+    setLookup(resolveToPublicAddress);
+  });
+
+  it('only knows the registered platforms', () => {
+    assert.equal(getPublisher('constructor'), null);
+    assert.equal(getPublisher('toString'), null);
+    assert.equal(getPublisher('ghost').platform, 'ghost');
+  });
+
+  it('classifies loopback, private and link-local addresses as non-public', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+    assert.equal(isPublicAddress('93.184.215.14'), true);
+    assert.equal(isPublicAddress('2606:4700::1111'), true);
+  });
+
+  it('refuses to connect a site that resolves to an internal address', async () => {
+    setLookup((hostname, options, callback) => callback(null, [{ address: hostname === 'intranet.acme.test' ? '10.0.0.5' : '203.0.113.10', family: 4 }]));
+
+    const wordpress = { username: 'admin', applicationPassword: 'secret' };
+    await assert.rejects(getPublisher('wordpress').validateCredentials({ ...wordpress, siteUrl: 'http://169.254.169.254' }), { status: 400, message: /non-public address \(169\.254\.169\.254\)/ });
+    await assert.rejects(getPublisher('wordpress').validateCredentials({ ...wordpress, siteUrl: 'https://intranet.acme.test' }), { status: 400, message: /non-public address \(10\.0\.0\.5\)/ });
+    await assert.rejects(getPublisher('shopify').validateCredentials({ siteUrl: 'http://[::1]:8080', accessToken: 't', blogId: 1 }), { status: 400 });
+  });
+
+  it('never sends a request to an internal address, even after the site was connected', async () => {
+    const requests = [];
+    setTransport(async (url) => {
+      requests.push(url);
+      return { status: 200, ok: true, text: async () => '' };
+    });
+    setLookup((hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+    await assert.rejects(httpRequest('ghost', 'https://acme.ghost.test/ghost/api/admin/posts/'), { name: 'BlockedHostError', retryable: false });
+    assert.deepEqual(requests, []);
+  });
+});
@@ -0,0 +1,108 @@
+require('../support/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateOpportunityScore, categorizeKeywords } = require('../../lib/seo/keyword-ideas');
+
+function idea(keyword, overrides = {}) {
+  return {
+    keyword,
+    search_volume: 0,
+    difficulty: 50,
+    cpc: 0,
+    search_intent: 'informational',
+    opportunity_score: 0,
+    ...overrides,
+  };
+}
+
+describe('calculateOpportunityScore', () => {
+  it('gives the maximum score to high-volume, easy, valuable transactional keywords', () => {
+    const score = calculateOpportunityScore(idea('buy widgets', {
+      search_volume: 20000,
+      difficulty: 10,
+      cpc: 8,
+      search_intent: 'transactional',
+    }));
+
+    assert.equal(score, 100);
+  });
+
+  it('gives the minimum score to low-volume, hard, worthless informational keywords', () => {
+    const score = calculateOpportunityScore(idea('what is a widget', {
+      search_volume: 10,
+      difficulty: 90,
+      cpc: 0,
+    }));
+
+    assert.equal(score, 5 + 5 + 0 + 3);
+  });
+
+  it('treats missing difficulty as medium (50)', () => {
+    const withMissing = calculateOpportunityScore(idea('widgets', { difficulty: null }));
+    const withMedium = calculateOpportunityScore(idea('widgets', { difficulty: 50 }));
+
+    assert.equal(withMissing, withMedium);
+  });
+
+  it('scores each band boundary inclusively', () => {
+    assert.equal(calculateOpportunityScore(idea('a', { search_volume: 1000 })) - calculateOpportunityScore(idea('a', { search_volume: 999 })), 10);
+    assert.equal(calculateOpportunityScore(idea('a', { cpc: 2 })) - calculateOpportunityScore(idea('a', { cpc: 1.99 })), 5);
+    assert.equal(calculateOpportunityScore(idea('a', { difficulty: 29 })) - calculateOpportunityScore(idea('a', { difficulty: 30 })), 10);
+  });
+});
+
+describe('categorizeKeywords', () => {
+  const keywords = [
+    idea('widget repair near me', { search_volume: 6000, difficulty: 20, cpc: 3, search_intent: 'commercial', opportunity_score: 85 }),
+    idea('cheap widgets', { search_volume: 2000, difficulty: 35, cpc: 1.5, search_intent: 'transactional', opportunity_score: 72 }),
+    idea('how do widgets work', { search_volume: 800, difficulty: 25, cpc: 0.2, search_intent: 'informational', opportunity_score: 48 }),
+    idea('best widget repair kit for beginners', { search_volume: 300, difficulty: 15, cpc: 0.8, search_intent: 'commercial', opportunity_score: 51 }),
+    idea('widgets', { search_volume: 50000, difficulty: 80, cpc: 0.4, search_intent: 'navigational', opportunity_score: 55 }),
+  ];
+
+  const categories = categorizeKeywords(keywords);
+  const names = (list) => list.map((k) => k.keyword);
+
+  it('returns every category', () => {
+    assert.deepEqual(Object.keys(categories).sort(), [
+      'commercial_opportunities',
+      'content_opportunities',
+      'high_priority_opportunities',
+      'high_value_opportunities',
+      'high_volume_opportunities',
+      'long_tail_opportunities',
+      'low_competition_opportunities',
+      'quick_win_opportunities',
+    ]);
+  });
+
+  it('ranks high-priority keywords by score, requiring 1000+ searches', () => {
+    assert.deepEqual(names(categories.high_priority_opportunities), ['widget repair near me', 'cheap widgets']);
+  });
+
+  it('sorts high-volume keywords by search volume', () => {
+    assert.deepEqual(names(categories.high_volume_opportunities), ['widgets', 'widget repair near me']);
+  });
+
+  it('keeps commercial and transactional intent together', () => {
+    assert.deepEqual(names(categories.commercial_opportunities), ['widget repair near me', 'cheap widgets', 'best widget repair kit for beginners']);
+  });
+
+  it('ranks high-value keywords by CPC x volume', () => {
+    assert.deepEqual(names(categories.high_value_opportunities), ['widget repair near me', 'cheap widgets']);
+  });
+
+  it('limits quick wins to mid-volume, low-difficulty keywords', () => {
+    assert.deepEqual(names(categories.quick_win_opportunities), ['cheap widgets']);
+  });
+
+  it('only counts four-plus word phrases under 1000 searches as long tail', () => {
+    assert.deepEqual(names(categories.long_tail_opportunities), ['how do widgets work', 'best widget repair kit for beginners']);
+  });
+
+  it('caps each category at 50 keywords', () => {
+    const many = Array.from({ length: 80 }, (_, i) => idea(`widget ${i}`, { search_volume: 6000 + i }));
+    assert.equal(categorizeKeywords(many).high_volume_opportunities.length, 50);
+  });
+});
@@ -0,0 +1,76 @@
+const { db } = require('../support/setup');
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useCassette } = require('../support/http-recorder');
+const { processSEOAnalysis } = require('../../lib/seo/process-seo-analysis');
+
+const UID = 'user-1';
+
+describe('processSEOAnalysis (online business)', () => {
+  let cassette;
+
+  beforeEach(async () => {
+    db.reset();
+    await db.collection('users').doc(UID).set({
+      onboardingCompleted: true,
+      businessName: 'Acme Widgets',
+      businessType: 'online',
+      businessTypeIdentifier: 'Widget Repair Shop',
+      targetCountry: 'United States',
+      targetCountryCode: 'US',
+      language: 'en',
+      websiteUrl: 'https://acme-widgets.test',
+      services: [{ name: 'Widget repair' }],
+      seedKeywords: ['widget repair'],
+      competitors: [],
+    });
+    cassette = useCassette('seo-analysis-online');
+  });
+
+  afterEach(() => {
+    cassette.eject();
+  });
+
+  it('runs every stage end to end and queues the first article', async () => {
+    const result = await processSEOAnalysis(UID);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(cassette.pending(), []);
+
+    const user = db.getData(`users/${UID}`);
+    assert.equal(user.seoAnalysisStatus, 'completed');
+    for (const [stage, progress] of Object.entries(user.seoAnalysisStages)) {
+      assert.equal(progress.status, 'completed', `stage ${stage} should complete`);
+    }
+
+    // Discovery drops excluded platforms and oversized sites, similarity ranks the rest
+    const competitors = user.seoAnalysisResults.keywordAnalysis[0].topCompetitors;
+    assert.deepEqual(competitors.map((c) => c.domain), ['rival-a.test', 'rival-b.test']);
+    assert.deepEqual(user.competitors, ['rival-a.test', 'rival-b.test']);
+
+    // Intersections are saved per competitor and checkpointed
+    const unique = db.getData(`users/${UID}/intersections/unique/websites/rival-a.test`);
+    assert.equal(unique.keywords.length, 8);
+    assert.equal(unique.hasSimilarityScores, true);
+    assert.deepEqual(Object.keys(db.getData(`users/${UID}/seo_checkpoints/intersection`).domains).sort(), ['rival-a.test', 'rival-b.test']);
+
+    assert.equal(user.targetKeywords.length, 16);
+
+    const plans = await db.collection('users').doc(UID).collection('content_plans').get();
+    assert.equal(plans.size, 1);
+    assert.equal(plans.docs[0].data().titles.length, 15);
+
+    const jobs = await db.collection('jobs').where('uid', '==', UID).get();
+    assert.equal(jobs.size, 1);
+    assert.equal(jobs.docs[0].data().type, 'blog-generation');
+    assert.equal(jobs.docs[0].data().status, 'queued');
+  });
+
+  it('fails the analysis when onboarding is incomplete', async () => {
+    await db.collection('users').doc(UID).update({ onboardingCompleted: false });
+
+    await assert.rejects(processSEOAnalysis(UID), /Onboarding not completed/);
+    assert.equal(db.getData(`users/${UID}`).seoAnalysisStatus, 'failed');
+  });
+});
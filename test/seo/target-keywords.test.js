@@ -0,0 +1,82 @@
+const { db } = require('../support/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateTargetKeywords } = require('../../lib/seo/local-analysis');
+
+const UID = 'user-1';
+
+async function seedUniqueKeywords(domain, keywords) {
+  await db.collection('users').doc(UID)
+    .collection('intersections').doc('unique')
+    .collection('websites').doc(domain)
+    .set({ competitorDomain: domain, keywords });
+}
+
+describe('generateTargetKeywords', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.collection('users').doc(UID).set({ businessName: 'Acme Widgets' });
+  });
+
+  it('returns nothing when no keyword reaches the similarity threshold', async () => {
+    await seedUniqueKeywords('rival.test', [
+      { keyword: 'garden hoses', similarityToServices: 0.2, searchVolume: 5000, competition: 0.3 },
+      { keyword: 'unscored keyword', similarityToServices: null, searchVolume: 9000, competition: 0.1 },
+    ]);
+
+    assert.deepEqual(await generateTargetKeywords(UID), []);
+    assert.equal(db.getData(`users/${UID}`).targetKeywords, undefined);
+  });
+
+  it('ranks by similarity first, then volume, then low competition', async () => {
+    await seedUniqueKeywords('rival.test', [
+      { keyword: 'widget repair', similarityToServices: 0.9, searchVolume: 100, competition: 0.5 },
+      { keyword: 'custom widgets', similarityToServices: 0.6, searchVolume: 10000, competition: 0.5 },
+      { keyword: 'widget polish', similarityToServices: 0.6, searchVolume: 100, competition: 0.1 },
+      { keyword: 'bicycle pumps', similarityToServices: 0.39, searchVolume: 50000, competition: 0.1 },
+    ]);
+
+    const keywords = await generateTargetKeywords(UID);
+
+    // 0.9*0.6 + 0 + 0 = 0.54; 0.6*0.6 + 0.3 + 0 = 0.66; 0.6*0.6 + 0 + 0.1 = 0.46
+    assert.deepEqual(keywords, ['custom widgets', 'widget repair', 'widget polish']);
+    assert.deepEqual(db.getData(`users/${UID}`).targetKeywords, keywords);
+  });
+
+  it('skips near-duplicate phrasings', async () => {
+    await seedUniqueKeywords('rival.test', [
+      { keyword: 'emergency widget repair', similarityToServices: 0.9, searchVolume: 1000, competition: 0.2 },
+      { keyword: 'widget repair emergency', similarityToServices: 0.85, searchVolume: 900, competition: 0.2 },
+      { keyword: 'widget cleaning service', similarityToServices: 0.8, searchVolume: 800, competition: 0.2 },
+    ]);
+
+    assert.deepEqual(await generateTargetKeywords(UID), ['emergency widget repair', 'widget cleaning service']);
+  });
+
+  it('selects at most 20 keywords across competitors', async () => {
+    const words = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet', 'kilo', 'lima', 'mike', 'november'];
+    await seedUniqueKeywords('a.test', words.map((word, i) => ({ keyword: `${word} widgets`, similarityToServices: 0.5 + i / 100, searchVolume: 100 + i, competition: 0.5 })));
+    await seedUniqueKeywords('b.test', words.map((word, i) => ({ keyword: `${word} gadgets`, similarityToServices: 0.5 + i / 100, searchVolume: 100 + i, competition: 0.5 })));
+
+    assert.equal((await generateTargetKeywords(UID)).length, 20);
+  });
+
+  it('marks selected keywords as targeted in shared and unique intersections', async () => {
+    await seedUniqueKeywords('rival.test', [
+      { keyword: 'widget repair', similarityToServices: 0.9, searchVolume: 1000, competition: 0.2 },
+      { keyword: 'lawn mowing', similarityToServices: 0.1, searchVolume: 1000, competition: 0.2 },
+    ]);
+    await db.collection('users').doc(UID)
+      .collection('intersections').doc('shared')
+      .collection('websites').doc('rival.test')
+      .set({ competitorDomain: 'rival.test', keywords: [{ keyword: 'widget repair' }, { keyword: 'widgets' }] });
+
+    await generateTargetKeywords(UID);
+
+    const unique = db.getData(`users/${UID}/intersections/unique/websites/rival.test`);
+    const shared = db.getData(`users/${UID}/intersections/shared/websites/rival.test`);
+    assert.deepEqual(unique.keywords.map((k) => !!k.targeted), [true, false]);
+    assert.deepEqual(shared.keywords.map((k) => !!k.targeted), [true, false]);
+  });
+});
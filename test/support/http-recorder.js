@@ -0,0 +1,142 @@
+/**
+ * HTTP Record/Replay
+ *
+ * Plugs into the shared HTTP layer (lib/utils/http-client.js) so every external
+ * API call (DataForSEO, Jina, OpenAI, Perplexity, Claude, Unsplash) is served
+ * from a cassette file in test/fixtures/cassettes instead of the network.
+ *
+ * HTTP_FIXTURES=replay (default)  serve responses from the cassette; an unmatched
+ *                                 request fails the test
+ * HTTP_FIXTURES=record            make real requests (API keys required) and
+ *                                 overwrite the cassette when the test finishes
+ *
+ * Interactions match on method and URL, then on a hash of the request body when
+ * the interaction has one (recorded cassettes do; hand-written ones may omit it
+ * and are then served in order). Request headers are never written to disk.
+ * Binary responses (images) are stored base64-encoded as `bodyBase64`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { setTransport } = require('../../lib/utils/http-client');
+
+const CASSETTE_DIR = path.join(__dirname, '..', 'fixtures', 'cassettes');
+const MODE = process.env.HTTP_FIXTURES || 'replay';
+
+const nodeFetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+function hashBody(body) {
+  if (!body) return null;
+  return crypto.createHash('sha256').update(String(body)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build a fetch-like Response from a stored interaction
+ */
+function toResponse({ status, statusText = '', headers = {}, body, bodyBase64 }) {
+  const buffer = bodyBase64 !== undefined
+    ? Buffer.from(bodyBase64, 'base64')
+    : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+  return {
+    status,
+    statusText,
+    ok: status >= 200 && status < 300,
+    headers: new Headers(headers),
+    text: async () => buffer.toString('utf8'),
+    json: async () => JSON.parse(buffer.toString('utf8')),
+    arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length),
+  };
+}
+
+function isTextContentType(contentType) {
+  return !contentType || /^text\/|json|xml|javascript|x-www-form-urlencoded/i.test(contentType);
+}
+
+/**
+ * Store a body as JSON when possible so cassettes stay readable
+ */
+function toStoredBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Serve (or record) HTTP traffic for one test from a named cassette
+ * @param {string} name - Cassette name (file test/fixtures/cassettes/<name>.json)
+ * @returns {{eject: Function, pending: Function, requests: Function}} - eject() restores the
+ *   network and saves recordings; pending() lists interactions not yet replayed;
+ *   requests() returns the requests served so far as { method, url, body }
+ */
+function useCassette(name) {
+  const file = path.join(CASSETTE_DIR, `${name}.json`);
+  const served = [];
+
+  if (MODE === 'record') {
+    const interactions = [];
+
+    setTransport(async (url, options = {}) => {
+      const response = await nodeFetch(url, options);
+      const buffer = Buffer.from(await response.arrayBuffer());
+      const headers = {};
+      const contentType = response.headers.get('content-type');
+      if (contentType) headers['content-type'] = contentType;
+
+      const stored = isTextContentType(contentType)
+        ? { body: toStoredBody(buffer.toString('utf8')) }
+        : { bodyBase64: buffer.toString('base64') };
+      const interaction = {
+        request: { method: options.method || 'GET', url, bodyHash: hashBody(options.body) },
+        response: { status: response.status, statusText: response.statusText, headers, ...stored },
+      };
+      interactions.push(interaction);
+      served.push({ method: interaction.request.method, url, body: options.body });
+      return toResponse(interaction.response);
+    });
+
+    return {
+      eject() {
+        setTransport(null);
+        fs.mkdirSync(CASSETTE_DIR, { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(interactions, null, 2)}\n`);
+      },
+      pending: () => [],
+      requests: () => served,
+    };
+  }
+
+  const interactions = JSON.parse(fs.readFileSync(file, 'utf8')).map((interaction) => ({ ...interaction, used: false }));
+
+  setTransport(async (url, options = {}) => {
+    const method = options.method || 'GET';
+    const bodyHash = hashBody(options.body);
+
+    const match = interactions.find(({ request, used }) => !used
+      && request.method === method
+      && request.url === url
+      && (!request.bodyHash || request.bodyHash === bodyHash));
+
+    if (!match) {
+      throw new Error(`No cassette interaction in "${name}" for ${method} ${url} (body ${bodyHash})`);
+    }
+
+    match.used = true;
+    served.push({ method, url, body: options.body });
+    return toResponse(match.response);
+  });
+
+  return {
+    eject() {
+      setTransport(null);
+    },
+    pending: () => interactions.filter(({ used }) => !used).map(({ request }) => `${request.method} ${request.url}`),
+    requests: () => served,
+  };
+}
+
+module.exports = {
+  useCassette
+};
@@ -0,0 +1,406 @@
+/**
+ * In-memory Firestore stand-in
+ *
+ * Implements the slice of the Admin SDK this codebase uses: collections and
+ * subcollections, doc get/set (with merge)/update (dotted paths)/delete/add,
+ * where/orderBy/limit queries, transactions and FieldValue.increment/delete/
+ * arrayUnion/serverTimestamp. Documents are deep-copied in and out so tests
+ * cannot mutate stored state by accident.
+ */
+
+const MAX_TRANSACTION_ATTEMPTS = 5; // Firestore's default
+
+const FIELD_VALUE = Symbol('fieldValue');
+
+const FieldValue = {
+  increment: (n) => ({ [FIELD_VALUE]: 'increment', value: n }),
+  delete: () => ({ [FIELD_VALUE]: 'delete' }),
+  arrayUnion: (...values) => ({ [FIELD_VALUE]: 'arrayUnion', value: values }),
+  serverTimestamp: () => ({ [FIELD_VALUE]: 'serverTimestamp' }),
+};
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !value[FIELD_VALUE];
+}
+
+/**
+ * Resolve a FieldValue sentinel against the current value
+ */
+function applyFieldValue(current, sentinel) {
+  switch (sentinel[FIELD_VALUE]) {
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + sentinel.value;
+    case 'arrayUnion': {
+      const base = Array.isArray(current) ? [...current] : [];
+      for (const item of sentinel.value) {
+        if (!base.some((existing) => JSON.stringify(existing) === JSON.stringify(item))) base.push(item);
+      }
+      return base;
+    }
+    case 'serverTimestamp':
+      return new Date().toISOString();
+    default:
+      throw new Error(`Unsupported FieldValue ${sentinel[FIELD_VALUE]}`);
+  }
+}
+
+/**
+ * Write `value` into `target` at `key`, resolving sentinels; `merge` deep-merges maps
+ */
+function writeField(target, key, value, merge) {
+  if (value === undefined) {
+    throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${key}")`);
+  }
+
+  if (value && value[FIELD_VALUE] === 'delete') {
+    delete target[key];
+  } else if (value && value[FIELD_VALUE]) {
+    target[key] = applyFieldValue(target[key], value);
+  } else if (merge && isPlainObject(value)) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    for (const [childKey, childValue] of Object.entries(value)) {
+      writeField(target[key], childKey, childValue, true);
+    }
+  } else if (isPlainObject(value)) {
+    target[key] = {};
+    for (const [childKey, childValue] of Object.entries(value)) {
+      writeField(target[key], childKey, childValue, false);
+    }
+  } else {
+    target[key] = clone(value);
+  }
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a !== undefined && compare(a, b) < 0,
+  '<=': (a, b) => a !== undefined && compare(a, b) <= 0,
+  '>': (a, b) => a !== undefined && compare(a, b) > 0,
+  '>=': (a, b) => a !== undefined && compare(a, b) >= 0,
+  'in': (a, b) => b.includes(a),
+  'not-in': (a, b) => !b.includes(a),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b),
+};
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return clone(this._data);
+  }
+
+  get(fieldPath) {
+    return clone(getField(this._data, fieldPath));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(store, path) {
+    this._store = store;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new CollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this._get();
+  }
+
+  async set(data, options = {}) {
+    this._set(data, options);
+  }
+
+  async update(data) {
+    this._update(data);
+  }
+
+  async delete() {
+    this._delete();
+  }
+
+  // Synchronous versions, so a transaction can commit without interleaving other writers
+
+  _get() {
+    return new DocumentSnapshot(this, clone(this._store.docs.get(this.path)));
+  }
+
+  _set(data, options = {}) {
+    const target = options.merge ? clone(this._store.docs.get(this.path)) || {} : {};
+    for (const [key, value] of Object.entries(data)) {
+      writeField(target, key, value, !!options.merge);
+    }
+    this._store.write(this.path, target);
+  }
+
+  _update(data) {
+    const existing = this._store.docs.get(this.path);
+    if (!existing) {
+      const error = new Error(`5 NOT_FOUND: No document to update: ${this.path}`);
+      error.code = 5;
+      throw error;
+    }
+
+    const target = clone(existing);
+    for (const [fieldPath, value] of Object.entries(data)) {
+      const keys = fieldPath.split('.');
+      let parent = target;
+      for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(parent[key])) parent[key] = {};
+        parent = parent[key];
+      }
+      writeField(parent, keys[keys.length - 1], value, false);
+    }
+    this._store.write(this.path, target);
+  }
+
+  _delete() {
+    this._store.write(this.path, undefined);
+  }
+}
+
+class Query {
+  constructor(store, path, filters = [], orders = [], limitCount = null) {
+    this._store = store;
+    this._path = path;
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = limitCount;
+  }
+
+  where(fieldPath, op, value) {
+    if (!OPERATORS[op]) throw new Error(`Unsupported where operator ${op}`);
+    return new Query(this._store, this._path, [...this._filters, { fieldPath, op, value }], this._orders, this._limit);
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return new Query(this._store, this._path, this._filters, [...this._orders, { fieldPath, direction }], this._limit);
+  }
+
+  limit(count) {
+    return new Query(this._store, this._path, this._filters, this._orders, count);
+  }
+
+  async get() {
+    return this._get();
+  }
+
+  _get() {
+    const prefix = `${this._path}/`;
+    let matches = [...this._store.docs.entries()]
+      .filter(([path]) => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+      .filter(([, data]) => this._filters.every(({ fieldPath, op, value }) => OPERATORS[op](getField(data, fieldPath), value)));
+
+    for (const { fieldPath, direction } of [...this._orders].reverse()) {
+      matches.sort(([, a], [, b]) => {
+        const result = compare(getField(a, fieldPath), getField(b, fieldPath));
+        return direction === 'desc' ? -result : result;
+      });
+    }
+
+    if (this._limit !== null) {
+      matches = matches.slice(0, this._limit);
+    }
+
+    return new QuerySnapshot(matches.map(([path, data]) => new DocumentSnapshot(new DocumentReference(this._store, path), clone(data))));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, path) {
+    super(store, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  doc(id) {
+    return new DocumentReference(this._store, `${this.path}/${id || this._store.nextId()}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+/**
+ * Version of every document a snapshot holds, to tell whether it is still current
+ */
+function fingerprint(store, snapshot) {
+  const docs = snapshot.docs || [snapshot];
+  return docs.map((doc) => `${doc.ref.path}@${store.versions.get(doc.ref.path) || 0}`).join(',');
+}
+
+/**
+ * Transactions read through and buffer writes until the callback resolves.
+ * Like Firestore, they run concurrently: at commit, if a document or query
+ * result the callback read has changed since, the callback runs again (up to
+ * MAX_TRANSACTION_ATTEMPTS times) so contention is exercised, not avoided.
+ */
+class Transaction {
+  constructor(store) {
+    this._store = store;
+    this._reads = [];
+    this._writes = [];
+  }
+
+  async get(refOrQuery) {
+    const snapshot = refOrQuery._get();
+    this._reads.push({ target: refOrQuery, seen: fingerprint(this._store, snapshot) });
+    return snapshot;
+  }
+
+  set(ref, data, options) {
+    this._writes.push(() => ref._set(data, options));
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push(() => ref._update(data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => ref._delete());
+    return this;
+  }
+
+  _isCurrent() {
+    return this._reads.every(({ target, seen }) => fingerprint(this._store, target._get()) === seen);
+  }
+
+  /**
+   * Apply every buffered write, or none if one fails
+   */
+  _commit() {
+    const docs = new Map(this._store.docs);
+    const versions = new Map(this._store.versions);
+    try {
+      for (const write of this._writes) write();
+    } catch (error) {
+      this._store.docs = docs;
+      this._store.versions = versions;
+      throw error;
+    }
+  }
+}
+
+class MemoryFirestore {
+  constructor() {
+    this.docs = new Map();
+    this.versions = new Map();
+    this.transactionRetries = 0;
+    this._nextId = 0;
+  }
+
+  /**
+   * Store a document (undefined deletes it) and bump its version
+   */
+  write(path, data) {
+    if (data === undefined) {
+      this.docs.delete(path);
+    } else {
+      this.docs.set(path, data);
+    }
+    this.versions.set(path, (this.versions.get(path) || 0) + 1);
+  }
+
+  nextId() {
+    this._nextId++;
+    return `auto${String(this._nextId).padStart(6, '0')}`;
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  async runTransaction(callback) {
+    for (let attempt = 1; ; attempt++) {
+      const transaction = new Transaction(this);
+      const result = await callback(transaction);
+
+      if (transaction._isCurrent()) {
+        transaction._commit();
+        return result;
+      }
+      if (attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        const error = new Error(`10 ABORTED: Transaction lost to concurrent writes ${attempt} times`);
+        error.code = 10;
+        throw error;
+      }
+      this.transactionRetries++;
+    }
+  }
+
+  batch() {
+    const batch = new Transaction(this);
+    batch.commit = async () => {
+      batch._commit();
+    };
+    return batch;
+  }
+
+  /**
+   * Remove every document (call between tests)
+   */
+  reset() {
+    this.docs.clear();
+    this.versions.clear();
+    this.transactionRetries = 0;
+    this._nextId = 0;
+  }
+
+  /**
+   * Read a document's data synchronously by path, for assertions
+   * @param {string} path - e.g. 'users/u1'
+   * @returns {Object|undefined}
+   */
+  getData(path) {
+    return clone(this.docs.get(path));
+  }
+}
+
+module.exports = {
+  MemoryFirestore,
+  FieldValue
+};
@@ -0,0 +1,60 @@
+/**
+ * Test Environment
+ *
+ * Require this before any module under lib/. It:
+ * - Replaces ../../firebase with an in-memory Firestore (no credentials needed)
+ * - Gives every API client a placeholder key in replay mode (real keys from .env when recording)
+ * - Sets a fixed CREDENTIALS_ENCRYPTION_KEY so stored CMS credentials can be encrypted
+ * - Resolves every host name to a public documentation address in replay mode, so the
+ *   host guard passes cassette hosts (*.test) without DNS
+ * - Silences pipeline logging unless TEST_VERBOSE=1
+ */
+
+const path = require('path');
+const { MemoryFirestore, FieldValue } = require('./memory-firestore');
+
+const FIREBASE_MODULE = path.join(__dirname, '..', '..', 'firebase.js');
+const PUBLIC_TEST_ADDRESS = '203.0.113.10'; // TEST-NET-3
+
+function resolveToPublicAddress(hostname, options, callback) {
+  if (options.all) return callback(null, [{ address: PUBLIC_TEST_ADDRESS, family: 4 }]);
+  return callback(null, PUBLIC_TEST_ADDRESS, 4);
+}
+
+if (process.env.HTTP_FIXTURES === 'record') {
+  require('dotenv').config();
+} else {
+  for (const key of ['DATAFORSEO_LOGIN', 'DATAFORSEO_PASSWORD', 'OPENAI_API_KEY', 'JINA_API_KEY', 'ANTHROPIC_API_KEY', 'PERPLEXITY_API_KEY', 'UNSPLASH_ACCESS_KEY']) {
+    process.env[key] = 'test-key';
+  }
+  require('../../lib/utils/host-guard').setLookup(resolveToPublicAddress);
+}
+process.env.CREDENTIALS_ENCRYPTION_KEY = '0'.repeat(64);
+
+const db = new MemoryFirestore();
+
+require.cache[FIREBASE_MODULE] = {
+  id: FIREBASE_MODULE,
+  filename: FIREBASE_MODULE,
+  loaded: true,
+  exports: {
+    db,
+    admin: { firestore: { FieldValue } },
+    auth: {
+      verifyIdToken: async () => {
+        throw new Error('verifyIdToken is not available in tests');
+      },
+    },
+  },
+};
+
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+module.exports = {
+  db,
+  resolveToPublicAddress
+};
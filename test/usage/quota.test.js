@@ -0,0 +1,87 @@
+const { db } = require('../support/setup');
+
+process.env.SERVICE_API_KEY = 'test-service-key';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const contentRoutes = require('../../routes/content');
+const { getQuotaStatus, reserveQuota, recordQuotaUsage, releaseQuota } = require('../../lib/usage/quota');
+const { enqueueJob, getJob } = require('../../lib/jobs/job-queue');
+const { drainQueue } = require('../../lib/jobs/job-worker');
+
+const UID = 'user-1';
+
+describe('quota reservations', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.doc(`users/${UID}`).set({ plan: 'free' }); // 1 analysis, 2 articles a month
+  });
+
+  it('lets only as many concurrent runs start as there are slots left', async () => {
+    const results = await Promise.allSettled(['job-a', 'job-b', 'job-c'].map((id) => reserveQuota(UID, 'blog-generation', id)));
+
+    assert.deepEqual(results.map(({ status }) => status).sort(), ['fulfilled', 'fulfilled', 'rejected']);
+    assert.equal(results.find(({ status }) => status === 'rejected').reason.status, 429);
+
+    const { articles } = await getQuotaStatus(UID);
+    assert.deepEqual(articles, { limit: 2, used: 0, reserved: 2, remaining: 0 });
+  });
+
+  it('counts a run when it completes and frees the slot of one that fails', async () => {
+    await reserveQuota(UID, 'blog-generation', 'job-a');
+    await reserveQuota(UID, 'blog-generation', 'job-a'); // A retry keeps its reservation
+    await reserveQuota(UID, 'blog-generation', 'job-b');
+
+    await recordQuotaUsage(UID, 'blog-generation', 'job-a');
+    await releaseQuota(UID, 'blog-generation', 'job-b');
+
+    const { articles } = await getQuotaStatus(UID);
+    assert.deepEqual(articles, { limit: 2, used: 1, reserved: 0, remaining: 1 });
+  });
+
+  it('does not use up a slot when a job fails for good', async () => {
+    const { jobId } = await enqueueJob('blog-generation', UID, {}, { maxAttempts: 1 });
+
+    await drainQueue();
+
+    assert.equal((await getJob(jobId)).status, 'failed');
+    const { articles } = await getQuotaStatus(UID);
+    assert.deepEqual(articles, { limit: 2, used: 0, reserved: 0, remaining: 2 });
+  });
+});
+
+describe('budget checks on paid routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/content', contentRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(async () => {
+    db.reset();
+    await db.doc(`users/${UID}`).set({ plan: 'free' }); // $2 a month
+    await db.doc(`users/${UID}/usage/call-1`).set({ provider: 'anthropic', cost: 2.5, createdAt: new Date().toISOString() });
+  });
+
+  it('refuses title generation over the monthly budget', async () => {
+    const response = await fetch(`${baseUrl}/content/generate-titles`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Service-Key': 'test-service-key', Connection: 'close' },
+      body: JSON.stringify({ uid: UID }),
+    });
+
+    assert.equal(response.status, 402);
+    const body = await response.json();
+    assert.equal(body.metric, 'monthlyBudget');
+    assert.equal(body.allowance.monthlyBudget.remaining, 0);
+  });
+});